@@ -30,6 +30,9 @@ class AdminManager {
     async init() {
         try {
             console.log('🚀 Initializing Admin Manager...');
+
+            // Wait for the session to be restored from storage
+            await authManager.ready;
             
             // Check if user is actually an admin
             if (!authManager.isAdmin()) {
@@ -130,10 +133,7 @@ class AdminManager {
         // Update system revenue (total balance)
         const systemRevenueElement = document.querySelector('.admin-stat-card:nth-child(3) .stat-number');
         if (systemRevenueElement) {
-            systemRevenueElement.textContent = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(stats.totalBalance);
+            systemRevenueElement.textContent = stats.totalBalance.format();
         }
 
         // Update fraud alerts (placeholder for now)
@@ -148,7 +148,8 @@ class AdminManager {
      */
     calculateSystemStats() {
         const activeUsers = this.users.filter(user => user.isActive);
-        const totalBalance = this.accounts.reduce((sum, account) => sum + (account.balance || 0), 0);
+        // Money owed on loans is in the loan book, not customers' balances
+        const totalBalance = dataManager.sumBalances(this.accounts.filter(account => account.type !== 'loan'));
         
         return {
             totalUsers: this.users.length,
@@ -238,7 +239,17 @@ class AdminManager {
                 await this.initializeReportsPage();
                 break;
             case 'dashboard':
-                // Already handled by updateDashboardStats
+                // Stats are handled by updateDashboardStats
+                this.setupVaultControls();
+                this.setupStorageUsage();
+                this.setupFxRates();
+                this.setupFeeSchedule();
+                this.setupTransferLimits();
+                this.setupInterestProducts();
+                this.setupStatements();
+                this.setupSettlement();
+                this.setupRefundQueue();
+                this.setupLoanApplications();
                 break;
         }
     }
@@ -253,6 +264,860 @@ class AdminManager {
         return 'dashboard'; // admin.html or default
     }
 
+    /**
+     * Wire up the data encryption card on the dashboard
+     */
+    setupVaultControls() {
+        if (!document.getElementById('vaultCard')) return;
+
+        document.getElementById('enableEncryptionBtn').addEventListener('click', () => this.showVaultModal('enable'));
+        document.getElementById('rotateKeyBtn').addEventListener('click', () => this.showVaultModal('rotate'));
+        document.getElementById('disableEncryptionBtn').addEventListener('click', () => this.showVaultModal('disable'));
+        document.getElementById('lockVaultBtn').addEventListener('click', () => {
+            storage.vault.forget();
+            window.location.reload();
+        });
+
+        this.updateVaultStatus();
+    }
+
+    /**
+     * Show whether data is encrypted and which actions apply
+     */
+    updateVaultStatus() {
+        const status = document.getElementById('vaultStatus');
+        if (!status) return;
+
+        const meta = storage.vault.getMeta();
+        const encrypted = storage.isEncrypted();
+
+        if (encrypted && meta) {
+            const rotated = meta.rotatedAt ? `, key last rotated ${this.getTimeAgo(new Date(meta.rotatedAt))}` : '';
+            status.textContent = `Data is encrypted at rest with AES-GCM (${storage.backend.name}) since ${new Date(meta.createdAt).toLocaleDateString()}${rotated}.`;
+        } else {
+            status.textContent = 'Data is stored in plaintext. Enable encryption so customer data is not readable in devtools on shared machines.';
+        }
+
+        document.getElementById('enableEncryptionBtn').style.display = encrypted ? 'none' : '';
+        document.getElementById('rotateKeyBtn').style.display = encrypted ? '' : 'none';
+        document.getElementById('lockVaultBtn').style.display = encrypted ? '' : 'none';
+        document.getElementById('disableEncryptionBtn').style.display = encrypted ? '' : 'none';
+    }
+
+    /**
+     * Show the passphrase modal for enabling, rotating or disabling encryption
+     * @param {string} mode - 'enable' | 'rotate' | 'disable'
+     */
+    showVaultModal(mode) {
+        const titles = {
+            enable: 'Enable Data Encryption',
+            rotate: 'Rotate Encryption Key',
+            disable: 'Disable Data Encryption'
+        };
+        const descriptions = {
+            enable: 'Everyone opening FinSim on this machine will need this passphrase. It cannot be recovered if lost.',
+            rotate: 'All data is re-encrypted with a key derived from the new passphrase.',
+            disable: 'All data is written back in plaintext.'
+        };
+
+        const field = (id, label) => `
+            <div class="form-group" style="margin-bottom: 1rem;">
+                <label for="${id}" style="display: block; margin-bottom: 0.5rem; font-weight: 600;">${label}</label>
+                <input type="password" id="${id}" style="width: 100%; padding: 0.5rem; border: 1px solid var(--gray-300); border-radius: 6px;" required>
+            </div>
+        `;
+
+        const fields = [
+            mode !== 'enable' ? field('vaultCurrentPassphrase', 'Current Passphrase') : '',
+            mode !== 'disable' ? field('vaultNewPassphrase', 'New Passphrase') : '',
+            mode !== 'disable' ? field('vaultConfirmPassphrase', 'Confirm New Passphrase') : ''
+        ].join('');
+
+        const modalHTML = `
+            <div class="modal-overlay" id="vaultModal" style="
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 10000;
+            ">
+                <div class="modal-content" style="
+                    background: white;
+                    padding: 2rem;
+                    border-radius: 12px;
+                    box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+                    max-width: 450px;
+                    width: 90%;
+                ">
+                    <div class="modal-header" style="margin-bottom: 1.5rem;">
+                        <h3 style="margin: 0 0 0.5rem 0; color: var(--gray-900);">${titles[mode]}</h3>
+                        <p style="margin: 0; color: var(--gray-600); font-size: 0.875rem;">${descriptions[mode]}</p>
+                    </div>
+
+                    <form id="vaultForm">
+                        ${fields}
+                        <p id="vaultError" style="display: none; margin: 0 0 1rem 0; color: var(--error-color); font-size: 0.875rem;"></p>
+
+                        <div class="modal-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
+                            <button type="button" class="btn btn-secondary" id="cancelVault" style="
+                                padding: 0.75rem 1.5rem;
+                                border: 1px solid var(--gray-300);
+                                background: white;
+                                color: var(--gray-700);
+                                border-radius: 8px;
+                                font-weight: 500;
+                                cursor: pointer;
+                            ">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn btn-primary" id="submitVault" style="
+                                padding: 0.75rem 1.5rem;
+                                background: var(--primary-color);
+                                color: white;
+                                border: none;
+                                border-radius: 8px;
+                                font-weight: 500;
+                                cursor: pointer;
+                            ">
+                                ${titles[mode].split(' ')[0]}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const modal = document.getElementById('vaultModal');
+
+        document.getElementById('cancelVault').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        document.getElementById('vaultForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVaultChanges(mode);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Apply the encryption change from the vault modal
+     */
+    async saveVaultChanges(mode) {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+        const errorElement = document.getElementById('vaultError');
+        const submitButton = document.getElementById('submitVault');
+
+        const showError = (message) => {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        };
+
+        if (mode !== 'disable' && value('vaultNewPassphrase') !== value('vaultConfirmPassphrase')) {
+            showError('Passphrases do not match');
+            return;
+        }
+
+        submitButton.disabled = true;
+
+        try {
+            switch (mode) {
+                case 'enable':
+                    await storage.enableEncryption(value('vaultNewPassphrase'));
+                    break;
+                case 'rotate':
+                    await storage.rotateEncryptionKey(value('vaultCurrentPassphrase'), value('vaultNewPassphrase'));
+                    break;
+                case 'disable':
+                    await storage.disableEncryption(value('vaultCurrentPassphrase'));
+                    break;
+            }
+
+            document.getElementById('vaultModal').remove();
+            this.updateVaultStatus();
+            alert('Encryption settings updated successfully!');
+
+        } catch (error) {
+            console.error('❌ Encryption change failed:', error);
+            showError(error.message);
+            submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Wire up the storage usage card on the dashboard
+     */
+    setupStorageUsage() {
+        if (!document.getElementById('storageUsageCard')) return;
+
+        const settings = storage.getSettings();
+        document.getElementById('warningThresholdInput').value = Math.round(settings.warningThreshold * 100);
+        document.getElementById('archiveAfterDaysInput').value = settings.archiveAfterDays;
+
+        document.getElementById('saveStorageSettingsBtn').addEventListener('click', () => this.saveStorageSettings());
+        document.getElementById('archiveNowBtn').addEventListener('click', () => this.archiveTransactionsNow());
+
+        storage.subscribe('*', this.debounce(() => this.updateStorageUsage(), 500));
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Show total usage against the quota and the largest keys
+     */
+    async updateStorageUsage() {
+        const summary = document.getElementById('storageUsageSummary');
+        if (!summary) return;
+
+        try {
+            const usage = await storage.estimateQuota();
+            const percent = Math.min(usage.ratio * 100, 100);
+            const card = document.getElementById('storageUsageCard');
+            const archivedMonths = transactionArchive.getMonths();
+
+            card.classList.toggle('storage-warning', usage.warning);
+            document.getElementById('storageUsageFill').style.width = `${percent}%`;
+
+            summary.textContent = `${this.formatBytes(usage.used)} of ${this.formatBytes(usage.quota)} used (${percent.toFixed(1)}%)` +
+                (usage.warning ? ' - ⚠️ above the warning threshold, archive old transactions to free space' : '') +
+                `. ${archivedMonths.length} archived month${archivedMonths.length === 1 ? '' : 's'}.`;
+
+            document.getElementById('storageUsageTable').innerHTML = usage.keys.slice(0, 6).map(entry => `
+                <tr>
+                    <td>${entry.key}</td>
+                    <td>${this.formatBytes(entry.bytes)}</td>
+                </tr>
+            `).join('');
+
+        } catch (error) {
+            console.error('❌ Failed to estimate storage usage:', error);
+            summary.textContent = 'Storage usage is not available in this browser.';
+        }
+    }
+
+    /**
+     * Save the warning threshold and archival age
+     */
+    saveStorageSettings() {
+        const threshold = parseInt(document.getElementById('warningThresholdInput').value, 10);
+        const archiveAfterDays = parseInt(document.getElementById('archiveAfterDaysInput').value, 10);
+
+        if (isNaN(threshold) || threshold < 10 || threshold > 99) {
+            alert('The warning threshold must be between 10% and 99%.');
+            return;
+        }
+        if (isNaN(archiveAfterDays) || (archiveAfterDays !== 0 && archiveAfterDays < 90)) {
+            alert('Transactions can only be archived after 90 days or more (0 turns archival off).');
+            return;
+        }
+
+        try {
+            storage.set('storageSettings', {
+                ...storage.get('storageSettings', {}),
+                warningThreshold: threshold / 100,
+                archiveAfterDays: archiveAfterDays
+            });
+            this.updateStorageUsage();
+            alert('Storage settings saved!');
+        } catch (error) {
+            console.error('❌ Failed to save storage settings:', error);
+            alert(`Storage settings could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run the archival policy right away
+     */
+    async archiveTransactionsNow() {
+        const days = storage.getSettings().archiveAfterDays;
+        if (!days) {
+            alert('Archival is turned off. Set an archive age first.');
+            return;
+        }
+
+        try {
+            const result = await transactionArchive.archiveOlderThan(days);
+            await this.updateStorageUsage();
+
+            alert(result.months.length > 0
+                ? `Archived ${result.count} transactions and ${result.journalLines} journal lines into ${result.months.length} monthly buckets.`
+                : `No transactions or journal lines older than ${days} days to archive.`);
+
+        } catch (error) {
+            console.error('❌ Archival failed:', error);
+            alert(`Archival failed - no transactions were moved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Wire up the FX rate table on the dashboard
+     */
+    setupFxRates() {
+        if (!document.getElementById('fxRatesCard')) return;
+
+        const table = dataManager.getFxTable();
+        document.getElementById('fxCurrencyInput').innerHTML = SUPPORTED_CURRENCIES
+            .filter(currency => currency !== table.baseCurrency)
+            .map(currency => `<option value="${currency}">${currency}</option>`)
+            .join('');
+        document.getElementById('fxEffectiveInput').value = new Date().toISOString().slice(0, 10);
+
+        document.getElementById('addFxRateBtn').addEventListener('click', () => this.addFxRate());
+        document.getElementById('saveFxSpreadBtn').addEventListener('click', () => this.saveFxSpread());
+        document.getElementById('fxRatesTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-rate]');
+            if (button) {
+                this.removeFxRate(button.dataset.currency, button.dataset.effectiveFrom);
+            }
+        });
+
+        storage.subscribe('fxRates', () => this.updateFxRates());
+        this.updateFxRates();
+    }
+
+    /**
+     * List the rates, marking the ones currently in effect
+     */
+    updateFxRates() {
+        const summary = document.getElementById('fxRatesSummary');
+        if (!summary) return;
+
+        const table = dataManager.getFxTable();
+        const today = new Date().toISOString().slice(0, 10);
+
+        summary.textContent = `Rates per 1 ${table.baseCurrency}. Cross-currency transfers are charged a ${(table.spread * 100).toFixed(2)}% spread.`;
+        document.getElementById('fxSpreadInput').value = (table.spread * 100).toFixed(2);
+
+        document.getElementById('fxRatesTable').innerHTML = table.rates.map(entry => {
+            let inEffect = false;
+            try {
+                inEffect = dataManager.getBaseRate(entry.currency).effectiveFrom === entry.effectiveFrom;
+            } catch (error) {
+                // No rate in effect yet for this currency
+            }
+            const status = entry.effectiveFrom > today ? 'scheduled' : inEffect ? 'in effect' : 'superseded';
+
+            return `
+                <tr class="${status === 'superseded' ? 'fx-rate-superseded' : ''}">
+                    <td>${entry.currency}</td>
+                    <td>${entry.rate}</td>
+                    <td>from ${entry.effectiveFrom} (${status})</td>
+                    <td><button type="button" class="btn-icon" title="Remove" data-remove-rate data-currency="${entry.currency}" data-effective-from="${entry.effectiveFrom}">🗑️</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    addFxRate() {
+        const currency = document.getElementById('fxCurrencyInput').value;
+        const rate = parseFloat(document.getElementById('fxRateInput').value);
+        const effectiveFrom = document.getElementById('fxEffectiveInput').value;
+
+        try {
+            dataManager.setFxRate(currency, rate, effectiveFrom);
+            document.getElementById('fxRateInput').value = '';
+            this.updateFxRates();
+        } catch (error) {
+            console.error('❌ Failed to save exchange rate:', error);
+            alert(`Exchange rate could not be saved: ${error.message}`);
+        }
+    }
+
+    removeFxRate(currency, effectiveFrom) {
+        if (!confirm(`Remove the ${currency} rate effective from ${effectiveFrom}?`)) return;
+
+        try {
+            dataManager.removeFxRate(currency, effectiveFrom);
+            this.updateFxRates();
+        } catch (error) {
+            console.error('❌ Failed to remove exchange rate:', error);
+            alert(`Exchange rate could not be removed: ${error.message}`);
+        }
+    }
+
+    saveFxSpread() {
+        const percent = parseFloat(document.getElementById('fxSpreadInput').value);
+
+        try {
+            dataManager.setFxSpread(percent / 100);
+            this.updateFxRates();
+            alert('Spread saved!');
+        } catch (error) {
+            console.error('❌ Failed to save spread:', error);
+            alert(`Spread could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open refund requests, approved by reversing the transfer or rejected with a note
+     */
+    setupRefundQueue() {
+        if (!document.getElementById('refundQueueCard')) return;
+
+        document.getElementById('refundQueueTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-refund-action]');
+            if (!button) return;
+
+            if (button.dataset.refundAction === 'approve') {
+                this.approveRefund(button.dataset.requestId);
+            } else if (button.dataset.refundAction === 'reject') {
+                this.rejectRefund(button.dataset.requestId);
+            } else {
+                this.showTransactionDetailsModal(button.dataset.transactionId);
+            }
+        });
+
+        storage.subscribe('refundRequests', () => this.updateRefundQueue());
+        this.updateRefundQueue();
+    }
+
+    updateRefundQueue() {
+        const summary = document.getElementById('refundQueueSummary');
+        if (!summary) return;
+
+        const requests = dataManager.getRefundRequests('open');
+        summary.textContent = requests.length === 0
+            ? 'No refund requests are waiting for a decision.'
+            : `${requests.length} refund request${requests.length === 1 ? '' : 's'} waiting for a decision.`;
+
+        document.getElementById('refundQueueTable').innerHTML = requests.map(request => {
+            const user = this.users.find(item => item.id === request.userId);
+            return `
+                <tr>
+                    <td>${user ? `${user.firstName} ${user.lastName}` : request.userId}<br><small>${new Date(request.createdAt).toLocaleDateString()}</small></td>
+                    <td>${Money.format(request.amount, request.currency)}<br><small>${request.reference}</small></td>
+                    <td>${escapeHTML(request.reason)}</td>
+                    <td>
+                        <button type="button" class="btn-icon" title="View transfer" data-refund-action="view" data-transaction-id="${request.transactionId}">👁️</button>
+                        <button type="button" class="btn btn-primary btn-small" data-refund-action="approve" data-request-id="${request.id}">Approve</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-refund-action="reject" data-request-id="${request.id}">Reject</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Loan applications waiting for a decision
+     */
+    setupLoanApplications() {
+        if (!document.getElementById('loanApplicationsCard')) return;
+
+        document.getElementById('loanApplicationsTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-loan-action]');
+            if (!button) return;
+
+            if (button.dataset.loanAction === 'approve') {
+                this.approveLoan(button.dataset.loanId);
+            } else {
+                this.rejectLoan(button.dataset.loanId);
+            }
+        });
+
+        storage.subscribe('loans', () => this.updateLoanApplications());
+        this.updateLoanApplications();
+    }
+
+    updateLoanApplications() {
+        const summary = document.getElementById('loanApplicationsSummary');
+        if (!summary) return;
+
+        const loans = dataManager.getLoansByStatus('pending');
+        summary.textContent = loans.length === 0
+            ? 'No loan applications are waiting for a decision.'
+            : `${loans.length} loan application${loans.length === 1 ? '' : 's'} waiting for a decision. Approving pays the loan out at ${(LOAN_SETTINGS.annualRate * 100).toFixed(2)}% a year.`;
+
+        document.getElementById('loanApplicationsTable').innerHTML = loans.map(loan => {
+            const user = this.users.find(item => item.id === loan.userId);
+            return `
+                <tr>
+                    <td>${user ? `${user.firstName} ${user.lastName}` : loan.userId}<br><small>${new Date(loan.appliedAt).toLocaleDateString()}</small></td>
+                    <td>${Money.format(loan.amount, loan.currency)}<br><small>${loan.termMonths} months, ${loan.method}</small></td>
+                    <td>${dataManager.getTotalBalance(loan.userId).format()}<br><small>held in total</small></td>
+                    <td>
+                        <button type="button" class="btn btn-primary btn-small" data-loan-action="approve" data-loan-id="${loan.id}">Approve</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-loan-action="reject" data-loan-id="${loan.id}">Reject</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async approveLoan(loanId) {
+        const loan = storage.getRecord('loans', loanId);
+        if (!loan) return;
+        if (!confirm(`Approve and pay out a loan of ${Money.format(loan.amount, loan.currency)} over ${loan.termMonths} months?`)) return;
+
+        const result = await dataManager.approveLoan(loanId, { by: this.currentAdmin.id });
+        if (result.success) {
+            this.updateLoanApplications();
+            alert(`Loan approved and paid out. The first repayment is due on ${result.loan.schedule[0].dueDate}.`);
+        } else {
+            alert(`The loan could not be approved: ${result.error}`);
+        }
+    }
+
+    rejectLoan(loanId) {
+        const note = prompt('Reason for rejecting this loan application (shown to the customer):');
+        if (note === null) return;
+
+        try {
+            dataManager.rejectLoan(loanId, { by: this.currentAdmin.id, note });
+            this.updateLoanApplications();
+        } catch (error) {
+            console.error('❌ Loan rejection failed:', error);
+            alert(`The loan application could not be rejected: ${error.message}`);
+        }
+    }
+
+    async approveRefund(requestId) {
+        const request = storage.getRecord('refundRequests', requestId);
+        if (!request) return;
+
+        const preview = dataManager.previewReversal(request.reference);
+        let override = null;
+        if (preview.overdraws) {
+            const reason = prompt(`Refunding would overdraw the recipient by ${preview.amount.subtract(preview.available).format()}. Enter an override reason to continue:`);
+            if (!reason) return;
+            override = { reason };
+        } else if (!confirm(`Refund ${Money.format(request.amount, request.currency)} by reversing ${request.reference}?`)) {
+            return;
+        }
+
+        const result = await dataManager.approveRefund(requestId, { by: this.currentAdmin.id, override });
+        if (result.success) {
+            this.updateRefundQueue();
+            alert('Refund approved and the transfer reversed.');
+        } else {
+            alert(`The refund could not be approved: ${result.error}`);
+        }
+    }
+
+    rejectRefund(requestId) {
+        const note = prompt('Reason for rejecting this refund (shown to the customer):');
+        if (note === null) return;
+
+        try {
+            dataManager.rejectRefund(requestId, { by: this.currentAdmin.id, note });
+            this.updateRefundQueue();
+        } catch (error) {
+            console.error('❌ Failed to reject refund:', error);
+            alert(`The refund could not be rejected: ${error.message}`);
+        }
+    }
+
+    /**
+     * List pending external transfers and settle them on demand
+     */
+    setupSettlement() {
+        if (!document.getElementById('settlementCard')) return;
+
+        document.getElementById('runSettlementBtn').addEventListener('click', () => this.runSettlement());
+
+        storage.subscribe('transactions', this.debounce(() => this.updateSettlement(), 100));
+        this.updateSettlement();
+    }
+
+    updateSettlement() {
+        const summary = document.getElementById('settlementSummary');
+        if (!summary) return;
+
+        const pending = dataManager.getPendingTransactions().filter(txn => txn.type === 'transfer');
+        const total = pending.reduce((sum, txn) => sum.add(dataManager.convert(txn.amountMoney, sum.currency)), Money.zero(dataManager.getFxTable().baseCurrency));
+
+        summary.textContent = pending.length === 0
+            ? 'No external transfers are waiting to settle.'
+            : `${pending.length} external transfer${pending.length === 1 ? '' : 's'} pending (${total.format()}). They settle automatically ${Math.round(SETTLEMENT_DELAY_MS / 60000)} minutes after they are made.`;
+
+        document.getElementById('settlementTable').innerHTML = pending.slice(0, 10).map(txn => `
+            <tr>
+                <td>${txn.reference}</td>
+                <td>${escapeHTML(txn.recipientName || 'Unknown')}</td>
+                <td>${txn.amountMoney.format()}</td>
+                <td>${new Date(txn.timestamp).toLocaleString()}</td>
+            </tr>
+        `).join('');
+    }
+
+    async runSettlement() {
+        try {
+            const result = await dataManager.runSettlement();
+            this.updateSettlement();
+            alert(`Settlement run complete: ${result.settled} settled, ${result.failed} failed.`);
+        } catch (error) {
+            console.error('❌ Settlement run failed:', error);
+            alert(`Settlement run failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show and edit the transfer fee schedule
+     */
+    setupFeeSchedule() {
+        if (!document.getElementById('feeScheduleCard')) return;
+
+        document.getElementById('feeKindInput').addEventListener('change', () => this.fillFeeInputs());
+        document.getElementById('saveFeeScheduleBtn').addEventListener('click', () => this.saveFeeSchedule());
+
+        storage.subscribe('feeSchedule', () => this.updateFeeSchedule());
+        this.updateFeeSchedule();
+    }
+
+    updateFeeSchedule() {
+        const summary = document.getElementById('feeScheduleSummary');
+        if (!summary) return;
+
+        const schedule = dataManager.getFeeSchedule();
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+
+        summary.textContent = `Charged on top of each transfer. Minimums and maximums are in ${baseCurrency} and converted to the account's currency.`;
+        document.getElementById('feeScheduleTable').innerHTML = ['internal', 'external'].map(kind => `
+            <tr>
+                <td>${kind === 'internal' ? 'Internal' : 'External'}</td>
+                <td>${(schedule[kind].rate * 100).toFixed(2)}%</td>
+                <td>min ${Money.format(schedule[kind].minimum, baseCurrency)}</td>
+                <td>max ${Money.format(schedule[kind].maximum, baseCurrency)}</td>
+            </tr>
+        `).join('');
+
+        this.fillFeeInputs();
+    }
+
+    fillFeeInputs() {
+        const fee = dataManager.getFeeSchedule()[document.getElementById('feeKindInput').value];
+
+        document.getElementById('feeRateInput').value = (fee.rate * 100).toFixed(2);
+        document.getElementById('feeMinimumInput').value = fee.minimum;
+        document.getElementById('feeMaximumInput').value = fee.maximum;
+    }
+
+    saveFeeSchedule() {
+        const kind = document.getElementById('feeKindInput').value;
+
+        try {
+            dataManager.setTransferFee(kind, {
+                rate: parseFloat(document.getElementById('feeRateInput').value) / 100,
+                minimum: parseFloat(document.getElementById('feeMinimumInput').value),
+                maximum: parseFloat(document.getElementById('feeMaximumInput').value)
+            });
+            this.updateFeeSchedule();
+            alert('Fee schedule saved!');
+        } catch (error) {
+            console.error('❌ Failed to save fee schedule:', error);
+            alert(`Fee schedule could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show and edit the transfer limits of each role
+     */
+    setupTransferLimits() {
+        if (!document.getElementById('transferLimitsCard')) return;
+
+        document.getElementById('limitRoleInput').addEventListener('change', () => this.fillTransferLimitInputs());
+        document.getElementById('saveTransferLimitsBtn').addEventListener('click', () => this.saveTransferLimits());
+
+        storage.subscribe('transferLimits', () => this.updateTransferLimits());
+        this.updateTransferLimits();
+    }
+
+    updateTransferLimits() {
+        const summary = document.getElementById('transferLimitsSummary');
+        if (!summary) return;
+
+        const limits = dataManager.getRoleTransferLimits();
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+        const overridden = storage.get('users', []).filter(user => user.transferLimits).length;
+
+        summary.textContent = `Apply to transfers to other customers, in ${baseCurrency}. ${overridden} user${overridden === 1 ? ' has' : 's have'} their own limits (Edit user).`;
+        document.getElementById('transferLimitsTable').innerHTML = Object.entries(limits).map(([role, limit]) => `
+            <tr>
+                <td>${role === 'admin' ? 'Admins' : 'Users'}</td>
+                <td>${Money.format(limit.perTransaction, baseCurrency)} each</td>
+                <td>${Money.format(limit.daily, baseCurrency)} a day</td>
+                <td>${Money.format(limit.weekly, baseCurrency)} a week</td>
+                <td>${limit.perHour} an hour</td>
+            </tr>
+        `).join('');
+
+        this.fillTransferLimitInputs();
+    }
+
+    fillTransferLimitInputs() {
+        const limits = dataManager.getRoleTransferLimits()[document.getElementById('limitRoleInput').value];
+
+        document.getElementById('limitPerTransactionInput').value = limits.perTransaction;
+        document.getElementById('limitDailyInput').value = limits.daily;
+        document.getElementById('limitWeeklyInput').value = limits.weekly;
+        document.getElementById('limitPerHourInput').value = limits.perHour;
+    }
+
+    saveTransferLimits() {
+        const role = document.getElementById('limitRoleInput').value;
+
+        try {
+            dataManager.setRoleTransferLimits(role, {
+                perTransaction: parseFloat(document.getElementById('limitPerTransactionInput').value),
+                daily: parseFloat(document.getElementById('limitDailyInput').value),
+                weekly: parseFloat(document.getElementById('limitWeeklyInput').value),
+                perHour: Number(document.getElementById('limitPerHourInput').value)
+            });
+            this.updateTransferLimits();
+            alert('Transfer limits saved!');
+        } catch (error) {
+            console.error('❌ Failed to save transfer limits:', error);
+            alert(`Transfer limits could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show and edit the interest products paid on each account type
+     */
+    setupInterestProducts() {
+        if (!document.getElementById('interestProductsCard')) return;
+
+        document.getElementById('interestTypeInput').addEventListener('change', () => this.fillInterestInputs());
+        document.getElementById('saveInterestProductBtn').addEventListener('click', () => this.saveInterestProduct());
+        document.getElementById('removeInterestProductBtn').addEventListener('click', () => this.removeInterestProduct());
+
+        storage.subscribe('interestProducts', () => this.updateInterestProducts());
+        this.updateInterestProducts();
+    }
+
+    updateInterestProducts() {
+        const summary = document.getElementById('interestProductsSummary');
+        if (!summary) return;
+
+        const products = dataManager.getInterestProducts();
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+        const types = Object.keys(products);
+
+        summary.textContent = types.length === 0
+            ? 'No account type earns interest.'
+            : `Interest accrues daily and is posted at the end of each month. Each tier's APY applies to the part of the balance above its threshold (in ${baseCurrency}).`;
+        document.getElementById('interestProductsTable').innerHTML = types.map(type => `
+            <tr>
+                <td>${this.getAccountTypeDisplay(type)}</td>
+                <td>${products[type].compounding}</td>
+                <td>${products[type].tiers.map(tier => `${(tier.apy * 100).toFixed(2)}% from ${Money.format(tier.from, baseCurrency)}`).join(' · ')}</td>
+            </tr>
+        `).join('');
+
+        this.fillInterestInputs();
+    }
+
+    fillInterestInputs() {
+        const product = dataManager.getInterestProducts()[document.getElementById('interestTypeInput').value];
+
+        document.getElementById('interestCompoundingInput').value = product ? product.compounding : 'daily';
+        document.getElementById('interestTiersInput').value = product
+            ? product.tiers.map(tier => `${tier.from}:${(tier.apy * 100).toFixed(2)}`).join(', ')
+            : '';
+    }
+
+    saveInterestProduct() {
+        const type = document.getElementById('interestTypeInput').value;
+
+        try {
+            // "threshold:APY%" pairs, e.g. "0:2, 10000:3"
+            const tiers = document.getElementById('interestTiersInput').value.split(',')
+                .filter(part => part.trim())
+                .map(part => {
+                    const [from, apy] = part.split(':').map(value => parseFloat(value));
+                    return { from, apy: apy / 100 };
+                });
+
+            dataManager.setInterestProduct(type, {
+                compounding: document.getElementById('interestCompoundingInput').value,
+                tiers: tiers
+            });
+            this.updateInterestProducts();
+            alert('Interest product saved!');
+        } catch (error) {
+            console.error('❌ Failed to save interest product:', error);
+            alert(`Interest product could not be saved: ${error.message}`);
+        }
+    }
+
+    removeInterestProduct() {
+        const type = document.getElementById('interestTypeInput').value;
+        if (!confirm(`Stop paying interest on ${this.getAccountTypeDisplay(type)}s? Interest already earned is still posted at the end of the month.`)) return;
+
+        dataManager.removeInterestProduct(type);
+        this.updateInterestProducts();
+    }
+
+    /**
+     * Regenerate any customer's statement, e.g. after a correction to that month
+     */
+    setupStatements() {
+        if (!document.getElementById('statementsCard')) return;
+
+        document.getElementById('regenerateStatementBtn').addEventListener('click', () => this.regenerateStatement());
+
+        storage.subscribe('statements', () => this.updateStatements());
+        this.updateStatements();
+    }
+
+    updateStatements() {
+        const summary = document.getElementById('statementsSummary');
+        if (!summary) return;
+
+        const statements = storage.get('statements', []);
+        const reissued = statements
+            .filter(statement => statement.generatedBy)
+            .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt))
+            .slice(0, 5);
+
+        summary.textContent = `${statements.length} statement${statements.length === 1 ? '' : 's'} made at month end. Regenerating one replaces it with the account's current history for that month.`;
+        document.getElementById('statementsTable').innerHTML = reissued.map(statement => `
+            <tr>
+                <td>${statement.holderName}</td>
+                <td>${statement.maskedIBAN}</td>
+                <td>${statement.month}</td>
+                <td>Revision ${statement.revision}, ${new Date(statement.generatedAt).toLocaleString()}</td>
+            </tr>
+        `).join('');
+    }
+
+    regenerateStatement() {
+        try {
+            const iban = document.getElementById('statementIbanInput').value;
+            const month = document.getElementById('statementMonthInput').value;
+            const account = iban.trim() ? dataManager.getAccountByIBAN(iban) : null;
+            if (!account) throw new Error('Account not found');
+            if (!month) throw new Error('Choose a month');
+
+            const statement = dataManager.generateStatement(account.id, month, { by: this.currentAdmin.id });
+            this.updateStatements();
+            alert(`Statement for ${statement.month} regenerated (revision ${statement.revision}).`);
+        } catch (error) {
+            console.error('❌ Failed to regenerate statement:', error);
+            alert(`Statement could not be regenerated: ${error.message}`);
+        }
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
     /**
      * Initialize users page with real data
      */
@@ -348,7 +1213,7 @@ class AdminManager {
                     case 'Sort by: Name':
                         return `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`);
                     case 'Sort by: Balance':
-                        return this.calculateUserBalance(b.id) - this.calculateUserBalance(a.id);
+                        return this.calculateUserBalance(b.id).compare(this.calculateUserBalance(a.id));
                     case 'Sort by: Recent':
                     default:
                         return new Date(b.createdAt) - new Date(a.createdAt);
@@ -381,7 +1246,7 @@ class AdminManager {
             <td>${user.email}</td>
             <td><span class="role-badge ${user.role}">${user.role}</span></td>
             <td><span class="status-badge ${user.isActive ? 'active' : 'inactive'}">${user.isActive ? 'Active' : 'Inactive'}</span></td>
-            <td>${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(userBalance)}</td>
+            <td>${userBalance.format()}</td>
             <td>${lastLogin}</td>
             <td>
                 <div class="action-buttons">
@@ -433,6 +1298,8 @@ class AdminManager {
                     box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
                     max-width: 500px;
                     width: 90%;
+                    max-height: 80vh;
+                    overflow-y: auto;
                 ">
                     <div class="modal-header" style="margin-bottom: 1.5rem;">
                         <h3 style="margin: 0 0 0.5rem 0; color: var(--gray-900);">Edit User: ${user.firstName} ${user.lastName}</h3>
@@ -473,6 +1340,8 @@ class AdminManager {
                             </div>
                         </div>
                         
+                        ${this.getTransferLimitControls(user)}
+
                         <div class="modal-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
                             <button type="button" class="btn btn-secondary" id="cancelEditUser" style="
                                 padding: 0.75rem 1.5rem;
@@ -529,6 +1398,35 @@ class AdminManager {
         });
     }
 
+    /**
+     * Transfer limit overrides in the edit user modal - blank inputs use the role's limits
+     */
+    getTransferLimitControls(user) {
+        const roleLimits = dataManager.getRoleTransferLimits()[user.role] || dataManager.getRoleTransferLimits().user;
+        const overrides = user.transferLimits || {};
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+        const inputStyle = 'width: 100%; padding: 0.5rem; border: 1px solid var(--gray-300); border-radius: 6px;';
+        const field = (name, label, step) => `
+            <div class="form-group">
+                <label for="editLimit-${name}" style="display: block; margin-bottom: 0.5rem; font-weight: 600;">${label}</label>
+                <input type="number" id="editLimit-${name}" data-transfer-limit="${name}" min="0" step="${step}" value="${overrides[name] ?? ''}" placeholder="${roleLimits[name]} (role)" style="${inputStyle}">
+            </div>
+        `;
+
+        return `
+            <div class="detail-section" style="margin-bottom: 1.5rem;">
+                <h4 style="margin: 0 0 0.5rem 0; color: var(--gray-800);">Transfer Limits</h4>
+                <p style="margin: 0 0 1rem 0; color: var(--gray-600); font-size: 0.875rem;">In ${baseCurrency}, for transfers to other customers. Leave blank to use the role's limit.</p>
+                <div class="form-row" style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+                    ${field('perTransaction', 'Per transfer', '0.01')}
+                    ${field('daily', 'Daily', '0.01')}
+                    ${field('weekly', 'Weekly', '0.01')}
+                    ${field('perHour', 'Transfers per hour', '1')}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Save user changes
      */
@@ -538,8 +1436,21 @@ class AdminManager {
         const email = document.getElementById('editEmail').value;
         const role = document.getElementById('editRole').value;
         const status = document.getElementById('editStatus').value;
+        const limitOverrides = {};
+        document.querySelectorAll('#editUserModal [data-transfer-limit]').forEach(input => {
+            limitOverrides[input.dataset.transferLimit] = input.value === '' ? null : Number(input.value);
+        });
 
+        let transferLimits;
         try {
+            transferLimits = dataManager.normalizeTransferLimitOverrides(role, limitOverrides);
+        } catch (error) {
+            alert(`The transfer limits are not valid: ${error.message}`);
+            return;
+        }
+
+        try {
+
             // Check if email is already taken by another user
             const existingUser = this.users.find(u => u.email === email && u.id !== userId);
             if (existingUser) {
@@ -556,7 +1467,8 @@ class AdminManager {
                     lastName: lastName,
                     email: email,
                     role: role,
-                    isActive: status === 'active'
+                    isActive: status === 'active',
+                    transferLimits: transferLimits
                 };
 
                 // Save to storage
@@ -600,7 +1512,8 @@ class AdminManager {
 
         // Get user accounts
         const userAccounts = this.accounts.filter(account => account.userId === userId);
-        const totalBalance = userAccounts.reduce((sum, account) => sum + (account.balance || 0), 0);
+        const totalBalance = dataManager.sumBalances(userAccounts);
+        const userCards = dataManager.getCards(userId);
         
         // Get user transactions
         const userTransactions = this.transactions.filter(txn => {
@@ -665,7 +1578,7 @@ class AdminManager {
                             <h4 style="margin: 0 0 1rem 0; color: var(--gray-800);">Financial Summary</h4>
                             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
                                 <div>
-                                    <strong>Total Balance:</strong> ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(totalBalance)}
+                                    <strong>Total Balance:</strong> ${totalBalance.format()}
                                 </div>
                                 <div>
                                     <strong>Accounts:</strong> ${userAccounts.length}
@@ -679,50 +1592,290 @@ class AdminManager {
                         <div class="detail-section">
                             <h4 style="margin: 0 0 1rem 0; color: var(--gray-800);">Accounts</h4>
                             ${userAccounts.length > 0 ? 
-                                userAccounts.map(account => `
+                                userAccounts.map(accountData => new Account(accountData)).map(account => `
                                     <div style="padding: 0.75rem; background: var(--gray-50); border-radius: 6px; margin-bottom: 0.5rem;">
                                         <strong>${this.getAccountTypeDisplay(account.type)}</strong><br>
-                                        <small>${account.maskedAccountNumber} - ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(account.balance)}</small>
+                                        <small>${account.maskedAccountNumber} - ${account.formatBalance()}</small><br>
+                                        <small>IBAN: ${account.iban}</small>
+                                        ${account.previousIBAN ? `<br><small style="color: var(--gray-500);">Re-issued, previously ${account.previousIBAN}</small>` : ''}
+                                        ${this.getOverdraftControls(account, userAccounts)}
                                     </div>
                                 `).join('') : 
                                 '<p style="color: var(--gray-500);">No accounts found</p>'
                             }
                         </div>
+
+                        <div class="detail-section" style="margin-top: 1.5rem;">
+                            <h4 style="margin: 0 0 1rem 0; color: var(--gray-800);">Cards</h4>
+                            ${userCards.length > 0 ?
+                                userCards.map(card => this.getCardRow(card)).join('') :
+                                '<p style="color: var(--gray-500);">No cards issued</p>'
+                            }
+                        </div>
+
+                        <div class="detail-section" style="margin-top: 1.5rem;">
+                            <h4 style="margin: 0 0 1rem 0; color: var(--gray-800);">Recent Transactions</h4>
+                            ${userTransactions.length > 0 ?
+                                userTransactions
+                                    .map(txnData => new Transaction(txnData))
+                                    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                                    .slice(0, 10)
+                                    .map(txn => `
+                                        <div data-transaction-id="${txn.id}" title="View transaction" style="display: flex; justify-content: space-between; gap: 1rem; padding: 0.5rem 0.75rem; border-bottom: 1px solid var(--gray-200); cursor: pointer;">
+                                            <span>${escapeHTML(txn.description)}<br><small style="color: var(--gray-500);">${new Date(txn.timestamp).toLocaleString()} · ${txn.status}</small></span>
+                                            <strong>${txn.formattedAmount}</strong>
+                                        </div>
+                                    `).join('') :
+                                '<p style="color: var(--gray-500);">No transactions found</p>'
+                            }
+                        </div>
+                    </div>
+                    
+                    <div class="modal-actions" style="display: flex; justify-content: flex-end;">
+                        <button class="btn btn-primary" id="closeViewUser" style="
+                            padding: 0.75rem 1.5rem;
+                            background: var(--primary-color);
+                            color: white;
+                            border: none;
+                            border-radius: 8px;
+                            font-weight: 500;
+                            cursor: pointer;
+                        ">
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Add modal to page
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        // Setup event listener
+        const closeBtn = document.getElementById('closeViewUser');
+        const modal = document.getElementById('viewUserModal');
+
+        closeBtn.addEventListener('click', () => {
+            modal.remove();
+        });
+
+        modal.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-transaction-id]');
+            const saveOverdraft = e.target.closest('[data-save-overdraft]');
+            const cancelCard = e.target.closest('[data-cancel-card]');
+            if (saveOverdraft) {
+                this.saveOverdraft(saveOverdraft.dataset.saveOverdraft, modal);
+            } else if (cancelCard) {
+                this.cancelCard(cancelCard.dataset.cancelCard, cancelCard.closest('[data-card-row]'));
+            } else if (row) {
+                this.showTransactionDetailsModal(row.dataset.transactionId);
+            } else if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Overdraft limit and protection inputs for an account in the user details modal
+     * @param {Account} account
+     * @param {Object[]} userAccounts - The customer's accounts, candidates to sweep from
+     */
+    getOverdraftControls(account, userAccounts) {
+        const sources = userAccounts.filter(other => other.id !== account.id && other.currency === account.currency);
+
+        return `
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-top: 0.5rem; font-size: 0.875rem;">
+                ${account.isOverdrawn ? '<span style="color: var(--error-color); font-weight: 600;">Overdrawn</span>' : ''}
+                <label>Overdraft limit (${account.currency})
+                    <input type="number" min="0" step="0.01" value="${account.overdraftLimit}" data-overdraft-limit="${account.id}" style="width: 7rem; padding: 0.25rem; border: 1px solid var(--gray-300); border-radius: 4px;">
+                </label>
+                <label>
+                    <input type="checkbox" data-overdraft-protection="${account.id}" ${account.overdraftProtection ? 'checked' : ''} ${sources.length === 0 ? 'disabled' : ''}>
+                    Sweep from
+                </label>
+                <select data-overdraft-linked="${account.id}" ${sources.length === 0 ? 'disabled' : ''} style="padding: 0.25rem; border: 1px solid var(--gray-300); border-radius: 4px;">
+                    ${sources.length > 0
+                        ? sources.map(other => `<option value="${other.id}" ${other.id === account.linkedAccountId ? 'selected' : ''}>${this.getAccountTypeDisplay(other.type)} (${new Account(other).maskedAccountNumber})</option>`).join('')
+                        : `<option value="">No other ${account.currency} account</option>`}
+                </select>
+                <button type="button" class="btn btn-secondary" data-save-overdraft="${account.id}" style="padding: 0.25rem 0.75rem;">Save</button>
+            </div>
+        `;
+    }
+
+    /**
+     * A card in the user details modal, with a Cancel button while it can be used
+     */
+    getCardRow(card) {
+        const account = this.accounts.find(item => item.id === card.accountId);
+        const status = card.status === 'cancelled'
+            ? `Cancelled ${new Date(card.cancelledAt).toLocaleDateString()}${card.cancelledBy === card.userId ? ' by the customer' : ''}`
+            : card.status === 'frozen' ? 'Frozen by the customer' : 'Active';
+
+        return `
+            <div data-card-row="${card.id}" style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem; background: var(--gray-50); border-radius: 6px; margin-bottom: 0.5rem;">
+                <span>
+                    <strong>${dataManager.maskCardNumber(card.number)}</strong> · ${card.nameOnCard}<br>
+                    <small>${account ? `${this.getAccountTypeDisplay(account.type)} (${new Account(account).maskedAccountNumber})` : 'Deleted account'} · expires ${String(card.expiryMonth).padStart(2, '0')}/${card.expiryYear}</small><br>
+                    <small style="color: var(--gray-500);">${status}</small>
+                </span>
+                ${card.status === 'cancelled' ? '' : `<button type="button" class="btn btn-secondary" data-cancel-card="${card.id}" style="padding: 0.25rem 0.75rem;">Cancel</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Cancel a customer's card, e.g. when it is reported lost or used fraudulently
+     */
+    cancelCard(cardId, row) {
+        const card = storage.getRecord('cards', cardId);
+        if (!card) {
+            alert('Card not found!');
+            return;
+        }
+        if (!confirm(`Cancel the card ending ${card.number.slice(-4)} (${card.nameOnCard})? The customer will not be able to use it again.`)) return;
+
+        try {
+            const cancelled = dataManager.cancelCard(cardId, { by: this.currentAdmin.id });
+            row.outerHTML = this.getCardRow(cancelled);
+            alert('Card cancelled.');
+        } catch (error) {
+            console.error('❌ Cancelling card failed:', error);
+            alert(`The card could not be cancelled: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the overdraft inputs of one account in the user details modal
+     */
+    saveOverdraft(accountId, modal) {
+        try {
+            const account = dataManager.setOverdraft(accountId, {
+                limit: parseFloat(modal.querySelector(`[data-overdraft-limit="${accountId}"]`).value) || 0,
+                protection: modal.querySelector(`[data-overdraft-protection="${accountId}"]`).checked,
+                linkedAccountId: modal.querySelector(`[data-overdraft-linked="${accountId}"]`).value || null
+            });
+            alert(`Overdraft saved: limit ${account.overdraftLimitMoney.format()}${account.overdraftProtection ? ', sweeping from the linked account' : ''}.`);
+        } catch (error) {
+            console.error('❌ Overdraft update failed:', error);
+            alert(`The overdraft could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show a transaction with its status history, and reverse settled transfers
+     */
+    showTransactionDetailsModal(transactionId) {
+        const transactionData = storage.getRecord('transactions', transactionId);
+        if (!transactionData) {
+            alert('Transaction not found!');
+            return;
+        }
+
+        const transaction = new Transaction(transactionData);
+        // Fees and incoming legs are reversed through the transfer they belong to
+        const reference = transaction.type === 'fee' ? transaction.linkedReference : transaction.reference;
+        const reversible = transaction.status === 'settled' && ['transfer', 'deposit', 'fee'].includes(transaction.type) &&
+            ['transfer', 'fee'].includes(transaction.category);
+        const preview = reversible ? dataManager.previewReversal(reference) : null;
+
+        const modalHTML = `
+            <div class="modal-overlay" id="transactionDetailsModal" style="
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 10001;
+            ">
+                <div class="modal-content" style="
+                    background: white;
+                    padding: 2rem;
+                    border-radius: 12px;
+                    box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+                    max-width: 560px;
+                    width: 90%;
+                    max-height: 80vh;
+                    overflow-y: auto;
+                ">
+                    <div class="modal-header" style="margin-bottom: 1.5rem;">
+                        <h3 style="margin: 0 0 0.5rem 0; color: var(--gray-900);">${escapeHTML(transaction.description)}</h3>
+                        <p style="margin: 0; color: var(--gray-600); font-size: 0.875rem;">Reference: ${transaction.reference}${transaction.linkedReference ? ` · For ${transaction.linkedReference}` : ''}</p>
                     </div>
-                    
-                    <div class="modal-actions" style="display: flex; justify-content: flex-end;">
-                        <button class="btn btn-primary" id="closeViewUser" style="
-                            padding: 0.75rem 1.5rem;
-                            background: var(--primary-color);
-                            color: white;
-                            border: none;
-                            border-radius: 8px;
-                            font-weight: 500;
-                            cursor: pointer;
-                        ">
-                            Close
-                        </button>
+
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1.5rem;">
+                        <div><strong>Amount:</strong> ${transaction.formattedAmount}</div>
+                        <div><strong>Status:</strong> ${transaction.status}</div>
+                        <div><strong>Type:</strong> ${transaction.type} (${transaction.category})</div>
+                        <div><strong>Date:</strong> ${new Date(transaction.timestamp).toLocaleString()}</div>
+                        <div><strong>Account:</strong> ${transaction.accountId}</div>
+                        <div><strong>Counterparty:</strong> ${escapeHTML(transaction.recipientName || 'N/A')}</div>
+                    </div>
+
+                    <h4 style="margin: 0 0 0.5rem 0; color: var(--gray-800);">Status History</h4>
+                    <ul style="margin: 0 0 1.5rem 0; padding-left: 1.25rem; color: var(--gray-700); font-size: 0.875rem;">
+                        ${transaction.statusHistory.map(entry => `
+                            <li>${entry.at ? new Date(entry.at).toLocaleString() : 'Unknown date'} - ${entry.from ? `${entry.from} → ` : ''}${entry.to}${entry.reason ? `: ${escapeHTML(entry.reason)}` : ''}${entry.by ? ` (by ${entry.by})` : ''}</li>
+                        `).join('')}
+                    </ul>
+                    ${transaction.reversal && transaction.reversal.override ? `
+                        <p style="margin: 0 0 1.5rem 0; color: var(--error-color); font-size: 0.875rem;">Overdraft override: ${escapeHTML(transaction.reversal.override.reason)} (shortfall ${Money.format(transaction.reversal.override.shortfall, transaction.currency)})</p>
+                    ` : ''}
+
+                    ${reversible ? `
+                        <h4 style="margin: 0 0 0.5rem 0; color: var(--gray-800);">Reverse Transfer</h4>
+                        ${preview.error ? `<p style="color: var(--gray-500);">${preview.error}</p>` : `
+                            <p style="margin: 0 0 0.75rem 0; color: var(--gray-600); font-size: 0.875rem;">
+                                Takes ${preview.amount.format()} back from the recipient (available ${preview.available.format()}) and refunds the sender, fee included.
+                            </p>
+                            <textarea id="reversalReason" rows="2" placeholder="Reason for the reversal" style="width: 100%; padding: 0.5rem; border: 1px solid var(--gray-300); border-radius: 6px; margin-bottom: 0.75rem;"></textarea>
+                            ${preview.overdraws ? `
+                                <p style="margin: 0 0 0.5rem 0; color: var(--error-color); font-size: 0.875rem;">⚠️ This would overdraw the recipient by ${preview.amount.subtract(preview.available).format()}.</p>
+                                <input type="text" id="reversalOverride" placeholder="Override reason (required to overdraw)" style="width: 100%; padding: 0.5rem; border: 1px solid var(--gray-300); border-radius: 6px; margin-bottom: 0.75rem;">
+                            ` : ''}
+                            <button class="btn btn-primary" id="reverseTransferBtn" style="background: var(--error-color);">Reverse Transfer</button>
+                        `}
+                    ` : ''}
+
+                    <div class="modal-actions" style="display: flex; justify-content: flex-end; margin-top: 1.5rem;">
+                        <button class="btn btn-primary" id="closeTransactionDetails">Close</button>
                     </div>
                 </div>
             </div>
         `;
 
-        // Add modal to page
         document.body.insertAdjacentHTML('beforeend', modalHTML);
 
-        // Setup event listener
-        const closeBtn = document.getElementById('closeViewUser');
-        const modal = document.getElementById('viewUserModal');
-
-        closeBtn.addEventListener('click', () => {
-            modal.remove();
-        });
-
+        const modal = document.getElementById('transactionDetailsModal');
+        document.getElementById('closeTransactionDetails').addEventListener('click', () => modal.remove());
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 modal.remove();
             }
         });
+
+        const reverseBtn = document.getElementById('reverseTransferBtn');
+        if (reverseBtn) {
+            reverseBtn.addEventListener('click', async () => {
+                const overrideInput = document.getElementById('reversalOverride');
+                const result = await dataManager.reverseTransfer(reference, {
+                    reason: document.getElementById('reversalReason').value,
+                    by: this.currentAdmin.id,
+                    override: overrideInput ? { reason: overrideInput.value } : null
+                });
+
+                if (result.success) {
+                    modal.remove();
+                    alert('Transfer reversed.');
+                } else {
+                    alert(`The transfer could not be reversed: ${result.error}`);
+                }
+            });
+        }
     }
 
     /**
@@ -743,6 +1896,12 @@ class AdminManager {
             return;
         }
 
+        // Deleting the user would write the money they owe off without a trace
+        if (dataManager.getLoans(userId).some(loan => loan.status === 'active')) {
+            alert('This user has an outstanding loan. It has to be paid off before the user can be deleted.');
+            return;
+        }
+
         if (confirm(`Are you sure you want to delete user "${user.firstName} ${user.lastName}"?\n\nThis will also delete all their accounts and transactions. This action cannot be undone!`)) {
             await this.performUserDeletion(userId);
         }
@@ -753,20 +1912,41 @@ class AdminManager {
      */
     async performUserDeletion(userId) {
         try {
-            // Remove user accounts
-            this.accounts = this.accounts.filter(account => account.userId !== userId);
-            
-            // Remove user transactions
-            const userAccountIds = this.accounts.filter(acc => acc.userId === userId).map(acc => acc.id);
-            this.transactions = this.transactions.filter(txn => !userAccountIds.includes(txn.accountId));
-            
-            // Remove user
-            this.users = this.users.filter(user => user.id !== userId);
-            
-            // Save all changes to storage
-            storage.set('users', this.users);
-            storage.set('accounts', this.accounts);
-            storage.set('transactions', this.transactions);
+            // Remove the user, their accounts and transactions in one unit of work
+            storage.transaction(['users', 'accounts', 'transactions', 'journal', 'refundRequests', 'scheduledTransfers', 'notifications', 'payees', 'statements', 'cards', 'loans'], (tx) => {
+                if (tx.get('loans', []).some(loan => loan.userId === userId && loan.status === 'active')) {
+                    throw new Error('This user has an outstanding loan');
+                }
+
+                const accounts = tx.get('accounts', []);
+                const userAccountIds = accounts.filter(acc => acc.userId === userId).map(acc => acc.id);
+
+                // Pay out what is left so the closed accounts' ledgers end at zero
+                accounts.filter(account => account.userId === userId).forEach(account => {
+                    const remaining = dataManager.ledger.getAccountBalance(account, tx);
+                    dataManager.ledger.post({
+                        description: 'Account closed with user deletion',
+                        lines: [
+                            { ledger: account.id, amount: remaining },
+                            { ledger: 'bank:cash', amount: remaining.negate() }
+                        ]
+                    }, tx);
+                });
+
+                tx.set('transactions', tx.get('transactions', []).filter(txn => !userAccountIds.includes(txn.accountId)));
+                tx.set('accounts', accounts.filter(account => account.userId !== userId));
+                tx.set('users', tx.get('users', []).filter(user => user.id !== userId));
+                tx.set('refundRequests', tx.get('refundRequests', []).filter(request => request.userId !== userId));
+                tx.set('scheduledTransfers', tx.get('scheduledTransfers', []).filter(order => order.userId !== userId));
+                tx.set('notifications', tx.get('notifications', []).filter(notification => notification.userId !== userId));
+                tx.set('payees', tx.get('payees', []).filter(payee => payee.userId !== userId));
+                tx.set('statements', tx.get('statements', []).filter(statement => statement.userId !== userId));
+                tx.set('cards', tx.get('cards', []).filter(card => card.userId !== userId));
+                tx.set('loans', tx.get('loans', []).filter(loan => loan.userId !== userId));
+            });
+
+            // Reload from storage now that the deletion is committed
+            await this.loadAdminData();
             
             // Refresh the table
             await this.loadUsersTable();
@@ -793,17 +1973,19 @@ class AdminManager {
         const types = {
             'checking': 'Checking Account',
             'savings': 'Savings Account',
-            'investment': 'Investment Account'
+            'investment': 'Investment Account',
+            'loan': 'Loan Account'
         };
         return types[type] || type;
     }
 
     /**
-     * Calculate total balance for a user
+     * Calculate total balance for a user, in the base currency
+     * @returns {Money}
      */
     calculateUserBalance(userId) {
         const userAccounts = this.accounts.filter(account => account.userId === userId);
-        return userAccounts.reduce((total, account) => total + (account.balance || 0), 0);
+        return dataManager.sumBalances(userAccounts);
     }
 
     /**
@@ -1084,6 +2266,175 @@ class AdminManager {
         await this.updateReportsMetrics();
         this.setupReportsFilters();
         this.setupExportButtons();
+        this.setupTrialBalance();
+        this.setupInterestReport();
+        this.setupLoanBook();
+    }
+
+    /**
+     * Interest paid to customers per month
+     */
+    setupInterestReport() {
+        if (!document.getElementById('interestReportCard')) return;
+
+        storage.subscribe('journal', this.debounce(() => this.updateInterestReport(), 100));
+        this.updateInterestReport();
+    }
+
+    updateInterestReport() {
+        const summary = document.getElementById('interestReportSummary');
+        if (!summary) return;
+
+        const report = dataManager.getInterestReport();
+
+        summary.textContent = report.months.length === 0
+            ? `No interest has been posted yet. ${report.accrued.format()} has accrued and will be posted at the end of the month.`
+            : `${report.total.format()} paid in total. A further ${report.accrued.format()} has accrued and will be posted at the end of the month.`;
+
+        document.getElementById('interestReportTable').innerHTML = report.months.length === 0 ? '' : `
+            <tr><th>Month</th><th class="amount">Payments</th><th class="amount">Interest paid</th></tr>
+            ${report.months.map(row => `
+                <tr>
+                    <td>${row.month}</td>
+                    <td class="amount">${row.payments}</td>
+                    <td class="amount">${row.total.format()}</td>
+                </tr>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Outstanding principal and arrears of every active loan
+     */
+    setupLoanBook() {
+        if (!document.getElementById('loanBookCard')) return;
+
+        const refresh = this.debounce(() => this.updateLoanBook(), 100);
+        storage.subscribe('loans', refresh);
+        storage.subscribe('accounts', refresh);
+        this.updateLoanBook();
+    }
+
+    updateLoanBook() {
+        const summary = document.getElementById('loanBookSummary');
+        if (!summary) return;
+
+        const book = dataManager.getLoanBook();
+
+        summary.textContent = `${book.loans.length} active loan${book.loans.length === 1 ? '' : 's'}: ${book.outstanding.format()} outstanding of ${book.lent.format()} lent, ${book.overdue.format()} overdue. ${book.interestEarned.format()} interest earned so far; ${book.pending} application${book.pending === 1 ? '' : 's'} waiting for a decision.`;
+
+        document.getElementById('loanBookTable').innerHTML = book.loans.length === 0 ? '' : `
+            <tr><th>Customer</th><th class="amount">Lent</th><th class="amount">Outstanding</th><th class="amount">Overdue</th><th>Next repayment</th></tr>
+            ${book.loans.map(({ loan, outstanding, overdue, nextRepayment }) => {
+                const user = this.users.find(item => item.id === loan.userId);
+                return `
+                    <tr>
+                        <td>${user ? `${user.firstName} ${user.lastName}` : loan.userId}<br><small>${loan.termMonths} months, ${loan.method}</small></td>
+                        <td class="amount">${Money.format(loan.amount, loan.currency)}</td>
+                        <td class="amount">${outstanding.format()}</td>
+                        <td class="amount">${overdue.isPositive() ? overdue.format() : '-'}</td>
+                        <td>${nextRepayment ? `${Money.format(nextRepayment.payment, loan.currency)} on ${nextRepayment.dueDate}` : '-'}</td>
+                    </tr>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Render the trial balance and reconciliation, and resolve differences
+     */
+    setupTrialBalance() {
+        if (!document.getElementById('trialBalanceCard')) return;
+
+        document.getElementById('reconciliationTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-resolve]');
+            if (button) {
+                this.resolveReconciliation(button.dataset.accountId, button.dataset.resolve);
+            }
+        });
+
+        storage.subscribe('journal', this.debounce(() => this.updateTrialBalance(), 100));
+        this.updateTrialBalance();
+    }
+
+    updateTrialBalance() {
+        const summary = document.getElementById('trialBalanceSummary');
+        if (!summary) return;
+
+        const trialBalance = dataManager.ledger.getTrialBalance();
+        const currencies = Object.keys(trialBalance.totals).sort();
+        const unbalanced = currencies.filter(currency => !trialBalance.totals[currency].balanced);
+        const accountNames = new Map(this.accounts.map(account => {
+            const owner = this.users.find(user => user.id === account.userId);
+            return [account.id, `${owner ? `${owner.firstName} ${owner.lastName}` : 'Closed'} - ${this.getAccountTypeDisplay(account.type)}`];
+        }));
+
+        summary.textContent = currencies.length === 0
+            ? 'No journal entries yet.'
+            : unbalanced.length === 0
+                ? `✅ The books balance in ${currencies.join(', ')}: total debits equal total credits.`
+                : `⚠️ Out of balance in ${unbalanced.join(', ')}.`;
+        summary.classList.toggle('ledger-unbalanced', unbalanced.length > 0);
+
+        document.getElementById('trialBalanceTable').innerHTML = currencies.length === 0 ? '' : `
+            <tr><th>Ledger</th><th>Currency</th><th class="amount">Debits</th><th class="amount">Credits</th><th class="amount">Balance</th></tr>
+            ${currencies.map(currency => `
+                ${trialBalance.rows.filter(row => row.currency === currency).map(row => `
+                    <tr>
+                        <td>${row.name || accountNames.get(row.ledger) || `Closed account (${row.ledger})`}</td>
+                        <td>${row.currency}</td>
+                        <td class="amount">${row.debits.format()}</td>
+                        <td class="amount">${row.credits.format()}</td>
+                        <td class="amount">${row.balance.format()}</td>
+                    </tr>
+                `).join('')}
+                <tr class="ledger-total ${trialBalance.totals[currency].balanced ? '' : 'ledger-unbalanced'}">
+                    <td>Total</td>
+                    <td>${currency}</td>
+                    <td class="amount">${trialBalance.totals[currency].debits.format()}</td>
+                    <td class="amount">${trialBalance.totals[currency].credits.format()}</td>
+                    <td class="amount">${trialBalance.totals[currency].debits.subtract(trialBalance.totals[currency].credits).format()}</td>
+                </tr>
+            `).join('')}
+        `;
+
+        const differences = dataManager.ledger.reconcile();
+        const reconciliationSummary = document.getElementById('reconciliationSummary');
+        reconciliationSummary.textContent = differences.length === 0
+            ? `✅ All ${this.accounts.length} account balances agree with the journal.`
+            : `⚠️ ${differences.length} account balance${differences.length === 1 ? ' differs' : 's differ'} from the journal.`;
+        reconciliationSummary.classList.toggle('ledger-unbalanced', differences.length > 0);
+
+        document.getElementById('reconciliationTable').innerHTML = differences.length === 0 ? '' : `
+            <tr><th>Account</th><th class="amount">Stored balance</th><th class="amount">Journal balance</th><th class="amount">Difference</th><th></th></tr>
+            ${differences.map(item => `
+                <tr>
+                    <td>${accountNames.get(item.accountId) || item.accountId}</td>
+                    <td class="amount">${item.balance.format()}</td>
+                    <td class="amount">${item.ledgerBalance.format()}</td>
+                    <td class="amount">${item.difference.format()}</td>
+                    <td>
+                        <button type="button" class="btn btn-secondary btn-small" data-resolve="ledger" data-account-id="${item.accountId}">Use journal</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-resolve="balance" data-account-id="${item.accountId}">Post to suspense</button>
+                    </td>
+                </tr>
+            `).join('')}
+        `;
+    }
+
+    resolveReconciliation(accountId, keep) {
+        const message = keep === 'balance'
+            ? 'Keep the stored balance and post the difference to the suspense ledger?'
+            : 'Reset the stored balance to the journal balance?';
+        if (!confirm(message)) return;
+
+        try {
+            dataManager.resolveDifference(accountId, keep);
+            this.updateTrialBalance();
+        } catch (error) {
+            console.error('❌ Failed to resolve reconciliation difference:', error);
+            alert(`The difference could not be resolved: ${error.message}`);
+        }
     }
 
     /**
@@ -1155,14 +2506,23 @@ class AdminManager {
      */
     calculateReportsMetrics(filteredData) {
         const activeUsers = this.users.filter(user => user.isActive);
-        const totalBalance = this.accounts.reduce((sum, account) => sum + (account.balance || 0), 0);
-        const avgBalance = this.accounts.length > 0 ? totalBalance / this.accounts.length : 0;
+        const totalBalance = dataManager.sumBalances(this.accounts.filter(account => account.type !== 'loan'));
+        const avgBalance = this.accounts.length > 0 ? totalBalance.multiply(1 / this.accounts.length) : Money.zero();
         
         // Calculate transaction volume by type from filtered data
         const deposits = filteredData.transactions.filter(txn => txn.type === 'deposit').length;
         const transfers = filteredData.transactions.filter(txn => txn.type === 'transfer').length;
         const withdrawals = filteredData.transactions.filter(txn => txn.type === 'withdrawal').length;
 
+        // Fee revenue is what settled fee transactions actually charged, in the base currency
+        const fees = filteredData.transactions.filter(txn => txn.type === 'fee' && (txn.status || 'settled') === 'settled');
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+        const feeRevenue = fees.reduce(
+            (total, txn) => total.add(dataManager.convert(Money.of(txn.amount, txn.currency || 'USD'), baseCurrency)),
+            Money.zero(baseCurrency)
+        );
+        const flagged = filteredData.transactions.filter(txn => txn.fraudAlerts && txn.fraudAlerts.length > 0).length;
+
         // Calculate recent growth based on filtered data
         const recentUsers = filteredData.users.length;
         const previousPeriodUsers = this.getPreviousPeriodUsersCount();
@@ -1179,11 +2539,12 @@ class AdminManager {
             transactionVolume: {
                 deposits: deposits,
                 transfers: transfers,
-                withdrawals: withdrawals
+                withdrawals: withdrawals,
+                fees: fees.length
             },
-            systemUptime: 99.98,
-            responseTime: 128,
-            fraudRate: 0.03
+            feeRevenue: feeRevenue,
+            avgFee: fees.length > 0 ? feeRevenue.multiply(1 / fees.length) : Money.zero(feeRevenue.currency),
+            fraudRate: filteredData.transactions.length > 0 ? Number((flagged / filteredData.transactions.length * 100).toFixed(2)) : 0
         };
     }
 
@@ -1225,23 +2586,21 @@ class AdminManager {
             </div>
             <div class="metric-item">
                 <span class="metric-label">Avg. Balance</span>
-                <span class="metric-value">${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.avgBalance)}</span>
+                <span class="metric-value">${metrics.avgBalance.format()}</span>
                 <span class="metric-change positive">+5%</span>
             </div>
             <div class="metric-item">
                 <span class="metric-label">Fraud Rate</span>
                 <span class="metric-value">${metrics.fraudRate.toFixed(2)}%</span>
-                <span class="metric-change negative">+0.01%</span>
             </div>
             <div class="metric-item">
-                <span class="metric-label">System Uptime</span>
-                <span class="metric-value">${metrics.systemUptime}%</span>
-                <span class="metric-change positive">+0.02%</span>
+                <span class="metric-label">Fee Revenue</span>
+                <span class="metric-value">${metrics.feeRevenue.format()}</span>
+                <span class="metric-change positive">${metrics.transactionVolume.fees.toLocaleString()} fees</span>
             </div>
             <div class="metric-item">
-                <span class="metric-label">Response Time</span>
-                <span class="metric-value">${metrics.responseTime}ms</span>
-                <span class="metric-change positive">-12ms</span>
+                <span class="metric-label">Avg. Fee</span>
+                <span class="metric-value">${metrics.avgFee.format()}</span>
             </div>
         `;
     }
@@ -1282,7 +2641,8 @@ class AdminManager {
         if (financialChart) {
             financialChart.innerHTML = `
                 <p>📈 Financial Overview</p>
-                <p>Total System Balance: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.totalBalance)}</p>
+                <p>Total System Balance: ${metrics.totalBalance.format()}</p>
+                <p>Fee Revenue: ${metrics.feeRevenue.format()} from ${metrics.transactionVolume.fees.toLocaleString()} fees</p>
                 <p>${metrics.totalTransactions.toLocaleString()} transactions in selected period</p>
                 <p>Date Range: ${this.currentFilters.dateFrom?.toLocaleDateString()} to ${this.currentFilters.dateTo?.toLocaleDateString()}</p>
                 <small>Financial trends for selected period</small>
@@ -1357,9 +2717,8 @@ class AdminManager {
         if (financialChart) {
             financialChart.innerHTML = `
                 <p>⚡ System Performance</p>
-                <p>Uptime: ${metrics.systemUptime}%</p>
-                <p>Response Time: ${metrics.responseTime}ms</p>
                 <p>${metrics.totalTransactions.toLocaleString()} transactions processed</p>
+                <p>${metrics.transactionVolume.fees.toLocaleString()} fees charged</p>
                 <p>Date Range: ${this.currentFilters.dateFrom?.toLocaleDateString()} to ${this.currentFilters.dateTo?.toLocaleDateString()}</p>
                 <small>System performance and reliability metrics</small>
             `;
@@ -1593,9 +2952,9 @@ EXECUTIVE SUMMARY
 
 Total Users in Period: ${metrics.filteredUsers.toLocaleString()}
 Active Users: ${metrics.activeUsers.toLocaleString()}
-Total System Balance: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.totalBalance)}
+Total System Balance: ${metrics.totalBalance.format()}
 Total Transactions: ${metrics.totalTransactions.toLocaleString()}
-Average User Balance: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.avgBalance)}
+Average User Balance: ${metrics.avgBalance.format()}
 User Growth: ${metrics.userGrowth >= 0 ? '+' : ''}${metrics.userGrowth.toFixed(1)}%
 
 TRANSACTION ANALYSIS
@@ -1604,13 +2963,14 @@ TRANSACTION ANALYSIS
 Deposits: ${metrics.transactionVolume.deposits.toLocaleString()}
 Transfers: ${metrics.transactionVolume.transfers.toLocaleString()}
 Withdrawals: ${metrics.transactionVolume.withdrawals.toLocaleString()}
+Fees: ${metrics.transactionVolume.fees.toLocaleString()}
 Total: ${metrics.totalTransactions.toLocaleString()}
 
-SYSTEM METRICS
-==============
+FEE REVENUE
+===========
 
-System Uptime: ${metrics.systemUptime}%
-Average Response Time: ${metrics.responseTime}ms
+Fee Revenue: ${metrics.feeRevenue.format()}
+Average Fee: ${metrics.avgFee.format()}
 Fraud Detection Rate: ${metrics.fraudRate}%
 
 USER STATISTICS
@@ -1625,8 +2985,8 @@ ACCOUNT INFORMATION
 ===================
 
 Total Accounts: ${this.accounts.length.toLocaleString()}
-Total System Balance: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.totalBalance)}
-Average Balance per Account: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.avgBalance)}
+Total System Balance: ${metrics.totalBalance.format()}
+Average Balance per Account: ${metrics.avgBalance.format()}
 
 RECENT ACTIVITY
 ===============
@@ -1682,6 +3042,22 @@ Confidential - For Internal Use Only
                 this.generateReport();
             });
         }
+
+        const restoreBackupBtn = document.getElementById('restoreBackupBtn');
+        const restoreBackupInput = document.getElementById('restoreBackupInput');
+
+        if (restoreBackupBtn && restoreBackupInput) {
+            restoreBackupBtn.addEventListener('click', () => {
+                restoreBackupInput.value = '';
+                restoreBackupInput.click();
+            });
+
+            restoreBackupInput.addEventListener('change', () => {
+                if (restoreBackupInput.files.length > 0) {
+                    this.loadBackupFile(restoreBackupInput.files[0]);
+                }
+            });
+        }
     }
 
     /**
@@ -1848,7 +3224,7 @@ Confidential - For Internal Use Only
                             <div class="metric-label">Users in Period</div>
                         </div>
                         <div class="metric-card">
-                            <div class="metric-value">${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.totalBalance)}</div>
+                            <div class="metric-value">${metrics.totalBalance.format()}</div>
                             <div class="metric-label">Total System Balance</div>
                         </div>
                         <div class="metric-card">
@@ -1856,7 +3232,7 @@ Confidential - For Internal Use Only
                             <div class="metric-label">Transactions in Period</div>
                         </div>
                         <div class="metric-card">
-                            <div class="metric-value">${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(metrics.avgBalance)}</div>
+                            <div class="metric-value">${metrics.avgBalance.format()}</div>
                             <div class="metric-label">Average User Balance</div>
                         </div>
                     </div>
@@ -1892,6 +3268,12 @@ Confidential - For Internal Use Only
                                 <td>${((metrics.transactionVolume.withdrawals / metrics.totalTransactions) * 100).toFixed(1)}%</td>
                                 <td class="positive">+3%</td>
                             </tr>
+                            <tr>
+                                <td>Fees (${metrics.feeRevenue.format()})</td>
+                                <td>${metrics.transactionVolume.fees}</td>
+                                <td>${((metrics.transactionVolume.fees / metrics.totalTransactions) * 100).toFixed(1)}%</td>
+                                <td></td>
+                            </tr>
                         </tbody>
                     </table>
                 </div>
@@ -1922,7 +3304,7 @@ Confidential - For Internal Use Only
             user.email,
             user.role,
             user.isActive ? 'Active' : 'Inactive',
-            `$${this.calculateUserBalance(user.id).toFixed(2)}`,
+            this.calculateUserBalance(user.id).format(),
             user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never',
             new Date(user.createdAt).toLocaleDateString()
         ]);
@@ -1941,7 +3323,7 @@ Confidential - For Internal Use Only
             new Date(txn.timestamp).toLocaleDateString(),
             new Date(txn.timestamp).toLocaleTimeString(),
             txn.type,
-            `$${txn.amount}`,
+            Money.format(txn.amount, txn.currency),
             txn.description || 'N/A',
             txn.accountId,
             txn.status,
@@ -2178,27 +3560,204 @@ Confidential - For Internal Use Only
     }
 
     /**
-     * Export all system data
+     * Export all system data as a versioned backup archive
      */
-    exportAllData() {
+    async exportAllData() {
         console.log('📤 Exporting all system data...');
-        
-        const zipContent = `
-System Data Export - ${new Date().toLocaleDateString()}
-Date Range: ${this.currentFilters.dateFrom?.toLocaleDateString()} to ${this.currentFilters.dateTo?.toLocaleDateString()}
 
-USERS: ${this.users.length} users
-ACCOUNTS: ${this.accounts.length} accounts  
-TRANSACTIONS: ${this.transactions.length} transactions
-TOTAL BALANCE: $${this.calculateSystemStats().totalBalance.toLocaleString()}
+        try {
+            const archive = await backupManager.createArchive(this.currentAdmin);
+            this.downloadFile(
+                JSON.stringify(archive, null, 2),
+                `finsim_backup_${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
 
-Export generated by: ${this.currentAdmin.firstName} ${this.currentAdmin.lastName}
-        `.trim();
+            alert(`Backup created: ${this.users.length} users, ${this.accounts.length} accounts, ${this.transactions.length} transactions.`);
 
-        this.downloadFile(zipContent, `system_export_${new Date().toISOString().split('T')[0]}.txt`, 'text/plain');
-        
-        if (window.finSimApp) {
-            finSimApp.showSuccess('System data exported successfully');
+        } catch (error) {
+            console.error('❌ Backup export failed:', error);
+            alert('Error creating backup. Please try again.');
+        }
+    }
+
+    /**
+     * Read and validate a backup file, then show what restoring it would change
+     */
+    async loadBackupFile(file) {
+        try {
+            const archive = await backupManager.parse(await file.text());
+            this.showRestoreModal(archive, file.name);
+        } catch (error) {
+            console.error('❌ Invalid backup file:', error);
+            alert(`This backup cannot be restored: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the restore modal with a diff summary for the chosen mode
+     */
+    showRestoreModal(archive, fileName) {
+        const modalHTML = `
+            <div class="modal-overlay" id="restoreModal" style="
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 10000;
+            ">
+                <div class="modal-content" style="
+                    background: white;
+                    padding: 2rem;
+                    border-radius: 12px;
+                    box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+                    max-width: 560px;
+                    width: 90%;
+                ">
+                    <div class="modal-header" style="margin-bottom: 1.5rem;">
+                        <h3 style="margin: 0 0 0.5rem 0; color: var(--gray-900);">Restore Backup</h3>
+                        <p style="margin: 0; color: var(--gray-600); font-size: 0.875rem;">
+                            ${fileName} - created ${new Date(archive.createdAt).toLocaleString()}${archive.createdBy ? ` by ${archive.createdBy}` : ''} (schema v${archive.schemaVersion})
+                        </p>
+                    </div>
+
+                    <div class="form-group" style="margin-bottom: 1rem;">
+                        <label style="display: block; margin-bottom: 0.5rem; font-weight: 600;">Restore Mode</label>
+                        <label style="display: block; margin-bottom: 0.25rem;">
+                            <input type="radio" name="restoreMode" value="merge" checked> Merge - add and update records, keep everything else
+                        </label>
+                        <label style="display: block;">
+                            <input type="radio" name="restoreMode" value="replace"> Replace - make the data exactly match the backup
+                        </label>
+                    </div>
+
+                    <div id="restoreSummary" style="margin-bottom: 1.5rem;"></div>
+
+                    <div class="modal-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
+                        <button type="button" class="btn btn-secondary" id="cancelRestore" style="
+                            padding: 0.75rem 1.5rem;
+                            border: 1px solid var(--gray-300);
+                            background: white;
+                            color: var(--gray-700);
+                            border-radius: 8px;
+                            font-weight: 500;
+                            cursor: pointer;
+                        ">
+                            Cancel
+                        </button>
+                        <button type="button" class="btn btn-primary" id="confirmRestore" style="
+                            padding: 0.75rem 1.5rem;
+                            background: var(--primary-color);
+                            color: white;
+                            border: none;
+                            border-radius: 8px;
+                            font-weight: 500;
+                            cursor: pointer;
+                        ">
+                            Restore
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const modal = document.getElementById('restoreModal');
+        const getMode = () => modal.querySelector('input[name="restoreMode"]:checked').value;
+
+        this.renderRestoreSummary(archive, getMode());
+
+        modal.querySelectorAll('input[name="restoreMode"]').forEach(input => {
+            input.addEventListener('change', () => this.renderRestoreSummary(archive, getMode()));
+        });
+
+        document.getElementById('cancelRestore').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        document.getElementById('confirmRestore').addEventListener('click', () => {
+            this.applyRestore(archive, getMode());
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Render the added / replaced / removed counts for a restore mode
+     */
+    renderRestoreSummary(archive, mode) {
+        const container = document.getElementById('restoreSummary');
+        if (!container) return;
+
+        const summary = backupManager.diff(archive, mode);
+        const cell = 'padding: 0.5rem; border-bottom: 1px solid var(--gray-200); text-align: right;';
+
+        const rows = Object.entries(summary).map(([name, counts]) => `
+            <tr>
+                <td style="${cell} text-align: left; text-transform: capitalize;">${name}</td>
+                <td style="${cell}">${counts.added}</td>
+                <td style="${cell}">${counts.replaced}</td>
+                <td style="${cell}">${counts.unchanged}</td>
+                <td style="${cell} color: ${counts.removed > 0 ? 'var(--error-color)' : 'inherit'};">${counts.removed}</td>
+            </tr>
+        `).join('');
+
+        const adminMissing = mode === 'replace' &&
+            !archive.data.collections.users.some(user => user.id === this.currentAdmin.id);
+
+        container.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.875rem;">
+                <thead>
+                    <tr>
+                        <th style="${cell} text-align: left;"></th>
+                        <th style="${cell}">Added</th>
+                        <th style="${cell}">Replaced</th>
+                        <th style="${cell}">Unchanged</th>
+                        <th style="${cell}">Removed</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${adminMissing ? `
+                <p style="margin: 1rem 0 0 0; color: var(--error-color); font-size: 0.875rem;">
+                    ⚠️ Your admin account is not in this backup - you will be signed out after restoring.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Apply the backup and refresh the reports
+     */
+    async applyRestore(archive, mode) {
+        if (mode === 'replace' && !confirm('Replace ALL current data with this backup? Records not in the backup will be deleted.')) {
+            return;
+        }
+
+        try {
+            backupManager.restore(archive, mode);
+
+            const modal = document.getElementById('restoreModal');
+            if (modal) modal.remove();
+
+            await this.loadAdminData();
+            await this.updateReportsMetrics();
+
+            alert('Backup restored successfully!');
+
+        } catch (error) {
+            console.error('❌ Backup restore failed:', error);
+            alert(`Restore failed - no data was changed: ${error.message}`);
         }
     }
 
@@ -2266,7 +3825,35 @@ Export generated by: ${this.currentAdmin.firstName} ${this.currentAdmin.lastName
      */
     setupEventListeners() {
         console.log('🎯 Setting up admin event listeners...');
-        // Additional event listeners can be added here
+        this.setupStorageSubscriptions();
+    }
+
+    /**
+     * Reload and re-render when users, accounts or transactions change in this or another tab
+     */
+    setupStorageSubscriptions() {
+        const refresh = this.debounce(async () => {
+            await this.loadAdminData();
+            await this.updateDashboardStats();
+            await this.updateRecentActivity();
+
+            switch (this.getCurrentAdminPage()) {
+                case 'users':
+                    await this.loadUsersTable();
+                    break;
+                case 'reports':
+                    await this.updateReportsMetrics();
+                    this.updateTrialBalance();
+                    break;
+            }
+        }, 100);
+
+        ['users', 'accounts', 'transactions'].forEach(key => storage.subscribe(key, refresh));
+
+        storage.subscribe('storageError', ({ error }) => {
+            alert(`⚠️ ${error.message}. The last change was not saved.`);
+            this.updateStorageUsage();
+        });
     }
 
     /**
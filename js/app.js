@@ -112,6 +112,11 @@ class FinSimApp {
         };
 
         console.log('📱 App Info:', this.appInfo);
+
+        // Never let a failed save go unnoticed
+        storage.subscribe('storageError', ({ error }) => {
+            this.showError(`${error.message}. Your last change was not saved.`);
+        });
     }
 
     /**
@@ -121,6 +126,7 @@ class FinSimApp {
         try {
             // Wait for auth system to be ready
             await this.waitForAuthReady();
+            await this.auth.ready;
             
             const isAuthenticated = this.auth.isAuthenticated();
             this.currentState = isAuthenticated ? 
@@ -286,7 +292,8 @@ class FinSimApp {
                 password: formData.get('password'),
                 confirmPassword: formData.get('confirmPassword'),
                 firstName: formData.get('firstName')?.trim(),
-                lastName: formData.get('lastName')?.trim()
+                lastName: formData.get('lastName')?.trim(),
+                homeCurrency: formData.get('homeCurrency') || 'USD'
             };
             
             const result = await this.auth.register(userData);
@@ -559,10 +566,11 @@ class FinSimApp {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span class="notification-message">${message}</span>
+                <span class="notification-message"></span>
                 <button class="notification-close">&times;</button>
             </div>
         `;
+        notification.querySelector('.notification-message').textContent = message;
 
         container.appendChild(notification);
 
@@ -0,0 +1,348 @@
+/**
+ * FinSim - Transaction Archive
+ * Moves old transactions out of the live collection into compressed monthly buckets.
+ * The same buckets hold the month's journal lines, compacted in the live journal to
+ * one line per ledger, and the lines of its statements.
+ */
+
+class TransactionArchive {
+    constructor(storageInstance) {
+        this.storage = storageInstance;
+        this.indexKey = 'transactionArchives';
+        this.bucketPrefix = 'transactionArchive_';
+        this.loaded = new Map(); // month -> decoded transactions
+    }
+
+    /**
+     * Archived months with their per-account totals
+     * @returns {Object} { 'YYYY-MM': { count, archivedAt, accounts: { accountId: { count, credits, debits } }, journalLines, statements } }
+     */
+    getIndex() {
+        return this.storage.get(this.indexKey, {});
+    }
+
+    getMonths() {
+        return Object.keys(this.getIndex()).sort();
+    }
+
+    /**
+     * Archived credits and debits of an account. Account balances are stored
+     * on the account, so archiving never changes them - these totals let a
+     * running balance be rebuilt from the live transactions alone.
+     */
+    getArchivedTotals(accountId) {
+        return Object.values(this.getIndex()).reduce((totals, month) => {
+            const account = month.accounts[accountId];
+            if (account) {
+                totals.count += account.count;
+                totals.credits = Money.of(totals.credits).add(account.credits).toNumber();
+                totals.debits = Money.of(totals.debits).add(account.debits).toNumber();
+            }
+            return totals;
+        }, { count: 0, credits: 0, debits: 0 });
+    }
+
+    /**
+     * Archive transactions older than the configured age
+     */
+    async runPolicy() {
+        const days = this.storage.getSettings().archiveAfterDays;
+        if (!days) return { months: [], count: 0 };
+
+        return this.archiveOlderThan(days);
+    }
+
+    /**
+     * Move transactions older than the given number of days into monthly buckets,
+     * and compact the journal of the months that ended before then
+     * @param {number} days - Age in days
+     * @returns {Object} { months, count, journalLines }
+     */
+    async archiveOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        // Pending transfers still have to settle, so they stay live however old they are
+        const old = this.storage.get('transactions', []).filter(transaction =>
+            new Date(transaction.timestamp) < cutoff && transaction.status !== 'pending');
+        const journal = this.getCompactableLines(cutoff);
+
+        if (old.length === 0 && journal.length === 0) {
+            return { months: [], count: 0, journalLines: 0 };
+        }
+
+        const byMonth = this.groupByMonth(old);
+        const journalByMonth = this.groupByMonth(journal);
+        const statements = this.storage.get('statements', []).filter(statement => journalByMonth.has(statement.month) && statement.lines);
+        const months = new Set([...byMonth.keys(), ...journalByMonth.keys()]);
+
+        // Compression is async, so buckets are prepared before the transaction
+        const buckets = new Map();
+        for (const month of months) {
+            const bucket = this.storage.get(this.bucketPrefix + month) || {};
+            const transactions = this.merge(await this.loadMonth(month), byMonth.get(month));
+            const lines = this.merge(bucket.journal ? await this.decode(bucket.journal) : [], journalByMonth.get(month));
+            const statementLines = bucket.statementLines ? await this.decode(bucket.statementLines) : {};
+            statements.filter(statement => statement.month === month).forEach(statement => {
+                statementLines[statement.id] = statement.lines;
+            });
+
+            buckets.set(month, {
+                transactions,
+                encoded: await this.encode(transactions),
+                lines,
+                journal: lines.length > 0 ? { count: lines.length, ...(await this.encode(lines)) } : null,
+                statementLines: Object.keys(statementLines).length > 0
+                    ? { count: Object.keys(statementLines).length, ...(await this.encode(statementLines)) }
+                    : null
+            });
+        }
+
+        const archivedIds = new Set(old.map(transaction => transaction.id));
+        const compactedIds = new Set(journal.map(line => line.id));
+        const statementIds = new Set(statements.map(statement => statement.id));
+        const bucketKeys = Array.from(buckets.keys()).map(month => this.bucketPrefix + month);
+
+        this.storage.transaction(['transactions', 'journal', 'statements', this.indexKey, ...bucketKeys], (tx) => {
+            const index = tx.get(this.indexKey, {});
+            const summaries = [];
+
+            buckets.forEach(({ transactions, encoded, lines, journal, statementLines }, month) => {
+                tx.set(this.bucketPrefix + month, { month, count: transactions.length, ...encoded, journal, statementLines });
+                index[month] = {
+                    count: transactions.length,
+                    archivedAt: new Date().toISOString(),
+                    accounts: this.summarize(transactions),
+                    journalLines: lines.length,
+                    statements: statementLines ? statementLines.count : 0
+                };
+                if (journalByMonth.has(month)) {
+                    summaries.push(...this.compact(month, lines));
+                }
+            });
+
+            // A month compacted before is summarized again from everything archived for it
+            const compactedMonths = new Set(journalByMonth.keys());
+            tx.set('journal', [
+                ...tx.get('journal', []).filter(line => !compactedIds.has(line.id) &&
+                    !(line.archivedLines && compactedMonths.has(this.getMonth(line.timestamp)))),
+                ...summaries
+            ]);
+            tx.set('transactions', tx.get('transactions', []).filter(transaction => !archivedIds.has(transaction.id)));
+            tx.set('statements', tx.get('statements', []).map(statement => (statementIds.has(statement.id)
+                ? { ...statement, lines: null, lineCount: statement.lines.length }
+                : statement)));
+            tx.set(this.indexKey, index);
+        });
+
+        buckets.forEach(({ transactions }, month) => this.loaded.set(month, transactions));
+
+        console.log(`🗄️ Archived ${old.length} transactions and ${journal.length} journal lines into ${buckets.size} monthly buckets`);
+        return { months: Array.from(buckets.keys()).sort(), count: old.length, journalLines: journal.length };
+    }
+
+    /**
+     * Journal lines of the months that can be compacted: months that ended before the
+     * cutoff, that interest and overdraft interest were accrued past - accrual walks the
+     * daily balances - and whose statements were made from the full detail
+     */
+    getCompactableLines(cutoff) {
+        const accounts = this.storage.get('accounts', []);
+        const statements = new Set(this.storage.get('statements', []).map(statement => statement.id));
+        const lines = this.storage.get('journal', []).filter(line => !line.archivedLines);
+        const byMonth = this.groupByMonth(lines);
+
+        return Array.from(byMonth.entries())
+            .filter(([month, monthLines]) => {
+                const monthEnd = this.getMonthEnd(month);
+                if (new Date(`${monthEnd}T23:59:59.999Z`) >= cutoff) return false;
+
+                const accrued = accounts.every(account => !account.isActive || account.createdAt.slice(0, 10) > monthEnd ||
+                    this.getAccruedThrough(account) >= monthEnd);
+                const stated = monthLines.every(line => !accounts.some(account => account.id === line.ledger) ||
+                    statements.has(`stmt_${line.ledger}_${month}`));
+                return accrued && stated;
+            })
+            .flatMap(([, monthLines]) => monthLines);
+    }
+
+    /**
+     * Last day both interest and overdraft interest were accrued for, or '' if either never was
+     */
+    getAccruedThrough(account) {
+        // Loan accounts are not charged overdraft interest
+        const days = account.type === 'loan'
+            ? [account.interestAccruedThrough]
+            : [account.interestAccruedThrough, account.overdraftAccruedThrough];
+        return days.some(day => !day) ? '' : days.sort()[0];
+    }
+
+    /**
+     * One journal line per ledger and currency with the month's net amount, at the
+     * time of its last line, so every balance from the end of the month on is unchanged
+     */
+    compact(month, lines) {
+        const totals = new Map();
+        lines.forEach(line => {
+            const key = `${line.ledger}|${line.currency}`;
+            const total = totals.get(key) || { ledger: line.ledger, currency: line.currency, amount: Money.zero(line.currency), count: 0 };
+            total.amount = total.amount.add(line.amount);
+            total.count++;
+            totals.set(key, total);
+        });
+        const timestamp = lines.map(line => line.timestamp).sort().pop();
+
+        return Array.from(totals.values()).map((total, index) => ({
+            id: `jrn_archive_${month}_${index}`,
+            entryId: `jrn_archive_${month}`,
+            ledger: total.ledger,
+            currency: total.currency,
+            amount: total.amount.toNumber(),
+            description: `Archived activity for ${month}`,
+            reference: null,
+            transactionId: null,
+            timestamp: timestamp,
+            archivedLines: total.count
+        }));
+    }
+
+    /**
+     * The lines of a statement, from its month's bucket once they are archived
+     */
+    async loadStatementLines(statement) {
+        if (statement.lines) return statement.lines;
+
+        const bucket = this.storage.get(this.bucketPrefix + statement.month);
+        const lines = bucket && bucket.statementLines ? (await this.decode(bucket.statementLines))[statement.id] : null;
+        return lines || [];
+    }
+
+    groupByMonth(records) {
+        const byMonth = new Map();
+        records.forEach(record => {
+            const month = this.getMonth(record.timestamp);
+            if (!byMonth.has(month)) {
+                byMonth.set(month, []);
+            }
+            byMonth.get(month).push(record);
+        });
+        return byMonth;
+    }
+
+    /**
+     * Archived records with newly archived ones, without duplicates, oldest first
+     */
+    merge(archived, added = []) {
+        const ids = new Set(added.map(record => record.id));
+        return [...archived.filter(record => !ids.has(record.id)), ...added]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Archived transactions of the months overlapping a date range
+     * @param {string} from - Start date (YYYY-MM-DD), or empty for no lower bound
+     * @param {string} to - End date (YYYY-MM-DD), or empty for no upper bound
+     * @param {string[]} accountIds - Only transactions of these accounts
+     */
+    async loadRange(from, to, accountIds) {
+        const index = this.getIndex();
+        const fromMonth = from ? from.slice(0, 7) : '';
+        const toMonth = to ? to.slice(0, 7) : '9999-12';
+        const wanted = new Set(accountIds);
+
+        const months = Object.keys(index).filter(month =>
+            month >= fromMonth && month <= toMonth &&
+            Object.keys(index[month].accounts).some(accountId => wanted.has(accountId))
+        );
+
+        const transactions = [];
+        for (const month of months) {
+            (await this.loadMonth(month))
+                .filter(transaction => wanted.has(transaction.accountId))
+                .forEach(transaction => transactions.push(transaction));
+        }
+        return transactions;
+    }
+
+    /**
+     * Decode one monthly bucket
+     */
+    async loadMonth(month) {
+        const bucket = this.storage.get(this.bucketPrefix + month);
+        if (!bucket) return [];
+
+        const cached = this.loaded.get(month);
+        if (cached && cached.length === bucket.count) {
+            return cached;
+        }
+
+        const transactions = await this.decode(bucket);
+        this.loaded.set(month, transactions);
+        return transactions;
+    }
+
+    /**
+     * Per-account counts and totals for the index
+     */
+    summarize(transactions) {
+        return transactions.reduce((accounts, transaction) => {
+            const account = accounts[transaction.accountId] || { count: 0, credits: 0, debits: 0 };
+            const model = new Transaction(transaction);
+
+            account.count++;
+            if (model.isIncome) account.credits = Money.of(account.credits).add(model.amountMoney).toNumber();
+            if (model.isExpense) account.debits = Money.of(account.debits).add(model.amountMoney).toNumber();
+
+            accounts[transaction.accountId] = account;
+            return accounts;
+        }, {});
+    }
+
+    getMonth(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 7);
+    }
+
+    getMonthEnd(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Gzip the bucket where the browser supports it, plain JSON otherwise
+     */
+    async encode(records) {
+        const json = JSON.stringify(records);
+
+        if (typeof CompressionStream === 'undefined') {
+            return { encoding: 'json', data: json };
+        }
+
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return { encoding: 'gzip', data: btoa(binary) };
+    }
+
+    async decode(bucket) {
+        if (bucket.encoding === 'json') {
+            return JSON.parse(bucket.data);
+        }
+
+        const bytes = Uint8Array.from(atob(bucket.data), char => char.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return JSON.parse(await new Response(stream).text());
+    }
+}
+
+// Create global transaction archive instance
+const transactionArchive = new TransactionArchive(storage);
+
+// Apply the archival policy once data is loaded, without holding up the page
+storage.ready
+    .then(() => transactionArchive.runPolicy())
+    .catch(error => console.error('❌ Transaction archival failed:', error));
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = transactionArchive;
+}
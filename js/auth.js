@@ -7,15 +7,16 @@ class AuthManager {
         this.storage = storage;
         this.dataManager = dataManager;
         this.currentUser = null;
-        this.init();
+        this.ready = this.init();
     }
     /**
      * Initialize authentication system
      */
     async init() {
         try {
-            // Wait for storage to be available
+            // Wait for storage to be available and loaded
             await this.waitForStorage();
+            await this.storage.ready;
             
             this.currentUser = await this.storage.get('currentUser');
             
@@ -25,12 +26,83 @@ class AuthManager {
             } else {
                 console.log('🔐 No active user session');
             }
+
+            this.setupSessionSync();
+            await this.syncSessionUser();
         } catch (error) {
             console.error('❌ Auth initialization failed:', error);
             this.currentUser = null;
         }
     }
 
+    /**
+     * Keep the session in sync with admin changes and other tabs
+     */
+    setupSessionSync() {
+        this.storage.subscribe('users', () => this.syncSessionUser());
+        this.storage.subscribe('currentUser', ({ source }) => {
+            if (source === 'external') {
+                this.syncSessionFromStorage();
+            }
+        });
+    }
+
+    /**
+     * Re-read the logged in user's record - force a logout if it was deactivated or removed
+     */
+    async syncSessionUser() {
+        if (!this.currentUser) return;
+
+        const userData = this.storage.getRecord('users', this.currentUser.id);
+
+        if (!userData || !userData.isActive) {
+            await this.forceLogout(userData
+                ? 'Your account has been deactivated. Please contact support.'
+                : 'Your account is no longer available.');
+            return;
+        }
+
+        const profileFields = ['email', 'firstName', 'lastName', 'role'];
+        if (profileFields.some(field => userData[field] !== this.currentUser[field])) {
+            this.currentUser = userData;
+            await this.storage.set('currentUser', userData);
+            console.log('🔐 Session updated from user record');
+        }
+    }
+
+    /**
+     * Another tab logged out or switched user
+     */
+    async syncSessionFromStorage() {
+        const storedUser = this.storage.get('currentUser');
+
+        if (!storedUser) {
+            if (this.currentUser) {
+                this.currentUser = null;
+                this.redirectToLogin();
+            }
+            return;
+        }
+
+        if (!this.currentUser || storedUser.id !== this.currentUser.id) {
+            window.location.reload();
+        }
+    }
+
+    async forceLogout(message) {
+        console.log('🔐 Session revoked:', this.currentUser?.email);
+        await this.logout();
+        alert(message);
+        this.redirectToLogin();
+    }
+
+    redirectToLogin() {
+        const path = window.location.pathname;
+        if (path.includes('/dashboard/') || path.includes('/admin/')) {
+            window.location.href = '../auth/login.html';
+        }
+    }
+
     async waitForStorage(maxWaitTime = 5000) {
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
@@ -73,7 +145,7 @@ class AuthManager {
             totalAccounts: accounts.length,
             totalTransactions: transactions.length,
             activeUsers: users.filter(user => user.isActive).length,
-            totalBalance: accounts.reduce((sum, account) => sum + account.balance, 0),
+            totalBalance: this.dataManager.sumBalances(accounts).toNumber(),
             recentRegistrations: users
                 .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
                 .slice(0, 5)
@@ -121,7 +193,7 @@ class AuthManager {
             const newUser = await this.createUserAccount(userData);
             
             // Setup user environment
-            await this.setupUserEnvironment(newUser.id);
+            await this.setupUserEnvironment(newUser.id, newUser.homeCurrency);
             
             // Auto-login after successful registration
             const loginResult = await this.login(userData.email, userData.password);
@@ -291,16 +363,21 @@ class AuthManager {
             password: await this.hashPassword(userData.password),
             firstName: userData.firstName.trim(),
             lastName: userData.lastName.trim(),
-            role: 'user'
+            role: 'user',
+            homeCurrency: SUPPORTED_CURRENCIES.includes(userData.homeCurrency) ? userData.homeCurrency : 'USD'
         });
     }
 
-    async setupUserEnvironment(userId) {
+    async setupUserEnvironment(userId, currency = 'USD') {
         try {
-            // Create default accounts
-            const accounts = await Promise.all([
-                this.createAccount(userId, 'checking', 1000.00),
-                this.createAccount(userId, 'savings', 500.00)
+            // The standard opening balances, worth the same in every home currency
+            const baseCurrency = this.dataManager.getFxTable().baseCurrency;
+            const opening = type => this.dataManager.convert(Money.of(OPENING_BALANCES[type], baseCurrency), currency).toNumber();
+
+            // Create default accounts - all or nothing
+            const accounts = this.storage.transaction(['accounts', 'journal'], (tx) => [
+                this.createAccount(userId, 'checking', opening('checking'), tx, currency),
+                this.createAccount(userId, 'savings', opening('savings'), tx, currency)
             ]);
 
             console.log('💰 User environment setup completed:', accounts.length, 'accounts created');
@@ -311,13 +388,14 @@ class AuthManager {
         }
     }
 
-    async createAccount(userId, type, balance) {
-        return await this.dataManager.createAccount({
+    createAccount(userId, type, balance, store = this.storage, currency = 'USD') {
+        return this.dataManager.createAccount({
             userId: userId,
             type: type,
             balance: balance,
+            currency: currency,
             accountNumber: this.generateAccountNumber()
-        });
+        }, store);
     }
 
     async updateUserSession(user) {
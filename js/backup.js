@@ -0,0 +1,225 @@
+/**
+ * FinSim - Backup & Restore
+ * Versioned JSON archives of the whole dataset, restored atomically
+ */
+
+// Keys that belong to this browser session rather than the dataset
+const BACKUP_EXCLUDED_KEYS = ['currentUser', 'schemaVersion', 'migrationLog'];
+
+class BackupManager {
+    constructor(storageInstance, migrations) {
+        this.storage = storageInstance;
+        this.migrations = migrations;
+        this.format = 'finsim-backup';
+        this.formatVersion = 1;
+    }
+
+    /**
+     * Build a backup archive of users, accounts, transactions and settings
+     * @param {Object} createdBy - User creating the backup
+     */
+    async createArchive(createdBy = null) {
+        const data = {
+            collections: this.getCollectionNames().reduce((collections, name) => {
+                collections[name] = this.storage.get(name, []);
+                return collections;
+            }, {}),
+            settings: this.getSettingKeys().reduce((settings, key) => {
+                settings[key] = this.storage.get(key);
+                return settings;
+            }, {})
+        };
+
+        return {
+            format: this.format,
+            formatVersion: this.formatVersion,
+            schemaVersion: this.migrations.getCurrentVersion(),
+            createdAt: new Date().toISOString(),
+            createdBy: createdBy ? createdBy.email : null,
+            checksum: await this.checksum(data),
+            data: data
+        };
+    }
+
+    /**
+     * Parse and validate a backup file
+     * @param {string} text - File contents
+     * @returns {Object} The archive
+     */
+    async parse(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!archive || archive.format !== this.format) {
+            throw new Error('The file is not a FinSim backup');
+        }
+        if (archive.formatVersion !== this.formatVersion) {
+            throw new Error(`Unsupported backup format version ${archive.formatVersion}`);
+        }
+        if (!archive.data || typeof archive.data.collections !== 'object' || typeof archive.data.settings !== 'object') {
+            throw new Error('The backup is missing its data section');
+        }
+        if (archive.checksum !== await this.checksum(archive.data)) {
+            throw new Error('Checksum mismatch - the backup is corrupted or was edited');
+        }
+        if (archive.schemaVersion > this.migrations.getLatestVersion()) {
+            throw new Error(`The backup uses schema v${archive.schemaVersion}, newer than this app supports (v${this.migrations.getLatestVersion()})`);
+        }
+
+        this.getCollectionNames().forEach(name => {
+            // Backups from older schemas predate later collections - the migrations rebuild them
+            if (archive.data.collections[name] === undefined && archive.schemaVersion < this.migrations.getLatestVersion()) {
+                archive.data.collections[name] = [];
+            }
+
+            const records = archive.data.collections[name];
+            if (!Array.isArray(records)) {
+                throw new Error(`The backup is missing the ${name} collection`);
+            }
+
+            const ids = new Set();
+            records.forEach(record => {
+                if (!record || !record.id) {
+                    throw new Error(`A record in ${name} has no id`);
+                }
+                if (ids.has(record.id)) {
+                    throw new Error(`Duplicate id ${record.id} in ${name}`);
+                }
+                ids.add(record.id);
+            });
+        });
+
+        return archive;
+    }
+
+    /**
+     * Count what restoring the archive would change
+     * @param {Object} archive - Validated archive
+     * @param {string} mode - 'merge' keeps records missing from the backup, 'replace' removes them
+     */
+    diff(archive, mode) {
+        const summary = {};
+
+        this.getCollectionNames().forEach(name => {
+            const current = new Map(this.storage.get(name, []).map(record => [record.id, JSON.stringify(record)]));
+            const incoming = archive.data.collections[name];
+            const counts = { added: 0, replaced: 0, unchanged: 0, removed: 0 };
+
+            incoming.forEach(record => {
+                if (!current.has(record.id)) {
+                    counts.added++;
+                } else if (current.get(record.id) !== JSON.stringify(record)) {
+                    counts.replaced++;
+                } else {
+                    counts.unchanged++;
+                }
+            });
+
+            if (mode === 'replace') {
+                const incomingIds = new Set(incoming.map(record => record.id));
+                counts.removed = Array.from(current.keys()).filter(id => !incomingIds.has(id)).length;
+            }
+
+            summary[name] = counts;
+        });
+
+        const settings = { added: 0, replaced: 0, unchanged: 0, removed: 0 };
+        const currentSettings = this.getSettingKeys();
+
+        Object.entries(archive.data.settings).forEach(([key, value]) => {
+            if (!currentSettings.includes(key)) {
+                settings.added++;
+            } else if (JSON.stringify(this.storage.get(key)) !== JSON.stringify(value)) {
+                settings.replaced++;
+            } else {
+                settings.unchanged++;
+            }
+        });
+
+        if (mode === 'replace') {
+            settings.removed = currentSettings.filter(key => !(key in archive.data.settings)).length;
+        }
+
+        summary.settings = settings;
+        return summary;
+    }
+
+    /**
+     * Apply an archive in a single storage transaction
+     * @param {Object} archive - Validated archive
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    restore(archive, mode) {
+        if (!['merge', 'replace'].includes(mode)) {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+
+        const collectionNames = this.getCollectionNames();
+        const currentSettings = this.getSettingKeys();
+        const settingKeys = Array.from(new Set([...currentSettings, ...Object.keys(archive.data.settings)]));
+        const currentVersion = this.migrations.getCurrentVersion();
+
+        this.storage.transaction([...collectionNames, ...settingKeys, 'schemaVersion'], (tx) => {
+            collectionNames.forEach(name => {
+                const incoming = archive.data.collections[name];
+
+                if (mode === 'replace') {
+                    tx.set(name, incoming);
+                } else {
+                    incoming.forEach(record => tx.putRecord(name, record));
+                }
+            });
+
+            if (mode === 'replace') {
+                currentSettings
+                    .filter(key => !(key in archive.data.settings))
+                    .forEach(key => tx.remove(key));
+            }
+            Object.entries(archive.data.settings).forEach(([key, value]) => tx.set(key, value));
+
+            // Older data is brought up to date by the migrations below
+            if (archive.schemaVersion < currentVersion) {
+                tx.set('schemaVersion', archive.schemaVersion);
+            }
+        });
+
+        if (archive.schemaVersion < currentVersion) {
+            this.migrations.run();
+        }
+
+        console.log(`♻️ Backup from ${archive.createdAt} restored (${mode})`);
+    }
+
+    /**
+     * SHA-256 of the archive data, hex encoded
+     */
+    async checksum(data) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    getCollectionNames() {
+        return Object.keys(this.storage.collections);
+    }
+
+    /**
+     * Every stored key that is not a collection or session state
+     */
+    getSettingKeys() {
+        return this.storage.getAllKeys().filter(key =>
+            !this.storage.collections[key] && !BACKUP_EXCLUDED_KEYS.includes(key)
+        );
+    }
+}
+
+// Create global backup manager instance
+const backupManager = new BackupManager(storage, migrationManager);
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = backupManager;
+}
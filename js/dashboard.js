@@ -12,12 +12,14 @@ class TransactionsManager {
         this.currentUser = null;
         this.allTransactions = [];
         this.filteredTransactions = [];
+        this.refundRequests = new Map();
         this.currentFilters = {
             account: 'all',
             type: 'all', 
             category: 'all',
             dateFrom: '',
             dateTo: '',
+            status: 'all',
             search: ''
         };
         this.pagination = {
@@ -60,7 +62,12 @@ class TransactionsManager {
      */
     async loadTransactions() {
         try {
-            this.allTransactions = dataManager.getUserTransactions(this.currentUser.id);
+            this.allTransactions = await dataManager.getUserTransactions(this.currentUser.id);
+            // Latest refund request per transaction
+            this.refundRequests = new Map(dataManager.getRefundRequests()
+                .filter(request => request.userId === this.currentUser.id)
+                .map(request => [request.transactionId, request]));
+            await this.loadArchivedTransactions();
             this.filteredTransactions = [...this.allTransactions];
             console.log('📊 Loaded transactions:', this.allTransactions.length);
             
@@ -71,6 +78,28 @@ class TransactionsManager {
         }
     }
 
+    /**
+     * Add archived months the date filter reaches back into
+     */
+    async loadArchivedTransactions() {
+        if (typeof transactionArchive === 'undefined' || !this.currentFilters.dateFrom) return;
+
+        try {
+            const accountIds = dataManager.getAccountsByUserId(this.currentUser.id).map(account => account.id);
+            const archived = await transactionArchive.loadRange(this.currentFilters.dateFrom, this.currentFilters.dateTo, accountIds);
+            const known = new Set(this.allTransactions.map(transaction => transaction.id));
+
+            archived
+                .filter(transaction => !known.has(transaction.id))
+                .forEach(transaction => this.allTransactions.push(new Transaction(transaction)));
+
+            this.allTransactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        } catch (error) {
+            console.error('❌ Failed to load archived transactions:', error);
+        }
+    }
+
     /**
      * Render transactions to the page with pagination
      */
@@ -128,8 +157,9 @@ class TransactionsManager {
             <div class="transaction-desc">
                 <div class="transaction-icon">${this.getTransactionIcon(transaction.category)}</div>
                 <div>
-                    <p class="desc-main">${transaction.description}</p>
-                    <p class="desc-sub">${transaction.recipientName || ''} ${transaction.recipientIBAN ? `(${transaction.recipientIBAN})` : ''}</p>
+                    <p class="desc-main">${escapeHTML(transaction.description)}</p>
+                    <p class="desc-sub">${escapeHTML(transaction.recipientName || '')} ${transaction.recipientIBAN ? `(${transaction.recipientIBAN})` : ''}${transaction.fx ? ` · 1 ${transaction.fx.from} = ${transaction.fx.appliedRate} ${transaction.fx.to}` : ''}${transaction.linkedReference ? ` · For transfer ${transaction.linkedReference}` : ''}</p>
+                    ${this.getRefundMarkup(transaction)}
                 </div>
             </div>
             <div class="transaction-date">
@@ -137,17 +167,48 @@ class TransactionsManager {
                 <p>${new Date(transaction.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}</p>
             </div>
             <div class="transaction-amount ${amountClass}">
-                ${amountSign}${new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD'
-                }).format(transaction.amount)}
+                ${amountSign}${transaction.amountMoney.format()}
             </div>
-            <div class="transaction-status ${transaction.status}">${transaction.status}</div>
+            <div class="transaction-status ${transaction.status}" title="${escapeHTML(transaction.statusHistory[transaction.statusHistory.length - 1]?.reason)}">${transaction.status}</div>
         `;
 
         return div;
     }
 
+    /**
+     * Refund request state of an outgoing transfer, or a button to ask for one
+     */
+    getRefundMarkup(transaction) {
+        const request = this.refundRequests.get(transaction.id);
+        if (request) {
+            const label = { open: 'Refund requested', approved: 'Refunded', rejected: 'Refund declined' }[request.status];
+            return `<p class="refund-status ${request.status}" title="${escapeHTML(request.note)}">${label}${request.note ? `: ${escapeHTML(request.note)}` : ''}</p>`;
+        }
+
+        if (!dataManager.getRefundError(transaction)) {
+            return `<button type="button" class="refund-btn" data-refund-transaction="${transaction.id}">Request refund</button>`;
+        }
+        return '';
+    }
+
+    /**
+     * Ask an admin to refund a transfer
+     */
+    async requestRefund(transactionId) {
+        const reason = prompt('Why should this transfer be refunded?');
+        if (reason === null) return;
+
+        try {
+            dataManager.requestRefund(transactionId, this.currentUser.id, reason);
+            await this.loadTransactions();
+            this.applyFilters();
+            this.showExportMessage('Refund requested. An administrator will review it.', 'success');
+        } catch (error) {
+            console.error('❌ Refund request failed:', error);
+            this.showExportMessage(error.message, 'error');
+        }
+    }
+
     /**
      * Get appropriate icon for transaction category
      */
@@ -157,9 +218,18 @@ class TransactionsManager {
             'salary': '💰',
             'rent': '🏠',
             'transfer': '🔄',
+            'fee': '🧾',
+            'reversal': '↩️',
+            'overdraft': '📉',
+            'sweep': '🛟',
+            'closure': '🔒',
+            'interest': '💰',
             'food': '🍽️',
             'entertainment': '🎬',
             'transport': '🚗',
+            'loan': '🏦',
+            'travel': '✈️',
+            'gambling': '🎰',
             'general': '💳'
         };
         return icons[category] || '💳';
@@ -204,6 +274,7 @@ class TransactionsManager {
                 <option value="transfer">Transfers</option>
                 <option value="deposit">Deposits</option>
                 <option value="withdrawal">Withdrawals</option>
+                <option value="fee">Fees</option>
             `;
             console.log('✅ Type filter populated');
         }
@@ -258,6 +329,25 @@ class TransactionsManager {
             });
         }
         
+        // Status filter
+        const statusFilter = document.getElementById('statusFilter');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.handleFilterChange('status', e.target.value);
+            });
+        }
+        
+        // Refund requests
+        const transactionsList = document.querySelector('.transactions-list');
+        if (transactionsList) {
+            transactionsList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-refund-transaction]');
+                if (button) {
+                    this.requestRefund(button.dataset.refundTransaction);
+                }
+            });
+        }
+        
         // Search functionality
         this.setupSearch();
         
@@ -326,6 +416,13 @@ class TransactionsManager {
                     return false;
                 }
             }
+
+            // Status filter
+            if (this.currentFilters.status !== 'all') {
+                if (transaction.status !== this.currentFilters.status) {
+                    return false;
+                }
+            }
             
             // Date range filter
             const transactionDate = new Date(transaction.timestamp);
@@ -381,8 +478,13 @@ class TransactionsManager {
     /**
      * Handle filter changes
      */
-    handleFilterChange(filterType, value) {
+    async handleFilterChange(filterType, value) {
         this.currentFilters[filterType] = value;
+
+        if (filterType === 'dateFrom' || filterType === 'dateTo') {
+            await this.loadArchivedTransactions();
+        }
+
         this.applyFilters();
         
         console.log('🔍 Filter updated:', filterType, value);
@@ -482,13 +584,14 @@ class TransactionsManager {
             }
 
             // Create CSV headers
-            const headers = ['Date', 'Time', 'Description', 'Recipient', 'IBAN', 'Amount', 'Type', 'Category', 'Status'];
+            const headers = ['Date', 'Time', 'Description', 'Recipient', 'IBAN', 'Amount', 'Currency', 'Type', 'Category', 'Status', 'Status Changed', 'Reference'];
             
             // Create CSV rows
             const csvRows = this.filteredTransactions.map(transaction => {
                 const date = new Date(transaction.timestamp);
                 const formattedDate = date.toLocaleDateString('en-US');
                 const formattedTime = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                const lastChange = transaction.statusHistory[transaction.statusHistory.length - 1];
                 
                 return [
                     `"${formattedDate}"`,
@@ -497,9 +600,12 @@ class TransactionsManager {
                     `"${transaction.recipientName || ''}"`,
                     `"${transaction.recipientIBAN || ''}"`,
                     `"${transaction.amount}"`,
+                    `"${transaction.currency}"`,
                     `"${transaction.type}"`,
                     `"${transaction.category}"`,
-                    `"${transaction.status}"`
+                    `"${transaction.status}"`,
+                    `"${lastChange && lastChange.at ? new Date(lastChange.at).toISOString() : ''}"`,
+                    `"${transaction.linkedReference || transaction.reference}"`
                 ].join(',');
             });
 
@@ -546,6 +652,236 @@ class TransactionsManager {
         }
     }
 
+    /**
+     * Set up a future-dated or recurring transfer from the transfer form
+     */
+    async scheduleTransfer(formData, fromAccount, toAccountIdentifier, amount, description) {
+        if (!toAccountIdentifier) {
+            throw new Error('Please enter recipient IBAN');
+        }
+
+        if (!toAccountIdentifier.startsWith('acc_') && !this.confirmNewPayee(toAccountIdentifier)) return;
+
+        const when = formData.get('when');
+        const optionalNumber = name => formData.get(name) ? Number(formData.get(name)) : null;
+        const order = dataManager.createStandingOrder(this.currentUser.id, {
+            fromAccountId: fromAccount.id,
+            toAccountIdentifier: toAccountIdentifier,
+            amount: amount.toNumber(),
+            description: description,
+            frequency: when,
+            startDate: formData.get('startDate'),
+            dayOfMonth: optionalNumber('dayOfMonth'),
+            intervalDays: optionalNumber('intervalDays'),
+            endDate: when === 'once' ? null : formData.get('endDate') || null,
+            maxRuns: when === 'once' ? null : optionalNumber('maxRuns')
+        });
+
+        document.getElementById('transferForm').reset();
+        document.getElementById('transferWhen').dispatchEvent(new Event('change'));
+        await this.updateScheduledTransfers();
+        await this.showSuccess(`${Money.format(order.amount, order.currency)} to ${order.recipientName} scheduled for ${new Date(order.nextRunDate).toLocaleDateString()}.`);
+
+        // Orders starting today are paid straight away
+        await dataManager.runStandingOrders();
+    }
+
+    /**
+     * Ask before the first payment to a newly saved payee
+     * @returns {boolean} Whether the transfer may go ahead
+     */
+    confirmNewPayee(iban) {
+        const payee = dataManager.findPayee(this.currentUser.id, iban);
+        if (!payee || !dataManager.needsPayeeConfirmation(payee)) return true;
+
+        return confirm(`This is your first payment to ${payee.nickname}.\n\nAccount holder: ${payee.recipientName}\nIBAN: ${payee.iban}\n\nCheck these details match who you mean to pay. Continue?`);
+    }
+
+    /**
+     * Offer saved payees as IBAN suggestions and list them with their actions (transfer page)
+     */
+    async updateSavedPayees() {
+        const list = document.getElementById('savedPayeesList');
+        const options = document.getElementById('payeeOptions');
+        if (!list || !this.currentUser) return;
+
+        const payees = dataManager.getPayees(this.currentUser.id);
+
+        if (options) {
+            options.innerHTML = payees.map(payee =>
+                `<option value="${payee.iban}">${escapeHTML(payee.nickname)} · ${escapeHTML(payee.recipientName)}</option>`
+            ).join('');
+        }
+
+        if (payees.length === 0) {
+            list.innerHTML = '<div class="empty-state">No saved payees. You can save a recipient after paying them.</div>';
+            return;
+        }
+
+        list.innerHTML = payees.map(payee => {
+            const button = (action, label) =>
+                `<button type="button" class="refund-btn" data-payee="${payee.id}" data-payee-action="${action}">${label}</button>`;
+
+            return `
+                <div class="transfer-item">
+                    <div class="transfer-details">
+                        <p>${escapeHTML(payee.nickname)}</p>
+                        <small>${escapeHTML(payee.recipientName)} · ${payee.iban} · ${payee.lastUsedAt ? `last paid ${new Date(payee.lastUsedAt).toLocaleDateString()}` : 'not paid yet'}</small>
+                        <div class="scheduled-actions">${button('pay', 'Pay')}${button('rename', 'Rename')}${button('remove', 'Remove')}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Pay, rename or remove a saved payee
+     */
+    async managePayee(payeeId, action) {
+        try {
+            const payee = dataManager.getPayees(this.currentUser.id).find(item => item.id === payeeId);
+            if (!payee) throw new Error('Payee not found');
+
+            if (action === 'pay') {
+                const toAccountSelect = document.getElementById('toAccount');
+                const ibanInput = document.getElementById('ibanAccount');
+                toAccountSelect.value = 'external';
+                toAccountSelect.dispatchEvent(new Event('change'));
+                ibanInput.value = payee.iban;
+                await this.validateIBAN(payee.iban);
+                document.getElementById('amount').focus();
+                return;
+            }
+
+            if (action === 'rename') {
+                const nickname = prompt('Nickname', payee.nickname);
+                if (nickname === null) return;
+
+                dataManager.renamePayee(payeeId, this.currentUser.id, nickname);
+                await this.showSuccess('Payee renamed.');
+            } else if (action === 'remove') {
+                if (!confirm(`Remove ${payee.nickname} from your payees?`)) return;
+
+                dataManager.removePayee(payeeId, this.currentUser.id);
+                await this.showSuccess('Payee removed.');
+            }
+
+            await this.updateSavedPayees();
+        } catch (error) {
+            console.error('❌ Payee update failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * Describe how often a standing order pays
+     */
+    describeSchedule(order) {
+        switch (order.frequency) {
+            case 'weekly':
+                return 'Every week';
+            case 'monthly':
+                return `Monthly on day ${order.dayOfMonth}`;
+            case 'interval':
+                return `Every ${order.intervalDays} days`;
+            default:
+                return 'Once';
+        }
+    }
+
+    /**
+     * List the user's standing orders (transfer page)
+     */
+    async updateScheduledTransfers() {
+        const list = document.getElementById('scheduledTransfersList');
+        if (!list || !this.currentUser) return;
+
+        const orders = dataManager.getStandingOrders(this.currentUser.id)
+            .filter(order => order.status !== 'cancelled');
+
+        if (orders.length === 0) {
+            list.innerHTML = '<div class="empty-state">No scheduled transfers</div>';
+            return;
+        }
+
+        list.innerHTML = orders.map(order => {
+            const button = (action, label) =>
+                `<button type="button" class="refund-btn" data-standing-order="${order.id}" data-standing-order-action="${action}">${label}</button>`;
+            const lastRun = (order.history || [])[0];
+            let status = order.nextRunDate ? `Next ${new Date(order.nextRunDate).toLocaleDateString()}` : 'Completed';
+            if (order.status === 'paused') status = 'Paused';
+            if (order.retryAt) status += ` · retrying ${new Date(order.retryAt).toLocaleString()}`;
+            else if (lastRun && lastRun.status !== 'executed') status += ` · last run ${lastRun.status}`;
+            if (order.maxRuns) status += ` · ${order.runs} of ${order.maxRuns} paid`;
+            if (order.endDate) status += ` · until ${new Date(order.endDate).toLocaleDateString()}`;
+
+            const actions = order.status === 'completed' ? '' : [
+                order.status === 'paused' ? button('resume', 'Resume') : button('pause', 'Pause'),
+                button('edit', 'Edit'),
+                button('cancel', 'Cancel')
+            ].join('');
+
+            return `
+                <div class="transfer-item ${order.status}">
+                    <div class="transfer-details">
+                        <p>To ${escapeHTML(order.recipientName)}${order.description ? ` · ${escapeHTML(order.description)}` : ''}</p>
+                        <small>${this.describeSchedule(order)} · ${status}</small>
+                        <div class="scheduled-actions">${actions}</div>
+                    </div>
+                    <div class="transfer-amount negative">-${Money.format(order.amount, order.currency)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Pause, resume, edit or cancel a standing order
+     */
+    async manageStandingOrder(orderId, action) {
+        try {
+            const userId = this.currentUser.id;
+
+            if (action === 'edit') {
+                const order = dataManager.getStandingOrders(userId).find(item => item.id === orderId);
+                const amount = prompt('Amount', order.amount);
+                if (amount === null) return;
+                const nextRunDate = prompt('Next payment date (YYYY-MM-DD)', order.nextRunDate);
+                if (nextRunDate === null) return;
+
+                dataManager.updateStandingOrder(orderId, userId, { amount: Number(amount), nextRunDate: nextRunDate.trim() });
+                await this.showSuccess('Scheduled transfer updated.');
+            } else if (action === 'cancel') {
+                if (!confirm('Cancel this scheduled transfer? No further payments will be made.')) return;
+
+                dataManager.setStandingOrderStatus(orderId, userId, 'cancelled');
+                await this.showSuccess('Scheduled transfer cancelled.');
+            } else {
+                dataManager.setStandingOrderStatus(orderId, userId, action === 'pause' ? 'paused' : 'active');
+                await this.showSuccess(action === 'pause' ? 'Scheduled transfer paused.' : 'Scheduled transfer resumed.');
+            }
+
+            await this.updateScheduledTransfers();
+        } catch (error) {
+            console.error('❌ Standing order update failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * Show messages left for the user, such as failed standing orders, once
+     */
+    async showNotifications() {
+        if (!this.currentUser || !window.finSimApp) return;
+
+        const unread = dataManager.getNotifications(this.currentUser.id, { unreadOnly: true });
+        if (unread.length === 0) return;
+
+        dataManager.markNotificationsRead(this.currentUser.id);
+        for (const notification of unread.reverse()) {
+            await finSimApp.showNotification(notification.message, notification.type);
+        }
+    }
+
     /**
      * Utility method for debouncing
      */
@@ -568,7 +904,8 @@ class TransactionsManager {
         const types = {
             'checking': 'Checking Account',
             'savings': 'Savings Account', 
-            'investment': 'Investment Account'
+            'investment': 'Investment Account',
+            'loan': 'Loan Account'
         };
         return types[type] || type;
     }
@@ -593,6 +930,7 @@ class DashboardManager {
         this.recentTransactions = [];
         this.isInitialized = false;
         this.transactionsManager = new TransactionsManager();
+        this.revealedCards = new Set(); // Card details are only shown on demand and never kept past the page
     }
 
     /**
@@ -607,12 +945,20 @@ class DashboardManager {
                 throw new Error('Required dependencies not available');
             }
 
+            // Wait for the session to be restored from storage
+            await authManager.ready;
+
             await this.loadUserData();
             await this.loadUserAccounts();
             await this.loadRecentTransactions();
             await this.updateUI();
             this.setupEventListeners();
             this.setupTransferForm();
+            this.setupAccountsPage();
+            this.setupAccountPage();
+            this.setupCardsPage();
+            this.setupLoansPage();
+            await this.showNotifications();
 
             // Initialize transactions manager if on transactions page
             if (this.getCurrentPage() === 'transactions') {
@@ -635,8 +981,11 @@ class DashboardManager {
         
         if (path.includes('/dashboard/dashboard.html')) return 'dashboard';
         if (path.includes('/dashboard/accounts.html')) return 'accounts';
+        if (path.includes('/dashboard/account.html')) return 'account';
         if (path.includes('/dashboard/transfer.html')) return 'transfer';
         if (path.includes('/dashboard/transactions.html')) return 'transactions';
+        if (path.includes('/dashboard/cards.html')) return 'cards';
+        if (path.includes('/dashboard/loans.html')) return 'loans';
         return 'unknown';
     }
 
@@ -668,7 +1017,8 @@ class DashboardManager {
                 throw new Error('No user data available');
             }
 
-            this.userAccounts = dataManager.getAccountsByUserId(this.currentUser.id);
+            // Loan accounts are shown with their loans, not as money to spend
+            this.userAccounts = dataManager.getAccountsByUserId(this.currentUser.id).filter(account => account.type !== 'loan');
             console.log('💰 User accounts loaded:', this.userAccounts.length);
             
         } catch (error) {
@@ -686,7 +1036,7 @@ class DashboardManager {
                 throw new Error('No user data available');
             }
 
-            this.recentTransactions = dataManager.getRecentTransactions(this.currentUser.id, 5);
+            this.recentTransactions = await dataManager.getRecentTransactions(this.currentUser.id, 5);
             console.log('📊 Recent transactions loaded:', this.recentTransactions.length);
             
         } catch (error) {
@@ -702,6 +1052,10 @@ class DashboardManager {
         try {
             await this.updateUserProfile();
             await this.updateAccountCards();
+            await this.updateInterestProjection();
+            await this.updateAccountDetail();
+            await this.updateCards();
+            await this.updateLoans();
             await this.updateDashboardStats();
             await this.updateRecentTransactions();
             await this.updateSidebar();
@@ -767,6 +1121,30 @@ class DashboardManager {
         await this.populateAccountDropdowns();
         await this.updateMyAccountsIBANs();
         await this.updateRecentTransfersList();
+        await this.updateScheduledTransfers();
+        await this.updateSavedPayees();
+        await this.updateTransferLimits();
+    }
+
+    /**
+     * Show the user's transfer limits and what is left of them (transfer page)
+     */
+    async updateTransferLimits() {
+        const container = document.getElementById('transferLimits');
+        if (!container || !this.currentUser) return;
+
+        const remaining = dataManager.getRemainingTransferLimits(this.currentUser.id);
+        const { limits } = remaining;
+        const format = value => Money.format(value, limits.currency);
+
+        document.getElementById('limitPerTransaction').textContent = format(limits.perTransaction);
+        document.getElementById('limitDaily').textContent = `${remaining.daily.format()} left of ${format(limits.daily)}`;
+        document.getElementById('limitWeekly').textContent = `${remaining.weekly.format()} left of ${format(limits.weekly)}`;
+        document.getElementById('limitPerHour').textContent = `${remaining.usage.lastHour} of ${limits.perHour}`;
+
+        const available = document.getElementById('limitAvailable');
+        available.textContent = remaining.available.format();
+        available.className = remaining.available.isPositive() ? 'positive' : 'negative';
     }
 
     /**
@@ -778,6 +1156,10 @@ class DashboardManager {
         
         if (!fromAccountSelect || !toAccountSelect) return;
 
+        // Keep the current selection across re-renders
+        const selectedFrom = fromAccountSelect.value;
+        const selectedTo = toAccountSelect.value;
+
         // Clear existing options (keep first option)
         while (fromAccountSelect.children.length > 1) {
             fromAccountSelect.removeChild(fromAccountSelect.lastChild);
@@ -790,12 +1172,12 @@ class DashboardManager {
         this.userAccounts.forEach(account => {
             const optionFrom = document.createElement('option');
             optionFrom.value = account.id;
-            optionFrom.textContent = `${this.getAccountTypeDisplay(account.type)} (${account.maskedAccountNumber}) - ${account.formatBalance()}`;
+            optionFrom.textContent = `${account.displayName} (${account.maskedAccountNumber}) - ${account.formatBalance()}`;
             fromAccountSelect.appendChild(optionFrom);
 
             const optionTo = document.createElement('option');
             optionTo.value = account.id;
-            optionTo.textContent = `My ${this.getAccountTypeDisplay(account.type)} (${account.maskedAccountNumber})`;
+            optionTo.textContent = `My ${account.displayName} (${account.maskedAccountNumber}) - ${account.currency}`;
             toAccountSelect.appendChild(optionTo);
         });
 
@@ -804,6 +1186,10 @@ class DashboardManager {
         anotherUserOption.value = 'external';
         anotherUserOption.textContent = 'Another User';
         toAccountSelect.appendChild(anotherUserOption);
+
+        // The accounts page links here with the account to send from
+        fromAccountSelect.value = selectedFrom || new URLSearchParams(window.location.search).get('from') || '';
+        toAccountSelect.value = selectedTo;
     }
 
     /**
@@ -813,7 +1199,8 @@ class DashboardManager {
         const types = {
             'checking': 'Checking Account',
             'savings': 'Savings Account',
-            'investment': 'Investment Account'
+            'investment': 'Investment Account',
+            'loan': 'Loan Account'
         };
         return types[type] || type;
     }
@@ -835,7 +1222,7 @@ class DashboardManager {
                     <strong>${this.getAccountTypeDisplay(account.type)}</strong>
                     <span class="iban-number">${account.iban}</span>
                 </div>
-                <div class="account-balance-small">${account.formatBalance()}</div>
+                <div class="account-balance-small${account.isOverdrawn ? ' overdrawn' : ''}">${account.formatBalance()}</div>
             `;
             accountIbanList.appendChild(accountItem);
         });
@@ -871,14 +1258,11 @@ class DashboardManager {
 
             transferItem.innerHTML = `
                 <div class="transfer-details">
-                    <p>${description}</p>
+                    <p>${escapeHTML(description)}</p>
                     <small>${transaction.displayDate}</small>
                 </div>
                 <div class="transfer-amount ${isOutgoing ? 'negative' : 'positive'}">
-                    ${isOutgoing ? '-' : '+'}${new Intl.NumberFormat('en-US', {
-                        style: 'currency',
-                        currency: 'USD'
-                    }).format(transaction.amount)}
+                    ${isOutgoing ? '-' : '+'}${transaction.amountMoney.format()}
                 </div>
             `;
             recentTransfersList.appendChild(transferItem);
@@ -922,6 +1306,7 @@ class DashboardManager {
         if (ibanInput) {
             ibanInput.addEventListener('input', this.debounce(() => {
                 this.validateIBAN(ibanInput.value);
+                this.updateTransferSummary();
             }, 500));
         }
 
@@ -943,26 +1328,83 @@ class DashboardManager {
         // Transfer type changes
         if (toAccountSelect) {
             toAccountSelect.addEventListener('change', () => {
+                this.updateBalanceInfo();
                 this.updateTransferSummary();
             });
         }
 
+        // Scheduling fields for the chosen frequency
+        const whenSelect = document.getElementById('transferWhen');
+        if (whenSelect) {
+            const startDate = document.getElementById('startDate');
+            startDate.min = new Date().toISOString().slice(0, 10);
+
+            whenSelect.addEventListener('change', () => {
+                const when = whenSelect.value;
+                const repeats = ['weekly', 'monthly', 'interval'].includes(when);
+                document.getElementById('scheduleGroup').style.display = when === 'now' ? 'none' : 'block';
+                document.getElementById('dayOfMonthGroup').style.display = when === 'monthly' ? 'block' : 'none';
+                document.getElementById('intervalGroup').style.display = when === 'interval' ? 'block' : 'none';
+                document.getElementById('repeatEndGroup').style.display = repeats ? 'block' : 'none';
+                startDate.required = when !== 'now';
+                if (!startDate.value) startDate.value = startDate.min;
+            });
+        }
+
+        // Pay, rename and remove saved payees
+        const payeesList = document.getElementById('savedPayeesList');
+        if (payeesList) {
+            payeesList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-payee-action]');
+                if (button) {
+                    this.managePayee(button.dataset.payee, button.dataset.payeeAction);
+                }
+            });
+        }
+
+        // Pause, resume, edit and cancel standing orders
+        const scheduledList = document.getElementById('scheduledTransfersList');
+        if (scheduledList) {
+            scheduledList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-standing-order-action]');
+                if (button) {
+                    this.manageStandingOrder(button.dataset.standingOrder, button.dataset.standingOrderAction);
+                }
+            });
+        }
+
         console.log('✅ Transfer form setup complete');
     }
 
+    /**
+     * Whether the transfer form pays an IBAN at another bank; FinSim IBANs are internal
+     */
+    isExternalTransfer() {
+        const toAccountSelect = document.getElementById('toAccount');
+        return !!toAccountSelect && toAccountSelect.value === 'external'
+            && dataManager.isExternalIBAN(document.getElementById('ibanAccount')?.value || '');
+    }
+
     /**
      * Calculate transfer fee based on amount and type
+     * @param {Money} amount - Transfer amount
+     * @returns {Money} Fee, rounded half to even to whole cents
      */
     calculateTransferFee(amount, isExternal = false) {
-        // Internal transfer fee: 1% with $1 minimum, $5 maximum
-        if (!isExternal) {
-            const fee = Math.max(1, Math.min(amount * 0.01, 5));
-            return parseFloat(fee.toFixed(2));
+        // Same schedule processTransfer charges, maintained by admins
+        return dataManager.calculateTransferFee(amount, isExternal);
+    }
+
+    /**
+     * Parse an amount input, treating blank or invalid input as zero
+     * @returns {Money}
+     */
+    parseAmount(value, currency = 'USD') {
+        try {
+            return Money.of(value || 0, currency);
+        } catch (error) {
+            return Money.zero(currency);
         }
-        
-        // External transfer fee: 2% with $2 minimum, $15 maximum
-        const fee = Math.max(2, Math.min(amount * 0.02, 15));
-        return parseFloat(fee.toFixed(2));
     }
 
     /**
@@ -976,6 +1418,7 @@ class DashboardManager {
         const transferSummary = document.getElementById('transferSummary');
         const totalAmountElement = document.getElementById('totalAmount');
         const feeAmountElement = document.getElementById('feeAmount');
+        const conversionElement = document.getElementById('conversionSummary');
         
         console.log('🔍 Elements found:', {
             amountInput: !!amountInput,
@@ -990,30 +1433,44 @@ class DashboardManager {
             return;
         }
         
-        const amount = parseFloat(amountInput.value) || 0;
-        const isExternal = toAccountSelect.value === 'external';
+        const fromAccount = dataManager.getAccountById(document.getElementById('fromAccount')?.value);
+        const amount = this.parseAmount(amountInput.value, fromAccount ? fromAccount.currency : this.currentUser.homeCurrency);
+        const isExternal = this.isExternalTransfer();
         
-        console.log('💰 Calculation data:', { amount, isExternal });
+        console.log('💰 Calculation data:', { amount: amount.toNumber(), isExternal });
         
-        if (amount > 0) {
+        if (amount.isPositive()) {
             const fee = this.calculateTransferFee(amount, isExternal);
-            const total = amount + fee;
+            const total = amount.add(fee);
             
-            console.log('🧮 Calculated:', { fee, total });
+            console.log('🧮 Calculated:', { fee: fee.toNumber(), total: total.toNumber() });
             
             transferSummary.style.display = 'block';
             
             // Update fee display
-            feeAmountElement.textContent = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(fee);
+            feeAmountElement.textContent = fee.format();
             
             // Update total amount
-            totalAmountElement.textContent = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(total);
+            totalAmountElement.textContent = total.format();
+
+            // Show what the recipient gets when the currencies differ
+            if (conversionElement) {
+                const toAccount = toAccountSelect.value === 'external'
+                    ? dataManager.getAccountByIBAN(document.getElementById('ibanAccount')?.value || '')
+                    : dataManager.getAccountById(toAccountSelect.value);
+                conversionElement.style.display = 'none';
+
+                if (toAccount && toAccount.currency !== amount.currency) {
+                    try {
+                        const quote = dataManager.getFxQuote(amount.currency, toAccount.currency);
+                        document.getElementById('convertedAmount').textContent =
+                            `${amount.convert(quote.appliedRate, toAccount.currency).format()} (1 ${quote.from} = ${quote.appliedRate} ${quote.to})`;
+                        conversionElement.style.display = '';
+                    } catch (error) {
+                        console.error('❌ No exchange rate:', error);
+                    }
+                }
+            }
             
             console.log('✅ Summary updated');
         } else {
@@ -1036,11 +1493,22 @@ class DashboardManager {
             return;
         }
 
-        // Basic format validation
-        if (!Account.isValidIBAN(iban)) {
+        // Format and check digit validation
+        const validation = Account.validateIBAN(iban);
+        if (!validation.valid) {
             validationElement.style.display = 'block';
             validationElement.querySelector('.validation-icon').textContent = '❌';
-            validationMessage.textContent = 'Invalid IBAN format';
+            validationMessage.textContent = validation.error;
+            return;
+        }
+
+        // Saved payees were verified when they were added
+        const payee = dataManager.findPayee(this.currentUser.id, iban);
+        if (payee) {
+            validationElement.style.display = 'block';
+            validationElement.querySelector('.validation-icon').textContent = '⭐';
+            validationMessage.textContent = `Saved payee: ${payee.nickname} (${payee.recipientName})` +
+                (dataManager.needsPayeeConfirmation(payee) ? ' - first payment, you will be asked to confirm' : '');
             return;
         }
 
@@ -1055,7 +1523,10 @@ class DashboardManager {
             if (recipientAccount) {
                 const recipientUser = dataManager.getUserById(recipientAccount.userId);
                 validationElement.querySelector('.validation-icon').textContent = '✅';
-                validationMessage.textContent = `Account found: ${recipientUser?.fullName || 'Unknown User'}`;
+                validationMessage.textContent = `Account found: ${recipientUser?.fullName || 'Unknown User'} (${recipientAccount.currency})`;
+            } else if (validation.countryCode !== 'FS') {
+                validationElement.querySelector('.validation-icon').textContent = '🌍';
+                validationMessage.textContent = `${validation.country} IBAN at another bank - the external fee applies and the transfer stays pending until it settles`;
             } else {
                 validationElement.querySelector('.validation-icon').textContent = '❌';
                 validationMessage.textContent = 'Account not found';
@@ -1078,7 +1549,7 @@ class DashboardManager {
         if (!fromAccountSelect || !amountInput || !balanceInfo || !availableBalance) return;
 
         const selectedAccountId = fromAccountSelect.value;
-        const amount = parseFloat(amountInput.value) || 0;
+        const amount = amountInput.value;
 
         if (!selectedAccountId) {
             balanceInfo.style.display = 'none';
@@ -1087,11 +1558,25 @@ class DashboardManager {
 
         const account = dataManager.getAccountById(selectedAccountId);
         if (account) {
+            // Pending external transfers are held against the available balance
+            const available = dataManager.getAvailableBalance(account);
+            const money = this.parseAmount(amount, account.currency);
+            const total = money.isPositive()
+                ? money.add(this.calculateTransferFee(money, this.isExternalTransfer()))
+                : money;
+
+            const spendable = dataManager.getSpendableBalance(account);
+
             balanceInfo.style.display = 'block';
-            availableBalance.textContent = account.formatBalance();
+            availableBalance.textContent = available.equals(account.balanceMoney)
+                ? available.format()
+                : `${available.format()} (balance ${account.formatBalance()})`;
+            if (!spendable.equals(available)) {
+                availableBalance.textContent += ` - up to ${spendable.format()} with overdraft`;
+            }
             
-            // Highlight if insufficient funds
-            if (amount > account.balance) {
+            // Highlight if insufficient funds, fee included
+            if (spendable.lessThan(total)) {
                 balanceInfo.style.color = 'var(--error-color)';
             } else {
                 balanceInfo.style.color = 'var(--success-color)';
@@ -1130,16 +1615,23 @@ class DashboardManager {
         try {
             const fromAccountId = formData.get('fromAccount');
             const toAccountValue = formData.get('toAccount');
-            const amount = parseFloat(formData.get('amount'));
+            const fromAccount = dataManager.getAccountById(fromAccountId);
+            const amount = this.parseAmount(formData.get('amount'), fromAccount ? fromAccount.currency : 'USD');
             const description = formData.get('description') || '';
             const recipientEmail = formData.get('externalAccount');
             const recipientIBAN = formData.get('ibanAccount');
 
             // Validate inputs
-            if (!fromAccountId || !toAccountValue || !amount || amount <= 0) {
+            if (!fromAccount || !toAccountValue || !amount.isPositive()) {
                 throw new Error('Please fill all required fields correctly');
             }
 
+            const when = formData.get('when') || 'now';
+            if (when !== 'now') {
+                await this.scheduleTransfer(formData, fromAccount, toAccountValue === 'external' ? recipientIBAN : toAccountValue, amount, description);
+                return;
+            }
+
             let transferResult;
 
             if (toAccountValue === 'external') {
@@ -1148,15 +1640,19 @@ class DashboardManager {
                     throw new Error('Please enter recipient IBAN');
                 }
 
-                if (!Account.isValidIBAN(recipientIBAN)) {
-                    throw new Error('Invalid IBAN format');
+                const validation = Account.validateIBAN(recipientIBAN);
+                if (!validation.valid) {
+                    throw new Error(validation.error);
                 }
 
+                if (!this.confirmNewPayee(recipientIBAN)) return;
+
                 transferResult = await dataManager.processTransfer(
                     fromAccountId,
                     recipientIBAN,
                     amount,
-                    description
+                    description,
+                    { payeeConfirmed: true }
                 );
 
             } else {
@@ -1171,7 +1667,12 @@ class DashboardManager {
 
             if (transferResult.success) {
                 // ✅ REDIRECT TO SUCCESS PAGE
-                const successUrl = `transfer-success.html?amount=${amount}`;
+                let successUrl = `transfer-success.html?amount=${amount.toNumber()}&currency=${amount.currency}&fee=${transferResult.fee}&status=${transferResult.status}`;
+
+                // Offer to save recipients who are not payees yet
+                if (toAccountValue === 'external' && !dataManager.findPayee(this.currentUser.id, recipientIBAN)) {
+                    successUrl += `&iban=${encodeURIComponent(recipientIBAN)}`;
+                }
                 window.location.href = successUrl;
                 
             } else {
@@ -1200,32 +1701,931 @@ class DashboardManager {
     }
 
     /**
-     * Update account cards with real account data
+     * Render a card for each of the user's open accounts (accounts page)
      */
     async updateAccountCards() {
-        const accountCards = document.querySelectorAll('.account-card');
-        
-        this.userAccounts.forEach((account, index) => {
-            if (accountCards[index]) {
-                const balanceElement = accountCards[index].querySelector('.balance-amount');
-                const accountNumberElement = accountCards[index].querySelector('.account-number');
-                const accountTypeElement = accountCards[index].querySelector('.account-type');
-
-                if (balanceElement) {
-                    balanceElement.textContent = account.formatBalance();
-                }
+        const grid = document.getElementById('accountsGrid');
+        if (!grid) return;
 
-                if (accountNumberElement) {
-                    accountNumberElement.textContent = account.maskedAccountNumber;
+        const accountsCount = document.getElementById('accountsCount');
+        const accountsTotal = document.getElementById('accountsTotal');
+        if (accountsCount) accountsCount.textContent = this.userAccounts.length;
+        if (accountsTotal) accountsTotal.textContent = dataManager.sumBalances(this.userAccounts, this.currentUser.homeCurrency).format();
+
+        if (this.userAccounts.length === 0) {
+            grid.innerHTML = '<div class="empty-state">You have no open accounts. Open one below.</div>';
+            return;
+        }
+
+        grid.innerHTML = this.userAccounts.map((account, index) => {
+            // Show what can be spent while external transfers are pending, and any overdraft
+            const available = dataManager.getAvailableBalance(account);
+            const notes = [];
+            if (account.isOverdrawn) notes.push('Overdrawn');
+            if (!available.equals(account.balanceMoney)) notes.push(`Available: ${available.format()}`);
+            if (account.overdraftLimit > 0) notes.push(`Overdraft limit: ${account.overdraftLimitMoney.format()}`);
+
+            const others = this.userAccounts.filter(other => other.id !== account.id);
+
+            return `
+                <div class="account-card ${index === 0 ? 'primary' : ''}" data-account-id="${account.id}">
+                    <div class="account-header">
+                        <h3>${escapeHTML(account.displayName)}</h3>
+                        <span class="account-type">${account.type.charAt(0).toUpperCase() + account.type.slice(1)} · ${account.currency}</span>
+                    </div>
+                    <div class="account-balance">
+                        <p class="balance-amount ${account.isOverdrawn ? 'overdrawn' : ''}">${account.formatBalance()}</p>
+                        <p class="available-amount">${notes.join(' · ')}</p>
+                        <p class="account-number">${account.maskedAccountNumber} · ${account.iban}</p>
+                    </div>
+                    <div class="account-actions">
+                        <a href="account.html?id=${account.id}" class="btn btn-small">View Details</a>
+                        <a href="transfer.html?from=${account.id}" class="btn btn-small btn-secondary">Transfer</a>
+                        <button type="button" class="btn btn-small btn-secondary" data-account-action="rename">Rename</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-account-action="close">Close</button>
+                    </div>
+                    <div class="account-close-panel" style="display: none;">
+                        <p class="available-amount">Move the remaining balance to:</p>
+                        <select data-close-target>
+                            ${others.map(other => `<option value="${other.id}">${escapeHTML(other.displayName)} (${other.maskedAccountNumber}) - ${other.currency}</option>`).join('')}
+                        </select>
+                        <button type="button" class="btn btn-small btn-primary" data-account-action="confirm-close">Move Balance and Close</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Rename or close an account from its card (accounts page)
+     */
+    async manageAccount(accountId, action, card) {
+        try {
+            const account = dataManager.getAccountById(accountId);
+            if (!account) throw new Error('Account not found');
+
+            if (action === 'rename') {
+                const nickname = prompt('Nickname (leave blank to use the account type)', account.nickname || '');
+                if (nickname === null) return;
+
+                dataManager.renameAccount(accountId, this.currentUser.id, nickname);
+                await this.showSuccess('Account renamed.');
+            } else if (action === 'close' && account.balanceMoney.add(Money.of(account.interestAccrued, account.currency)).isPositive()) {
+                // The balance, with interest earned so far, has to go somewhere first
+                const panel = card.querySelector('.account-close-panel');
+                if (!card.querySelector('[data-close-target] option')) {
+                    throw new Error('Move the balance out or open another account before closing this one');
                 }
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+                return;
+            } else if (action === 'close' || action === 'confirm-close') {
+                const target = action === 'confirm-close' ? card.querySelector('[data-close-target]').value : null;
+                if (!confirm(`Close ${account.displayName} (${account.maskedAccountNumber})? Scheduled transfers from it will be cancelled.`)) return;
+
+                const { moved } = await dataManager.closeAccount(accountId, this.currentUser.id, { sweepToAccountId: target });
+                await this.showSuccess(moved ? `Account closed. ${moved.format()} was moved to your other account.` : 'Account closed.');
+            }
+
+            await this.loadUserAccounts();
+            await this.updateAccountCards();
+            await this.updateInterestProjection();
+        } catch (error) {
+            console.error('❌ Account update failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open accounts and manage them from their cards (accounts page)
+     */
+    setupAccountsPage() {
+        const grid = document.getElementById('accountsGrid');
+        const form = document.getElementById('openAccountForm');
+        if (!grid || !form) return;
+
+        document.getElementById('newAccountCurrency').innerHTML = SUPPORTED_CURRENCIES
+            .map(currency => `<option value="${currency}" ${currency === this.currentUser.homeCurrency ? 'selected' : ''}>${currency}</option>`)
+            .join('');
+
+        grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-account-action]');
+            if (button) {
+                const card = button.closest('[data-account-id]');
+                this.manageAccount(card.dataset.accountId, button.dataset.accountAction, card);
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const account = dataManager.openAccount(this.currentUser.id, {
+                    type: form.elements.type.value,
+                    currency: form.elements.currency.value,
+                    nickname: form.elements.nickname.value
+                });
+                form.elements.nickname.value = '';
+                await this.loadUserAccounts();
+                await this.updateAccountCards();
+                await this.updateInterestProjection();
+                await this.showSuccess(`${account.displayName} opened. Its IBAN is ${account.iban}.`);
+            } catch (error) {
+                console.error('❌ Opening account failed:', error);
+                await this.showError(error.message);
+            }
+        });
+    }
 
-                if (accountTypeElement) {
-                    accountTypeElement.textContent = account.type.charAt(0).toUpperCase() + account.type.slice(1);
+    /**
+     * Show what each interest-bearing account is on course to earn (accounts page)
+     */
+    async updateInterestProjection() {
+        const container = document.getElementById('interestProjection');
+        if (!container) return;
+
+        const projections = this.userAccounts
+            .map(account => ({ account, projection: dataManager.projectInterest(account) }))
+            .filter(item => item.projection);
+
+        if (projections.length === 0) {
+            container.innerHTML = '<p class="transaction-date">None of your accounts earns interest.</p>';
+            return;
+        }
+
+        container.innerHTML = projections.map(({ account, projection }) => `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-icon">💰</div>
+                    <div>
+                        <p class="transaction-desc">${this.getAccountTypeDisplay(account.type)} (${account.maskedAccountNumber}) · ${(projection.apy * 100).toFixed(2)}% APY</p>
+                        <p class="transaction-date">
+                            ${projection.accrued.format()} earned this month${projection.nextPosting ? ` · about ${projection.nextPosting.amount.format()} paid on ${new Date(projection.nextPosting.date).toLocaleDateString()}` : ''}
+                        </p>
+                    </div>
+                </div>
+                <div class="transaction-amount positive" title="Projected over the next 12 months at the current balance">+${projection.nextYear.format()} / year</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Issue cards, manage them from their tiles and pay with them at the simulated
+     * point of sale (cards page)
+     */
+    setupCardsPage() {
+        const grid = document.getElementById('cardsGrid');
+        const issueForm = document.getElementById('issueCardForm');
+        const purchaseForm = document.getElementById('cardPurchaseForm');
+        if (!grid || !issueForm || !purchaseForm) return;
+
+        document.getElementById('purchaseCategory').innerHTML = Object.entries(CARD_MERCHANT_CATEGORIES)
+            .map(([key, category]) => `<option value="${key}">${category.name}</option>`)
+            .join('');
+        document.getElementById('purchaseCurrency').innerHTML = SUPPORTED_CURRENCIES
+            .map(currency => `<option value="${currency}" ${currency === this.currentUser.homeCurrency ? 'selected' : ''}>${currency}</option>`)
+            .join('');
+
+        grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-card-action]');
+            if (button) {
+                const tile = button.closest('[data-card-id]');
+                this.manageCard(tile.dataset.cardId, button.dataset.cardAction, tile);
+            }
+        });
+
+        issueForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const card = dataManager.issueCard(this.currentUser.id, issueForm.elements.accountId.value, {
+                    nameOnCard: issueForm.elements.nameOnCard.value
+                });
+                issueForm.elements.nameOnCard.value = '';
+                await this.updateCards();
+                await this.showSuccess(`Card ending ${card.number.slice(-4)} issued. It is ready to use.`);
+            } catch (error) {
+                console.error('❌ Issuing card failed:', error);
+                await this.showError(error.message);
+            }
+        });
+
+        // Filling the terminal in from a card saves copying its details across
+        document.getElementById('purchaseCard').addEventListener('change', (e) => {
+            const card = storage.getRecord('cards', e.target.value);
+            if (!card || card.userId !== this.currentUser.id) return;
+
+            purchaseForm.elements.number.value = card.number;
+            purchaseForm.elements.expiry.value = this.formatCardExpiry(card);
+            purchaseForm.elements.cvv.value = card.cvv;
+        });
+
+        purchaseForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const result = await dataManager.cardPurchase({
+                number: purchaseForm.elements.number.value,
+                expiry: purchaseForm.elements.expiry.value,
+                cvv: purchaseForm.elements.cvv.value,
+                merchant: purchaseForm.elements.merchant.value,
+                merchantCategory: purchaseForm.elements.merchantCategory.value,
+                amount: parseFloat(purchaseForm.elements.amount.value),
+                currency: purchaseForm.elements.currency.value
+            });
+
+            if (!result.success) {
+                await this.showError(result.error);
+                return;
+            }
+
+            const { transaction } = result;
+            purchaseForm.elements.amount.value = '';
+            await this.showSuccess(`Approved: ${Money.format(transaction.amount, transaction.currency)} at ${transaction.card.merchant}.`);
+        });
+    }
+
+    formatCardExpiry(card) {
+        return `${String(card.expiryMonth).padStart(2, '0')}/${String(card.expiryYear).slice(-2)}`;
+    }
+
+    /**
+     * Card tiles with what each has spent today, and the forms' card and account choices (cards page)
+     */
+    async updateCards() {
+        const grid = document.getElementById('cardsGrid');
+        if (!grid) return;
+
+        const cards = dataManager.getCards(this.currentUser.id);
+        const live = cards.filter(card => card.status !== 'cancelled');
+        const baseCurrency = dataManager.getFxTable().baseCurrency;
+
+        document.getElementById('cardAccount').innerHTML = this.userAccounts
+            .map(account => `<option value="${account.id}">${escapeHTML(account.displayName)} (${account.maskedAccountNumber}) - ${account.currency}</option>`)
+            .join('');
+        document.getElementById('purchaseCard').innerHTML = '<option value="">Type the details in</option>' + live
+            .map(card => `<option value="${card.id}">${dataManager.maskCardNumber(card.number)} - ${escapeHTML(card.nameOnCard)}</option>`)
+            .join('');
+
+        if (cards.length === 0) {
+            grid.innerHTML = '<div class="empty-state">You have no cards yet. Get one below.</div>';
+            return;
+        }
+
+        grid.innerHTML = cards.map(card => {
+            const account = dataManager.getAccountById(card.accountId);
+            const revealed = this.revealedCards.has(card.id) && card.status !== 'cancelled';
+            const number = revealed ? card.number.replace(/(\d{4})(?=\d)/g, '$1 ') : `**** **** ${dataManager.maskCardNumber(card.number)}`;
+            const notes = [
+                revealed ? `Expires ${this.formatCardExpiry(card)} · CVV ${card.cvv}` : `Expires ${this.formatCardExpiry(card)}`,
+                `${account ? escapeHTML(account.displayName) : 'Closed account'}${account ? ` (${account.maskedAccountNumber})` : ''}`
+            ];
+            const status = card.status === 'active' ? 'Active' : card.status === 'frozen' ? 'Frozen' : `Cancelled on ${new Date(card.cancelledAt).toLocaleDateString()}`;
+
+            if (card.status === 'cancelled') {
+                return `
+                    <div class="account-card cancelled" data-card-id="${card.id}">
+                        <div class="account-header">
+                            <h3>${escapeHTML(card.nameOnCard)}</h3>
+                            <span class="account-type">${status}</span>
+                        </div>
+                        <div class="account-balance">
+                            <p class="card-number">${number}</p>
+                            <p class="account-number">${notes[1]}</p>
+                        </div>
+                    </div>
+                `;
+            }
+
+            const spent = dataManager.getCardSpending(card);
+            const blocked = card.blockedCategories.map(key => CARD_MERCHANT_CATEGORIES[key].name);
+
+            return `
+                <div class="account-card ${card.status === 'frozen' ? 'frozen' : 'primary'}" data-card-id="${card.id}">
+                    <div class="account-header">
+                        <h3>${escapeHTML(card.nameOnCard)}</h3>
+                        <span class="account-type">Debit · ${status}</span>
+                    </div>
+                    <div class="account-balance">
+                        <p class="card-number">${number}</p>
+                        ${notes.map(note => `<p class="account-number">${note}</p>`).join('')}
+                        <p class="available-amount">
+                            ${spent.format()} of ${Money.format(card.limits.daily, baseCurrency)} spent today · up to ${Money.format(card.limits.perPurchase, baseCurrency)} a purchase
+                        </p>
+                        <p class="available-amount">${blocked.length > 0 ? `Blocked: ${blocked.join(', ')}` : 'No merchant categories blocked'}</p>
+                    </div>
+                    <div class="account-actions card-actions">
+                        <button type="button" class="btn btn-small" data-card-action="reveal">${revealed ? 'Hide Details' : 'Show Details'}</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-card-action="${card.status === 'frozen' ? 'unfreeze' : 'freeze'}">${card.status === 'frozen' ? 'Unfreeze' : 'Freeze'}</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-card-action="limits">Limits</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-card-action="blocks">Blocks</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-card-action="cancel">Cancel</button>
+                    </div>
+                    <div class="account-close-panel card-blocks" style="display: none;">
+                        <p class="available-amount">Decline purchases at:</p>
+                        ${Object.entries(CARD_MERCHANT_CATEGORIES).map(([key, category]) => `
+                            <label><input type="checkbox" data-block-category="${key}" ${card.blockedCategories.includes(key) ? 'checked' : ''}> ${category.name}</label>
+                        `).join('')}
+                        <button type="button" class="btn btn-small btn-primary" data-card-action="save-blocks">Save Blocks</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Reveal, freeze, limit, block or cancel a card from its tile (cards page)
+     */
+    async manageCard(cardId, action, tile) {
+        try {
+            const card = storage.getRecord('cards', cardId);
+            if (!card || card.userId !== this.currentUser.id) throw new Error('Card not found');
+            const baseCurrency = dataManager.getFxTable().baseCurrency;
+
+            if (action === 'reveal') {
+                if (this.revealedCards.has(cardId)) {
+                    this.revealedCards.delete(cardId);
+                } else {
+                    this.revealedCards.add(cardId);
                 }
+            } else if (action === 'freeze' || action === 'unfreeze') {
+                dataManager.setCardFrozen(cardId, this.currentUser.id, action === 'freeze');
+                await this.showSuccess(action === 'freeze' ? 'Card frozen. Purchases will be declined until you unfreeze it.' : 'Card unfrozen.');
+            } else if (action === 'limits') {
+                const perPurchase = prompt(`Most a single purchase can be (${baseCurrency})`, card.limits.perPurchase);
+                if (perPurchase === null) return;
+                const daily = prompt(`Most the card can spend a day (${baseCurrency})`, card.limits.daily);
+                if (daily === null) return;
+
+                dataManager.setCardLimits(cardId, this.currentUser.id, { perPurchase, daily });
+                await this.showSuccess('Card limits updated.');
+            } else if (action === 'blocks') {
+                const panel = tile.querySelector('.card-blocks');
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+                return;
+            } else if (action === 'save-blocks') {
+                const categories = [...tile.querySelectorAll('[data-block-category]:checked')].map(input => input.dataset.blockCategory);
+                dataManager.setCardBlockedCategories(cardId, this.currentUser.id, categories);
+                await this.showSuccess('Merchant category blocks saved.');
+            } else if (action === 'cancel') {
+                if (!confirm(`Cancel the card ending ${card.number.slice(-4)}? This cannot be undone.`)) return;
+
+                dataManager.cancelCard(cardId, { userId: this.currentUser.id });
+                this.revealedCards.delete(cardId);
+                await this.showSuccess('Card cancelled.');
+            }
+
+            await this.updateCards();
+        } catch (error) {
+            console.error('❌ Card update failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * Apply for loans with a preview of the repayments, and pay them off early (loans page)
+     */
+    setupLoansPage() {
+        const list = document.getElementById('loansList');
+        const form = document.getElementById('loanApplicationForm');
+        if (!list || !form) return;
+
+        document.getElementById('loanTerm').innerHTML = LOAN_SETTINGS.termsInMonths
+            .map(months => `<option value="${months}">${months} months</option>`)
+            .join('');
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-loan-action]');
+            if (button) {
+                const card = button.closest('[data-loan-id]');
+                this.manageLoan(card.dataset.loanId, button.dataset.loanAction, card);
+            }
+        });
+
+        form.addEventListener('input', () => this.updateLoanPreview());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const loan = dataManager.applyForLoan(this.currentUser.id, {
+                    accountId: form.elements.accountId.value,
+                    amount: parseFloat(form.elements.amount.value),
+                    termMonths: parseInt(form.elements.termMonths.value, 10),
+                    method: form.elements.method.value
+                });
+                form.elements.amount.value = '';
+                this.updateLoanPreview();
+                await this.updateLoans();
+                await this.showSuccess(`Your application for ${Money.format(loan.amount, loan.currency)} was sent. We will let you know once it has been decided.`);
+            } catch (error) {
+                console.error('❌ Loan application failed:', error);
+                await this.showError(error.message);
             }
         });
     }
 
+    /**
+     * What the loan being applied for would cost, from its repayment schedule (loans page)
+     */
+    updateLoanPreview() {
+        const form = document.getElementById('loanApplicationForm');
+        const preview = document.getElementById('loanPreview');
+        const account = dataManager.getAccountById(form.elements.accountId.value);
+        const amount = parseFloat(form.elements.amount.value);
+        if (!account || !(amount > 0)) {
+            preview.textContent = `${(LOAN_SETTINGS.annualRate * 100).toFixed(2)}% a year, repaid monthly.`;
+            return;
+        }
+
+        const schedule = dataManager.getAmortizationSchedule({
+            amount: amount,
+            currency: account.currency,
+            annualRate: LOAN_SETTINGS.annualRate,
+            termMonths: parseInt(form.elements.termMonths.value, 10),
+            method: form.elements.method.value
+        }, new Date().toISOString().slice(0, 10));
+        const first = Money.of(schedule[0].payment, account.currency);
+        const last = Money.of(schedule[schedule.length - 1].payment, account.currency);
+        const interest = Money.sum(schedule.map(installment => installment.interest), account.currency);
+
+        preview.textContent = `${(LOAN_SETTINGS.annualRate * 100).toFixed(2)}% a year: ${form.elements.method.value === 'linear' ? `from ${first.format()} down to ${last.format()}` : `${first.format()}`} a month, ${interest.format()} interest in total.`;
+    }
+
+    /**
+     * The customer's loans with what is still owed, the next repayment and the
+     * repayment schedule (loans page)
+     */
+    async updateLoans() {
+        const list = document.getElementById('loansList');
+        if (!list) return;
+
+        const checking = this.userAccounts.filter(account => account.type === 'checking');
+        const select = document.getElementById('loanAccount');
+        const selected = select.value;
+        select.innerHTML = checking
+            .map(account => `<option value="${account.id}" ${account.id === selected ? 'selected' : ''}>${escapeHTML(account.displayName)} (${account.maskedAccountNumber}) - ${account.currency}</option>`)
+            .join('');
+        this.updateLoanPreview();
+
+        const loans = dataManager.getLoans(this.currentUser.id);
+        if (loans.length === 0) {
+            list.innerHTML = '<div class="empty-state">You have no loans. Apply for one below.</div>';
+            return;
+        }
+
+        const statuses = { pending: 'Waiting for a decision', active: 'Active', rejected: 'Not approved', paid_off: 'Paid off' };
+        list.innerHTML = loans.map(loan => {
+            const money = amount => Money.format(amount, loan.currency);
+            const next = dataManager.getNextRepayment(loan);
+            const details = [
+                ['Outstanding Principal', dataManager.getOutstandingPrincipal(loan).format()],
+                ['Next Repayment', next ? `${money(next.payment + next.lateFee)} on ${next.dueDate}${next.status === 'late' ? ' (late)' : ''}` : '-'],
+                ['Interest Rate', `${(loan.annualRate * 100).toFixed(2)}% a year`],
+                ['Repayments', `${loan.termMonths} months, ${loan.method}`]
+            ];
+            const status = loan.status === 'rejected' && loan.note ? `${statuses.rejected}: ${escapeHTML(loan.note)}` : statuses[loan.status];
+
+            return `
+                <div class="content-card" data-loan-id="${loan.id}">
+                    <div class="card-header">
+                        <h3>Loan of ${money(loan.amount)}</h3>
+                        <span class="account-type">${status}</span>
+                    </div>
+                    <div class="stats-overview">
+                        ${details.map(([label, value]) => `
+                            <div class="stat-item">
+                                <span class="stat-label">${label}</span>
+                                <span class="stat-value">${value}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${loan.schedule.length === 0 ? '' : `
+                        <div class="account-actions">
+                            <button type="button" class="btn btn-small btn-secondary" data-loan-action="schedule">Repayment Schedule</button>
+                            ${loan.loanAccountId ? `<a href="account.html?id=${loan.loanAccountId}" class="btn btn-small btn-secondary">Loan Account</a>` : ''}
+                            ${loan.status === 'active' ? '<button type="button" class="btn btn-small" data-loan-action="quote">Pay Off Early</button>' : ''}
+                        </div>
+                        <div class="loan-panel" data-loan-panel="quote" style="display: none;"></div>
+                        <div class="transactions-list loan-panel" data-loan-panel="schedule" style="display: none;">
+                            <div class="transaction-header loan-schedule">
+                                <span>Due</span>
+                                <span>Payment</span>
+                                <span>Principal</span>
+                                <span>Interest</span>
+                                <span>Balance</span>
+                                <span>Status</span>
+                            </div>
+                            ${loan.schedule.map(installment => `
+                                <div class="transaction-row loan-schedule">
+                                    <div class="transaction-date">
+                                        <p>${installment.number}. ${installment.dueDate}</p>
+                                        ${installment.paidAt ? `<p>Paid ${new Date(installment.paidAt).toLocaleDateString()}</p>` : ''}
+                                    </div>
+                                    <div class="transaction-amount">${money(installment.payment)}${installment.lateFee > 0 ? ` + ${money(installment.lateFee)} late fee` : ''}</div>
+                                    <div class="transaction-amount">${money(installment.principal)}</div>
+                                    <div class="transaction-amount">${money(installment.interest)}</div>
+                                    <div class="transaction-amount">${money(installment.balance)}</div>
+                                    <div class="transaction-status ${installment.status === 'late' ? 'failed' : installment.status === 'scheduled' ? 'pending' : 'settled'}">${installment.status.replace('_', ' ')}</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the schedule, or quote and pay off a loan, from its card (loans page)
+     */
+    async manageLoan(loanId, action, card) {
+        try {
+            if (action === 'schedule') {
+                const panel = card.querySelector('[data-loan-panel="schedule"]');
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+                return;
+            }
+
+            if (action === 'quote') {
+                const quote = dataManager.getPayoffQuote(loanId);
+                const panel = card.querySelector('[data-loan-panel="quote"]');
+                panel.innerHTML = `
+                    <p class="available-amount">
+                        Paying off today takes ${quote.total.format()}: ${quote.principal.format()} principal, ${quote.interest.format()} interest${quote.lateFees.isPositive() ? ` and ${quote.lateFees.format()} late fees` : ''}. This quote is for today only.
+                    </p>
+                    <button type="button" class="btn btn-small btn-primary" data-loan-action="pay-off">Pay ${quote.total.format()} Now</button>
+                `;
+                panel.style.display = 'block';
+                return;
+            }
+
+            if (action === 'pay-off') {
+                const quote = dataManager.getPayoffQuote(loanId);
+                if (!confirm(`Pay ${quote.total.format()} from your checking account to pay this loan off?`)) return;
+
+                const result = await dataManager.payOffLoan(loanId, this.currentUser.id);
+                if (!result.success) throw new Error(result.error);
+
+                await this.loadUserAccounts();
+                await this.updateLoans();
+                await this.showSuccess(`Loan paid off with ${result.quote.total.format()}.`);
+            }
+        } catch (error) {
+            console.error('❌ Loan update failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * The account shown on the account detail page, from ?id=
+     */
+    getDetailAccount() {
+        const accountId = new URLSearchParams(window.location.search).get('id');
+        const account = accountId ? dataManager.getAccountById(accountId) : null;
+        return account && account.userId === this.currentUser.id ? account : null;
+    }
+
+    /**
+     * Copy the IBAN and switch statement months (account detail page)
+     */
+    setupAccountPage() {
+        const tabs = document.getElementById('statementTabs');
+        if (!tabs) return;
+
+        document.getElementById('copyIbanButton').addEventListener('click', async () => {
+            const account = this.getDetailAccount();
+            if (!account) return;
+
+            try {
+                await navigator.clipboard.writeText(account.iban);
+                await this.showSuccess('IBAN copied.');
+            } catch (error) {
+                console.error('❌ Copying IBAN failed:', error);
+                await this.showError(`Could not copy the IBAN. It is ${account.iban}`);
+            }
+        });
+
+        tabs.addEventListener('click', async (e) => {
+            const tab = e.target.closest('[data-statement-month]');
+            if (!tab) return;
+
+            this.statementMonth = tab.dataset.statementMonth;
+            await this.updateAccountDetail();
+        });
+
+        document.getElementById('statementsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-statement-action]');
+            if (button) {
+                this.openStatement(button.dataset.statementId, button.dataset.statementAction);
+            }
+        });
+    }
+
+    /**
+     * Account information, balance chart and the chosen statement month (account detail page)
+     */
+    async updateAccountDetail() {
+        const card = document.getElementById('accountDetailCard');
+        if (!card) return;
+
+        const account = this.getDetailAccount();
+        if (!account) {
+            document.querySelector('.dashboard-main').innerHTML = '<div class="empty-state">Account not found. <a href="accounts.html">Back to your accounts</a></div>';
+            return;
+        }
+
+        const available = dataManager.getAvailableBalance(account);
+        const projection = account.isActive ? dataManager.projectInterest(account) : null;
+        const linked = account.linkedAccountId ? dataManager.getAccountById(account.linkedAccountId) : null;
+
+        document.getElementById('accountDetailName').textContent = account.displayName;
+        document.getElementById('accountDetailType').textContent = `${this.getAccountTypeDisplay(account.type)} · ${account.currency}`;
+        document.getElementById('accountDetailIban').textContent = account.iban;
+
+        const balance = document.getElementById('accountDetailBalance');
+        balance.textContent = account.formatBalance();
+        balance.classList.toggle('overdrawn', account.isOverdrawn);
+        document.getElementById('accountDetailAvailable').textContent = available.equals(account.balanceMoney) ? '' : `Available: ${available.format()}`;
+
+        const details = [
+            ['Account Number', account.accountNumber],
+            ['Opened', new Date(account.createdAt).toLocaleDateString()],
+            ['Status', account.isActive ? 'Open' : `Closed on ${new Date(account.closedAt).toLocaleDateString()}`],
+            ['Overdraft Limit', account.overdraftLimit > 0 ? account.overdraftLimitMoney.format() : 'None'],
+            ['Overdraft Protection', linked ? `From ${escapeHTML(linked.displayName)} (${linked.maskedAccountNumber})` : 'Off'],
+            ['Interest', projection ? `${(projection.apy * 100).toFixed(2)}% APY` : 'None']
+        ];
+        document.getElementById('accountDetailMeta').innerHTML = details.map(([label, value]) => `
+            <div class="stat-item">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value">${value}</span>
+            </div>
+        `).join('');
+
+        this.renderBalanceSparkline(dataManager.getBalanceSeries(account));
+
+        const periods = dataManager.getStatementPeriods(account);
+        const period = periods.find(item => item.month === this.statementMonth) || periods[0];
+        const monthLabel = item => new Date(`${item.from}T00:00:00.000Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+        document.getElementById('statementTabs').innerHTML = periods.map(item => `
+            <button type="button" class="statement-tab ${item === period ? 'active' : ''}" data-statement-month="${item.month}">${monthLabel(item)}</button>
+        `).join('');
+
+        const summary = [
+            [`Opening Balance (${monthLabel(period)})`, period.opening.format()],
+            ['Money In', `+${period.moneyIn.format()}`],
+            ['Money Out', `-${period.moneyOut.format()}`],
+            [`Closing Balance (${new Date(`${period.through}T00:00:00.000Z`).toLocaleDateString('en-US', { timeZone: 'UTC' })})`, period.closing.format()]
+        ];
+        document.getElementById('statementSummary').innerHTML = summary.map(([label, value]) => `
+            <div class="stat-item">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value">${value}</span>
+            </div>
+        `).join('');
+
+        await this.renderStatementTransactions(account, period);
+        await this.updateStatementsList(account);
+    }
+
+    /**
+     * Statements made at each month end, to print or download (account detail page)
+     */
+    async updateStatementsList(account) {
+        const list = document.getElementById('statementsList');
+        if (!list) return;
+
+        const statements = dataManager.getStatements(account.id);
+        if (statements.length === 0) {
+            list.innerHTML = '<p class="transaction-date">Your first statement is made when this month ends.</p>';
+            return;
+        }
+
+        list.innerHTML = statements.map(statement => {
+            const button = (action, label) =>
+                `<button type="button" class="refund-btn" data-statement-id="${statement.id}" data-statement-action="${action}">${label}</button>`;
+            // Statements of archived months keep their lines in the archive
+            const items = statement.lines ? statement.lines.length : statement.lineCount;
+
+            return `
+                <div class="transfer-item">
+                    <div class="transfer-details">
+                        <p>${this.getStatementTitle(statement)}</p>
+                        <small>${items} item${items === 1 ? '' : 's'}${statement.revision > 1 ? ` · reissued ${new Date(statement.generatedAt).toLocaleDateString()}` : ''}</small>
+                        <div class="scheduled-actions">${button('print', 'Print')}${button('download', 'Download')}</div>
+                    </div>
+                    <div class="transfer-amount">${Money.format(statement.closing, statement.currency)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    getStatementTitle(statement) {
+        return new Date(`${statement.from}T00:00:00.000Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * Print a statement from a new window, or download it as an HTML file
+     */
+    async openStatement(statementId, action) {
+        try {
+            const statement = storage.getRecord('statements', statementId);
+            if (!statement || statement.userId !== this.currentUser.id) throw new Error('Statement not found');
+
+            const html = this.renderStatementDocument({ ...statement, lines: await transactionArchive.loadStatementLines(statement) });
+
+            if (action === 'download') {
+                const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+                const link = document.createElement('a');
+                link.setAttribute('href', URL.createObjectURL(blob));
+                link.setAttribute('download', `statement_${statement.maskedAccountNumber.slice(-4)}_${statement.month}.html`);
+                link.style.visibility = 'hidden';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                return;
+            }
+
+            const statementWindow = window.open('', '_blank');
+            if (!statementWindow) throw new Error('Allow pop-ups to print statements');
+
+            statementWindow.document.write(html);
+            statementWindow.document.close();
+            setTimeout(() => {
+                statementWindow.print();
+            }, 500);
+        } catch (error) {
+            console.error('❌ Opening statement failed:', error);
+            await this.showError(error.message);
+        }
+    }
+
+    /**
+     * A stored statement as a printable HTML document
+     */
+    renderStatementDocument(statement) {
+        const money = amount => Money.format(amount, statement.currency);
+        const date = value => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>FinSim Statement - ${statement.accountName} - ${this.getStatementTitle(statement)}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 40px; color: #333; line-height: 1.5; }
+                    .header { display: flex; justify-content: space-between; border-bottom: 3px solid #4f46e5; padding-bottom: 16px; margin-bottom: 24px; }
+                    .header h1 { color: #4f46e5; margin: 0; font-size: 28px; }
+                    .subtitle { color: #666; margin: 4px 0; }
+                    .holder { text-align: right; }
+                    .summary { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-bottom: 24px; }
+                    .summary div { background: #f8fafc; padding: 12px; border-radius: 6px; }
+                    .summary strong { display: block; font-size: 18px; color: #1e293b; }
+                    .summary span { font-size: 13px; color: #64748b; }
+                    table { width: 100%; border-collapse: collapse; }
+                    th, td { border-bottom: 1px solid #e2e8f0; padding: 8px; text-align: left; font-size: 14px; }
+                    th { background: #f1f5f9; color: #475569; }
+                    .amount { text-align: right; white-space: nowrap; }
+                    .positive { color: #10b981; }
+                    .negative { color: #dc2626; }
+                    .footer { margin-top: 32px; padding-top: 16px; border-top: 2px solid #e2e8f0; color: #64748b; font-size: 12px; text-align: center; }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <div>
+                        <h1>FinSim Bank</h1>
+                        <p class="subtitle">Account Statement · ${date(statement.from)} to ${date(statement.through)}</p>
+                    </div>
+                    <div class="holder">
+                        <strong>${statement.holderName}</strong>
+                        <p class="subtitle">${statement.accountName} (${this.getAccountTypeDisplay(statement.accountType)}, ${statement.currency})</p>
+                        <p class="subtitle">IBAN ${statement.maskedIBAN} · Account ${statement.maskedAccountNumber}</p>
+                    </div>
+                </div>
+
+                <div class="summary">
+                    <div><strong>${money(statement.opening)}</strong><span>Opening balance on ${date(statement.from)}</span></div>
+                    <div><strong class="positive">+${money(statement.moneyIn)}</strong><span>Money in</span></div>
+                    <div><strong class="negative">-${money(statement.moneyOut)}</strong><span>Money out</span></div>
+                    <div><strong>${money(statement.closing)}</strong><span>Closing balance on ${date(statement.through)}</span></div>
+                    <div><strong>${money(statement.fees)}</strong><span>Fees and overdraft interest charged</span></div>
+                    <div><strong>${money(statement.interest)}</strong><span>Interest paid</span></div>
+                </div>
+
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Description</th>
+                            <th>Reference</th>
+                            <th class="amount">Amount</th>
+                            <th class="amount">Balance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${statement.lines.length === 0 ? '<tr><td colspan="5">No transactions this month</td></tr>' : statement.lines.map(line => `
+                            <tr>
+                                <td>${date(line.date)}</td>
+                                <td>${escapeHTML(line.description)}${line.kind === 'fee' || line.kind === 'interest' ? ` <em>(${line.kind})</em>` : ''}</td>
+                                <td>${line.reference || ''}</td>
+                                <td class="amount ${line.amount < 0 ? 'negative' : 'positive'}">${line.amount < 0 ? '-' : '+'}${money(Math.abs(line.amount))}</td>
+                                <td class="amount">${money(line.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <div class="footer">
+                    <p>Statement made ${new Date(statement.generatedAt).toLocaleString()}${statement.revision > 1 ? ` (revision ${statement.revision})` : ''}</p>
+                    <p>FinSim Banking System - please check this statement and tell us about anything you do not recognise.</p>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Closing balance of each day as a line (account detail page)
+     * @param {Object[]} series - [{ day, balance }] from dataManager.getBalanceSeries
+     */
+    renderBalanceSparkline(series) {
+        const container = document.getElementById('balanceSparkline');
+        if (!container) return;
+
+        if (series.length < 2) {
+            container.innerHTML = '<p class="transaction-date">The chart starts once the account is a day old.</p>';
+            return;
+        }
+
+        const low = Money.min(...series.map(point => point.balance));
+        const high = Money.max(...series.map(point => point.balance));
+        const range = high.toNumber() - low.toNumber() || 1;
+        const points = series.map((point, index) => {
+            const x = (index / (series.length - 1)) * 300;
+            const y = 58 - ((point.balance.toNumber() - low.toNumber()) / range) * 56;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        const last = series[series.length - 1];
+
+        container.innerHTML = `
+            <svg viewBox="0 0 300 60" preserveAspectRatio="none" role="img" aria-label="Balance from ${series[0].day} to ${last.day}">
+                <polyline points="${points}" />
+            </svg>
+            <p class="transaction-date">Low ${low.format()} · High ${high.format()} · ${series[0].day} to ${last.day}</p>
+        `;
+    }
+
+    /**
+     * Transactions of a statement month with the balance after each (account detail page)
+     */
+    async renderStatementTransactions(account, period) {
+        const list = document.getElementById('accountTransactions');
+        if (!list) return;
+
+        const transactions = await dataManager.getTransactionsByAccountId(account.id, Infinity);
+        if (typeof transactionArchive !== 'undefined') {
+            try {
+                const known = new Set(transactions.map(transaction => transaction.id));
+                (await transactionArchive.loadRange(period.from, period.through, [account.id]))
+                    .filter(transaction => !known.has(transaction.id))
+                    .forEach(transaction => transactions.push(new Transaction(transaction)));
+            } catch (error) {
+                console.error('❌ Failed to load archived transactions:', error);
+            }
+        }
+
+        const inPeriod = transactions
+            .filter(transaction => transaction.timestamp.slice(0, 10) >= period.from && transaction.timestamp.slice(0, 10) <= period.through)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const balances = dataManager.getRunningBalances(account, inPeriod);
+
+        if (inPeriod.length === 0) {
+            list.innerHTML = '<div class="empty-state">No transactions this month</div>';
+            return;
+        }
+
+        list.innerHTML = inPeriod.map(transaction => {
+            const isIncome = transaction.type === 'deposit';
+            const balance = balances.get(transaction.id);
+
+            return `
+                <div class="transaction-row with-balance">
+                    <div class="transaction-desc">
+                        <div class="transaction-icon">${this.getTransactionIcon(transaction.category)}</div>
+                        <div>
+                            <p class="desc-main">${escapeHTML(transaction.description)}</p>
+                            <p class="desc-sub">${escapeHTML(transaction.recipientName || '')} ${transaction.recipientIBAN ? `(${transaction.recipientIBAN})` : ''}</p>
+                        </div>
+                    </div>
+                    <div class="transaction-date">
+                        <p>${new Date(transaction.timestamp).toLocaleDateString()}</p>
+                        <p>${new Date(transaction.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}</p>
+                    </div>
+                    <div class="transaction-amount ${isIncome ? 'positive' : 'negative'}">${isIncome ? '+' : '-'}${transaction.amountMoney.format()}</div>
+                    <div class="transaction-amount ${balance && balance.isNegative() ? 'negative' : ''}" title="${balance ? 'Balance after this transaction' : 'Not posted to the balance'}">${balance ? balance.format() : '-'}</div>
+                    <div class="transaction-status ${transaction.status}">${transaction.status}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Update dashboard statistics with real data
      */
@@ -1235,11 +2635,17 @@ class DashboardManager {
         const monthlyExpensesElement = document.querySelectorAll('.stat-amount')[2];
 
         if (totalBalanceElement) {
-            const totalBalance = this.userAccounts.reduce((total, account) => total + account.balance, 0);
-            totalBalanceElement.textContent = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(totalBalance);
+            // Accounts may be held in different currencies - the total is in the home currency
+            const totalBalance = dataManager.sumBalances(this.userAccounts, this.currentUser.homeCurrency);
+            totalBalanceElement.textContent = totalBalance.format();
+        }
+
+        const loansOutstanding = document.getElementById('loansOutstanding');
+        if (loansOutstanding) {
+            const homeCurrency = this.currentUser.homeCurrency;
+            const outstanding = dataManager.getLoans(this.currentUser.id)
+                .map(loan => dataManager.convert(dataManager.getOutstandingPrincipal(loan), homeCurrency));
+            loansOutstanding.textContent = Money.sum(outstanding, homeCurrency).format();
         }
 
         if (monthlyIncomeElement) {
@@ -1255,7 +2661,7 @@ class DashboardManager {
      * Update recent transactions list
      */
     async updateRecentTransactions() {
-        const transactionList = document.querySelector('.transaction-list');
+        const transactionList = document.getElementById('recentTransactionsList');
         
         if (!transactionList) return;
 
@@ -1286,15 +2692,12 @@ class DashboardManager {
             <div class="transaction-info">
                 <div class="transaction-icon">${this.getTransactionIcon(transaction.category)}</div>
                 <div>
-                    <p class="transaction-desc">${transaction.description}</p>
+                    <p class="transaction-desc">${escapeHTML(transaction.description)}</p>
                     <p class="transaction-date">${transaction.displayDate}</p>
                 </div>
             </div>
             <div class="transaction-amount ${amountClass}">
-                ${amountSign}${new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD'
-                }).format(transaction.amount)}
+                ${amountSign}${transaction.amountMoney.format()}
             </div>
         `;
 
@@ -1310,9 +2713,18 @@ class DashboardManager {
             'salary': '💰',
             'rent': '🏠',
             'transfer': '🔄',
+            'fee': '🧾',
+            'reversal': '↩️',
+            'overdraft': '📉',
+            'sweep': '🛟',
+            'closure': '🔒',
+            'interest': '💰',
             'food': '🍽️',
             'entertainment': '🎬',
             'transport': '🚗',
+            'loan': '🏦',
+            'travel': '✈️',
+            'gambling': '🎰',
             'general': '💳'
         };
         
@@ -1342,9 +2754,69 @@ class DashboardManager {
      * Setup event listeners for real-time updates
      */
     setupEventListeners() {
+        this.setupStorageSubscriptions();
         console.log('🎯 Dashboard event listeners setup');
     }
 
+    /**
+     * Re-render affected widgets when data changes in this or another tab
+     */
+    setupStorageSubscriptions() {
+        const refreshAccounts = this.debounce(async () => {
+            await this.loadUserAccounts();
+            await this.updateAccountCards();
+            await this.updateAccountDetail();
+            await this.updateDashboardStats();
+            await this.populateAccountDropdowns();
+            await this.updateMyAccountsIBANs();
+            await this.updateBalanceInfo();
+            await this.updateCards();
+            await this.updateLoans();
+        }, 100);
+
+        const refreshTransactions = this.debounce(async () => {
+            await this.loadRecentTransactions();
+            await this.updateRecentTransactions();
+            await this.updateRecentTransfersList();
+            await this.updateTransferLimits();
+            await this.updateAccountDetail();
+            await this.updateCards();
+
+            if (this.transactionsManager.isInitialized) {
+                await this.transactionsManager.loadTransactions();
+                this.transactionsManager.applyFilters();
+            }
+        }, 100);
+
+        const refreshProfile = this.debounce(async () => {
+            if (!authManager.getCurrentUser()) return;
+
+            await this.loadUserData();
+            await this.updateUserProfile();
+            await this.updateDashboardHeader();
+            await this.updateTransferLimits();
+        }, 100);
+
+        storage.subscribe('accounts', refreshAccounts);
+        storage.subscribe('transactions', refreshTransactions);
+        storage.subscribe('refundRequests', refreshTransactions);
+        storage.subscribe('currentUser', refreshProfile);
+        storage.subscribe('scheduledTransfers', this.debounce(() => this.updateScheduledTransfers(), 100));
+        storage.subscribe('notifications', this.debounce(() => this.showNotifications(), 100));
+        storage.subscribe('payees', this.debounce(() => this.updateSavedPayees(), 100));
+        storage.subscribe('statements', this.debounce(() => this.updateAccountDetail(), 100));
+        storage.subscribe('cards', this.debounce(() => this.updateCards(), 100));
+        storage.subscribe('loans', this.debounce(async () => {
+            await this.updateLoans();
+            await this.updateDashboardStats();
+        }, 100));
+
+        // Admins may change the limits of the role or of this user
+        const refreshLimits = this.debounce(() => this.updateTransferLimits(), 100);
+        storage.subscribe('users', refreshLimits);
+        storage.subscribe('transferLimits', refreshLimits);
+    }
+
     /**
      * Refresh all dashboard data
      */
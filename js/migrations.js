@@ -0,0 +1,411 @@
+/**
+ * FinSim - Schema Migration System
+ * Versioned data migrations applied in order at startup
+ */
+
+class MigrationManager {
+    constructor(storageInstance) {
+        this.storage = storageInstance;
+        this.migrations = [];
+    }
+
+    /**
+     * Register a migration
+     * @param {Object} migration - { version, description, keys, migrate(tx) }
+     * Migrations must be idempotent: migrate() may see data it already upgraded.
+     */
+    register(migration) {
+        if (this.migrations.some(existing => existing.version === migration.version)) {
+            throw new Error(`Migration ${migration.version} is already registered`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get the schema version the stored data is at
+     */
+    getCurrentVersion() {
+        return this.storage.get('schemaVersion', 0);
+    }
+
+    /**
+     * Get the schema version this build of the app expects
+     */
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Run every migration newer than the stored schema version.
+     * Each migration commits together with its version bump and log entry,
+     * so an interrupted run resumes from the last completed migration.
+     */
+    run() {
+        const currentVersion = this.getCurrentVersion();
+        const pending = this.migrations.filter(migration => migration.version > currentVersion);
+
+        if (pending.length === 0) {
+            console.log(`🗂️ Schema up to date (v${currentVersion})`);
+            return currentVersion;
+        }
+
+        for (const migration of pending) {
+            const startedAt = new Date().toISOString();
+
+            try {
+                this.storage.transaction([...migration.keys, 'schemaVersion', 'migrationLog'], (tx) => {
+                    const changed = migration.migrate(tx) || 0;
+
+                    tx.set('schemaVersion', migration.version);
+                    tx.set('migrationLog', [...tx.get('migrationLog', []), {
+                        version: migration.version,
+                        description: migration.description,
+                        startedAt: startedAt,
+                        completedAt: new Date().toISOString(),
+                        recordsChanged: changed
+                    }]);
+                });
+
+                console.log(`🗂️ Migration v${migration.version} applied: ${migration.description}`);
+
+            } catch (error) {
+                console.error(`❌ Migration v${migration.version} failed:`, error);
+                return this.getCurrentVersion();
+            }
+        }
+
+        return this.getCurrentVersion();
+    }
+}
+
+// Create global migration manager instance
+const migrationManager = new MigrationManager(storage);
+
+/**
+ * v1 - Backfill IBANs on legacy accounts and recipient fields on legacy transactions
+ */
+migrationManager.register({
+    version: 1,
+    description: 'Backfill account IBANs and transaction recipient fields',
+    keys: ['accounts', 'transactions'],
+    migrate(tx) {
+        let changed = 0;
+
+        const accounts = tx.get('accounts', []).map(account => {
+            if (account.iban) return account;
+            changed++;
+            return { ...account, iban: Account.prototype.generateIBAN() };
+        });
+
+        const transactions = tx.get('transactions', []).map(transaction => {
+            if (transaction.recipientIBAN !== undefined && transaction.recipientName !== undefined) {
+                return transaction;
+            }
+            changed++;
+            return {
+                ...transaction,
+                recipientIBAN: transaction.recipientIBAN || null,
+                recipientName: transaction.recipientName || null
+            };
+        });
+
+        tx.set('accounts', accounts);
+        tx.set('transactions', transactions);
+        return changed;
+    }
+});
+
+/**
+ * v2 - Round stored amounts to whole minor units and record transaction currencies
+ */
+migrationManager.register({
+    version: 2,
+    description: 'Round balances and amounts to whole minor units, backfill transaction currency',
+    keys: ['accounts', 'transactions'],
+    migrate(tx) {
+        let changed = 0;
+        const currencies = new Map();
+
+        const accounts = tx.get('accounts', []).map(account => {
+            const currency = account.currency || 'USD';
+            const balance = Money.of(account.balance || 0, currency).toNumber();
+            currencies.set(account.id, currency);
+
+            if (account.currency === currency && account.balance === balance) return account;
+            changed++;
+            return { ...account, currency, balance };
+        });
+
+        const transactions = tx.get('transactions', []).map(transaction => {
+            const currency = transaction.currency || currencies.get(transaction.accountId) || 'USD';
+            const amount = Money.of(transaction.amount || 0, currency).toNumber();
+
+            if (transaction.currency === currency && transaction.amount === amount) return transaction;
+            changed++;
+            return { ...transaction, currency, amount };
+        });
+
+        tx.set('accounts', accounts);
+        tx.set('transactions', transactions);
+        return changed;
+    }
+});
+
+/**
+ * v3 - Re-issue FinSim IBANs with real check digits, keeping the account digits
+ */
+migrationManager.register({
+    version: 3,
+    description: 'Re-issue IBANs with ISO 13616 check digits',
+    keys: ['accounts', 'transactions'],
+    migrate(tx) {
+        const reissued = new Map(); // old compact IBAN -> new IBAN
+        let changed = 0;
+
+        const accounts = tx.get('accounts', []).map(account => {
+            if (Account.isValidIBAN(account.iban)) return account;
+            changed++;
+
+            // Legacy IBANs carry 12 account digits, current ones 16
+            const digits = Account.normalizeIBAN(account.iban).replace(/^FS[0-9]{2}FINS[0-9]{4}/, '');
+            const iban = /^[0-9]{1,16}$/.test(digits)
+                ? Account.buildIBAN('FS', 'FINS0010' + digits.padStart(16, '0'))
+                : Account.prototype.generateIBAN();
+
+            if (account.iban) {
+                reissued.set(Account.normalizeIBAN(account.iban), iban);
+            }
+            return { ...account, iban, previousIBAN: account.iban || null };
+        });
+
+        const transactions = tx.get('transactions', []).map(transaction => {
+            const iban = reissued.get(Account.normalizeIBAN(transaction.recipientIBAN));
+            if (!iban) return transaction;
+            changed++;
+            return { ...transaction, recipientIBAN: iban };
+        });
+
+        tx.set('accounts', accounts);
+        tx.set('transactions', transactions);
+        return changed;
+    }
+});
+
+/**
+ * v4 - Open the general ledger: bring existing balances forward into the journal
+ */
+migrationManager.register({
+    version: 4,
+    description: 'Post opening journal entries for existing account balances',
+    keys: ['accounts', 'journal'],
+    migrate(tx) {
+        let changed = 0;
+
+        // Only the part of each balance the journal does not explain yet, so reruns post nothing
+        tx.get('accounts', []).forEach(account => {
+            const currency = account.currency || 'USD';
+            const unexplained = Money.of(account.balance || 0, currency).subtract(dataManager.ledger.getAccountBalance(account, tx));
+            if (unexplained.isZero()) return;
+
+            dataManager.ledger.post({
+                description: 'Balance brought forward',
+                lines: [
+                    { ledger: 'bank:cash', amount: unexplained },
+                    { ledger: account.id, amount: unexplained.negate() }
+                ]
+            }, tx);
+            changed++;
+        });
+
+        return changed;
+    }
+});
+
+/**
+ * v5: Transactions follow a status lifecycle. 'completed' becomes 'settled' and
+ * every transaction gets a statusHistory starting with its creation.
+ */
+migrationManager.register({
+    version: 5,
+    description: 'Move completed transactions to settled and start their status history',
+    keys: ['transactions'],
+    migrate(tx) {
+        let changed = 0;
+
+        tx.get('transactions', []).forEach(transaction => {
+            if (transaction.status && transaction.status !== 'completed' && transaction.statusHistory) return;
+
+            const status = !transaction.status || transaction.status === 'completed' ? 'settled' : transaction.status;
+            tx.putRecord('transactions', {
+                ...transaction,
+                status: status,
+                statusHistory: transaction.statusHistory || [{ from: null, to: status, at: transaction.timestamp || null, reason: 'Created', by: null }]
+            });
+            changed++;
+        });
+
+        return changed;
+    }
+});
+
+/**
+ * v6: Refund requests are kept in their own collection
+ */
+migrationManager.register({
+    version: 6,
+    description: 'Start the refund request queue',
+    keys: ['refundRequests'],
+    migrate(tx) {
+        if (Array.isArray(tx.get('refundRequests'))) return 0;
+
+        tx.set('refundRequests', []);
+        return 1;
+    }
+});
+
+/**
+ * v7: Accounts carry an arranged overdraft limit and overdraft protection settings.
+ * Interest accrual starts today, so balances that went negative before overdrafts
+ * existed are not charged for retroactively.
+ */
+migrationManager.register({
+    version: 7,
+    description: 'Give accounts an overdraft limit and start overdraft interest from today',
+    keys: ['accounts'],
+    migrate(tx) {
+        let changed = 0;
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        tx.get('accounts', []).forEach(account => {
+            if (account.overdraftLimit !== undefined && account.overdraftAccruedThrough !== undefined) return;
+
+            tx.putRecord('accounts', {
+                ...account,
+                overdraftLimit: account.overdraftLimit || 0,
+                overdraftProtection: Boolean(account.overdraftProtection && account.linkedAccountId),
+                linkedAccountId: account.linkedAccountId || null,
+                overdraftAccruedThrough: account.overdraftAccruedThrough || yesterday
+            });
+            changed++;
+        });
+
+        return changed;
+    }
+});
+
+/**
+ * v8: Savings and investment accounts earn interest. Accrual starts today, so
+ * interest is not paid retroactively for the time before interest products existed.
+ */
+migrationManager.register({
+    version: 8,
+    description: 'Start interest accrual from today',
+    keys: ['accounts'],
+    migrate(tx) {
+        let changed = 0;
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        tx.get('accounts', []).forEach(account => {
+            if (account.interestAccruedThrough !== undefined) return;
+
+            tx.putRecord('accounts', {
+                ...account,
+                interestAccrued: account.interestAccrued || 0,
+                interestAccruedThrough: yesterday
+            });
+            changed++;
+        });
+
+        return changed;
+    }
+});
+
+/**
+ * v9: Standing orders and customer notifications are kept in their own collections
+ */
+migrationManager.register({
+    version: 9,
+    description: 'Start standing orders and notifications',
+    keys: ['scheduledTransfers', 'notifications'],
+    migrate(tx) {
+        let changed = 0;
+        ['scheduledTransfers', 'notifications'].forEach(key => {
+            if (Array.isArray(tx.get(key))) return;
+
+            tx.set(key, []);
+            changed++;
+        });
+
+        return changed;
+    }
+});
+
+/**
+ * v10: Each customer's saved payees are kept in their own collection
+ */
+migrationManager.register({
+    version: 10,
+    description: 'Start the payee book',
+    keys: ['payees'],
+    migrate(tx) {
+        if (Array.isArray(tx.get('payees'))) return 0;
+
+        tx.set('payees', []);
+        return 1;
+    }
+});
+
+/**
+ * v11: Monthly statements are kept per account, made at month end
+ */
+migrationManager.register({
+    version: 11,
+    description: 'Start monthly statements',
+    keys: ['statements'],
+    migrate(tx) {
+        if (Array.isArray(tx.get('statements'))) return 0;
+
+        tx.set('statements', []);
+        return 1;
+    }
+});
+
+/**
+ * v12: Virtual cards are kept in their own collection
+ */
+migrationManager.register({
+    version: 12,
+    description: 'Start virtual cards',
+    keys: ['cards'],
+    migrate(tx) {
+        if (Array.isArray(tx.get('cards'))) return 0;
+
+        tx.set('cards', []);
+        return 1;
+    }
+});
+
+/**
+ * v13: Loans and their repayment schedules are kept in their own collection
+ */
+migrationManager.register({
+    version: 13,
+    description: 'Start loans',
+    keys: ['loans'],
+    migrate(tx) {
+        if (Array.isArray(tx.get('loans'))) return 0;
+
+        tx.set('loans', []);
+        return 1;
+    }
+});
+
+// Bring stored data up to date before anything reads it
+storage.ready = storage.ready.then(() => migrationManager.run());
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = migrationManager;
+}
@@ -3,6 +3,384 @@
  * Enhanced with professional banking features
  */
 
+/**
+ * Money value type - an integer amount of minor units (cents) plus a currency code.
+ * Records keep decimal amounts; all arithmetic and formatting goes through Money
+ * so floating point errors never reach a balance.
+ */
+class Money {
+    constructor(minor, currency = 'USD') {
+        if (!Number.isSafeInteger(minor)) {
+            throw new Error(`Money needs a whole number of minor units, got ${minor}`);
+        }
+        this.minor = minor;
+        this.currency = currency;
+        Object.freeze(this);
+    }
+
+    /**
+     * Create from a decimal amount (number or string) in major units.
+     * Digits beyond the currency's minor unit are rounded half to even.
+     */
+    static of(amount, currency = 'USD') {
+        if (amount instanceof Money) {
+            return amount;
+        }
+
+        const digits = Money.minorDigits(currency);
+        let text = typeof amount === 'string' ? amount.trim() : String(amount);
+        if (/e/i.test(text)) {
+            text = Number(amount).toFixed(20);
+        }
+
+        const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Invalid money amount: ${amount}`);
+        }
+
+        const fraction = match[3] || '';
+        const discarded = fraction.slice(digits);
+        let minor = Number((match[2] || '0') + fraction.padEnd(digits, '0').slice(0, digits));
+
+        if (/[1-9]/.test(discarded)) {
+            const half = discarded[0] === '5' && !/[1-9]/.test(discarded.slice(1));
+            if (discarded[0] > '5' || (discarded[0] === '5' && !half) || (half && minor % 2 === 1)) {
+                minor += 1;
+            }
+        }
+
+        return new Money(match[1] === '-' && minor !== 0 ? -minor : minor, currency);
+    }
+
+    static fromMinor(minor, currency = 'USD') {
+        return new Money(minor, currency);
+    }
+
+    static zero(currency = 'USD') {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Add up amounts (Money or decimal numbers) in one currency
+     */
+    static sum(amounts, currency = 'USD') {
+        return amounts.reduce((total, amount) => total.add(Money.of(amount, currency)), Money.zero(currency));
+    }
+
+    /**
+     * Format a decimal amount for display
+     */
+    static format(amount, currency = 'USD') {
+        return Money.of(amount, currency).format();
+    }
+
+    static minorDigits(currency) {
+        if (!Money.digitsCache.has(currency)) {
+            const options = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions();
+            Money.digitsCache.set(currency, options.maximumFractionDigits);
+        }
+        return Money.digitsCache.get(currency);
+    }
+
+    /**
+     * Round to the nearest integer, ties to the even neighbour
+     */
+    static roundHalfEven(value) {
+        const floor = Math.floor(value);
+        const difference = value - floor;
+        const epsilon = 1e-9;
+
+        if (difference > 0.5 + epsilon) return floor + 1;
+        if (difference < 0.5 - epsilon) return floor;
+        return floor % 2 === 0 ? floor : floor + 1;
+    }
+
+    assertSameCurrency(other) {
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
+        }
+    }
+
+    add(other) {
+        const money = Money.of(other, this.currency);
+        this.assertSameCurrency(money);
+        return new Money(this.minor + money.minor, this.currency);
+    }
+
+    subtract(other) {
+        const money = Money.of(other, this.currency);
+        this.assertSameCurrency(money);
+        return new Money(this.minor - money.minor, this.currency);
+    }
+
+    /**
+     * Multiply by a factor (rates, percentages), rounding half to even
+     */
+    multiply(factor) {
+        return new Money(Money.roundHalfEven(this.minor * factor), this.currency);
+    }
+
+    /**
+     * Split into parts proportional to the ratios without losing a cent -
+     * leftover minor units go to the first parts
+     * @param {number[]} ratios - e.g. [1, 1, 1] for three equal parts
+     * @returns {Money[]}
+     */
+    allocate(ratios) {
+        const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        if (ratios.length === 0 || total <= 0) {
+            throw new Error('Allocation needs at least one positive ratio');
+        }
+
+        const sign = this.minor < 0 ? -1 : 1;
+        const amount = Math.abs(this.minor);
+        const shares = ratios.map(ratio => Math.floor(amount * ratio / total));
+        let remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+
+        for (let i = 0; remainder > 0; i = (i + 1) % shares.length) {
+            if (ratios[i] > 0) {
+                shares[i]++;
+                remainder--;
+            }
+        }
+
+        return shares.map(share => new Money(sign * share || 0, this.currency));
+    }
+
+    negate() {
+        return new Money(-this.minor || 0, this.currency);
+    }
+
+    compare(other) {
+        const money = Money.of(other, this.currency);
+        this.assertSameCurrency(money);
+        return Math.sign(this.minor - money.minor);
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    greaterThanOrEqual(other) {
+        return this.compare(other) >= 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isZero() {
+        return this.minor === 0;
+    }
+
+    isPositive() {
+        return this.minor > 0;
+    }
+
+    isNegative() {
+        return this.minor < 0;
+    }
+
+    static max(...amounts) {
+        return amounts.reduce((max, amount) => (amount.greaterThan(max) ? amount : max));
+    }
+
+    static min(...amounts) {
+        return amounts.reduce((min, amount) => (amount.lessThan(min) ? amount : min));
+    }
+
+    /**
+     * Convert into another currency at a rate (units of the target per unit of this currency),
+     * rounding half to even to the target's minor unit
+     */
+    convert(rate, currency) {
+        const scale = Math.pow(10, Money.minorDigits(currency) - Money.minorDigits(this.currency));
+        return new Money(Money.roundHalfEven(this.minor * rate * scale), currency);
+    }
+
+    /**
+     * Decimal amount in major units, as stored in records
+     */
+    toNumber() {
+        return this.minor / Math.pow(10, Money.minorDigits(this.currency));
+    }
+
+    format(locale = 'en-US') {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency
+        }).format(this.toNumber());
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+Money.digitsCache = new Map();
+
+/**
+ * Currencies accounts can be held in
+ */
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY'];
+
+/**
+ * Kinds of account customers can open, and how many open accounts each may hold
+ */
+const ACCOUNT_TYPES = ['checking', 'savings', 'investment'];
+const MAX_ACCOUNTS_PER_USER = 10;
+
+/**
+ * What new customers start with, in the FX base currency - converted to their home currency
+ */
+const OPENING_BALANCES = { checking: 1000, savings: 500 };
+
+/**
+ * FX rate table used until an admin maintains one (stored under 'fxRates').
+ * Rates are units of the currency per one unit of the base currency; the
+ * spread is the bank's margin on cross-currency transfers.
+ */
+const FX_DEFAULTS = {
+    baseCurrency: 'USD',
+    spread: 0.005,
+    rates: [
+        { currency: 'EUR', rate: 0.92, effectiveFrom: '2024-01-01' },
+        { currency: 'GBP', rate: 0.79, effectiveFrom: '2024-01-01' },
+        { currency: 'CHF', rate: 0.88, effectiveFrom: '2024-01-01' },
+        { currency: 'JPY', rate: 150, effectiveFrom: '2024-01-01' }
+    ]
+};
+
+/**
+ * Transfer fee schedule used until an admin maintains one (stored under 'feeSchedule').
+ * Internal transfers go to an account id, external ones to an IBAN. Minimum and
+ * maximum are in the FX base currency and converted to the amount's currency.
+ */
+const FEE_DEFAULTS = {
+    internal: { rate: 0.01, minimum: 1, maximum: 5 },
+    external: { rate: 0.02, minimum: 2, maximum: 15 }
+};
+
+/**
+ * Transfer limits by role, used until an admin maintains them (stored under
+ * 'transferLimits'). They apply to money sent to other customers: amounts are in
+ * the FX base currency, perHour is a number of transfers. Admins can override
+ * any of them for a single user.
+ */
+const TRANSFER_LIMIT_DEFAULTS = {
+    user: { perTransaction: 5000, daily: 5000, weekly: 25000, perHour: 10 },
+    admin: { perTransaction: 50000, daily: 50000, weekly: 250000, perHour: 50 }
+};
+
+/**
+ * Interest products by account type, used until an admin maintains them (stored
+ * under 'interestProducts'). Rates are APYs. Each tier's rate applies to the part
+ * of the balance from its threshold up to the next one; thresholds are in the FX
+ * base currency. Interest accrues daily and is posted at the end of each month.
+ */
+const INTEREST_DEFAULTS = {
+    savings: { compounding: 'daily', tiers: [{ from: 0, apy: 0.02 }, { from: 10000, apy: 0.03 }] },
+    investment: { compounding: 'monthly', tiers: [{ from: 0, apy: 0.035 }] }
+};
+
+/**
+ * Daily compounding earns interest on the accrued interest too; monthly compounding
+ * only once it has been posted
+ */
+const INTEREST_COMPOUNDING = ['daily', 'monthly'];
+
+/**
+ * Merchant categories card purchases are made in, with the transaction category
+ * each is booked under. Customers can block any of them on a card.
+ */
+const CARD_MERCHANT_CATEGORIES = {
+    groceries: { name: 'Groceries', category: 'food' },
+    dining: { name: 'Restaurants and bars', category: 'food' },
+    shopping: { name: 'Shops and online', category: 'shopping' },
+    transport: { name: 'Transport and fuel', category: 'transport' },
+    travel: { name: 'Travel and hotels', category: 'travel' },
+    entertainment: { name: 'Entertainment', category: 'entertainment' },
+    gambling: { name: 'Gambling', category: 'gambling' }
+};
+
+/**
+ * Virtual debit cards: the issuer prefix of card numbers, how many years a card is
+ * valid, how many live cards an account may have, and the spending limits of new
+ * cards and the most a customer can raise them to (in the FX base currency)
+ */
+const CARD_SETTINGS = {
+    bin: '453210',
+    validYears: 3,
+    maxPerAccount: 3,
+    defaultLimits: { perPurchase: 500, daily: 1000 },
+    maxLimit: 10000
+};
+
+/**
+ * Loans: the amounts customers can apply for (in the FX base currency), the terms
+ * they can choose, the yearly interest rate and the fee added to a repayment that
+ * could not be taken on its due date (in the FX base currency)
+ */
+const LOAN_SETTINGS = {
+    annualRate: 0.079,
+    minAmount: 1000,
+    maxAmount: 50000,
+    termsInMonths: [12, 24, 36, 48, 60],
+    lateFee: 25
+};
+
+/**
+ * How loans are repaid: annuity repayments are the same every month; linear ones
+ * repay the same principal each month with the interest on top, so they fall over time
+ */
+const LOAN_AMORTIZATION_METHODS = ['annuity', 'linear'];
+
+/**
+ * Allowed transaction status changes. Internal transfers are settled when they
+ * are made; external ones stay pending until a settlement run.
+ */
+const TRANSACTION_TRANSITIONS = {
+    pending: ['settled', 'failed'],
+    settled: ['reversed'],
+    failed: [],
+    reversed: []
+};
+
+/**
+ * Pending external transfers are settled by the first run after this delay
+ */
+const SETTLEMENT_DELAY_MS = 2 * 60 * 1000;
+
+/**
+ * Standing orders run once, weekly, monthly on a day of the month, or every N days
+ */
+const STANDING_ORDER_FREQUENCIES = ['once', 'weekly', 'monthly', 'interval'];
+
+/**
+ * A standing order that fails for insufficient funds is tried this many times in
+ * all, this far apart, before that payment is skipped
+ */
+const STANDING_ORDER_RETRY = { attempts: 3, delayMs: 6 * 60 * 60 * 1000 };
+
+/**
+ * How often an open tab looks for due standing orders
+ */
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Annual interest on overdrawn balances, charged daily on the end-of-day balance
+ */
+const OVERDRAFT_INTEREST_RATE = 0.199;
+
+/**
+ * Largest overdraft an admin can arrange, in the FX base currency
+ */
+const OVERDRAFT_MAX_LIMIT = 10000;
+
 class User {
     constructor(userData) {
         this.id = userData.id || this.generateId();
@@ -15,6 +393,8 @@ class User {
         this.lastLogin = userData.lastLogin || null;
         this.isActive = userData.isActive !== undefined ? userData.isActive : true;
         this.permissions = userData.permissions || this.getDefaultPermissions();
+        this.homeCurrency = userData.homeCurrency || 'USD'; // Currency totals are shown in
+        this.transferLimits = userData.transferLimits || null; // Admin overrides of the role's transfer limits
     }
 
      // Add this method to the User class
@@ -69,23 +449,60 @@ class User {
             role: this.role,
             createdAt: this.createdAt,
             lastLogin: this.lastLogin,
-            isActive: this.isActive
+            isActive: this.isActive,
+            homeCurrency: this.homeCurrency,
+            transferLimits: this.transferLimits
         };
     }
 }
 
+/**
+ * IBAN formats by country (ISO 13616): total length and the BBAN layout after the check digits
+ */
+const IBAN_FORMATS = {
+    FS: { name: 'FinSim', length: 28, bban: /^FINS[0-9]{20}$/ },
+    AT: { name: 'Austria', length: 20, bban: /^[0-9]{16}$/ },
+    BE: { name: 'Belgium', length: 16, bban: /^[0-9]{12}$/ },
+    BG: { name: 'Bulgaria', length: 22, bban: /^[A-Z]{4}[0-9]{6}[A-Z0-9]{8}$/ },
+    CH: { name: 'Switzerland', length: 21, bban: /^[0-9]{5}[A-Z0-9]{12}$/ },
+    DE: { name: 'Germany', length: 22, bban: /^[0-9]{18}$/ },
+    DK: { name: 'Denmark', length: 18, bban: /^[0-9]{14}$/ },
+    ES: { name: 'Spain', length: 24, bban: /^[0-9]{20}$/ },
+    FI: { name: 'Finland', length: 18, bban: /^[0-9]{14}$/ },
+    FR: { name: 'France', length: 27, bban: /^[0-9]{10}[A-Z0-9]{11}[0-9]{2}$/ },
+    GB: { name: 'United Kingdom', length: 22, bban: /^[A-Z]{4}[0-9]{14}$/ },
+    GR: { name: 'Greece', length: 27, bban: /^[0-9]{7}[A-Z0-9]{16}$/ },
+    IE: { name: 'Ireland', length: 22, bban: /^[A-Z]{4}[0-9]{14}$/ },
+    IT: { name: 'Italy', length: 27, bban: /^[A-Z][0-9]{10}[A-Z0-9]{12}$/ },
+    LU: { name: 'Luxembourg', length: 20, bban: /^[0-9]{3}[A-Z0-9]{13}$/ },
+    NL: { name: 'Netherlands', length: 18, bban: /^[A-Z]{4}[0-9]{10}$/ },
+    NO: { name: 'Norway', length: 15, bban: /^[0-9]{11}$/ },
+    PL: { name: 'Poland', length: 28, bban: /^[0-9]{24}$/ },
+    PT: { name: 'Portugal', length: 25, bban: /^[0-9]{21}$/ },
+    RO: { name: 'Romania', length: 24, bban: /^[A-Z]{4}[A-Z0-9]{16}$/ },
+    SE: { name: 'Sweden', length: 24, bban: /^[0-9]{20}$/ }
+};
+
 class Account {
     constructor(accountData) {
         this.id = accountData.id || this.generateId();
         this.userId = accountData.userId;
         this.accountNumber = accountData.accountNumber || this.generateAccountNumber();
         this.iban = accountData.iban || this.generateIBAN(); // NEW: IBAN support
+        this.previousIBAN = accountData.previousIBAN || null; // IBAN before re-issue with real check digits
         this.type = accountData.type || 'checking';
-        this.balance = accountData.balance || 0;
         this.currency = accountData.currency || 'USD';
+        this.balance = Money.of(accountData.balance || 0, this.currency).toNumber();
         this.createdAt = accountData.createdAt || new Date().toISOString();
         this.isActive = accountData.isActive !== undefined ? accountData.isActive : true;
-        this.overdraftProtection = accountData.overdraftProtection || false;
+        this.nickname = accountData.nickname || null; // Name chosen by the customer
+        this.closedAt = accountData.closedAt || null; // Closed accounts are kept, inactive
+        this.overdraftLimit = Money.of(accountData.overdraftLimit || 0, this.currency).toNumber(); // Arranged overdraft, set by admins
+        this.overdraftProtection = accountData.overdraftProtection || false; // Sweep shortfalls from the linked account
+        this.linkedAccountId = accountData.linkedAccountId || null;
+        this.overdraftAccruedThrough = accountData.overdraftAccruedThrough || null; // Last day overdraft interest was charged for
+        this.interestAccrued = accountData.interestAccrued || 0; // Earned but not yet posted, unrounded
+        this.interestAccruedThrough = accountData.interestAccruedThrough || null; // Last day interest was accrued for
     }
 
     generateId() {
@@ -97,38 +514,113 @@ class Account {
     }
 
     /**
-     * Generate professional IBAN format
-     * Format: FS00 XXXX XXXX XXXX XXXX XXXX
+     * Generate an IBAN with real mod-97 check digits
+     * Format: FSkk FINS 0010 XXXX XXXX XXXX XXXX
      */
     generateIBAN() {
-        const countryCode = 'FS'; // FinSim country code
-        const checkDigits = '00'; // Simplified check digits for demo
         const bankCode = 'FINS'; // Bank identifier
         const branchCode = '0010'; // Branch code
-        const accountNumber = Math.random().toString().substr(2, 12).padStart(12, '0');
-        
-        return `${countryCode}${checkDigits} ${bankCode}${branchCode} ${accountNumber.match(/.{1,4}/g).join(' ')}`;
+        let accountNumber = '';
+        while (accountNumber.length < 16) {
+            accountNumber += Math.floor(Math.random() * 10);
+        }
+
+        return Account.buildIBAN('FS', bankCode + branchCode + accountNumber);
+    }
+
+    /**
+     * Assemble a grouped IBAN from a country code and BBAN
+     */
+    static buildIBAN(countryCode, bban) {
+        return Account.formatIBAN(countryCode + Account.computeCheckDigits(countryCode, bban) + bban);
+    }
+
+    /**
+     * ISO 13616 check digits: 98 minus the mod-97 remainder of BBAN + country + '00'
+     */
+    static computeCheckDigits(countryCode, bban) {
+        const remainder = Account.mod97(Account.toIBANDigits(bban + countryCode + '00'));
+        return String(98 - remainder).padStart(2, '0');
+    }
+
+    /**
+     * Letters become two-digit numbers (A = 10 ... Z = 35)
+     */
+    static toIBANDigits(text) {
+        return text.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    }
+
+    /**
+     * Remainder of a long digit string divided by 97, computed in chunks
+     */
+    static mod97(digits) {
+        let remainder = 0;
+        for (let i = 0; i < digits.length; i += 7) {
+            remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+        }
+        return remainder;
+    }
+
+    /**
+     * Compact form: no whitespace, upper case
+     */
+    static normalizeIBAN(iban) {
+        return typeof iban === 'string' ? iban.replace(/\s+/g, '').toUpperCase() : '';
+    }
+
+    /**
+     * Print form: groups of four characters
+     */
+    static formatIBAN(iban) {
+        return Account.normalizeIBAN(iban).replace(/(.{4})(?=.)/g, '$1 ');
+    }
+
+    /**
+     * Validate an IBAN in compact or grouped form against the country registry and its check digits
+     * @returns {Object} { valid, error, countryCode, country, compact }
+     */
+    static validateIBAN(iban) {
+        const compact = Account.normalizeIBAN(iban);
+        const countryCode = compact.slice(0, 2);
+        const format = IBAN_FORMATS[countryCode];
+        const result = { valid: false, error: null, countryCode, country: format ? format.name : null, compact };
+
+        if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(compact)) {
+            result.error = 'Invalid IBAN format';
+        } else if (!format) {
+            result.error = `IBANs from ${countryCode} are not supported`;
+        } else if (compact.length !== format.length) {
+            result.error = `${format.name} IBANs have ${format.length} characters, this one has ${compact.length}`;
+        } else if (!format.bban.test(compact.slice(4))) {
+            result.error = `Invalid ${format.name} account number format`;
+        } else if (Account.mod97(Account.toIBANDigits(compact.slice(4) + compact.slice(0, 4))) !== 1) {
+            result.error = 'IBAN check digits do not match - please check for typos';
+        } else {
+            result.valid = true;
+        }
+
+        return result;
     }
 
     /**
-     * Validate IBAN format
+     * Validate IBAN format and check digits
      */
     static isValidIBAN(iban) {
-        if (!iban || typeof iban !== 'string') return false;
-        
-        // Basic IBAN format validation
-        const ibanRegex = /^FS[0-9]{2} FINS[0-9]{4} [0-9]{4} [0-9]{4} [0-9]{4} [0-9]{4}$/;
-        return ibanRegex.test(iban.trim());
+        return Account.validateIBAN(iban).valid;
     }
 
     /**
      * Format balance for display
      */
     formatBalance() {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: this.currency
-        }).format(this.balance);
+        return this.balanceMoney.format();
+    }
+
+    /**
+     * Balance as Money, for arithmetic
+     */
+    get balanceMoney() {
+        return Money.of(this.balance, this.currency);
     }
 
     /**
@@ -138,42 +630,61 @@ class Account {
         return '****' + this.accountNumber.slice(-4);
     }
 
+    /**
+     * The customer's nickname, or the account type
+     */
+    get displayName() {
+        return this.nickname || `${this.type.charAt(0).toUpperCase() + this.type.slice(1)} Account`;
+    }
+
     /**
      * Get masked IBAN for display
      */
     get maskedIBAN() {
-        const parts = this.iban.split(' ');
-        if (parts.length >= 6) {
-            return `FS** **** **** **** **** ${parts[5]}`;
+        const compact = Account.normalizeIBAN(this.iban);
+        if (compact.length > 8) {
+            return Account.formatIBAN(compact.slice(0, 2) + '*'.repeat(compact.length - 6) + compact.slice(-4));
         }
         return this.iban;
     }
 
+    get overdraftLimitMoney() {
+        return Money.of(this.overdraftLimit, this.currency);
+    }
+
+    get isOverdrawn() {
+        return this.balanceMoney.isNegative();
+    }
+
     /**
-     * Check if account has sufficient funds
+     * Check if account has sufficient funds, counting the arranged overdraft
      */
     hasSufficientFunds(amount) {
-        return this.balance >= amount;
+        return this.balanceMoney.add(this.overdraftLimitMoney).greaterThanOrEqual(Money.of(amount, this.currency));
     }
 
     /**
      * Deposit money into account
+     * @param {Money|number} amount - Money or a decimal amount in the account currency
      */
     deposit(amount) {
-        if (amount <= 0) throw new Error('Deposit amount must be positive');
-        this.balance += amount;
+        const money = Money.of(amount, this.currency);
+        if (!money.isPositive()) throw new Error('Deposit amount must be positive');
+        this.balance = this.balanceMoney.add(money).toNumber();
         return this.balance;
     }
 
     /**
      * Withdraw money from account
+     * @param {Money|number} amount - Money or a decimal amount in the account currency
      */
     withdraw(amount) {
-        if (amount <= 0) throw new Error('Withdrawal amount must be positive');
-        if (!this.hasSufficientFunds(amount)) {
+        const money = Money.of(amount, this.currency);
+        if (!money.isPositive()) throw new Error('Withdrawal amount must be positive');
+        if (!this.hasSufficientFunds(money)) {
             throw new Error('Insufficient funds');
         }
-        this.balance -= amount;
+        this.balance = this.balanceMoney.subtract(money).toNumber();
         return this.balance;
     }
 
@@ -183,12 +694,20 @@ class Account {
             userId: this.userId,
             accountNumber: this.accountNumber,
             iban: this.iban, // NEW: Include IBAN in serialization
+            previousIBAN: this.previousIBAN,
             type: this.type,
             balance: this.balance,
             currency: this.currency,
             createdAt: this.createdAt,
             isActive: this.isActive,
-            overdraftProtection: this.overdraftProtection
+            nickname: this.nickname,
+            closedAt: this.closedAt,
+            overdraftLimit: this.overdraftLimit,
+            overdraftProtection: this.overdraftProtection,
+            linkedAccountId: this.linkedAccountId,
+            overdraftAccruedThrough: this.overdraftAccruedThrough,
+            interestAccrued: this.interestAccrued,
+            interestAccruedThrough: this.interestAccruedThrough
         };
     }
 }
@@ -200,14 +719,50 @@ class Transaction {
         this.recipientIBAN = transactionData.recipientIBAN || null; // NEW: Recipient IBAN
         this.recipientName = transactionData.recipientName || null; // NEW: Recipient name
         this.type = transactionData.type; // 'deposit', 'withdrawal', 'transfer'
-        this.amount = transactionData.amount;
+        this.currency = transactionData.currency || 'USD';
+        this.amount = Money.of(transactionData.amount || 0, this.currency).toNumber();
         this.description = transactionData.description || '';
         this.category = transactionData.category || 'general';
-        this.status = transactionData.status || 'completed';
+        // 'completed' predates the status lifecycle and means settled
+        this.status = !transactionData.status || transactionData.status === 'completed' ? 'settled' : transactionData.status;
         this.timestamp = transactionData.timestamp || new Date().toISOString();
+        this.statusHistory = transactionData.statusHistory || [{ from: null, to: this.status, at: this.timestamp, reason: 'Created', by: null }];
         this.recipientAccountId = transactionData.recipientAccountId || null;
         this.fraudAlerts = transactionData.fraudAlerts || [];
         this.reference = transactionData.reference || this.generateReference();
+        this.fx = transactionData.fx || null; // Conversion applied to cross-currency transfers
+        this.linkedReference = transactionData.linkedReference || null; // Reference of the transfer a fee or reversal belongs to
+        this.reversal = transactionData.reversal || null; // { at, by, reason, override } once a transfer is reversed
+        this.standingOrder = transactionData.standingOrder || null; // { id, runDate } of the standing order run that made it
+        this.card = transactionData.card || null; // { id, last4, merchant, merchantCategory } of the card purchase that made it
+        this.loan = transactionData.loan || null; // { id, kind, installment } of the loan payout or payment that made it
+    }
+
+    /**
+     * Whether a transaction may move from one status to another
+     */
+    static canTransition(from, to) {
+        return (TRANSACTION_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Change the status, recording the change in statusHistory
+     * @param {string} status - Next status
+     * @param {string} reason - Why, for the audit trail
+     * @param {string|null} by - Id of the user who made the change, null for the system
+     */
+    transitionTo(status, reason = '', by = null) {
+        if (!Transaction.canTransition(this.status, status)) {
+            throw new Error(`Cannot change a ${this.status} transaction to ${status}`);
+        }
+
+        this.statusHistory = [...this.statusHistory, { from: this.status, to: status, at: new Date().toISOString(), reason: reason, by: by }];
+        this.status = status;
+        return this;
+    }
+
+    get isPending() {
+        return this.status === 'pending';
     }
 
     generateId() {
@@ -223,10 +778,14 @@ class Transaction {
      */
     get formattedAmount() {
         const sign = this.type === 'deposit' ? '+' : '-';
-        return sign + new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(this.amount);
+        return sign + this.amountMoney.format();
+    }
+
+    /**
+     * Amount as Money, for arithmetic
+     */
+    get amountMoney() {
+        return Money.of(this.amount, this.currency);
     }
 
     /**
@@ -240,7 +799,7 @@ class Transaction {
      * Check if transaction is expense
      */
     get isExpense() {
-        return this.type === 'withdrawal' || this.type === 'transfer';
+        return this.type === 'withdrawal' || this.type === 'transfer' || this.type === 'fee';
     }
 
     /**
@@ -271,77 +830,472 @@ class Transaction {
             recipientName: this.recipientName, // NEW: Include recipient name
             type: this.type,
             amount: this.amount,
+            currency: this.currency,
             description: this.description,
             category: this.category,
             status: this.status,
+            statusHistory: this.statusHistory,
             timestamp: this.timestamp,
             recipientAccountId: this.recipientAccountId,
             fraudAlerts: this.fraudAlerts,
-            reference: this.reference
+            reference: this.reference,
+            fx: this.fx,
+            linkedReference: this.linkedReference,
+            reversal: this.reversal,
+            standingOrder: this.standingOrder,
+            card: this.card,
+            loan: this.loan
         };
     }
 }
 
 /**
- * Data Manager - Enhanced with IBAN and transfer operations
+ * The bank's own ledgers. Customer accounts post to a ledger named after the account id.
  */
-class DataManager {
-    constructor() {
-        this.storage = storage; // Just use the global directly
-    }
+const BANK_LEDGERS = {
+    'bank:cash': 'Cash & settlement',
+    'bank:card_settlement': 'Card settlement',
+    'bank:loan_interest_income': 'Loan interest income',
+    'bank:fee_income': 'Fee income',
+    'bank:fx_clearing': 'FX clearing',
+    'bank:interest_expense': 'Interest expense',
+    'bank:suspense': 'Suspense'
+};
 
-    // User Methods
-    createUser(userData) {
-        const user = new User(userData);
-        const users = this.storage.get('users', []);
-        users.push(user.toJSON());
-        this.storage.set('users', users);
-        return user;
+/**
+ * General Ledger - double-entry journal under the account balances.
+ * Journal lines carry a signed amount: debits positive, credits negative,
+ * and every entry sums to zero in each currency. Customer accounts are
+ * liabilities of the bank, so their balance is the negated sum of their lines.
+ */
+class GeneralLedger {
+    constructor(storageInstance) {
+        this.storage = storageInstance;
     }
 
-    getUserById(id) {
-        const users = this.storage.get('users', []);
-        const userData = users.find(user => user.id === id);
-        return userData ? new User(userData) : null;
-    }
+    /**
+     * Post a balanced journal entry
+     * @param {Object} entry - { description, reference, transactionId, timestamp, lines: [{ ledger, amount: Money }] }
+     *                         amount is the signed debit (positive) or credit (negative)
+     * @param {StorageManager|StorageTransaction} store - Storage or a transaction including 'journal'
+     * @returns {string} Entry id
+     */
+    post(entry, store = this.storage) {
+        const lines = entry.lines.filter(line => !line.amount.isZero());
+        const totals = new Map();
 
-    getUserByEmail(email) {
-        const users = this.storage.get('users', []);
-        const userData = users.find(user => user.email === email);
-        return userData ? new User(userData) : null;
+        lines.forEach(line => {
+            totals.set(line.amount.currency, (totals.get(line.amount.currency) || Money.zero(line.amount.currency)).add(line.amount));
+        });
+        totals.forEach((total, currency) => {
+            if (!total.isZero()) {
+                throw new Error(`Unbalanced journal entry: ${currency} lines sum to ${total.format()}`);
+            }
+        });
+
+        const entryId = 'jrn_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const timestamp = entry.timestamp || new Date().toISOString();
+
+        lines.forEach((line, index) => {
+            store.putRecord('journal', {
+                id: `${entryId}_${index}`,
+                entryId: entryId,
+                ledger: line.ledger,
+                currency: line.amount.currency,
+                amount: line.amount.toNumber(),
+                description: entry.description || '',
+                reference: entry.reference || null,
+                transactionId: entry.transactionId || null,
+                timestamp: timestamp
+            });
+        });
+
+        return entryId;
     }
 
-    updateUser(userId, updates) {
+    /**
+     * Journal lines of one ledger, oldest first
+     */
+    getLines(ledger, store = this.storage) {
+        return store.query('journal', 'ledger', ledger)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Debit balance of a ledger (debits minus credits)
+     * @returns {Money}
+     */
+    getBalance(ledger, currency, store = this.storage) {
+        return Money.sum(
+            this.getLines(ledger, store).filter(line => line.currency === currency).map(line => line.amount),
+            currency
+        );
+    }
+
+    /**
+     * Walk the closing balance of a customer account for each day from `from` through
+     * `through` (YYYY-MM-DD, UTC). onDay(day, balance, endOfDay) may post to the account
+     * and returns what it moved the balance by, so later days see the posting.
+     */
+    forEachClosingBalance(account, from, through, onDay, store = this.storage) {
+        const lines = this.getLines(account.id, store).filter(line => line.currency === account.currency);
+        let balance = Money.zero(account.currency);
+        let next = 0;
+
+        for (let day = from; day <= through; day = GeneralLedger.nextDay(day)) {
+            const endOfDay = `${day}T23:59:59.999Z`;
+            while (next < lines.length && lines[next].timestamp <= endOfDay) {
+                balance = balance.subtract(lines[next].amount);
+                next++;
+            }
+
+            const moved = onDay(day, balance, endOfDay);
+            if (moved) {
+                balance = balance.add(moved);
+            }
+        }
+    }
+
+    static nextDay(day) {
+        return new Date(Date.parse(day) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Balance of a customer account as the journal sees it
+     * @returns {Money}
+     */
+    getAccountBalance(account, store = this.storage) {
+        return this.getBalance(account.id, account.currency || 'USD', store).negate();
+    }
+
+    /**
+     * Debit and credit totals per ledger and currency
+     * @returns {Object} { rows: [{ ledger, name, currency, debits, credits, balance }], totals: { currency: { debits, credits, balanced } } }
+     */
+    getTrialBalance() {
+        const rows = new Map();
+
+        this.storage.get('journal', []).forEach(line => {
+            const key = `${line.ledger}|${line.currency}`;
+            if (!rows.has(key)) {
+                rows.set(key, { ledger: line.ledger, currency: line.currency, debits: Money.zero(line.currency), credits: Money.zero(line.currency) });
+            }
+
+            const row = rows.get(key);
+            if (line.amount > 0) {
+                row.debits = row.debits.add(line.amount);
+            } else {
+                row.credits = row.credits.add(-line.amount);
+            }
+        });
+
+        const totals = {};
+        const result = Array.from(rows.values()).map(row => {
+            const total = totals[row.currency] || { debits: Money.zero(row.currency), credits: Money.zero(row.currency) };
+            total.debits = total.debits.add(row.debits);
+            total.credits = total.credits.add(row.credits);
+            totals[row.currency] = total;
+
+            return { ...row, name: BANK_LEDGERS[row.ledger] || null, balance: row.debits.subtract(row.credits) };
+        });
+
+        Object.values(totals).forEach(total => {
+            total.balanced = total.debits.equals(total.credits);
+        });
+
+        result.sort((a, b) => a.currency.localeCompare(b.currency) ||
+            Number(!BANK_LEDGERS[a.ledger]) - Number(!BANK_LEDGERS[b.ledger]) ||
+            a.ledger.localeCompare(b.ledger));
+
+        return { rows: result, totals };
+    }
+
+    /**
+     * Accounts whose stored balance differs from their journal balance
+     * @returns {Object[]} [{ accountId, userId, currency, balance, ledgerBalance, difference }] - Money values
+     */
+    reconcile(store = this.storage) {
+        return store.get('accounts', []).reduce((differences, account) => {
+            const currency = account.currency || 'USD';
+            const balance = Money.of(account.balance || 0, currency);
+            const ledgerBalance = this.getAccountBalance(account, store);
+
+            if (!balance.equals(ledgerBalance)) {
+                differences.push({
+                    accountId: account.id,
+                    userId: account.userId,
+                    currency: currency,
+                    balance: balance,
+                    ledgerBalance: ledgerBalance,
+                    difference: balance.subtract(ledgerBalance)
+                });
+            }
+            return differences;
+        }, []);
+    }
+}
+
+/**
+ * Data Manager - Enhanced with IBAN and transfer operations
+ */
+class DataManager {
+    /**
+     * @param {StorageManager} storageInstance - Storage to use (defaults to the global one)
+     */
+    constructor(storageInstance = storage) {
+        this.storage = storageInstance;
+        this.ledger = new GeneralLedger(storageInstance);
+    }
+
+    // User Methods
+    createUser(userData) {
+        const user = new User(userData);
+        this.storage.putRecord('users', user.toJSON());
+        return user;
+    }
+
+    getUserById(id) {
+        const userData = this.storage.getRecord('users', id);
+        return userData ? new User(userData) : null;
+    }
+
+    getUserByEmail(email) {
         const users = this.storage.get('users', []);
-        const userIndex = users.findIndex(user => user.id === userId);
+        const userData = users.find(user => user.email === email);
+        return userData ? new User(userData) : null;
+    }
+
+    updateUser(userId, updates) {
+        const userData = this.storage.getRecord('users', userId);
         
-        if (userIndex !== -1) {
-            users[userIndex] = { ...users[userIndex], ...updates };
-            this.storage.set('users', users);
-            return new User(users[userIndex]);
+        if (userData) {
+            const updatedUser = { ...userData, ...updates };
+            this.storage.putRecord('users', updatedUser);
+            return new User(updatedUser);
         }
         return null;
     }
 
     // Account Methods
-    createAccount(accountData) {
+    /**
+     * Create an account; an opening balance is posted to the journal as a deposit
+     */
+    createAccount(accountData, store = this.storage) {
+        if (store === this.storage) {
+            return this.storage.transaction(['accounts', 'journal'], (tx) => this.createAccount(accountData, tx));
+        }
+
         const account = new Account(accountData);
-        const accounts = this.storage.get('accounts', []);
-        accounts.push(account.toJSON());
-        this.storage.set('accounts', accounts);
+        store.putRecord('accounts', account.toJSON());
+
+        const opening = account.balanceMoney;
+        if (!opening.isZero()) {
+            this.ledger.post({
+                description: 'Opening balance',
+                lines: [
+                    { ledger: 'bank:cash', amount: opening },
+                    { ledger: account.id, amount: opening.negate() }
+                ]
+            }, store);
+        }
         return account;
     }
 
+    /**
+     * Open a new, empty account for a customer
+     * @param {Object} accountData - { type, currency, nickname }
+     */
+    openAccount(userId, { type, currency, nickname }) {
+        const user = this.getUserById(userId);
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+        if (!ACCOUNT_TYPES.includes(type)) {
+            throw new Error(`Unknown account type: ${type}`);
+        }
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            throw new Error(`Accounts can be held in ${SUPPORTED_CURRENCIES.join(', ')}`);
+        }
+        if (this.getAccountsByUserId(userId).length >= MAX_ACCOUNTS_PER_USER) {
+            throw new Error(`You can have up to ${MAX_ACCOUNTS_PER_USER} open accounts`);
+        }
+
+        return this.createAccount({
+            userId,
+            type,
+            currency,
+            balance: 0,
+            nickname: this.validateAccountNickname(nickname)
+        });
+    }
+
+    /**
+     * @returns {string|null} The trimmed nickname, or null to use the account type
+     */
+    validateAccountNickname(nickname) {
+        const trimmed = String(nickname || '').trim();
+        if (trimmed.length > 40) {
+            throw new Error('The nickname can be up to 40 characters');
+        }
+        return trimmed || null;
+    }
+
+    renameAccount(accountId, userId, nickname) {
+        const account = this.getAccountById(accountId);
+        if (!account || account.userId !== userId || !account.isActive) {
+            throw new Error('Account not found');
+        }
+
+        const accountData = { ...this.storage.getRecord('accounts', accountId), nickname: this.validateAccountNickname(nickname) };
+        this.storage.putRecord('accounts', accountData);
+        return new Account(accountData);
+    }
+
+    /**
+     * Close an account. Interest accrued so far is paid first; a balance left over
+     * must be moved to another of the customer's accounts. The account is kept,
+     * inactive, so its history stays readable. Standing orders paying from it are
+     * cancelled and accounts sweeping from it lose their overdraft protection.
+     * @param {Object} options - { sweepToAccountId } - required when the balance is positive
+     * @returns {Promise<Object>} { account, moved: Money | null }
+     */
+    async closeAccount(accountId, userId, { sweepToAccountId = null } = {}) {
+        const closedAt = new Date().toISOString();
+
+        const result = this.storage.transaction(['accounts', 'transactions', 'journal', 'scheduledTransfers', 'cards'], (tx) => {
+            const accountData = tx.getRecord('accounts', accountId);
+            if (!accountData || accountData.userId !== userId || !accountData.isActive) {
+                throw new Error('Account not found');
+            }
+
+            const account = new Account(accountData);
+            if (account.type === 'loan') {
+                throw new Error('A loan account closes when the loan is paid off');
+            }
+            if (this.storage.query('loans', 'userId', userId).some(loan => loan.accountId === accountId && ['pending', 'active'].includes(loan.status))) {
+                throw new Error('A loan is paid into or repaid from this account - pay it off before closing the account');
+            }
+            if (account.balanceMoney.isNegative()) {
+                throw new Error('Pay off the overdrawn balance before closing this account');
+            }
+            if (this.storage.query('transactions', 'accountId', accountId).some(txn => txn.status === 'pending')) {
+                throw new Error('Wait for pending transfers to settle before closing this account');
+            }
+
+            // Interest earned so far is paid before the account closes
+            const interest = Money.of(account.interestAccrued, account.currency);
+            if (interest.isPositive()) {
+                const payment = this.createTransaction({
+                    accountId: account.id,
+                    type: 'deposit',
+                    amount: interest.toNumber(),
+                    currency: interest.currency,
+                    description: 'Interest to closure',
+                    category: 'interest',
+                    status: 'settled'
+                }, tx);
+                this.ledger.post({
+                    description: 'Interest',
+                    transactionId: payment.id,
+                    lines: [
+                        { ledger: 'bank:interest_expense', amount: interest },
+                        { ledger: account.id, amount: interest.negate() }
+                    ]
+                }, tx);
+                this.updateAccountBalance(account.id, account.balanceMoney.add(interest), tx);
+            }
+
+            const remaining = Money.of(tx.getRecord('accounts', accountId).balance, account.currency);
+            let moved = null;
+            if (remaining.isPositive()) {
+                const target = sweepToAccountId ? tx.getRecord('accounts', sweepToAccountId) : null;
+                if (!target || target.userId !== userId || !target.isActive || target.id === accountId) {
+                    throw new Error('Choose another of your accounts to move the remaining balance to');
+                }
+                moved = this.postClosingTransfer(account, new Account(target), remaining, tx);
+            }
+
+            // Nothing may keep drawing on the closed account
+            tx.get('accounts', [])
+                .filter(other => other.linkedAccountId === accountId)
+                .forEach(other => tx.putRecord('accounts', { ...other, overdraftProtection: false, linkedAccountId: null }));
+            tx.get('scheduledTransfers', [])
+                .filter(order => order.fromAccountId === accountId && ['active', 'paused'].includes(order.status))
+                .forEach(order => tx.putRecord('scheduledTransfers', { ...order, status: 'cancelled', retryAt: null, updatedAt: closedAt }));
+            tx.get('cards', [])
+                .filter(card => card.accountId === accountId && card.status !== 'cancelled')
+                .forEach(card => tx.putRecord('cards', { ...card, status: 'cancelled', cancelledAt: closedAt, cancelledBy: userId }));
+
+            tx.putRecord('accounts', {
+                ...tx.getRecord('accounts', accountId),
+                isActive: false,
+                closedAt: closedAt,
+                overdraftLimit: 0,
+                overdraftProtection: false,
+                linkedAccountId: null,
+                interestAccrued: 0
+            });
+
+            return { account: new Account(tx.getRecord('accounts', accountId)), moved };
+        });
+
+        await this.storage.flush();
+        return result;
+    }
+
+    /**
+     * Move the balance of a closing account to another account of the customer,
+     * converting at the customer rate when the currencies differ. No fee is charged.
+     * @returns {Money} The amount credited to the target account
+     */
+    postClosingTransfer(account, target, amount, tx) {
+        const owner = this.getUserById(account.userId)?.fullName || 'Unknown';
+        let credit = amount;
+        let fx = null;
+        if (target.currency !== account.currency) {
+            const quote = this.getFxQuote(account.currency, target.currency);
+            credit = amount.convert(quote.appliedRate, target.currency);
+            fx = { ...quote, sourceAmount: amount.toNumber(), targetAmount: credit.toNumber() };
+        }
+
+        const senderTransaction = this.createTransaction({
+            accountId: account.id,
+            recipientIBAN: target.iban,
+            recipientName: owner,
+            type: 'transfer',
+            amount: amount.toNumber(),
+            currency: amount.currency,
+            description: `Balance moved to ${target.maskedIBAN} on closure`,
+            category: 'closure',
+            status: 'settled',
+            fx: fx
+        }, tx);
+        const recipientTransaction = this.createTransaction({
+            accountId: target.id,
+            recipientIBAN: account.iban,
+            recipientName: owner,
+            type: 'deposit',
+            amount: credit.toNumber(),
+            currency: credit.currency,
+            description: `Balance of closed account ${account.maskedIBAN}`,
+            category: 'closure',
+            status: 'settled',
+            reference: senderTransaction.reference,
+            fx: fx
+        }, tx);
+
+        this.postTransfer({ senderTransaction, recipientTransaction, feeTransaction: null }, tx);
+        return credit;
+    }
+
     getAccountsByUserId(userId) {
-        const accounts = this.storage.get('accounts', []);
-        return accounts
-            .filter(account => account.userId === userId && account.isActive)
+        return this.storage.query('accounts', 'userId', userId)
+            .filter(account => account.isActive)
             .map(accountData => new Account(accountData));
     }
 
     getAccountById(id) {
-        const accounts = this.storage.get('accounts', []);
-        const accountData = accounts.find(account => account.id === id);
+        const accountData = this.storage.getRecord('accounts', id);
         return accountData ? new Account(accountData) : null;
     }
 
@@ -364,8 +1318,8 @@ class DataManager {
         });
         
         const accountData = accounts.find(account => {
-            const accountIBAN = account.iban ? account.iban.replace(/\s/g, '') : '';
-            const searchIBAN = iban ? iban.replace(/\s/g, '') : '';
+            const accountIBAN = Account.normalizeIBAN(account.iban);
+            const searchIBAN = Account.normalizeIBAN(iban);
             const match = accountIBAN === searchIBAN;
             
             console.log('🔍 Comparing:', {
@@ -381,121 +1335,223 @@ class DataManager {
         return accountData ? new Account(accountData) : null;
     }
 
-    updateAccountBalance(accountId, newBalance) {
-        const accounts = this.storage.get('accounts', []);
-        const accountIndex = accounts.findIndex(account => account.id === accountId);
+    /**
+     * A valid IBAN held at another bank, not by a FinSim account
+     */
+    isExternalIBAN(iban) {
+        const validation = Account.validateIBAN(iban || '');
+        return validation.valid && validation.countryCode !== 'FS' && !this.getAccountByIBAN(iban);
+    }
+
+    /**
+     * Overwrite the stored balance. Callers post the matching journal entry in the same transaction.
+     */
+    updateAccountBalance(accountId, newBalance, store = this.storage) {
+        const accountData = store.getRecord('accounts', accountId);
         
-        if (accountIndex !== -1) {
-            accounts[accountIndex].balance = newBalance;
-            this.storage.set('accounts', accounts);
-            return new Account(accounts[accountIndex]);
+        if (accountData) {
+            accountData.balance = Money.of(newBalance, accountData.currency || 'USD').toNumber();
+            store.putRecord('accounts', accountData);
+            return new Account(accountData);
         }
         return null;
     }
 
     // Transaction Methods
-    createTransaction(transactionData) {
+    createTransaction(transactionData, store = this.storage) {
         const transaction = new Transaction(transactionData);
-        const transactions = this.storage.get('transactions', []);
-        transactions.push(transaction.toJSON());
-        this.storage.set('transactions', transactions);
+        store.putRecord('transactions', transaction.toJSON());
         return transaction;
     }
 
-    getTransactionsByAccountId(accountId, limit = 50) {
-        const transactions = this.storage.get('transactions', []);
-        return transactions
-            .filter(txn => txn.accountId === accountId)
+    /**
+     * An account's transactions, newest first, read through the accountId index
+     */
+    async getTransactionsByAccountId(accountId, limit = 50) {
+        return (await this.storage.find('transactions', 'accountId', accountId))
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, limit)
             .map(txnData => new Transaction(txnData));
     }
 
-    getUserTransactions(userId) {
+    /**
+     * Transactions of all the user's accounts, newest first
+     */
+    async getUserTransactions(userId) {
         const userAccounts = this.getAccountsByUserId(userId);
-        const accountIds = userAccounts.map(acc => acc.id);
-        const transactions = this.storage.get('transactions', []);
-        
-        return transactions
-            .filter(txn => accountIds.includes(txn.accountId))
+        const perAccount = await Promise.all(userAccounts.map(account => this.storage.find('transactions', 'accountId', account.id)));
+
+        return perAccount.flat()
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .map(txnData => new Transaction(txnData));
     }
 
-    async processTransfer(fromAccountId, toAccountIdentifier, amount, description = '') {
+    /**
+     * @param {Object} options - { standingOrder: { id, runDate } } when a standing order makes the transfer
+     */
+    async processTransfer(fromAccountId, toAccountIdentifier, amount, description = '', options = {}) {
         try {
             // Validate from account
             const fromAccount = this.getAccountById(fromAccountId);
             if (!fromAccount) {
                 throw new Error('Sender account not found');
             }
-
-            // Validate sufficient funds
-            if (!fromAccount.hasSufficientFunds(amount)) {
-                throw new Error('Insufficient funds');
+            if (!fromAccount.isActive) {
+                throw new Error('Sender account is closed');
+            }
+            // Loan accounts only ever pay out their own loan
+            if (fromAccount.type === 'loan' && !options.loanId) {
+                throw new Error('Money cannot be sent from a loan account');
             }
 
-            let toAccount;
-
-            // Check if toAccountIdentifier is an account ID (internal transfer) or IBAN (external transfer)
-            if (toAccountIdentifier.startsWith('acc_')) {
-                // It's an account ID - internal transfer between own accounts
-                toAccount = this.getAccountById(toAccountIdentifier);
-            } else {
-                // It's an IBAN - external transfer to another user
-                toAccount = this.getAccountByIBAN(toAccountIdentifier);
+            // Amounts are rounded to whole cents once, here
+            const money = Money.of(amount, fromAccount.currency);
+            if (!money.isPositive()) {
+                throw new Error('Transfer amount must be positive');
             }
 
-            if (!toAccount) {
+            // Account ids and IBANs of FinSim accounts are paid internally; any other valid IBAN is at another bank
+            const byIBAN = !toAccountIdentifier.startsWith('acc_');
+            const toAccount = byIBAN ? this.getAccountByIBAN(toAccountIdentifier) : this.getAccountById(toAccountIdentifier);
+            const isExternal = !toAccount;
+
+            if (isExternal && !(byIBAN && this.isExternalIBAN(toAccountIdentifier))) {
                 throw new Error('Recipient account not found');
             }
-
-            if (!toAccount.isActive) {
+            if (toAccount && !toAccount.isActive) {
                 throw new Error('Recipient account is inactive');
             }
+            if (toAccount && toAccount.type === 'loan') {
+                throw new Error('Loans are repaid by their monthly repayments or an early payoff');
+            }
 
             // Prevent transfer to same account
-            if (fromAccount.id === toAccount.id) {
+            if (toAccount && fromAccount.id === toAccount.id) {
                 throw new Error('Cannot transfer to the same account');
             }
 
-            // Process transfer
-            fromAccount.withdraw(amount);
-            toAccount.deposit(amount);
+            // The fee is charged on top of the amount, so the funds check covers both
+            const fee = options.loanId ? Money.zero(money.currency) : this.calculateTransferFee(money, isExternal);
+            if (this.getSpendableBalance(fromAccount).lessThan(money.add(fee))) {
+                throw new Error('Insufficient funds');
+            }
+            const sweep = this.getSweepAmount(fromAccount, money.add(fee));
 
-            // Update accounts in storage
-            this.updateAccountBalance(fromAccount.id, fromAccount.balance);
-            this.updateAccountBalance(toAccount.id, toAccount.balance);
+            // Money leaving for another customer or bank counts against the sender's transfer limits
+            if (isExternal || toAccount.userId !== fromAccount.userId) {
+                this.checkTransferLimits(fromAccount.userId, money);
+            }
 
-            // Create transaction records
-            const senderTransaction = this.createTransaction({
-                accountId: fromAccount.id,
-                recipientIBAN: toAccount.iban,
-                recipientName: this.getUserById(toAccount.userId)?.fullName || 'Unknown',
-                type: 'transfer',
-                amount: amount,
-                description: description || `Transfer to ${toAccount.maskedIBAN}`,
-                category: 'transfer',
-                status: 'completed'
-            });
+            // The first payment to a newly saved payee has to be confirmed by the customer
+            const payee = byIBAN ? this.findPayee(fromAccount.userId, toAccountIdentifier) : null;
+            if (payee && this.needsPayeeConfirmation(payee) && !options.payeeConfirmed) {
+                throw new Error('Please confirm the first payment to this payee');
+            }
 
-            const recipientTransaction = this.createTransaction({
-                accountId: toAccount.id,
-                recipientIBAN: fromAccount.iban,
-                recipientName: this.getUserById(fromAccount.userId)?.fullName || 'Unknown',
-                type: 'deposit',
-                amount: amount,
-                description: description || `Transfer from ${fromAccount.maskedIBAN}`,
-                category: 'transfer',
-                status: 'completed'
+            const recipientIBAN = toAccount ? toAccount.iban : Account.formatIBAN(Account.normalizeIBAN(toAccountIdentifier));
+            const recipientName = toAccount
+                ? this.getUserById(toAccount.userId)?.fullName || 'Unknown'
+                : 'External account';
+            const senderName = this.getUserById(fromAccount.userId)?.fullName || 'Unknown';
+
+            // Cross-currency transfers are converted at the customer rate, recorded on both legs
+            let credit = money;
+            let fx = null;
+            if (toAccount && toAccount.currency !== fromAccount.currency) {
+                const quote = this.getFxQuote(fromAccount.currency, toAccount.currency);
+                credit = money.convert(quote.appliedRate, toAccount.currency);
+                if (!credit.isPositive()) {
+                    throw new Error('Transfer amount is too small to convert');
+                }
+                fx = {
+                    ...quote,
+                    sourceAmount: money.toNumber(),
+                    targetAmount: credit.toNumber()
+                };
+            }
+
+            // External transfers wait for a settlement run; internal ones settle now
+            const status = isExternal ? 'pending' : 'settled';
+
+            // The transaction records, and for settled transfers the balances and journal entries, are committed together
+            const { senderTransaction, recipientTransaction, feeTransaction } = this.storage.transaction(['accounts', 'transactions', 'journal', 'payees'], (tx) => {
+                // Overdraft protection tops the account up before the transfer is taken
+                if (sweep.isPositive()) {
+                    this.postSweep(fromAccount.id, sweep, tx);
+                }
+
+                const senderTransaction = this.createTransaction({
+                    accountId: fromAccount.id,
+                    recipientIBAN: recipientIBAN,
+                    recipientName: recipientName,
+                    type: 'transfer',
+                    amount: money.toNumber(),
+                    currency: money.currency,
+                    description: description || `Transfer to ${toAccount ? toAccount.maskedIBAN : recipientIBAN}`,
+                    category: options.loanId ? 'loan' : 'transfer',
+                    status: status,
+                    fx: fx,
+                    standingOrder: options.standingOrder || null,
+                    loan: options.loanId ? { id: options.loanId, kind: 'payout', installment: null } : null
+                }, tx);
+
+                // Both legs share the reference, so a settlement run can find them together.
+                // Money sent to another bank leaves through cash & settlement and has no incoming leg.
+                const transactions = {
+                    senderTransaction: senderTransaction,
+                    recipientTransaction: toAccount && this.createTransaction({
+                        accountId: toAccount.id,
+                        recipientIBAN: fromAccount.iban,
+                        recipientName: senderName,
+                        type: 'deposit',
+                        amount: credit.toNumber(),
+                        currency: credit.currency,
+                        description: description || `Transfer from ${fromAccount.maskedIBAN}`,
+                        category: senderTransaction.category,
+                        status: status,
+                        reference: senderTransaction.reference,
+                        fx: fx,
+                        loan: senderTransaction.loan
+                    }, tx),
+                    feeTransaction: null
+                };
+
+                if (fee.isPositive()) {
+                    transactions.feeTransaction = this.createTransaction({
+                        accountId: fromAccount.id,
+                        type: 'fee',
+                        amount: fee.toNumber(),
+                        currency: fee.currency,
+                        description: `${isExternal ? 'External' : 'Internal'} transfer fee`,
+                        category: 'fee',
+                        status: status,
+                        linkedReference: senderTransaction.reference
+                    }, tx);
+                }
+
+                if (status === 'settled') {
+                    this.postTransfer(transactions, tx);
+                }
+
+                if (payee) {
+                    tx.putRecord('payees', { ...payee, lastUsedAt: senderTransaction.timestamp });
+                }
+
+                return transactions;
             });
 
+            // Only report success once the records are actually persisted
+            await this.storage.flush();
+
             return {
                 success: true,
+                status: status,
                 senderTransaction: senderTransaction,
                 recipientTransaction: recipientTransaction,
-                newSenderBalance: fromAccount.balance,
-                newRecipientBalance: toAccount.balance
+                feeTransaction: feeTransaction,
+                fee: fee.toNumber(),
+                newSenderBalance: this.getAccountById(fromAccount.id).balance,
+                newRecipientBalance: toAccount ? this.getAccountById(toAccount.id).balance : null
             };
 
         } catch (error) {
@@ -507,30 +1563,2811 @@ class DataManager {
         }
     }
 
-    // Utility Methods
-    getTotalBalance(userId) {
-        const accounts = this.getAccountsByUserId(userId);
-        return accounts.reduce((total, account) => total + account.balance, 0);
+    /**
+     * Move the money of a transfer: debit the sender (amount and fee), credit the
+     * recipient - or cash & settlement for another bank - and post the journal entries
+     * @param {Object} transactions - { senderTransaction, recipientTransaction (null for other banks), feeTransaction }
+     * @param {StorageTransaction} tx - Transaction including 'accounts' and 'journal'
+     */
+    postTransfer({ senderTransaction, recipientTransaction, feeTransaction }, tx) {
+        const fromAccount = new Account(tx.getRecord('accounts', senderTransaction.accountId));
+        const toAccount = recipientTransaction ? new Account(tx.getRecord('accounts', recipientTransaction.accountId)) : null;
+        const money = Money.of(senderTransaction.amount, senderTransaction.currency);
+        const credit = recipientTransaction ? Money.of(recipientTransaction.amount, recipientTransaction.currency) : money;
+        const fee = feeTransaction ? Money.of(feeTransaction.amount, feeTransaction.currency) : Money.zero(money.currency);
+
+        fromAccount.withdraw(money.add(fee));
+        this.updateAccountBalance(fromAccount.id, fromAccount.balance, tx);
+        if (toAccount) {
+            toAccount.deposit(credit);
+            this.updateAccountBalance(toAccount.id, toAccount.balance, tx);
+        }
+
+        // Cross-currency legs settle through FX clearing, so each currency balances
+        const lines = [{ ledger: fromAccount.id, amount: money }];
+        if (money.currency !== credit.currency) {
+            lines.push({ ledger: 'bank:fx_clearing', amount: money.negate() });
+            lines.push({ ledger: 'bank:fx_clearing', amount: credit });
+        }
+        lines.push({ ledger: toAccount ? toAccount.id : 'bank:cash', amount: credit.negate() });
+
+        this.ledger.post({
+            description: senderTransaction.description || 'Transfer',
+            reference: senderTransaction.reference,
+            transactionId: senderTransaction.id,
+            lines: lines
+        }, tx);
+
+        if (feeTransaction) {
+            this.ledger.post({
+                description: 'Transfer fee',
+                reference: senderTransaction.reference,
+                transactionId: feeTransaction.id,
+                lines: [
+                    { ledger: fromAccount.id, amount: fee },
+                    { ledger: 'bank:fee_income', amount: fee.negate() }
+                ]
+            }, tx);
+        }
     }
 
-    getRecentTransactions(userId, limit = 10) {
-        const transactions = this.getUserTransactions(userId);
-        return transactions.slice(0, limit);
+    // Status Methods
+    /**
+     * Move a transaction to a new status, keeping an audit of the change
+     * @param {Object} options - { reason, by }
+     * @returns {Transaction}
+     */
+    transitionTransaction(transactionId, status, { reason = '', by = null } = {}, store = this.storage) {
+        const transactionData = store.getRecord('transactions', transactionId);
+        if (!transactionData) {
+            throw new Error('Transaction not found');
+        }
+
+        const transaction = new Transaction(transactionData).transitionTo(status, reason, by);
+        store.putRecord('transactions', transaction.toJSON());
+        return transaction;
     }
-}
 
-document.addEventListener('DOMContentLoaded', function() {
-    setTimeout(initializeSystem, 1000);
-});
+    /**
+     * The transfer, incoming leg and fee recorded under one reference
+     * @returns {Object} { senderTransaction, recipientTransaction, feeTransaction }
+     */
+    getTransferLegs(reference, store = this.storage) {
+        const legs = store.get('transactions', [])
+            .filter(txn => txn.reference === reference || txn.linkedReference === reference)
+            .map(txnData => new Transaction(txnData));
+
+        // Reversals link to the reference too, but carry their own
+        return {
+            senderTransaction: legs.find(txn => txn.type === 'transfer' && txn.reference === reference) || null,
+            recipientTransaction: legs.find(txn => txn.type === 'deposit' && txn.reference === reference) || null,
+            feeTransaction: legs.find(txn => txn.type === 'fee') || null
+        };
+    }
+
+    /**
+     * Outgoing transactions waiting for settlement
+     */
+    getPendingTransactions(accountId = null) {
+        const transactions = accountId
+            ? this.storage.query('transactions', 'accountId', accountId)
+            : this.storage.get('transactions', []);
+
+        return transactions
+            .filter(txn => txn.status === 'pending' && txn.type !== 'deposit')
+            .map(txnData => new Transaction(txnData));
+    }
+
+    /**
+     * Ledger balance less pending outgoing transfers and fees
+     * @returns {Money}
+     */
+    getAvailableBalance(account) {
+        return this.getPendingTransactions(account.id).reduce(
+            (available, txn) => available.subtract(Money.of(txn.amount, account.currency)),
+            account.balanceMoney
+        );
+    }
+
+    /**
+     * What can be spent: the available balance, the arranged overdraft and, with
+     * overdraft protection, what the linked account has available
+     * @returns {Money}
+     */
+    getSpendableBalance(account) {
+        const source = this.getSweepSource(account);
+        const sweepable = source ? Money.max(this.getAvailableBalance(source), Money.zero(account.currency)) : Money.zero(account.currency);
+        return this.getAvailableBalance(account).add(account.overdraftLimitMoney).add(sweepable);
+    }
+
+    /**
+     * Settle pending external transfers. A transfer fails when either account is
+     * gone or inactive, or the sender can no longer cover it.
+     * @param {Object} options - { olderThan: only transfers at least this many ms old }
+     * @returns {Promise<Object>} { settled, failed }
+     */
+    async runSettlement({ olderThan = 0 } = {}) {
+        const cutoff = Date.now() - olderThan;
+        const due = this.getPendingTransactions()
+            .filter(txn => txn.type === 'transfer' && new Date(txn.timestamp).getTime() <= cutoff);
+        const result = { settled: 0, failed: 0 };
+
+        due.forEach(pending => {
+            this.storage.transaction(['accounts', 'transactions', 'journal'], (tx) => {
+                const legs = this.getTransferLegs(pending.reference, tx);
+
+                // Another tab may have settled it already
+                if (!legs.senderTransaction || !legs.senderTransaction.isPending) return;
+
+                const fromData = tx.getRecord('accounts', legs.senderTransaction.accountId);
+                const toData = legs.recipientTransaction && tx.getRecord('accounts', legs.recipientTransaction.accountId);
+                const fromAccount = fromData ? new Account(fromData) : null;
+                const toAccount = toData ? new Account(toData) : null;
+                const total = Money.of(legs.senderTransaction.amount, legs.senderTransaction.currency)
+                    .add(legs.feeTransaction ? legs.feeTransaction.amount : 0);
+
+                let failure = null;
+                if (!fromAccount || !fromAccount.isActive) {
+                    failure = 'Sender account is closed';
+                } else if (legs.recipientTransaction && (!toAccount || !toAccount.isActive)) {
+                    failure = 'Recipient account is closed';
+                } else if (!fromAccount.hasSufficientFunds(total)) {
+                    failure = 'Insufficient funds at settlement';
+                }
+
+                Object.values(legs).filter(Boolean).forEach(leg => {
+                    this.transitionTransaction(leg.id, failure ? 'failed' : 'settled', { reason: failure || 'Settlement run' }, tx);
+                });
+
+                if (failure) {
+                    result.failed++;
+                } else {
+                    this.postTransfer(legs, tx);
+                    result.settled++;
+                }
+            });
+        });
+
+        await this.storage.flush();
+
+        if (due.length > 0) {
+            console.log(`🏦 Settlement run: ${result.settled} settled, ${result.failed} failed`);
+        }
+        return result;
+    }
+
+    // Standing Order Methods
+    /**
+     * Schedule a future-dated or recurring transfer
+     * @param {Object} orderData - { fromAccountId, toAccountIdentifier (account id or IBAN), amount, description,
+     *                             frequency, startDate, dayOfMonth (monthly), intervalDays (interval), endDate, maxRuns }
+     * @returns {Object} The standing order
+     */
+    createStandingOrder(userId, orderData) {
+        const today = new Date().toISOString().slice(0, 10);
+        const order = this.validateStandingOrder({
+            id: 'sto_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            fromAccountId: orderData.fromAccountId,
+            toAccountIdentifier: orderData.toAccountIdentifier,
+            amount: orderData.amount,
+            description: orderData.description || '',
+            frequency: orderData.frequency || 'once',
+            dayOfMonth: orderData.dayOfMonth || (orderData.startDate ? Number(orderData.startDate.slice(8, 10)) : null),
+            intervalDays: orderData.intervalDays || null,
+            nextRunDate: orderData.startDate || today,
+            endDate: orderData.endDate || null,
+            maxRuns: orderData.maxRuns || null,
+            runs: 0,
+            attempts: 0,
+            retryAt: null,
+            status: 'active',
+            history: [],
+            createdAt: new Date().toISOString()
+        });
+
+        this.storage.putRecord('scheduledTransfers', order);
+        return order;
+    }
+
+    /**
+     * Check and normalize a standing order, aligning its next run to its schedule
+     */
+    validateStandingOrder(order) {
+        const today = new Date().toISOString().slice(0, 10);
+        const fromAccount = this.getAccountById(order.fromAccountId);
+        if (!fromAccount || fromAccount.userId !== order.userId || !fromAccount.isActive) {
+            throw new Error('Sender account not found');
+        }
+
+        const byIBAN = !String(order.toAccountIdentifier || '').startsWith('acc_');
+        const toAccount = byIBAN
+            ? Account.validateIBAN(order.toAccountIdentifier || '').valid && this.getAccountByIBAN(order.toAccountIdentifier)
+            : this.getAccountById(order.toAccountIdentifier);
+        if (toAccount ? !toAccount.isActive : !(byIBAN && this.isExternalIBAN(order.toAccountIdentifier))) {
+            throw new Error('Recipient account not found');
+        }
+        if (toAccount && toAccount.id === fromAccount.id) {
+            throw new Error('Cannot transfer to the same account');
+        }
+
+        const amount = Money.of(order.amount, fromAccount.currency);
+        if (!amount.isPositive()) {
+            throw new Error('Transfer amount must be positive');
+        }
+        if (!STANDING_ORDER_FREQUENCIES.includes(order.frequency)) {
+            throw new Error(`Frequency must be one of ${STANDING_ORDER_FREQUENCIES.join(', ')}`);
+        }
+        if (order.frequency === 'monthly' && !(Number.isInteger(order.dayOfMonth) && order.dayOfMonth >= 1 && order.dayOfMonth <= 31)) {
+            throw new Error('The day of the month must be between 1 and 31');
+        }
+        if (order.frequency === 'interval' && !(Number.isInteger(order.intervalDays) && order.intervalDays >= 1 && order.intervalDays <= 365)) {
+            throw new Error('The interval must be between 1 and 365 days');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(order.nextRunDate || '') || order.nextRunDate < today) {
+            throw new Error('The first payment date must be today or later (YYYY-MM-DD)');
+        }
+
+        const nextRunDate = order.frequency === 'monthly'
+            ? this.getMonthlyRunDate(order.nextRunDate, order.dayOfMonth)
+            : order.nextRunDate;
+        if (order.endDate && !(/^\d{4}-\d{2}-\d{2}$/.test(order.endDate) && order.endDate >= nextRunDate)) {
+            throw new Error('The end date must be on or after the first payment (YYYY-MM-DD)');
+        }
+        if (order.maxRuns !== null && order.maxRuns !== undefined && !(Number.isInteger(order.maxRuns) && order.maxRuns >= 1)) {
+            throw new Error('The number of payments must be a whole number of at least 1');
+        }
+
+        return {
+            ...order,
+            amount: amount.toNumber(),
+            currency: amount.currency,
+            recipientName: toAccount
+                ? this.getUserById(toAccount.userId)?.fullName || 'Unknown'
+                : 'External account',
+            recipientIBAN: toAccount ? toAccount.iban : Account.formatIBAN(Account.normalizeIBAN(order.toAccountIdentifier)),
+            dayOfMonth: order.frequency === 'monthly' ? order.dayOfMonth : null,
+            intervalDays: order.frequency === 'interval' ? order.intervalDays : null,
+            nextRunDate: nextRunDate,
+            endDate: order.endDate || null,
+            maxRuns: order.maxRuns || null,
+            updatedAt: new Date().toISOString()
+        };
+    }
 
-function initializeSystem() {
-    if (!storage) {
+    /**
+     * The first date on or after `from` that falls on a day of the month; short
+     * months use their last day
+     */
+    getMonthlyRunDate(from, dayOfMonth) {
+        const onDay = (year, month) => {
+            const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            return new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay))).toISOString().slice(0, 10);
+        };
+        const date = new Date(`${from}T00:00:00.000Z`);
+        const candidate = onDay(date.getUTCFullYear(), date.getUTCMonth());
+
+        return candidate >= from ? candidate : onDay(date.getUTCFullYear(), date.getUTCMonth() + 1);
+    }
+
+    /**
+     * The run after `runDate`, or null when the order has no more runs
+     */
+    getNextRunDate(order, runDate) {
+        const addDays = days => new Date(Date.parse(runDate) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        let next = null;
+
+        if (order.frequency === 'weekly') {
+            next = addDays(7);
+        } else if (order.frequency === 'interval') {
+            next = addDays(order.intervalDays);
+        } else if (order.frequency === 'monthly') {
+            const date = new Date(`${runDate}T00:00:00.000Z`);
+            const nextMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString().slice(0, 10);
+            next = this.getMonthlyRunDate(nextMonth, order.dayOfMonth);
+        }
+
+        if (!next || (order.endDate && next > order.endDate)) return null;
+        return next;
+    }
+
+    getStandingOrders(userId) {
+        return this.storage.query('scheduledTransfers', 'userId', userId)
+            .sort((a, b) => a.nextRunDate.localeCompare(b.nextRunDate));
+    }
+
+    /**
+     * Change the amount, description or schedule of an active or paused standing order
+     * @param {Object} changes - Any of amount, description, frequency, dayOfMonth, intervalDays, nextRunDate, endDate, maxRuns
+     */
+    updateStandingOrder(orderId, userId, changes) {
+        const order = this.storage.getRecord('scheduledTransfers', orderId);
+        if (!order || order.userId !== userId) {
+            throw new Error('Standing order not found');
+        }
+        if (!['active', 'paused'].includes(order.status)) {
+            throw new Error(`A ${order.status} standing order cannot be changed`);
+        }
+
+        const editable = ['amount', 'description', 'frequency', 'dayOfMonth', 'intervalDays', 'nextRunDate', 'endDate', 'maxRuns'];
+        const updated = this.validateStandingOrder({
+            ...order,
+            ...Object.fromEntries(Object.entries(changes).filter(([key]) => editable.includes(key))),
+            attempts: 0,
+            retryAt: null
+        });
+        if (updated.maxRuns && updated.runs >= updated.maxRuns) {
+            throw new Error(`This standing order has already made ${updated.runs} payments`);
+        }
+
+        this.storage.putRecord('scheduledTransfers', updated);
+        return updated;
+    }
+
+    /**
+     * Pause, resume or cancel a standing order. Resuming skips the runs missed while paused.
+     * @param {string} status - 'paused', 'active' or 'cancelled'
+     */
+    setStandingOrderStatus(orderId, userId, status) {
+        const order = this.storage.getRecord('scheduledTransfers', orderId);
+        if (!order || order.userId !== userId) {
+            throw new Error('Standing order not found');
+        }
+
+        const allowed = { paused: ['active'], active: ['paused'], cancelled: ['active', 'paused'] };
+        if (!(allowed[status] || []).includes(order.status)) {
+            throw new Error(`A ${order.status} standing order cannot be ${status === 'active' ? 'resumed' : status}`);
+        }
+
+        const updated = { ...order, status, attempts: 0, retryAt: null, updatedAt: new Date().toISOString() };
+        if (status === 'active') {
+            const today = new Date().toISOString().slice(0, 10);
+            while (updated.nextRunDate && updated.nextRunDate < today) {
+                updated.nextRunDate = order.frequency === 'once' ? today : this.getNextRunDate(updated, updated.nextRunDate);
+            }
+            if (!updated.nextRunDate) {
+                updated.status = 'completed';
+            }
+        }
+
+        this.storage.putRecord('scheduledTransfers', updated);
+        return updated;
+    }
+
+    /**
+     * Make the transfers of standing orders that are due, catching up missed runs
+     * oldest first. Tabs take turns, and each reloads the orders first, so a run is
+     * never made twice; a transfer already stamped with the run counts as made.
+     * @param {Date} now
+     * @returns {Promise<Object>} { executed, failed, skipped }
+     */
+    async runStandingOrders(now = new Date()) {
+        const today = now.toISOString().slice(0, 10);
+        const result = { executed: 0, failed: 0, skipped: 0 };
+        const isDue = order => order && order.status === 'active' && order.nextRunDate <= today &&
+            (!order.retryAt || new Date(order.retryAt) <= now);
+
+        await this.storage.exclusive('standingOrders', async () => {
+            await this.storage.reload(['scheduledTransfers']);
+            const due = this.storage.get('scheduledTransfers', []).filter(isDue);
+            if (due.length === 0) return;
+
+            // Transfers decide on balances, so act on what other tabs wrote too
+            await this.storage.reload(['accounts', 'transactions', 'journal']);
+
+            for (const { id } of due) {
+                let order = this.storage.getRecord('scheduledTransfers', id);
+                while (isDue(order)) {
+                    const outcome = await this.runStandingOrder(order, now);
+                    result[outcome]++;
+                    if (outcome === 'failed') break;
+                    order = this.storage.getRecord('scheduledTransfers', id);
+                }
+            }
+        });
+
+        if (result.executed + result.failed + result.skipped > 0) {
+            console.log(`📅 Standing orders: ${result.executed} paid, ${result.failed} failed, ${result.skipped} skipped`);
+        }
+        return result;
+    }
+
+    /**
+     * Make one run of a standing order. Insufficient funds are retried; once the
+     * retries are used up the run is skipped. Other failures pause the order.
+     * The customer is notified of every failure.
+     * @returns {Promise<string>} 'executed', 'failed' or 'skipped'
+     */
+    async runStandingOrder(order, now) {
+        const runDate = order.nextRunDate;
+        const made = this.storage.query('transactions', 'accountId', order.fromAccountId)
+            .find(txn => txn.standingOrder && txn.standingOrder.id === order.id && txn.standingOrder.runDate === runDate);
+
+        let transfer = made ? { success: true, senderTransaction: made } : null;
+        if (!transfer) {
+            // Setting up the order confirmed the payee
+            transfer = await this.processTransfer(order.fromAccountId, order.toAccountIdentifier, order.amount, order.description, {
+                standingOrder: { id: order.id, runDate },
+                payeeConfirmed: true
+            });
+        }
+
+        const recipient = `${Money.format(order.amount, order.currency)} to ${order.recipientName}`;
+        const attempts = order.attempts + 1;
+        const entry = { runDate, at: now.toISOString(), status: 'executed', reference: null, error: null };
+        let updated;
+        let outcome;
+
+        if (transfer.success) {
+            const next = this.getNextRunDate(order, runDate);
+            const runs = order.runs + 1;
+            const finished = !next || (order.maxRuns && runs >= order.maxRuns);
+            updated = { ...order, runs, attempts: 0, retryAt: null, nextRunDate: finished ? null : next, status: finished ? 'completed' : 'active' };
+            entry.reference = transfer.senderTransaction.reference;
+            outcome = 'executed';
+        } else if (transfer.error === 'Insufficient funds' && attempts < STANDING_ORDER_RETRY.attempts) {
+            const retryAt = new Date(now.getTime() + STANDING_ORDER_RETRY.delayMs);
+            updated = { ...order, attempts, retryAt: retryAt.toISOString() };
+            Object.assign(entry, { status: 'failed', error: transfer.error });
+            this.notify(order.userId, 'warning', `Your standing order of ${recipient} could not be paid: insufficient funds. We will try again at ${retryAt.toLocaleString()}.`);
+            outcome = 'failed';
+        } else if (transfer.error === 'Insufficient funds') {
+            const next = this.getNextRunDate(order, runDate);
+            updated = { ...order, attempts: 0, retryAt: null, nextRunDate: next, status: next ? 'active' : 'completed' };
+            Object.assign(entry, { status: 'skipped', error: transfer.error });
+            this.notify(order.userId, 'error', `Your standing order of ${recipient} due on ${runDate} was skipped after ${attempts} attempts: insufficient funds.`);
+            outcome = 'skipped';
+        } else {
+            updated = { ...order, attempts: 0, retryAt: null, status: 'paused' };
+            Object.assign(entry, { status: 'failed', error: transfer.error });
+            this.notify(order.userId, 'error', `Your standing order of ${recipient} failed and has been paused: ${transfer.error}.`);
+            outcome = 'failed';
+        }
+
+        updated.history = [entry, ...(order.history || [])].slice(0, 20);
+        updated.updatedAt = now.toISOString();
+        this.storage.putRecord('scheduledTransfers', updated);
+        return outcome;
+    }
+
+    // Payee Methods
+    getPayees(userId) {
+        return this.storage.query('payees', 'userId', userId)
+            .sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || '') || a.nickname.localeCompare(b.nickname));
+    }
+
+    /**
+     * Find a user's saved payee by IBAN, in any formatting
+     */
+    findPayee(userId, iban) {
+        const compact = Account.normalizeIBAN(iban || '');
+        return this.getPayees(userId).find(payee => Account.normalizeIBAN(payee.iban) === compact) || null;
+    }
+
+    /**
+     * Save a payee, verifying the IBAN and the name of the account holder once
+     * @param {Object} payeeData - { nickname, iban }; the nickname defaults to the holder's name
+     */
+    addPayee(userId, { nickname, iban }) {
+        const validation = Account.validateIBAN(iban || '');
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        const account = this.getAccountByIBAN(iban);
+        if (!account || !account.isActive) {
+            throw new Error('Recipient account not found');
+        }
+        if (account.userId === userId) {
+            throw new Error('Your own accounts do not need to be saved as payees');
+        }
+        if (this.findPayee(userId, iban)) {
+            throw new Error('This IBAN is already one of your payees');
+        }
+
+        const recipientName = this.getUserById(account.userId)?.fullName || 'Unknown';
+        const payee = {
+            id: 'pay_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            nickname: this.validatePayeeNickname(nickname || recipientName),
+            iban: account.iban,
+            recipientName: recipientName,
+            lastUsedAt: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.storage.putRecord('payees', payee);
+        return payee;
+    }
+
+    validatePayeeNickname(nickname) {
+        const trimmed = String(nickname).trim();
+        if (!trimmed || trimmed.length > 40) {
+            throw new Error('The nickname must be 1 to 40 characters');
+        }
+        return trimmed;
+    }
+
+    renamePayee(payeeId, userId, nickname) {
+        const payee = this.storage.getRecord('payees', payeeId);
+        if (!payee || payee.userId !== userId) {
+            throw new Error('Payee not found');
+        }
+
+        const updated = { ...payee, nickname: this.validatePayeeNickname(nickname) };
+        this.storage.putRecord('payees', updated);
+        return updated;
+    }
+
+    removePayee(payeeId, userId) {
+        const payee = this.storage.getRecord('payees', payeeId);
+        if (!payee || payee.userId !== userId) {
+            throw new Error('Payee not found');
+        }
+
+        this.storage.transaction(['payees'], (tx) => {
+            tx.set('payees', tx.get('payees', []).filter(item => item.id !== payeeId));
+        });
+    }
+
+    /**
+     * Newly saved payees have not been paid yet - the first payment needs confirming
+     */
+    needsPayeeConfirmation(payee) {
+        return !payee.lastUsedAt;
+    }
+
+    // Card Methods
+    /**
+     * The digit that makes a card number pass the Luhn check
+     * @param {string} digits - The card number without its check digit
+     */
+    getLuhnCheckDigit(digits) {
+        const sum = digits.split('').reverse().reduce((total, digit, index) => {
+            let value = Number(digit);
+            // Doubled from the digit next to the check digit
+            if (index % 2 === 0) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            return total + value;
+        }, 0);
+
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    isValidCardNumber(number) {
+        const digits = String(number || '').replace(/\s/g, '');
+        return /^\d{16}$/.test(digits) && this.getLuhnCheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+    }
+
+    /**
+     * A card number under the FinSim prefix that no other card has
+     */
+    generateCardNumber() {
+        const numbers = new Set(this.storage.get('cards', []).map(card => card.number));
+        let number;
+
+        do {
+            let digits = CARD_SETTINGS.bin;
+            while (digits.length < 15) {
+                digits += Math.floor(Math.random() * 10);
+            }
+            number = digits + this.getLuhnCheckDigit(digits);
+        } while (numbers.has(number));
+
+        return number;
+    }
+
+    maskCardNumber(number) {
+        return '**** ' + number.slice(-4);
+    }
+
+    /**
+     * Cards expire at the end of their expiry month
+     */
+    isCardExpired(card, now = new Date()) {
+        return now >= new Date(Date.UTC(card.expiryYear, card.expiryMonth, 1));
+    }
+
+    /**
+     * Issue a virtual debit card on one of a customer's open accounts
+     * @param {Object} cardData - { nameOnCard } defaults to the customer's name
+     * @returns {Object} The card
+     */
+    issueCard(userId, accountId, { nameOnCard = '' } = {}, now = new Date()) {
+        const account = this.getAccountById(accountId);
+        if (!account || account.userId !== userId) {
+            throw new Error('Account not found');
+        }
+        if (!account.isActive) {
+            throw new Error('Cards can only be issued on open accounts');
+        }
+        if (!ACCOUNT_TYPES.includes(account.type)) {
+            throw new Error('Cards cannot be issued on loan accounts');
+        }
+
+        const live = this.storage.query('cards', 'accountId', accountId).filter(card => card.status !== 'cancelled');
+        if (live.length >= CARD_SETTINGS.maxPerAccount) {
+            throw new Error(`An account can have up to ${CARD_SETTINGS.maxPerAccount} cards`);
+        }
+
+        const name = (String(nameOnCard).trim() || this.getUserById(userId)?.fullName || '').toUpperCase();
+        if (!/^[A-Z][A-Z .'-]{0,25}$/.test(name)) {
+            throw new Error('The name on the card must be up to 26 letters, spaces, dots, hyphens or apostrophes');
+        }
+
+        const expires = new Date(Date.UTC(now.getUTCFullYear() + CARD_SETTINGS.validYears, now.getUTCMonth(), 1));
+        const card = {
+            id: 'card_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            accountId: accountId,
+            number: this.generateCardNumber(),
+            expiryMonth: expires.getUTCMonth() + 1,
+            expiryYear: expires.getUTCFullYear(),
+            cvv: String(Math.floor(Math.random() * 1000)).padStart(3, '0'),
+            nameOnCard: name,
+            status: 'active',
+            limits: { ...CARD_SETTINGS.defaultLimits },
+            blockedCategories: [],
+            createdAt: now.toISOString(),
+            cancelledAt: null,
+            cancelledBy: null
+        };
+
+        this.storage.putRecord('cards', card);
+        return card;
+    }
+
+    /**
+     * Cards of a customer, oldest first
+     */
+    getCards(userId) {
+        return this.storage.query('cards', 'userId', userId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * A customer's card that can still be changed
+     */
+    getOwnCard(cardId, userId) {
+        const card = this.storage.getRecord('cards', cardId);
+        if (!card || card.userId !== userId) {
+            throw new Error('Card not found');
+        }
+        if (card.status === 'cancelled') {
+            throw new Error('A cancelled card cannot be changed');
+        }
+        return card;
+    }
+
+    setCardFrozen(cardId, userId, frozen) {
+        const card = this.getOwnCard(cardId, userId);
+        const updated = { ...card, status: frozen ? 'frozen' : 'active' };
+
+        this.storage.putRecord('cards', updated);
+        return updated;
+    }
+
+    /**
+     * @param {Object} limits - { perPurchase, daily } in the FX base currency
+     */
+    setCardLimits(cardId, userId, { perPurchase, daily }) {
+        const card = this.getOwnCard(cardId, userId);
+        const limits = { perPurchase: Number(perPurchase), daily: Number(daily) };
+
+        Object.values(limits).forEach(limit => {
+            if (!Number.isFinite(limit) || limit <= 0) {
+                throw new Error('Card limits must be positive amounts');
+            }
+            if (limit > CARD_SETTINGS.maxLimit) {
+                throw new Error(`Card limits can be up to ${Money.format(CARD_SETTINGS.maxLimit, this.getFxTable().baseCurrency)}`);
+            }
+        });
+        if (limits.perPurchase > limits.daily) {
+            throw new Error('The purchase limit cannot be more than the daily limit');
+        }
+
+        const updated = {
+            ...card,
+            limits: {
+                perPurchase: Money.of(limits.perPurchase).toNumber(),
+                daily: Money.of(limits.daily).toNumber()
+            }
+        };
+        this.storage.putRecord('cards', updated);
+        return updated;
+    }
+
+    /**
+     * @param {string[]} categories - Keys of CARD_MERCHANT_CATEGORIES the card declines
+     */
+    setCardBlockedCategories(cardId, userId, categories) {
+        const card = this.getOwnCard(cardId, userId);
+        const unknown = categories.find(category => !CARD_MERCHANT_CATEGORIES[category]);
+        if (unknown) {
+            throw new Error(`Unknown merchant category: ${unknown}`);
+        }
+
+        const updated = { ...card, blockedCategories: Object.keys(CARD_MERCHANT_CATEGORIES).filter(category => categories.includes(category)) };
+        this.storage.putRecord('cards', updated);
+        return updated;
+    }
+
+    /**
+     * Cancel a card for good
+     * @param {Object} options - { userId } of the customer cancelling their own card, or { by } the admin
+     */
+    cancelCard(cardId, { userId = null, by = null } = {}) {
+        const card = this.storage.getRecord('cards', cardId);
+        if (!card || (userId && card.userId !== userId)) {
+            throw new Error('Card not found');
+        }
+        if (card.status === 'cancelled') {
+            throw new Error('The card is already cancelled');
+        }
+
+        const updated = { ...card, status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: by || userId };
+        this.storage.putRecord('cards', updated);
+        return updated;
+    }
+
+    /**
+     * What a card has spent today (UTC), in the FX base currency
+     * @returns {Money}
+     */
+    getCardSpending(card, now = new Date()) {
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const today = now.toISOString().slice(0, 10);
+
+        return Money.sum(this.storage.query('transactions', 'accountId', card.accountId)
+            .filter(txn => txn.card && txn.card.id === card.id && txn.status === 'settled' && txn.timestamp.slice(0, 10) === today)
+            .map(txn => this.convert(Money.of(txn.amount, txn.currency), baseCurrency)), baseCurrency);
+    }
+
+    /**
+     * A purchase at a merchant's point of sale. The card details are checked the way a
+     * terminal would, then the card's status, blocks and limits and the account's funds.
+     * Merchants charge in their own currency, converted at the customer rate.
+     * @param {Object} purchase - { number, expiry (MM/YY), cvv, merchant, merchantCategory, amount, currency }
+     * @returns {Promise<Object>} { success, transaction, newBalance } or { success: false, error }
+     */
+    async cardPurchase({ number, expiry, cvv, merchant, merchantCategory, amount, currency = null }, now = new Date()) {
+        try {
+            const digits = String(number || '').replace(/\s/g, '');
+            const card = this.isValidCardNumber(digits) ? this.storage.get('cards', []).find(item => item.number === digits) : null;
+            if (!card) {
+                throw new Error('Card declined: card number not recognised');
+            }
+
+            const [month, year] = String(expiry || '').split('/').map(part => Number(part));
+            if (month !== card.expiryMonth || 2000 + year !== card.expiryYear || String(cvv) !== card.cvv) {
+                throw new Error('Card declined: card details do not match');
+            }
+            if (card.status !== 'active') {
+                throw new Error(`Card declined: card ${card.status}`);
+            }
+            if (this.isCardExpired(card, now)) {
+                throw new Error('Card declined: card expired');
+            }
+
+            const merchantName = String(merchant || '').trim();
+            const category = CARD_MERCHANT_CATEGORIES[merchantCategory];
+            if (!merchantName) {
+                throw new Error('Merchant name is required');
+            }
+            if (!/^[A-Za-z0-9][A-Za-z0-9 &.,'*#\/-]{0,39}$/.test(merchantName)) {
+                throw new Error("The merchant name must be up to 40 letters, digits, spaces and & . , ' * # / -");
+            }
+            if (!category) {
+                throw new Error(`Unknown merchant category: ${merchantCategory}`);
+            }
+            if (card.blockedCategories.includes(merchantCategory)) {
+                throw new Error(`Card declined: ${category.name} purchases are blocked on this card`);
+            }
+
+            const account = this.getAccountById(card.accountId);
+            if (!account || !account.isActive) {
+                throw new Error('Card declined: account closed');
+            }
+
+            const charged = Money.of(amount, currency || account.currency);
+            if (!charged.isPositive()) {
+                throw new Error('Purchase amount must be positive');
+            }
+
+            let money = charged;
+            let fx = null;
+            if (charged.currency !== account.currency) {
+                const quote = this.getFxQuote(charged.currency, account.currency);
+                money = charged.convert(quote.appliedRate, account.currency);
+                fx = { ...quote, sourceAmount: charged.toNumber(), targetAmount: money.toNumber() };
+            }
+
+            const baseCurrency = this.getFxTable().baseCurrency;
+            const inBase = this.convert(money, baseCurrency);
+            if (inBase.greaterThan(Money.of(card.limits.perPurchase, baseCurrency))) {
+                throw new Error(`Card declined: over the card's limit of ${Money.format(card.limits.perPurchase, baseCurrency)} a purchase`);
+            }
+            const left = Money.of(card.limits.daily, baseCurrency).subtract(this.getCardSpending(card, now));
+            if (inBase.greaterThan(left)) {
+                throw new Error(`Card declined: over the card's daily limit of ${Money.format(card.limits.daily, baseCurrency)} - ${Money.max(left, Money.zero(baseCurrency)).format()} left today`);
+            }
+
+            if (this.getSpendableBalance(account).lessThan(money)) {
+                throw new Error('Card declined: insufficient funds');
+            }
+            const sweep = this.getSweepAmount(account, money);
+
+            const transaction = this.storage.transaction(['accounts', 'transactions', 'journal'], (tx) => {
+                // Overdraft protection tops the account up before the purchase is taken
+                if (sweep.isPositive()) {
+                    this.postSweep(account.id, sweep, tx);
+                }
+
+                const purchase = this.createTransaction({
+                    accountId: account.id,
+                    recipientName: merchantName,
+                    type: 'withdrawal',
+                    amount: money.toNumber(),
+                    currency: money.currency,
+                    description: merchantName,
+                    category: category.category,
+                    status: 'settled',
+                    timestamp: now.toISOString(),
+                    fx: fx,
+                    card: { id: card.id, last4: digits.slice(-4), merchant: merchantName, merchantCategory: merchantCategory }
+                }, tx);
+
+                const current = new Account(tx.getRecord('accounts', account.id));
+                current.withdraw(money);
+                this.updateAccountBalance(account.id, current.balance, tx);
+
+                this.ledger.post({
+                    description: `Card purchase at ${merchantName}`,
+                    reference: purchase.reference,
+                    transactionId: purchase.id,
+                    timestamp: purchase.timestamp,
+                    lines: [
+                        { ledger: account.id, amount: money },
+                        { ledger: 'bank:card_settlement', amount: money.negate() }
+                    ]
+                }, tx);
+
+                return purchase;
+            });
+
+            await this.storage.flush();
+
+            return {
+                success: true,
+                transaction: transaction,
+                newBalance: this.getAccountById(account.id).balance
+            };
+
+        } catch (error) {
+            console.error('❌ Card purchase failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Loan Methods
+    /**
+     * Apply for a loan, paid into and repaid from one of the customer's checking
+     * accounts. An admin approves or rejects the application.
+     * @param {Object} application - { accountId, amount, termMonths, method }
+     * @returns {Object} The loan, pending
+     */
+    applyForLoan(userId, { accountId, amount, termMonths, method = 'annuity' }) {
+        const account = this.getAccountById(accountId);
+        if (!account || account.userId !== userId || account.type !== 'checking') {
+            throw new Error('Choose one of your checking accounts for the loan to be paid into');
+        }
+        if (this.getLoans(userId).some(loan => loan.status === 'pending')) {
+            throw new Error('You already have a loan application waiting for a decision');
+        }
+
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const money = Money.of(amount, account.currency);
+        const minimum = this.convert(Money.of(LOAN_SETTINGS.minAmount, baseCurrency), account.currency);
+        const maximum = this.convert(Money.of(LOAN_SETTINGS.maxAmount, baseCurrency), account.currency);
+        if (money.lessThan(minimum) || money.greaterThan(maximum)) {
+            throw new Error(`Loans are from ${minimum.format()} to ${maximum.format()}`);
+        }
+        if (!LOAN_SETTINGS.termsInMonths.includes(Number(termMonths))) {
+            throw new Error(`Loans run for ${LOAN_SETTINGS.termsInMonths.join(', ')} months`);
+        }
+        if (!LOAN_AMORTIZATION_METHODS.includes(method)) {
+            throw new Error(`Unknown repayment method: ${method}`);
+        }
+
+        const loan = {
+            id: 'loan_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            accountId: accountId,
+            loanAccountId: null,
+            amount: money.toNumber(),
+            currency: money.currency,
+            termMonths: Number(termMonths),
+            method: method,
+            annualRate: LOAN_SETTINGS.annualRate,
+            status: 'pending',
+            appliedAt: new Date().toISOString(),
+            decidedAt: null,
+            decidedBy: null,
+            note: null,
+            disbursedAt: null,
+            reference: null,
+            schedule: [],
+            paidOffAt: null
+        };
+        this.storage.putRecord('loans', loan);
+        return loan;
+    }
+
+    /**
+     * Loans of a customer, newest first
+     */
+    getLoans(userId) {
+        return this.storage.query('loans', 'userId', userId)
+            .sort((a, b) => new Date(b.appliedAt) - new Date(a.appliedAt));
+    }
+
+    /**
+     * Loans of every customer, oldest first
+     * @param {string|null} status - 'pending', 'active', 'rejected' or 'paid_off'; all when null
+     */
+    getLoansByStatus(status = null) {
+        const loans = status
+            ? this.storage.query('loans', 'status', status)
+            : this.storage.get('loans', []);
+        return loans.sort((a, b) => new Date(a.appliedAt) - new Date(b.appliedAt));
+    }
+
+    /**
+     * Monthly repayments that pay a loan off over its term. Annuity repayments are
+     * all the same; linear ones repay equal principal plus the month's interest.
+     * Interest is charged monthly on the principal still owed, and the last
+     * repayment clears whatever rounding left over.
+     * @param {Object} loan - { amount, currency, annualRate, termMonths, method }
+     * @param {string} startDate - Repayments fall due on this day of each following month
+     * @returns {Object[]} [{ number, dueDate, payment, principal, interest, balance, status, lateFee, paidAt, reference }]
+     */
+    getAmortizationSchedule({ amount, currency, annualRate, termMonths, method }, startDate) {
+        const principal = Money.of(amount, currency);
+        const monthlyRate = annualRate / 12;
+        const start = new Date(`${startDate}T00:00:00.000Z`);
+        const annuity = monthlyRate === 0
+            ? principal.multiply(1 / termMonths)
+            : principal.multiply(monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths)));
+        const linearParts = principal.allocate(new Array(termMonths).fill(1));
+
+        const schedule = [];
+        let balance = principal;
+        for (let number = 1; number <= termMonths; number++) {
+            const interest = balance.multiply(monthlyRate);
+            let repaid = method === 'linear' ? linearParts[number - 1] : annuity.subtract(interest);
+            if (number === termMonths) {
+                repaid = balance;
+            }
+            balance = balance.subtract(repaid);
+
+            const month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + number, 1)).toISOString().slice(0, 10);
+            schedule.push({
+                number: number,
+                dueDate: this.getMonthlyRunDate(month, start.getUTCDate()),
+                payment: repaid.add(interest).toNumber(),
+                principal: repaid.toNumber(),
+                interest: interest.toNumber(),
+                balance: balance.toNumber(),
+                status: 'scheduled',
+                lateFee: 0,
+                paidAt: null,
+                reference: null
+            });
+        }
+        return schedule;
+    }
+
+    /**
+     * Approve a loan: a loan account is opened and the amount paid out of it into the
+     * customer's checking account, then the repayment schedule starts from today.
+     * The account, the payout and the approval are committed together, so the
+     * application stays pending if any of them fails.
+     * @param {Object} options - { by } the admin
+     * @returns {Promise<Object>} { success, loan } or { success: false, error }
+     */
+    async approveLoan(loanId, { by = null } = {}, now = new Date()) {
+        try {
+            const approved = this.storage.transaction(['accounts', 'transactions', 'journal', 'loans', 'notifications'], (tx) => {
+                const loan = tx.getRecord('loans', loanId);
+                if (!loan || loan.status !== 'pending') {
+                    throw new Error('This loan application is no longer pending');
+                }
+                const account = tx.getRecord('accounts', loan.accountId);
+                if (!account || !account.isActive) {
+                    throw new Error('Recipient account is inactive');
+                }
+
+                const principal = Money.of(loan.amount, loan.currency);
+                const loanAccount = this.createAccount({ userId: loan.userId, type: 'loan', currency: loan.currency, balance: 0 }, tx);
+                const payout = this.postLoanPayout(loan, loanAccount, principal, tx);
+
+                const today = now.toISOString().slice(0, 10);
+                const active = {
+                    ...loan,
+                    loanAccountId: loanAccount.id,
+                    status: 'active',
+                    decidedAt: now.toISOString(),
+                    decidedBy: by,
+                    disbursedAt: now.toISOString(),
+                    reference: payout.reference,
+                    schedule: this.getAmortizationSchedule(loan, today)
+                };
+                tx.putRecord('loans', active);
+                this.notify(loan.userId, 'success', `Your loan of ${principal.format()} was approved and paid into your checking account. The first repayment of ${Money.format(active.schedule[0].payment, loan.currency)} is due on ${active.schedule[0].dueDate}.`, tx);
+                return active;
+            });
+
+            await this.storage.flush();
+            return { success: true, loan: approved };
+
+        } catch (error) {
+            console.error('❌ Loan approval failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Pay a loan out of its new loan account into the customer's checking account.
+     * The loan account goes down to the amount lent.
+     * @param {StorageTransaction} tx - Transaction including 'accounts', 'transactions' and 'journal'
+     * @returns {Object} The loan account's transaction
+     */
+    postLoanPayout(loan, loanAccount, principal, tx) {
+        const account = new Account(tx.getRecord('accounts', loan.accountId));
+        const owner = this.getUserById(loan.userId)?.fullName || 'Unknown';
+        const description = `Loan payout ${principal.format()}`;
+        const loanInfo = { id: loan.id, kind: 'payout', installment: null };
+
+        const payout = this.createTransaction({
+            accountId: loanAccount.id,
+            recipientIBAN: account.iban,
+            recipientName: owner,
+            type: 'transfer',
+            amount: principal.toNumber(),
+            currency: principal.currency,
+            description: description,
+            category: 'loan',
+            status: 'settled',
+            loan: loanInfo
+        }, tx);
+        this.createTransaction({
+            accountId: account.id,
+            recipientIBAN: loanAccount.iban,
+            recipientName: owner,
+            type: 'deposit',
+            amount: principal.toNumber(),
+            currency: principal.currency,
+            description: description,
+            category: 'loan',
+            status: 'settled',
+            reference: payout.reference,
+            loan: loanInfo
+        }, tx);
+
+        this.ledger.post({
+            description: description,
+            reference: payout.reference,
+            transactionId: payout.id,
+            lines: [
+                { ledger: loanAccount.id, amount: principal },
+                { ledger: account.id, amount: principal.negate() }
+            ]
+        }, tx);
+
+        this.updateAccountBalance(loanAccount.id, loanAccount.balanceMoney.subtract(principal).toNumber(), tx);
+        this.updateAccountBalance(account.id, account.balanceMoney.add(principal).toNumber(), tx);
+        return payout;
+    }
+
+    rejectLoan(loanId, { by = null, note = '' } = {}) {
+        const loan = this.storage.getRecord('loans', loanId);
+        if (!loan || loan.status !== 'pending') {
+            throw new Error('This loan application is no longer pending');
+        }
+
+        const rejected = { ...loan, status: 'rejected', decidedAt: new Date().toISOString(), decidedBy: by, note: note || null };
+        this.storage.transaction(['loans', 'notifications'], (tx) => {
+            tx.putRecord('loans', rejected);
+            this.notify(loan.userId, 'warning', `Your application for a loan of ${Money.format(loan.amount, loan.currency)} was not approved${note ? `: ${note}` : '.'}`, tx);
+        });
+        return rejected;
+    }
+
+    /**
+     * Principal still owed, from the loan account's balance
+     * @returns {Money}
+     */
+    getOutstandingPrincipal(loan) {
+        const account = loan.loanAccountId ? this.storage.getRecord('accounts', loan.loanAccountId) : null;
+        if (!account || loan.status !== 'active') {
+            return Money.zero(loan.currency);
+        }
+        return Money.max(Money.of(account.balance, loan.currency).negate(), Money.zero(loan.currency));
+    }
+
+    /**
+     * The first repayment not yet made
+     */
+    getNextRepayment(loan) {
+        return loan.schedule.find(installment => ['scheduled', 'late'].includes(installment.status)) || null;
+    }
+
+    /**
+     * What paying a loan off today takes: the principal still owed, the interest of
+     * repayments that are overdue, interest accrued daily since the last due date
+     * and unpaid late fees. Quotes are good for the day they are made.
+     * @returns {Object} { principal, interest, lateFees, total, validOn } - Money values
+     */
+    getPayoffQuote(loanId, now = new Date()) {
+        const loan = this.storage.getRecord('loans', loanId);
+        if (!loan || loan.status !== 'active') {
+            throw new Error('Only active loans can be paid off');
+        }
+
+        const today = now.toISOString().slice(0, 10);
+        const unpaid = loan.schedule.filter(installment => ['scheduled', 'late'].includes(installment.status));
+        const overdue = unpaid.filter(installment => installment.dueDate <= today);
+        const principal = this.getOutstandingPrincipal(loan);
+
+        // Interest for the part of the current month that has passed
+        const lastDue = loan.schedule.filter(installment => installment.dueDate <= today).map(installment => installment.dueDate).pop()
+            || loan.disbursedAt.slice(0, 10);
+        const days = Math.round((Date.parse(today) - Date.parse(lastDue)) / (24 * 60 * 60 * 1000));
+        const accrued = principal.multiply(loan.annualRate / 365 * days);
+
+        const interest = Money.sum(overdue.map(installment => installment.interest), loan.currency).add(accrued);
+        const lateFees = Money.sum(unpaid.map(installment => installment.lateFee), loan.currency);
+
+        return {
+            principal: principal,
+            interest: interest,
+            lateFees: lateFees,
+            total: principal.add(interest).add(lateFees),
+            validOn: today
+        };
+    }
+
+    /**
+     * Take a loan payment from the customer's checking account: the principal goes to
+     * the loan account, interest to loan interest income and late fees to fee income.
+     * A loan with nothing left to pay is closed along with its account.
+     * @param {Object} payment - { principal, interest, lateFee, description, loanInfo }
+     * @param {StorageTransaction} tx - Transaction including 'accounts', 'transactions' and 'journal'
+     * @returns {Object} The checking account's transaction
+     */
+    postLoanPayment(loan, { principal, interest, lateFee, description, loanInfo }, tx) {
+        const account = new Account(tx.getRecord('accounts', loan.accountId));
+        const loanAccount = new Account(tx.getRecord('accounts', loan.loanAccountId));
+        const owner = this.getUserById(loan.userId)?.fullName || 'Unknown';
+        const payment = principal.add(interest);
+
+        const sweep = this.getSweepAmount(account, payment.add(lateFee));
+        if (sweep.isPositive()) {
+            this.postSweep(account.id, sweep, tx);
+        }
+
+        const repayment = this.createTransaction({
+            accountId: account.id,
+            recipientIBAN: loanAccount.iban,
+            recipientName: owner,
+            type: 'transfer',
+            amount: payment.toNumber(),
+            currency: payment.currency,
+            description: description,
+            category: 'loan',
+            status: 'settled',
+            loan: loanInfo
+        }, tx);
+        const lines = [{ ledger: account.id, amount: payment }];
+
+        if (principal.isPositive()) {
+            this.createTransaction({
+                accountId: loanAccount.id,
+                recipientIBAN: account.iban,
+                recipientName: owner,
+                type: 'deposit',
+                amount: principal.toNumber(),
+                currency: principal.currency,
+                description: description,
+                category: 'loan',
+                status: 'settled',
+                reference: repayment.reference,
+                loan: loanInfo
+            }, tx);
+            lines.push({ ledger: loanAccount.id, amount: principal.negate() });
+        }
+        if (interest.isPositive()) {
+            lines.push({ ledger: 'bank:loan_interest_income', amount: interest.negate() });
+        }
+
+        this.ledger.post({
+            description: description,
+            reference: repayment.reference,
+            transactionId: repayment.id,
+            lines: lines
+        }, tx);
+
+        if (lateFee.isPositive()) {
+            const fee = this.createTransaction({
+                accountId: account.id,
+                type: 'fee',
+                amount: lateFee.toNumber(),
+                currency: lateFee.currency,
+                description: 'Late loan repayment fee',
+                category: 'fee',
+                status: 'settled',
+                linkedReference: repayment.reference
+            }, tx);
+            this.ledger.post({
+                description: 'Late loan repayment fee',
+                reference: repayment.reference,
+                transactionId: fee.id,
+                lines: [
+                    { ledger: account.id, amount: lateFee },
+                    { ledger: 'bank:fee_income', amount: lateFee.negate() }
+                ]
+            }, tx);
+        }
+
+        const current = new Account(tx.getRecord('accounts', account.id));
+        current.withdraw(payment.add(lateFee));
+        this.updateAccountBalance(account.id, current.balance, tx);
+        this.updateAccountBalance(loanAccount.id, loanAccount.balanceMoney.add(principal).toNumber(), tx);
+
+        return repayment;
+    }
+
+    /**
+     * Close a loan once nothing is owed, with its account
+     * @param {StorageTransaction} tx - Transaction including 'accounts' and 'loans'
+     */
+    closeLoan(loan, tx, now) {
+        tx.putRecord('loans', { ...loan, status: 'paid_off', paidOffAt: now.toISOString() });
+        tx.putRecord('accounts', { ...tx.getRecord('accounts', loan.loanAccountId), isActive: false, closedAt: now.toISOString() });
+    }
+
+    /**
+     * Collect one repayment. Without the funds it is marked late - charged the late
+     * fee once - and tried again on the next run.
+     * @returns {string} 'paid' or 'late'
+     */
+    collectRepayment(loan, installment, now) {
+        const account = this.getAccountById(loan.accountId);
+        const lateFee = Money.of(installment.lateFee, loan.currency);
+        const due = Money.of(installment.payment, loan.currency).add(lateFee);
+
+        if (!account || !account.isActive || this.getSpendableBalance(account).lessThan(due)) {
+            if (installment.status === 'late') return 'late';
+
+            const fee = this.convert(Money.of(LOAN_SETTINGS.lateFee, this.getFxTable().baseCurrency), loan.currency);
+            this.storage.transaction(['loans', 'notifications'], (tx) => {
+                tx.putRecord('loans', {
+                    ...loan,
+                    schedule: loan.schedule.map(item => (item.number === installment.number ? { ...item, status: 'late', lateFee: fee.toNumber() } : item))
+                });
+                this.notify(loan.userId, 'error', `Your loan repayment of ${due.format()} due on ${installment.dueDate} could not be taken. A late fee of ${fee.format()} was added; make sure your checking account has ${due.add(fee).format()} for the next try.`, tx);
+            });
+            return 'late';
+        }
+
+        this.storage.transaction(['accounts', 'transactions', 'journal', 'loans'], (tx) => {
+            const repayment = this.postLoanPayment(loan, {
+                principal: Money.of(installment.principal, loan.currency),
+                interest: Money.of(installment.interest, loan.currency),
+                lateFee: lateFee,
+                description: `Loan repayment ${installment.number} of ${loan.termMonths}`,
+                loanInfo: { id: loan.id, kind: 'repayment', installment: installment.number }
+            }, tx);
+
+            const updated = {
+                ...loan,
+                schedule: loan.schedule.map(item => (item.number === installment.number
+                    ? { ...item, status: 'paid', paidAt: repayment.timestamp, reference: repayment.reference }
+                    : item))
+            };
+            if (updated.schedule.every(item => item.status === 'paid')) {
+                this.closeLoan(updated, tx, now);
+            } else {
+                tx.putRecord('loans', updated);
+            }
+        });
+        return 'paid';
+    }
+
+    /**
+     * Take every loan repayment that has fallen due. A loan stops at its first
+     * repayment that cannot be made.
+     * @returns {Promise<Object>} { paid, late }
+     */
+    async runLoanRepayments(now = new Date()) {
+        const today = now.toISOString().slice(0, 10);
+        const result = { paid: 0, late: 0 };
+
+        await this.storage.exclusive('loans', async () => {
+            await this.storage.reload(['loans', 'accounts', 'transactions', 'journal']);
+
+            for (const { id } of this.getLoansByStatus('active')) {
+                let loan = this.storage.getRecord('loans', id);
+                let installment = this.getNextRepayment(loan);
+                while (loan.status === 'active' && installment && installment.dueDate <= today) {
+                    const outcome = this.collectRepayment(loan, installment, now);
+                    result[outcome]++;
+                    if (outcome === 'late') break;
+
+                    loan = this.storage.getRecord('loans', id);
+                    installment = this.getNextRepayment(loan);
+                }
+            }
+        });
+
+        await this.storage.flush();
+
+        if (result.paid + result.late > 0) {
+            console.log(`🏦 Loan repayments: ${result.paid} taken, ${result.late} late`);
+        }
+        return result;
+    }
+
+    /**
+     * Pay a loan off early at today's quote, from the customer's checking account
+     * @returns {Promise<Object>} { success, quote } or { success: false, error }
+     */
+    async payOffLoan(loanId, userId, now = new Date()) {
+        try {
+            const loan = this.storage.getRecord('loans', loanId);
+            if (!loan || loan.userId !== userId) {
+                throw new Error('Loan not found');
+            }
+
+            const quote = this.getPayoffQuote(loanId, now);
+            const account = this.getAccountById(loan.accountId);
+            if (!account || !account.isActive || this.getSpendableBalance(account).lessThan(quote.total)) {
+                throw new Error(`Your checking account needs ${quote.total.format()} to pay the loan off`);
+            }
+
+            this.storage.transaction(['accounts', 'transactions', 'journal', 'loans'], (tx) => {
+                const repayment = this.postLoanPayment(loan, {
+                    principal: quote.principal,
+                    interest: quote.interest,
+                    lateFee: quote.lateFees,
+                    description: 'Loan paid off early',
+                    loanInfo: { id: loan.id, kind: 'payoff', installment: null }
+                }, tx);
+
+                this.closeLoan({
+                    ...loan,
+                    schedule: loan.schedule.map(item => (['scheduled', 'late'].includes(item.status)
+                        ? { ...item, status: 'paid_off', paidAt: repayment.timestamp, reference: repayment.reference }
+                        : item))
+                }, tx, now);
+            });
+
+            await this.storage.flush();
+            return { success: true, quote: quote };
+
+        } catch (error) {
+            console.error('❌ Loan payoff failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Every active loan with what is still owed and overdue, and the book's totals in
+     * the FX base currency
+     * @returns {Object} { loans: [{ loan, outstanding, overdue, nextRepayment }], outstanding, lent, overdue, interestEarned, pending }
+     */
+    getLoanBook(now = new Date()) {
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const today = now.toISOString().slice(0, 10);
+        const inBase = money => this.convert(money, baseCurrency);
+
+        const loans = this.getLoansByStatus('active').map(loan => ({
+            loan: loan,
+            outstanding: this.getOutstandingPrincipal(loan),
+            overdue: Money.sum(loan.schedule
+                .filter(installment => installment.status === 'late' || (installment.status === 'scheduled' && installment.dueDate < today))
+                .map(installment => Money.of(installment.payment + installment.lateFee, loan.currency)), loan.currency),
+            nextRepayment: this.getNextRepayment(loan)
+        }));
+
+        return {
+            loans: loans,
+            outstanding: Money.sum(loans.map(item => inBase(item.outstanding)), baseCurrency),
+            lent: Money.sum(loans.map(item => inBase(Money.of(item.loan.amount, item.loan.currency))), baseCurrency),
+            overdue: Money.sum(loans.map(item => inBase(item.overdue)), baseCurrency),
+            interestEarned: Money.sum(this.ledger.getLines('bank:loan_interest_income')
+                .map(line => inBase(Money.of(line.amount, line.currency).negate())), baseCurrency),
+            pending: this.getLoansByStatus('pending').length
+        };
+    }
+
+    // Notification Methods
+    /**
+     * Leave a message for a customer, shown the next time they open a page
+     * @param {string} type - 'success', 'warning' or 'error'
+     */
+    notify(userId, type, message, store = this.storage) {
+        const notification = {
+            id: 'ntf_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            type: type,
+            message: message,
+            read: false,
+            createdAt: new Date().toISOString()
+        };
+        store.putRecord('notifications', notification);
+        return notification;
+    }
+
+    getNotifications(userId, { unreadOnly = false } = {}) {
+        return this.storage.query('notifications', 'userId', userId)
+            .filter(notification => !unreadOnly || !notification.read)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    markNotificationsRead(userId) {
+        const unread = this.getNotifications(userId, { unreadOnly: true });
+        if (unread.length === 0) return 0;
+
+        this.storage.transaction(['notifications'], (tx) => {
+            unread.forEach(notification => tx.putRecord('notifications', { ...notification, read: true }));
+        });
+        return unread.length;
+    }
+
+    // Overdraft Methods
+    /**
+     * Arrange an overdraft and set up overdraft protection for an account
+     * @param {Object} settings - { limit, protection, linkedAccountId } - the limit is in the account currency
+     * @returns {Account}
+     */
+    setOverdraft(accountId, { limit = 0, protection = false, linkedAccountId = null } = {}) {
+        const account = this.getAccountById(accountId);
+        if (!account) {
+            throw new Error('Account not found');
+        }
+
+        const maximum = this.convert(Money.of(OVERDRAFT_MAX_LIMIT, this.getFxTable().baseCurrency), account.currency);
+        const money = Money.of(limit, account.currency);
+        if (money.isNegative() || money.greaterThan(maximum)) {
+            throw new Error(`The overdraft limit must be between ${Money.zero(account.currency).format()} and ${maximum.format()}`);
+        }
+
+        if (protection) {
+            const linked = linkedAccountId && this.getAccountById(linkedAccountId);
+            if (!linked || linked.id === account.id || linked.userId !== account.userId || !linked.isActive) {
+                throw new Error('Overdraft protection needs another active account of the same customer');
+            }
+            if (linked.currency !== account.currency) {
+                throw new Error('Overdraft protection can only sweep from an account in the same currency');
+            }
+        }
+
+        const updated = new Account({
+            ...this.storage.getRecord('accounts', accountId),
+            overdraftLimit: money.toNumber(),
+            overdraftProtection: Boolean(protection),
+            linkedAccountId: protection ? linkedAccountId : null
+        });
+        this.storage.putRecord('accounts', updated.toJSON());
+        return updated;
+    }
+
+    /**
+     * The linked account shortfalls are swept from, when overdraft protection is on
+     * @returns {Account|null}
+     */
+    getSweepSource(account) {
+        if (!account.overdraftProtection || !account.linkedAccountId) return null;
+
+        const source = this.getAccountById(account.linkedAccountId);
+        return source && source.isActive && source.currency === account.currency ? source : null;
+    }
+
+    /**
+     * How much to sweep from the linked account so the available balance covers an
+     * amount. The sweep never takes the linked account below zero.
+     * @returns {Money}
+     */
+    getSweepAmount(account, amount) {
+        const source = this.getSweepSource(account);
+        const shortfall = Money.of(amount, account.currency).subtract(this.getAvailableBalance(account));
+        if (!source || !shortfall.isPositive()) {
+            return Money.zero(account.currency);
+        }
+
+        return Money.min(shortfall, Money.max(this.getAvailableBalance(source), Money.zero(account.currency)));
+    }
+
+    /**
+     * Move a sweep from the linked account into an account, as a settled internal transfer
+     * @param {StorageTransaction} tx - Transaction including 'accounts', 'transactions' and 'journal'
+     */
+    postSweep(accountId, amount, tx) {
+        const account = new Account(tx.getRecord('accounts', accountId));
+        const source = new Account(tx.getRecord('accounts', account.linkedAccountId));
+        const owner = this.getUserById(account.userId)?.fullName || 'Unknown';
+
+        const senderTransaction = this.createTransaction({
+            accountId: source.id,
+            recipientIBAN: account.iban,
+            recipientName: owner,
+            type: 'transfer',
+            amount: amount.toNumber(),
+            currency: amount.currency,
+            description: `Overdraft protection for ${account.maskedIBAN}`,
+            category: 'sweep',
+            status: 'settled'
+        }, tx);
+        const recipientTransaction = this.createTransaction({
+            accountId: account.id,
+            recipientIBAN: source.iban,
+            recipientName: owner,
+            type: 'deposit',
+            amount: amount.toNumber(),
+            currency: amount.currency,
+            description: `Overdraft protection from ${source.maskedIBAN}`,
+            category: 'sweep',
+            status: 'settled',
+            reference: senderTransaction.reference
+        }, tx);
+
+        this.postTransfer({ senderTransaction, recipientTransaction, feeTransaction: null }, tx);
+    }
+
+    /**
+     * Charge overdraft interest for every day that ended overdrawn, up to yesterday.
+     * End-of-day balances come from the journal, so days missed while the app was
+     * closed are caught up with the balance each of them actually ended on.
+     * @param {Date} now - Accrual runs through the day before this
+     * @returns {Promise<Object>} { charges, total } - total is Money in the FX base currency
+     */
+    async runOverdraftAccrual(now = new Date()) {
+        const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const dailyRate = OVERDRAFT_INTEREST_RATE / 365;
+        const result = { charges: 0, total: Money.zero(this.getFxTable().baseCurrency) };
+
+        this.storage.get('accounts', []).forEach(({ id }) => {
+            this.storage.transaction(['accounts', 'transactions', 'journal'], (tx) => {
+                const account = new Account(tx.getRecord('accounts', id));
+                const from = account.overdraftAccruedThrough ? GeneralLedger.nextDay(account.overdraftAccruedThrough) : account.createdAt.slice(0, 10);
+
+                // Another tab may have accrued already; what a loan account owes is the loan, not an overdraft
+                if (!account.isActive || account.type === 'loan' || from > yesterday) return;
+
+                let charged = Money.zero(account.currency);
+                this.ledger.forEachClosingBalance(account, from, yesterday, (day, balance, endOfDay) => {
+                    const interest = balance.isNegative() ? balance.negate().multiply(dailyRate) : Money.zero(account.currency);
+                    if (!interest.isPositive()) return null;
+
+                    const charge = this.createTransaction({
+                        accountId: account.id,
+                        type: 'fee',
+                        amount: interest.toNumber(),
+                        currency: interest.currency,
+                        description: `Overdraft interest for ${day}`,
+                        category: 'overdraft',
+                        status: 'settled',
+                        timestamp: endOfDay
+                    }, tx);
+                    this.ledger.post({
+                        description: 'Overdraft interest',
+                        transactionId: charge.id,
+                        timestamp: endOfDay,
+                        lines: [
+                            { ledger: account.id, amount: interest },
+                            { ledger: 'bank:fee_income', amount: interest.negate() }
+                        ]
+                    }, tx);
+
+                    // The charge is part of the balance the next day's interest is on
+                    charged = charged.add(interest);
+                    result.charges++;
+                    return interest.negate();
+                }, tx);
+
+                tx.putRecord('accounts', {
+                    ...tx.getRecord('accounts', account.id),
+                    balance: account.balanceMoney.subtract(charged).toNumber(),
+                    overdraftAccruedThrough: yesterday
+                });
+                result.total = result.total.add(this.convert(charged, result.total.currency));
+            });
+        });
+
+        await this.storage.flush();
+
+        if (result.charges > 0) {
+            console.log(`💸 Overdraft interest: ${result.charges} daily charges, ${result.total.format()}`);
+        }
+        return result;
+    }
+
+    // Reversal Methods
+    /**
+     * What reversing a transfer would take from the recipient
+     * @returns {Object} { amount, available, overdraws, error } - Money values; error when it cannot be reversed
+     */
+    previewReversal(reference) {
+        const legs = this.getTransferLegs(reference);
+        const sent = legs.senderTransaction;
+        const received = legs.recipientTransaction;
+
+        let error = null;
+        if (!sent) {
+            error = 'Transfer not found';
+        } else if (!received) {
+            error = 'Transfers to other banks cannot be reversed';
+        } else if (sent.status !== 'settled') {
+            error = `Only settled transfers can be reversed - this one is ${sent.status}`;
+        } else if (sent.loan) {
+            error = 'Loan payouts and repayments cannot be reversed';
+        } else if (!this.getAccountById(sent.accountId) || !this.getAccountById(received.accountId)) {
+            error = 'One of the accounts no longer exists';
+        } else if (!this.getAccountById(sent.accountId).isActive || !this.getAccountById(received.accountId).isActive) {
+            error = 'One of the accounts is closed - settle the transfer manually';
+        }
+        if (error) {
+            return { amount: null, available: null, overdraws: false, error };
+        }
+
+        const amount = received.amountMoney;
+        const available = this.getAvailableBalance(this.getAccountById(received.accountId));
+
+        return { amount, available, overdraws: available.lessThan(amount), error: null };
+    }
+
+    /**
+     * Undo a settled transfer with compensating transactions on both accounts,
+     * refunding its fee. Reversals that would overdraw the recipient need an override.
+     * @param {Object} options - { reason, by, override: { reason } }
+     * @returns {Promise<Object>} { success, reversalTransactions } or { success: false, error }
+     */
+    async reverseTransfer(reference, options = {}) {
+        try {
+            const reversalTransactions = this.storage.transaction(['accounts', 'transactions', 'journal'], (tx) =>
+                this.applyReversal(reference, options, tx));
+
+            await this.storage.flush();
+            return { success: true, reversalTransactions };
+
+        } catch (error) {
+            console.error('❌ Reversal failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Post a reversal inside a storage transaction including 'accounts', 'transactions' and 'journal'
+     * @returns {Transaction[]} The compensating transactions
+     */
+    applyReversal(reference, { reason = '', by = null, override = null } = {}, tx) {
+        if (!reason.trim()) {
+            throw new Error('A reason is required to reverse a transfer');
+        }
+
+        // Checked against the live data, so a stale preview cannot slip through
+        const preview = this.previewReversal(reference);
+        if (preview.error) {
+            throw new Error(preview.error);
+        }
+        if (preview.overdraws && !(override && override.reason && override.reason.trim())) {
+            throw new Error(`Reversing would overdraw the recipient by ${preview.amount.subtract(preview.available).format()} - record an override to continue`);
+        }
+
+        const { senderTransaction, recipientTransaction, feeTransaction } = this.getTransferLegs(reference, tx);
+        const fromAccount = new Account(tx.getRecord('accounts', senderTransaction.accountId));
+        const toAccount = new Account(tx.getRecord('accounts', recipientTransaction.accountId));
+        const money = senderTransaction.amountMoney;
+        const credit = recipientTransaction.amountMoney;
+        const fee = feeTransaction && feeTransaction.status === 'settled' ? feeTransaction.amountMoney : Money.zero(money.currency);
+
+        // The recipient may go negative when an override was recorded
+        this.updateAccountBalance(toAccount.id, toAccount.balanceMoney.subtract(credit).toNumber(), tx);
+        this.updateAccountBalance(fromAccount.id, fromAccount.balanceMoney.add(money).add(fee).toNumber(), tx);
+
+        const description = `Reversal of ${reference}`;
+        const compensating = [
+            this.createTransaction({
+                accountId: toAccount.id,
+                recipientIBAN: fromAccount.iban,
+                recipientName: recipientTransaction.recipientName,
+                type: 'withdrawal',
+                amount: credit.toNumber(),
+                currency: credit.currency,
+                description: description,
+                category: 'reversal',
+                status: 'settled',
+                linkedReference: reference
+            }, tx),
+            this.createTransaction({
+                accountId: fromAccount.id,
+                recipientIBAN: toAccount.iban,
+                recipientName: senderTransaction.recipientName,
+                type: 'deposit',
+                amount: money.toNumber(),
+                currency: money.currency,
+                description: description,
+                category: 'reversal',
+                status: 'settled',
+                linkedReference: reference
+            }, tx)
+        ];
+
+        if (fee.isPositive()) {
+            compensating.push(this.createTransaction({
+                accountId: fromAccount.id,
+                type: 'deposit',
+                amount: fee.toNumber(),
+                currency: fee.currency,
+                description: `Refund of transfer fee for ${reference}`,
+                category: 'reversal',
+                status: 'settled',
+                linkedReference: reference
+            }, tx));
+        }
+
+        // The original entries, negated
+        const lines = [{ ledger: toAccount.id, amount: credit }];
+        if (money.currency !== credit.currency) {
+            lines.push({ ledger: 'bank:fx_clearing', amount: credit.negate() });
+            lines.push({ ledger: 'bank:fx_clearing', amount: money });
+        }
+        lines.push({ ledger: fromAccount.id, amount: money.negate() });
+        if (fee.isPositive()) {
+            lines.push({ ledger: 'bank:fee_income', amount: fee });
+            lines.push({ ledger: fromAccount.id, amount: fee.negate() });
+        }
+        this.ledger.post({ description, reference, transactionId: compensating[0].id, lines }, tx);
+
+        const reversal = {
+            at: new Date().toISOString(),
+            by: by,
+            reason: reason,
+            override: preview.overdraws ? { reason: override.reason, shortfall: preview.amount.subtract(preview.available).toNumber() } : null
+        };
+        [senderTransaction, recipientTransaction, fee.isPositive() ? feeTransaction : null].filter(Boolean).forEach(leg => {
+            const reversed = this.transitionTransaction(leg.id, 'reversed', { reason, by }, tx);
+            tx.putRecord('transactions', { ...reversed.toJSON(), reversal });
+        });
+
+        return compensating;
+    }
+
+    // Refund Methods
+    /**
+     * Why a refund cannot be asked for on a transaction, or null when it can
+     * @returns {string|null}
+     */
+    getRefundError(transaction) {
+        if (transaction.type !== 'transfer' || transaction.status !== 'settled') {
+            return 'Only settled outgoing transfers can be refunded';
+        }
+        if (transaction.loan) {
+            return 'Loan repayments cannot be refunded';
+        }
+        if (['sweep', 'closure'].includes(transaction.category)) {
+            return 'Moves between your own accounts cannot be refunded';
+        }
+        if (Account.normalizeIBAN(transaction.recipientIBAN || '').slice(0, 2) !== 'FS') {
+            return 'Transfers to other banks cannot be refunded';
+        }
+        return null;
+    }
+
+    /**
+     * Ask for an outgoing transfer to be refunded; admins approve or reject it
+     * @returns {Object} The request
+     */
+    requestRefund(transactionId, userId, reason) {
+        const transactionData = this.storage.getRecord('transactions', transactionId);
+        const account = transactionData && this.storage.getRecord('accounts', transactionData.accountId);
+
+        if (!transactionData || !account || account.userId !== userId) {
+            throw new Error('Transaction not found');
+        }
+        const refundError = this.getRefundError(transactionData);
+        if (refundError) {
+            throw new Error(refundError);
+        }
+        if (!reason || !reason.trim()) {
+            throw new Error('Please say why the transfer should be refunded');
+        }
+        if (this.getRefundRequests('open').some(request => request.reference === transactionData.reference)) {
+            throw new Error('A refund has already been requested for this transfer');
+        }
+
+        const request = {
+            id: 'rfd_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            reference: transactionData.reference,
+            transactionId: transactionId,
+            userId: userId,
+            amount: transactionData.amount,
+            currency: transactionData.currency || 'USD',
+            reason: reason.trim(),
+            status: 'open',
+            createdAt: new Date().toISOString(),
+            resolvedAt: null,
+            resolvedBy: null,
+            note: null
+        };
+        this.storage.putRecord('refundRequests', request);
+        return request;
+    }
+
+    /**
+     * Refund requests, oldest first
+     * @param {string|null} status - 'open', 'approved' or 'rejected'; all when null
+     */
+    getRefundRequests(status = null) {
+        const requests = status
+            ? this.storage.query('refundRequests', 'status', status)
+            : this.storage.get('refundRequests', []);
+        return requests.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Approve a refund by reversing the transfer; the request stays open if the reversal fails
+     * @param {Object} options - { by, override: { reason } }
+     */
+    async approveRefund(requestId, { by = null, override = null } = {}) {
+        try {
+            const reversalTransactions = this.storage.transaction(['accounts', 'transactions', 'journal', 'refundRequests'], (tx) => {
+                const request = tx.getRecord('refundRequests', requestId);
+                if (!request || request.status !== 'open') {
+                    throw new Error('This refund request is no longer open');
+                }
+
+                const compensating = this.applyReversal(request.reference, { reason: `Refund requested: ${request.reason}`, by, override }, tx);
+                tx.putRecord('refundRequests', { ...request, status: 'approved', resolvedAt: new Date().toISOString(), resolvedBy: by });
+                return compensating;
+            });
+
+            await this.storage.flush();
+            return { success: true, reversalTransactions };
+
+        } catch (error) {
+            console.error('❌ Refund approval failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    rejectRefund(requestId, { by = null, note = '' } = {}) {
+        const request = this.storage.getRecord('refundRequests', requestId);
+        if (!request || request.status !== 'open') {
+            throw new Error('This refund request is no longer open');
+        }
+
+        const rejected = { ...request, status: 'rejected', resolvedAt: new Date().toISOString(), resolvedBy: by, note: note || null };
+        this.storage.putRecord('refundRequests', rejected);
+        return rejected;
+    }
+
+    // FX Methods
+    /**
+     * The FX rate table: { baseCurrency, spread, rates: [{ currency, rate, effectiveFrom }] }
+     */
+    getFxTable() {
+        return this.storage.get('fxRates', FX_DEFAULTS);
+    }
+
+    /**
+     * Base-currency rate of one currency in effect on a date
+     * @returns {Object} { rate, effectiveFrom }
+     */
+    getBaseRate(currency, date = new Date()) {
+        const table = this.getFxTable();
+        if (currency === table.baseCurrency) {
+            return { rate: 1, effectiveFrom: null };
+        }
+
+        const day = new Date(date).toISOString().slice(0, 10);
+        const entry = table.rates
+            .filter(rate => rate.currency === currency && rate.effectiveFrom <= day)
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0];
+
+        if (!entry) {
+            throw new Error(`No ${currency} exchange rate in effect on ${day}`);
+        }
+        return { rate: entry.rate, effectiveFrom: entry.effectiveFrom };
+    }
+
+    /**
+     * Mid-market rate between two currencies on a date, crossed through the base currency
+     * @returns {Object} { from, to, rate, effectiveFrom }
+     */
+    getFxRate(from, to, date = new Date()) {
+        if (from === to) {
+            return { from, to, rate: 1, effectiveFrom: null };
+        }
+
+        const source = this.getBaseRate(from, date);
+        const target = this.getBaseRate(to, date);
+
+        return {
+            from,
+            to,
+            rate: Number((target.rate / source.rate).toPrecision(10)),
+            effectiveFrom: [source.effectiveFrom, target.effectiveFrom].filter(Boolean).sort().pop()
+        };
+    }
+
+    /**
+     * Customer rate for a transfer: the mid rate less the spread
+     * @returns {Object} { from, to, rate, spread, appliedRate, effectiveFrom }
+     */
+    getFxQuote(from, to, date = new Date()) {
+        const mid = this.getFxRate(from, to, date);
+        const spread = from === to ? 0 : this.getFxTable().spread;
+
+        return {
+            ...mid,
+            spread: spread,
+            appliedRate: Number((mid.rate * (1 - spread)).toPrecision(8))
+        };
+    }
+
+    /**
+     * Convert at the mid rate, for totals and display
+     * @param {Money} money
+     */
+    convert(money, currency, date = new Date()) {
+        if (money.currency === currency) return money;
+        return money.convert(this.getFxRate(money.currency, currency, date).rate, currency);
+    }
+
+    /**
+     * Sum account balances in one currency, converting at the mid rate
+     * @returns {Money}
+     */
+    sumBalances(accounts, currency = this.getFxTable().baseCurrency) {
+        return accounts.reduce(
+            (total, account) => total.add(this.convert(Money.of(account.balance || 0, account.currency || 'USD'), currency)),
+            Money.zero(currency)
+        );
+    }
+
+    /**
+     * Add a rate to the table, replacing one for the same currency and date
+     */
+    setFxRate(currency, rate, effectiveFrom) {
+        const table = this.getFxTable();
+        if (!SUPPORTED_CURRENCIES.includes(currency) || currency === table.baseCurrency) {
+            throw new Error(`Rates can only be set for ${SUPPORTED_CURRENCIES.filter(code => code !== table.baseCurrency).join(', ')}`);
+        }
+        if (!(rate > 0)) {
+            throw new Error('Exchange rates must be positive');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+            throw new Error('Effective dates must be YYYY-MM-DD');
+        }
+
+        const rates = table.rates.filter(entry => !(entry.currency === currency && entry.effectiveFrom === effectiveFrom));
+        rates.push({ currency, rate, effectiveFrom });
+        rates.sort((a, b) => a.currency.localeCompare(b.currency) || a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+        this.storage.set('fxRates', { ...table, rates });
+    }
+
+    removeFxRate(currency, effectiveFrom) {
+        const table = this.getFxTable();
+        this.storage.set('fxRates', {
+            ...table,
+            rates: table.rates.filter(entry => !(entry.currency === currency && entry.effectiveFrom === effectiveFrom))
+        });
+    }
+
+    setFxSpread(spread) {
+        if (!(spread >= 0 && spread < 0.1)) {
+            throw new Error('The spread must be between 0% and 10%');
+        }
+        this.storage.set('fxRates', { ...this.getFxTable(), spread });
+    }
+
+    // Fee Methods
+    /**
+     * The transfer fee schedule: { internal: { rate, minimum, maximum }, external: { ... } }
+     */
+    getFeeSchedule() {
+        return this.storage.get('feeSchedule', FEE_DEFAULTS);
+    }
+
+    /**
+     * Fee for a transfer amount: a percentage clamped to the schedule's minimum and maximum
+     * @param {Money} amount
+     * @returns {Money} Fee in the amount's currency, rounded half to even
+     */
+    calculateTransferFee(amount, isExternal = false) {
+        const schedule = this.getFeeSchedule()[isExternal ? 'external' : 'internal'];
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const bound = value => this.convert(Money.of(value, baseCurrency), amount.currency);
+
+        return Money.max(bound(schedule.minimum), Money.min(amount.multiply(schedule.rate), bound(schedule.maximum)));
+    }
+
+    /**
+     * Change the fee for internal or external transfers
+     */
+    setTransferFee(kind, { rate, minimum, maximum }) {
+        if (!Object.prototype.hasOwnProperty.call(FEE_DEFAULTS, kind)) {
+            throw new Error(`Unknown transfer kind: ${kind}`);
+        }
+        if (!(rate >= 0 && rate < 0.2)) {
+            throw new Error('The fee rate must be between 0% and 20%');
+        }
+        if (!(minimum >= 0) || !(maximum >= minimum)) {
+            throw new Error('The maximum fee must be at least the minimum, and neither can be negative');
+        }
+
+        this.storage.set('feeSchedule', { ...this.getFeeSchedule(), [kind]: { rate, minimum, maximum } });
+    }
+
+    // Transfer Limit Methods
+    /**
+     * Transfer limits by role: { user: { perTransaction, daily, weekly, perHour }, admin: { ... } }
+     */
+    getRoleTransferLimits() {
+        return this.storage.get('transferLimits', TRANSFER_LIMIT_DEFAULTS);
+    }
+
+    /**
+     * Check a full set of limits
+     */
+    validateTransferLimits(limits) {
+        ['perTransaction', 'daily', 'weekly'].forEach(field => {
+            if (!(typeof limits[field] === 'number' && limits[field] > 0)) {
+                throw new Error('Transfer limits must be positive amounts');
+            }
+        });
+        if (!(Number.isInteger(limits.perHour) && limits.perHour >= 1)) {
+            throw new Error('The hourly transfer count must be a whole number of at least 1');
+        }
+        if (limits.daily > limits.weekly) {
+            throw new Error('The daily limit cannot be more than the weekly limit');
+        }
+        return limits;
+    }
+
+    setRoleTransferLimits(role, limits) {
+        if (!Object.prototype.hasOwnProperty.call(TRANSFER_LIMIT_DEFAULTS, role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+
+        const { perTransaction, daily, weekly, perHour } = { ...this.getRoleTransferLimits()[role], ...limits };
+        this.storage.set('transferLimits', {
+            ...this.getRoleTransferLimits(),
+            [role]: this.validateTransferLimits({ perTransaction, daily, weekly, perHour })
+        });
+    }
+
+    /**
+     * Clean up a user's overrides: blank fields fall back to the role's limits
+     * @param {Object|null} overrides - Any of perTransaction, daily, weekly, perHour
+     * @returns {Object|null} The overrides to store, or null when there are none
+     */
+    normalizeTransferLimitOverrides(role, overrides) {
+        const fields = Object.keys(TRANSFER_LIMIT_DEFAULTS.user);
+        const set = Object.fromEntries(Object.entries(overrides || {})
+            .filter(([field, value]) => fields.includes(field) && value !== null && value !== undefined && value !== ''));
+        if (Object.keys(set).length === 0) return null;
+
+        const roleLimits = this.getRoleTransferLimits()[role] || TRANSFER_LIMIT_DEFAULTS.user;
+        this.validateTransferLimits({ ...roleLimits, ...set });
+        return set;
+    }
+
+    /**
+     * Override some of a user's transfer limits, or pass null to go back to the role's
+     */
+    setUserTransferLimits(userId, overrides) {
+        const user = this.getUserById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return this.updateUser(userId, { transferLimits: this.normalizeTransferLimitOverrides(user.role, overrides) });
+    }
+
+    /**
+     * A user's limits: the role's, with any admin overrides
+     * @returns {Object} { perTransaction, daily, weekly, perHour, currency }
+     */
+    getTransferLimits(userId) {
+        const user = this.getUserById(userId);
+        const roleLimits = this.getRoleTransferLimits()[user ? user.role : 'user'] || TRANSFER_LIMIT_DEFAULTS.user;
+
+        return {
+            ...roleLimits,
+            ...(user && user.transferLimits),
+            currency: this.getFxTable().baseCurrency
+        };
+    }
+
+    /**
+     * What a user has sent to other customers today, over the last 7 days, and how
+     * many transfers in the last hour. Failed and reversed transfers do not count;
+     * transfers from accounts closed since then do.
+     * @returns {Object} { today: Money, week: Money, lastHour }
+     */
+    getTransferUsage(userId, now = new Date()) {
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const accounts = this.storage.query('accounts', 'userId', userId);
+        const ownIBANs = new Set(accounts.map(account => Account.normalizeIBAN(account.iban)));
+        const today = now.toISOString().slice(0, 10);
+        const weekStart = new Date(Date.parse(today) - 6 * 24 * 60 * 60 * 1000).toISOString();
+        const hourAgo = new Date(now.getTime() - 60 * 60 * 1000).toISOString();
+        const usage = { today: Money.zero(baseCurrency), week: Money.zero(baseCurrency), lastHour: 0 };
+
+        accounts.forEach(account => {
+            this.storage.query('transactions', 'accountId', account.id)
+                .filter(txn => txn.type === 'transfer' && txn.category === 'transfer' && txn.timestamp >= weekStart &&
+                    !['failed', 'reversed'].includes(txn.status) && !ownIBANs.has(Account.normalizeIBAN(txn.recipientIBAN || '')))
+                .forEach(txn => {
+                    const amount = this.convert(Money.of(txn.amount, txn.currency || 'USD'), baseCurrency);
+                    usage.week = usage.week.add(amount);
+                    if (txn.timestamp.slice(0, 10) === today) usage.today = usage.today.add(amount);
+                    if (txn.timestamp > hourAgo) usage.lastHour++;
+                });
+        });
+
+        return usage;
+    }
+
+    /**
+     * What a user can still send to other customers
+     * @returns {Object} { limits, usage, daily: Money, weekly: Money, perHour, available: Money } - available is the most one transfer can be now
+     */
+    getRemainingTransferLimits(userId, now = new Date()) {
+        const limits = this.getTransferLimits(userId);
+        const usage = this.getTransferUsage(userId, now);
+        const left = (limit, used) => Money.max(Money.of(limit, limits.currency).subtract(used), Money.zero(limits.currency));
+        const daily = left(limits.daily, usage.today);
+        const weekly = left(limits.weekly, usage.week);
+        const perHour = Math.max(0, limits.perHour - usage.lastHour);
+
+        return {
+            limits,
+            usage,
+            daily,
+            weekly,
+            perHour,
+            available: perHour === 0 ? Money.zero(limits.currency) : Money.min(Money.of(limits.perTransaction, limits.currency), daily, weekly)
+        };
+    }
+
+    /**
+     * Throw with the reason when a transfer to another customer would break a limit
+     * @param {Money} money - The amount, in the sending account's currency
+     */
+    checkTransferLimits(userId, money, now = new Date()) {
+        const remaining = this.getRemainingTransferLimits(userId, now);
+        const { limits } = remaining;
+        const amount = this.convert(money, limits.currency);
+        const format = value => Money.format(value, limits.currency);
+
+        if (amount.greaterThan(limits.perTransaction)) {
+            throw new Error(`Transfers to other customers are limited to ${format(limits.perTransaction)} each`);
+        }
+        if (remaining.perHour === 0) {
+            throw new Error(`You can make up to ${limits.perHour} transfers to other customers an hour - please try again later`);
+        }
+        if (amount.greaterThan(remaining.daily)) {
+            throw new Error(`This transfer would exceed your daily limit of ${format(limits.daily)} - ${remaining.daily.format()} left today`);
+        }
+        if (amount.greaterThan(remaining.weekly)) {
+            throw new Error(`This transfer would exceed your weekly limit of ${format(limits.weekly)} - ${remaining.weekly.format()} left over the last 7 days`);
+        }
+    }
+
+    // Interest Methods
+    /**
+     * Interest products by account type: { savings: { compounding, tiers: [{ from, apy }] }, ... }
+     */
+    getInterestProducts() {
+        return this.storage.get('interestProducts', INTEREST_DEFAULTS);
+    }
+
+    /**
+     * Set up or change the interest product of an account type
+     * @param {Object} product - { compounding, tiers: [{ from, apy }] } - the first tier starts at 0
+     */
+    setInterestProduct(type, { compounding, tiers }) {
+        if (!ACCOUNT_TYPES.includes(type)) {
+            throw new Error(`Unknown account type: ${type}`);
+        }
+        if (!INTEREST_COMPOUNDING.includes(compounding)) {
+            throw new Error(`Compounding must be ${INTEREST_COMPOUNDING.join(' or ')}`);
+        }
+        if (!Array.isArray(tiers) || tiers.length === 0 || tiers[0].from !== 0) {
+            throw new Error('The first tier must start at 0');
+        }
+        tiers.forEach((tier, index) => {
+            if (!(tier.apy >= 0 && tier.apy < 0.2)) {
+                throw new Error('APYs must be between 0% and 20%');
+            }
+            if (index > 0 && !(tier.from > tiers[index - 1].from)) {
+                throw new Error('Tier thresholds must increase');
+            }
+        });
+
+        this.storage.set('interestProducts', {
+            ...this.getInterestProducts(),
+            [type]: { compounding, tiers: tiers.map(({ from, apy }) => ({ from, apy })) }
+        });
+    }
+
+    /**
+     * Stop paying interest on an account type. Interest already accrued is still posted.
+     */
+    removeInterestProduct(type) {
+        const products = { ...this.getInterestProducts() };
+        delete products[type];
+        this.storage.set('interestProducts', products);
+    }
+
+    /**
+     * Split a balance over the tiers of a product
+     * @param {number} balance - Decimal amount in `currency`
+     * @returns {Object[]} [{ apy, portion }]
+     */
+    getTierPortions(product, balance, currency) {
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const thresholds = product.tiers.map(tier => this.convert(Money.of(tier.from, baseCurrency), currency).toNumber());
+
+        return product.tiers.map((tier, index) => {
+            const upper = index + 1 < thresholds.length ? thresholds[index + 1] : Infinity;
+            return { apy: tier.apy, portion: Math.max(0, Math.min(balance, upper) - thresholds[index]) };
+        });
+    }
+
+    /**
+     * The APY a balance earns over all its tiers
+     */
+    getEffectiveApy(product, balance, currency) {
+        if (!(balance > 0)) return product.tiers[0].apy;
+
+        return this.getTierPortions(product, balance, currency)
+            .reduce((apy, tier) => apy + tier.apy * tier.portion / balance, 0);
+    }
+
+    /**
+     * One day of interest on a closing balance. On the last day of a month what has
+     * accrued is posted, rounded to the minor unit; the remainder carries over.
+     * @param {Object|null} product - null once the product is withdrawn: nothing more accrues
+     * @param {number} balance - Decimal closing balance
+     * @param {number} accrued - Unrounded interest accrued and not yet posted
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Object} { accrued, posting: Money }
+     */
+    accrueInterestDay(product, currency, balance, accrued, day) {
+        if (product) {
+            const base = product.compounding === 'daily' ? balance + accrued : balance;
+            const daysInMonth = new Date(Date.UTC(Number(day.slice(0, 4)), Number(day.slice(5, 7)), 0)).getUTCDate();
+
+            this.getTierPortions(product, base, currency).forEach(tier => {
+                const periodRate = product.compounding === 'daily'
+                    ? Math.pow(1 + tier.apy, 1 / 365) - 1
+                    : (Math.pow(1 + tier.apy, 1 / 12) - 1) / daysInMonth;
+                accrued += tier.portion * periodRate;
+            });
+        }
+
+        if (GeneralLedger.nextDay(day).slice(8) !== '01') {
+            return { accrued, posting: Money.zero(currency) };
+        }
+
+        const posting = Money.of(accrued, currency);
+        return { accrued: accrued - posting.toNumber(), posting };
+    }
+
+    /**
+     * Accrue interest for every day up to yesterday and post it at each month end.
+     * Closing balances come from the journal, so days missed while the app was closed
+     * are caught up with the balance each of them actually ended on.
+     * @param {Date} now - Accrual runs through the day before this
+     * @returns {Promise<Object>} { postings, total } - total is Money in the FX base currency
+     */
+    async runInterestAccrual(now = new Date()) {
+        const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const products = this.getInterestProducts();
+        const result = { postings: 0, total: Money.zero(this.getFxTable().baseCurrency) };
+
+        this.storage.get('accounts', []).forEach(({ id }) => {
+            this.storage.transaction(['accounts', 'transactions', 'journal'], (tx) => {
+                const account = new Account(tx.getRecord('accounts', id));
+                const product = products[account.type] || null;
+                const from = account.interestAccruedThrough ? GeneralLedger.nextDay(account.interestAccruedThrough) : account.createdAt.slice(0, 10);
+
+                // Another tab may have accrued already
+                if (!account.isActive || from > yesterday) return;
+
+                let accrued = account.interestAccrued;
+                let paid = Money.zero(account.currency);
+
+                if (product || accrued > 0) {
+                    this.ledger.forEachClosingBalance(account, from, yesterday, (day, balance, endOfDay) => {
+                        const step = this.accrueInterestDay(product, account.currency, balance.toNumber(), accrued, day);
+                        accrued = step.accrued;
+                        if (!step.posting.isPositive()) return null;
+
+                        const payment = this.createTransaction({
+                            accountId: account.id,
+                            type: 'deposit',
+                            amount: step.posting.toNumber(),
+                            currency: step.posting.currency,
+                            description: `Interest for ${day.slice(0, 7)}`,
+                            category: 'interest',
+                            status: 'settled',
+                            timestamp: endOfDay
+                        }, tx);
+                        this.ledger.post({
+                            description: 'Interest',
+                            transactionId: payment.id,
+                            timestamp: endOfDay,
+                            lines: [
+                                { ledger: 'bank:interest_expense', amount: step.posting },
+                                { ledger: account.id, amount: step.posting.negate() }
+                            ]
+                        }, tx);
+
+                        paid = paid.add(step.posting);
+                        result.postings++;
+                        return step.posting;
+                    }, tx);
+                }
+
+                tx.putRecord('accounts', {
+                    ...tx.getRecord('accounts', account.id),
+                    balance: account.balanceMoney.add(paid).toNumber(),
+                    interestAccrued: accrued,
+                    interestAccruedThrough: yesterday
+                });
+                result.total = result.total.add(this.convert(paid, result.total.currency));
+            });
+        });
+
+        await this.storage.flush();
+
+        if (result.postings > 0) {
+            console.log(`💰 Interest: ${result.postings} monthly postings, ${result.total.format()}`);
+        }
+        return result;
+    }
+
+    /**
+     * Interest an account is on course to earn if its balance stays as it is
+     * @returns {Object|null} { apy, accrued, nextPosting: { date, amount } | null, nextYear } - Money amounts; null without a product
+     */
+    projectInterest(account, now = new Date()) {
+        const product = this.getInterestProducts()[account.type];
+        if (!product) return null;
+
+        const today = now.toISOString().slice(0, 10);
+        const end = new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        let day = account.interestAccruedThrough ? GeneralLedger.nextDay(account.interestAccruedThrough) : account.createdAt.slice(0, 10);
+        let balance = account.balanceMoney;
+        let accrued = account.interestAccrued;
+        let nextPosting = null;
+        let nextYear = Money.zero(account.currency);
+
+        for (; day <= end; day = GeneralLedger.nextDay(day)) {
+            const step = this.accrueInterestDay(product, account.currency, balance.toNumber(), accrued, day);
+            accrued = step.accrued;
+            if (!step.posting.isPositive()) continue;
+
+            balance = balance.add(step.posting);
+            nextPosting = nextPosting || { date: day, amount: step.posting };
+            if (day >= today) {
+                nextYear = nextYear.add(step.posting);
+            }
+        }
+
+        return {
+            apy: this.getEffectiveApy(product, account.balance, account.currency),
+            accrued: Money.of(account.interestAccrued, account.currency),
+            nextPosting: nextPosting,
+            nextYear: nextYear
+        };
+    }
+
+    /**
+     * Interest paid per month, newest first, from the interest expense ledger
+     * @returns {Object} { months: [{ month, payments, total }], total, accrued } - Money in the FX base currency;
+     *                   accrued is earned by customers but not posted yet
+     */
+    getInterestReport() {
+        const baseCurrency = this.getFxTable().baseCurrency;
+        const months = new Map();
+
+        this.ledger.getLines('bank:interest_expense').forEach(line => {
+            const month = line.timestamp.slice(0, 7);
+            const entry = months.get(month) || { month, payments: 0, total: Money.zero(baseCurrency) };
+            entry.payments += line.archivedLines || 1;
+            entry.total = entry.total.add(this.convert(Money.of(line.amount, line.currency), baseCurrency));
+            months.set(month, entry);
+        });
+
+        const rows = Array.from(months.values()).sort((a, b) => b.month.localeCompare(a.month));
+        return {
+            months: rows,
+            total: Money.sum(rows.map(row => row.total), baseCurrency),
+            accrued: Money.sum(this.storage.get('accounts', [])
+                .filter(account => account.interestAccrued > 0)
+                .map(account => this.convert(Money.of(account.interestAccrued, account.currency || 'USD'), baseCurrency)), baseCurrency)
+        };
+    }
+
+    // Ledger Methods
+    /**
+     * Resolve a reconciliation difference. 'ledger' resets the stored balance to
+     * the journal; 'balance' keeps it and posts the difference to suspense.
+     */
+    resolveDifference(accountId, keep) {
+        const difference = this.ledger.reconcile().find(item => item.accountId === accountId);
+        if (!difference) return null;
+
+        if (keep === 'balance') {
+            return this.storage.transaction(['accounts', 'journal'], (tx) => {
+                this.ledger.post({
+                    description: 'Reconciliation adjustment',
+                    lines: [
+                        { ledger: 'bank:suspense', amount: difference.difference },
+                        { ledger: accountId, amount: difference.difference.negate() }
+                    ]
+                }, tx);
+                return new Account(tx.getRecord('accounts', accountId));
+            });
+        }
+
+        return this.updateAccountBalance(accountId, difference.ledgerBalance);
+    }
+
+    // Account History Methods
+    /**
+     * Journal entries of a customer account, oldest first, with the balance after each.
+     * This reaches back to the account's opening; a month whose journal was archived
+     * is one entry with the month's net change.
+     * @returns {Object[]} [{ entryId, timestamp, description, reference, transactionId, amount, balance, archived }] -
+     *                     amount is the change (positive for money in) and balance the balance after it, as Money
+     */
+    getAccountHistory(account) {
+        const entries = [];
+        let balance = Money.zero(account.currency);
+
+        this.ledger.getLines(account.id)
+            .filter(line => line.currency === account.currency)
+            .forEach(line => {
+                const change = Money.of(line.amount, line.currency).negate();
+                balance = balance.add(change);
+
+                // A reversal refunds the transfer and its fee in one entry
+                const last = entries[entries.length - 1];
+                if (last && last.entryId === line.entryId) {
+                    last.amount = last.amount.add(change);
+                    last.balance = balance;
+                    return;
+                }
+
+                entries.push({
+                    entryId: line.entryId,
+                    timestamp: line.timestamp,
+                    description: line.description,
+                    reference: line.reference,
+                    transactionId: line.transactionId,
+                    amount: change,
+                    balance: balance,
+                    archived: !!line.archivedLines
+                });
+            });
+
+        return entries;
+    }
+
+    /**
+     * Balance of an account right after each of its transactions was posted. Pending
+     * and failed transactions never moved the balance, so they have none.
+     * @param {Transaction[]} transactions - Transactions of the account, live or archived
+     * @returns {Map} transaction id -> Money
+     */
+    getRunningBalances(account, transactions) {
+        const history = this.getAccountHistory(account);
+        const byTransaction = new Map(history.filter(entry => entry.transactionId).map(entry => [entry.transactionId, entry]));
+        const balances = new Map();
+
+        transactions.forEach(transaction => {
+            // The recipient's leg and reversal refunds are posted under another transaction's
+            // id, in the first entry of their transfer made after them
+            const entry = byTransaction.get(transaction.id) || history.find(item =>
+                item.reference && [transaction.reference, transaction.linkedReference].includes(item.reference) &&
+                item.timestamp >= transaction.timestamp);
+
+            if (entry && ['settled', 'reversed'].includes(transaction.status)) {
+                balances.set(transaction.id, entry.balance);
+            }
+        });
+
+        return balances;
+    }
+
+    /**
+     * Monthly statement periods from the month the account was opened, newest first.
+     * Balances come from the journal, so they hold for archived months too.
+     * @returns {Object[]} [{ month, from, through, opening, closing, moneyIn, moneyOut }] - from and through
+     *                     are YYYY-MM-DD (UTC), through is today (or the closing day) for the last period; amounts are Money
+     */
+    getStatementPeriods(account, now = new Date()) {
+        const history = this.getAccountHistory(account);
+        const lastDay = (account.closedAt || now.toISOString()).slice(0, 10);
+        const firstDay = [account.createdAt, history.length > 0 ? history[0].timestamp : null].filter(Boolean).sort()[0].slice(0, 10);
+        const periods = [];
+        let balance = Money.zero(account.currency);
+        let next = 0;
+
+        for (let from = `${firstDay.slice(0, 7)}-01`; from <= lastDay; ) {
+            const monthEnd = this.getMonthlyRunDate(from, 31);
+            const through = monthEnd < lastDay ? monthEnd : lastDay;
+            const period = {
+                month: from.slice(0, 7),
+                from: from,
+                through: through,
+                opening: balance,
+                moneyIn: Money.zero(account.currency),
+                moneyOut: Money.zero(account.currency)
+            };
+            let archived = false;
+
+            while (next < history.length && history[next].timestamp <= `${through}T23:59:59.999Z`) {
+                const { amount } = history[next];
+                if (amount.isPositive()) {
+                    period.moneyIn = period.moneyIn.add(amount);
+                } else {
+                    period.moneyOut = period.moneyOut.subtract(amount);
+                }
+                archived = archived || history[next].archived;
+                balance = history[next].balance;
+                next++;
+            }
+
+            // An archived month is one net entry in the journal; its statement has the money in and out
+            const statement = archived ? this.storage.getRecord('statements', `stmt_${account.id}_${period.month}`) : null;
+            if (statement) {
+                period.moneyIn = Money.of(statement.moneyIn, account.currency);
+                period.moneyOut = Money.of(statement.moneyOut, account.currency);
+            }
+            period.closing = balance;
+            periods.push(period);
+            from = GeneralLedger.nextDay(monthEnd);
+        }
+
+        return periods.reverse();
+    }
+
+    /**
+     * Closing balance of each of the last `days` days since the account was opened, oldest first
+     * @returns {Object[]} [{ day, balance }] - balance is Money
+     */
+    getBalanceSeries(account, days = 90, now = new Date()) {
+        const through = now.toISOString().slice(0, 10);
+        const earliest = new Date(Date.parse(through) - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const opened = account.createdAt.slice(0, 10);
+        const series = [];
+
+        this.ledger.forEachClosingBalance(account, opened > earliest ? opened : earliest, through, (day, balance) => {
+            series.push({ day, balance });
+        });
+
+        return series;
+    }
+
+    // Statement Methods
+    /**
+     * The journal entries of a statement period as statement lines. Each is described by
+     * the account's own transaction where that is still live, by the journal otherwise.
+     * @returns {Object[]} [{ date, description, reference, kind, amount, balance }] - amounts as numbers,
+     *                     positive for money in; kind is 'fee', 'interest' or the transaction type
+     */
+    getStatementLines(account, period) {
+        const own = this.storage.query('transactions', 'accountId', account.id);
+        const history = this.getAccountHistory(account);
+        // Transactions posted under their own id are not described by other entries
+        const claimed = new Set(history.map(entry => entry.transactionId));
+
+        return history
+            .filter(entry => entry.timestamp >= `${period.from}T00:00:00.000Z` && entry.timestamp <= `${period.through}T23:59:59.999Z`)
+            .map(entry => {
+                const transaction = own.find(txn => txn.id === entry.transactionId) || own.find(txn =>
+                    !claimed.has(txn.id) && entry.reference && [txn.reference, txn.linkedReference].includes(entry.reference) &&
+                    txn.timestamp <= entry.timestamp);
+
+                let kind = 'adjustment';
+                if (transaction) {
+                    kind = transaction.type === 'fee' ? 'fee' : transaction.category === 'interest' ? 'interest' : transaction.type;
+                }
+
+                return {
+                    date: entry.timestamp,
+                    description: transaction ? transaction.description || entry.description : entry.description,
+                    reference: transaction ? transaction.linkedReference || transaction.reference : entry.reference,
+                    kind: kind,
+                    amount: entry.amount.toNumber(),
+                    balance: entry.balance.toNumber()
+                };
+            });
+    }
+
+    /**
+     * Make and store the statement of a month that has ended. Making it again
+     * replaces the stored one and counts the revision.
+     * @param {string} month - YYYY-MM
+     * @param {Object} options - { by } id of the admin regenerating it, null for the month-end run
+     * @returns {Object} The statement
+     */
+    generateStatement(accountId, month, { by = null } = {}, now = new Date()) {
+        const account = this.getAccountById(accountId);
+        if (!account) {
+            throw new Error('Account not found');
+        }
+
+        const period = this.getStatementPeriods(account, now).find(item => item.month === month);
+        if (!period) {
+            throw new Error('The account was not open in that month');
+        }
+        if (this.getMonthlyRunDate(period.from, 31) >= now.toISOString().slice(0, 10)) {
+            throw new Error('Statements are made once the month has ended');
+        }
+        if (this.ledger.getLines(account.id).some(line => line.archivedLines && line.timestamp.startsWith(month))) {
+            throw new Error('The journal of that month is archived, so its statement cannot be made again');
+        }
+
+        const lines = this.getStatementLines(account, period);
+        const total = kind => Money.sum(lines.filter(line => line.kind === kind).map(line => line.amount), account.currency);
+        const id = `stmt_${account.id}_${month}`;
+        const previous = this.storage.getRecord('statements', id);
+        const holder = this.getUserById(account.userId);
+
+        const statement = {
+            id: id,
+            accountId: account.id,
+            userId: account.userId,
+            month: month,
+            from: period.from,
+            through: period.through,
+            holderName: holder ? holder.fullName : 'Unknown',
+            accountName: account.displayName,
+            accountType: account.type,
+            currency: account.currency,
+            maskedIBAN: account.maskedIBAN,
+            maskedAccountNumber: account.maskedAccountNumber,
+            opening: period.opening.toNumber(),
+            closing: period.closing.toNumber(),
+            moneyIn: period.moneyIn.toNumber(),
+            moneyOut: period.moneyOut.toNumber(),
+            fees: total('fee').negate().toNumber(),
+            interest: total('interest').toNumber(),
+            lines: lines,
+            revision: previous ? previous.revision + 1 : 1,
+            generatedAt: new Date().toISOString(),
+            generatedBy: by
+        };
+
+        this.storage.putRecord('statements', statement);
+        return statement;
+    }
+
+    /**
+     * Statements of an account, newest month first
+     */
+    getStatements(accountId) {
+        return this.storage.query('statements', 'accountId', accountId)
+            .sort((a, b) => b.month.localeCompare(a.month));
+    }
+
+    /**
+     * Make the statement of every month that has ended and has none yet, for open
+     * and closed accounts. Runs after interest is posted, so month-end interest is on it.
+     * @returns {Promise<number>} Statements made
+     */
+    async runMonthEndStatements(now = new Date()) {
+        const today = now.toISOString().slice(0, 10);
+        let made = 0;
+
+        await this.storage.exclusive('statements', async () => {
+            // Another tab may have made them already, from postings this tab has not seen
+            await this.storage.reload(['statements', 'accounts', 'transactions', 'journal']);
+            const stated = new Set(this.storage.get('statements', []).map(statement => statement.id));
+
+            this.storage.get('accounts', []).forEach(accountData => {
+                const account = new Account(accountData);
+
+                this.getStatementPeriods(account, now)
+                    .filter(period => this.getMonthlyRunDate(period.from, 31) < today && !stated.has(`stmt_${account.id}_${period.month}`))
+                    .forEach(period => {
+                        this.generateStatement(account.id, period.month, {}, now);
+                        made++;
+                    });
+            });
+        });
+
+        if (made > 0) {
+            console.log(`🧾 Month-end statements: ${made} made`);
+        }
+        return made;
+    }
+
+    // Utility Methods
+    /**
+     * Total balance of a user in their home currency
+     * @returns {Money}
+     */
+    getTotalBalance(userId) {
+        const user = this.getUserById(userId);
+        return this.sumBalances(this.getAccountsByUserId(userId), user ? user.homeCurrency : 'USD');
+    }
+
+    async getRecentTransactions(userId, limit = 10) {
+        const transactions = await this.getUserTransactions(userId);
+        return transactions.slice(0, limit);
+    }
+}
+
+// Outside a browser (tests) the bootstrap is called directly
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        storage.ready
+            .then(() => initializeSystem())
+            .then(() => dataManager.runSettlement({ olderThan: SETTLEMENT_DELAY_MS }))
+            .then(() => dataManager.runOverdraftAccrual())
+            .then(() => dataManager.runInterestAccrual())
+            .then(() => dataManager.runMonthEndStatements())
+            .then(() => dataManager.runStandingOrders())
+            .then(() => dataManager.runLoanRepayments())
+            .catch(error => console.error('❌ Background bank run failed:', error));
+
+        // Standing orders also fall due while the page stays open
+        setInterval(() => {
+            storage.ready
+                .then(() => dataManager.runStandingOrders())
+                .catch(error => console.error('❌ Standing order run failed:', error));
+        }, SCHEDULER_INTERVAL_MS);
+    });
+}
+
+/**
+ * Escape text typed by customers or admins before it goes into markup or an attribute
+ */
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Create the default admin user if there is no admin yet
+ * @param {StorageManager} store - Storage to bootstrap (defaults to the global one)
+ */
+function initializeSystem(store = storage) {
+    if (!store) {
         console.log('⏳ Waiting for storage...');
-        setTimeout(initializeSystem, 500);
+        setTimeout(() => initializeSystem(), 500);
         return;
     }
 
-    const users = storage.get('users', []);
+    const users = store.get('users', []);
     const adminExists = users.some(user => user.role === 'admin');
     
     if (!adminExists) {
@@ -549,7 +4386,7 @@ function initializeSystem() {
         };
         
         users.push(adminUser);
-        storage.set('users', users);
+        store.set('users', users);
         console.log('✅ Default admin user created');
     }
 }
@@ -559,5 +4396,5 @@ const dataManager = new DataManager();
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { User, Account, Transaction, dataManager };
+    module.exports = { Money, SUPPORTED_CURRENCIES, ACCOUNT_TYPES, MAX_ACCOUNTS_PER_USER, OPENING_BALANCES, CARD_MERCHANT_CATEGORIES, CARD_SETTINGS, LOAN_SETTINGS, LOAN_AMORTIZATION_METHODS, FX_DEFAULTS, FEE_DEFAULTS, TRANSFER_LIMIT_DEFAULTS, INTEREST_DEFAULTS, INTEREST_COMPOUNDING, TRANSACTION_TRANSITIONS, SETTLEMENT_DELAY_MS, STANDING_ORDER_FREQUENCIES, STANDING_ORDER_RETRY, SCHEDULER_INTERVAL_MS, OVERDRAFT_INTEREST_RATE, OVERDRAFT_MAX_LIMIT, IBAN_FORMATS, BANK_LEDGERS, User, Account, Transaction, GeneralLedger, DataManager, dataManager, escapeHTML, initializeSystem };
 }
\ No newline at end of file
@@ -1,96 +1,1604 @@
 /**
- * FinSim - LocalStorage Management System
- * Handles all data storage and retrieval operations
+ * FinSim - Storage Management System
+ * Handles all data storage and retrieval operations through a pluggable backend
  */
 
+/**
+ * Collections stored record-by-record, with the fields each one is indexed on
+ */
+const STORAGE_COLLECTIONS = {
+    users: { indexes: [] },
+    accounts: { indexes: ['userId'] },
+    transactions: { indexes: ['accountId', 'timestamp'] },
+    journal: { indexes: ['ledger', 'entryId'] },
+    refundRequests: { indexes: ['status', 'userId'] },
+    scheduledTransfers: { indexes: ['userId'] },
+    notifications: { indexes: ['userId'] },
+    payees: { indexes: ['userId'] },
+    statements: { indexes: ['accountId'] },
+    cards: { indexes: ['userId', 'accountId'] },
+    loans: { indexes: ['userId', 'status'] }
+};
+
+/**
+ * Defaults for the admin-configurable storage settings (stored under 'storageSettings')
+ */
+const STORAGE_SETTINGS_DEFAULTS = {
+    warningThreshold: 0.8, // Share of the quota at which admins are warned
+    archiveAfterDays: 365 // Transactions older than this are archived; 0 turns archival off
+};
+
+// localStorage is capped at about 5 MB per origin in every major browser
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Order records oldest first, the way they were originally appended
+ */
+function sortByCreation(records) {
+    return records.sort((a, b) =>
+        new Date(a.createdAt || a.timestamp || 0) - new Date(b.createdAt || b.timestamp || 0)
+    );
+}
+
+/**
+ * LocalStorage backend - one serialized value per key
+ * Used as a fallback when IndexedDB is not available
+ */
+class LocalStorageBackend {
+    constructor(prefix) {
+        this.name = 'localStorage';
+        this.prefix = prefix;
+    }
+
+    isAvailable() {
+        try {
+            const test = 'test';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    open() {
+        // Nothing to open - localStorage is synchronous
+    }
+
+    /**
+     * Read every FinSim key into a plain object
+     */
+    loadAll() {
+        const data = {};
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => {
+                try {
+                    data[key.slice(this.prefix.length)] = JSON.parse(localStorage.getItem(key));
+                } catch (error) {
+                    console.error('❌ Storage Error (load):', key, error);
+                }
+            });
+
+        return data;
+    }
+
+    /**
+     * Persist a batch of changes - a change with an undefined value removes the key
+     */
+    write(changes) {
+        changes.forEach(({ key, value }) => {
+            const storageKey = this.prefix + key;
+
+            if (value === undefined) {
+                localStorage.removeItem(storageKey);
+            } else {
+                localStorage.setItem(storageKey, JSON.stringify(value));
+            }
+        });
+    }
+
+    read(key) {
+        const value = localStorage.getItem(this.prefix + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    clear() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Notify about changes made by other tabs
+     */
+    watch(callback) {
+        if (typeof window === 'undefined') return;
+
+        window.addEventListener('storage', (event) => {
+            if (!event.key || !event.key.startsWith(this.prefix)) return;
+
+            const key = event.key.slice(this.prefix.length);
+            callback(key, event.newValue === null ? undefined : JSON.parse(event.newValue));
+        });
+    }
+}
+
+/**
+ * In-memory backend - nothing survives a reload. Used when the environment has
+ * no browser storage (Node, tests), and can be injected with seed data.
+ */
+class MemoryBackend {
+    constructor(data = {}) {
+        this.name = 'memory';
+        this.data = new Map(Object.entries(JSON.parse(JSON.stringify(data))));
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    open() {
+        // Nothing to open
+    }
+
+    loadAll() {
+        const data = {};
+        this.data.forEach((value, key) => {
+            data[key] = JSON.parse(JSON.stringify(value));
+        });
+        return data;
+    }
+
+    read(key) {
+        return this.data.has(key) ? JSON.parse(JSON.stringify(this.data.get(key))) : undefined;
+    }
+
+    write(changes) {
+        changes.forEach(({ key, value }) => {
+            if (value === undefined) {
+                this.data.delete(key);
+            } else {
+                this.data.set(key, JSON.parse(JSON.stringify(value)));
+            }
+        });
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    watch() {
+        // Single process - no other tabs to hear from
+    }
+}
+
+/**
+ * IndexedDB backend - one object store per collection, indexed for lookups,
+ * plus a key-value store for everything else (session, settings, ...)
+ */
+class IndexedDBBackend {
+    constructor(prefix, collections) {
+        this.name = 'indexedDB';
+        this.prefix = prefix;
+        this.dbName = prefix + 'db';
+        this.version = 8; // Bump when collections or indexes are added
+        this.collections = collections;
+        this.db = null;
+        this.opened = null;
+        this.channel = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    get storeNames() {
+        return [...Object.keys(this.collections), 'keyval'];
+    }
+
+    /**
+     * Open the database, creating stores and indexes on first use
+     */
+    open() {
+        this.opened = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                Object.entries(this.collections).forEach(([name, config]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath: 'id' });
+                        config.indexes.forEach(index => store.createIndex(index, index));
+                    }
+                });
+
+                ['keyval', 'meta'].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        }).then(db => {
+            this.db = db;
+            return this.migrateFromLocalStorage();
+        });
+
+        return this.opened;
+    }
+
+    /**
+     * One-time import of the legacy finsim_* localStorage keys
+     */
+    async migrateFromLocalStorage() {
+        const marker = await this.request(
+            this.db.transaction('meta', 'readonly').objectStore('meta').get('legacyMigration')
+        );
+        if (marker) return;
+
+        const legacy = new LocalStorageBackend(this.prefix);
+        const data = legacy.isAvailable() ? legacy.loadAll() : {};
+        const keys = Object.keys(data);
+
+        if (keys.length > 0) {
+            await this.commit(keys.map(key => ({ key, value: data[key], previous: undefined })));
+            console.log('📦 Migrated', keys.length, 'localStorage keys to IndexedDB');
+        }
+
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ migratedAt: new Date().toISOString(), keys }, 'legacyMigration');
+        await this.complete(tx);
+
+        if (keys.length > 0) {
+            legacy.clear();
+        }
+    }
+
+    /**
+     * Read every collection and key-value entry into a plain object
+     */
+    async loadAll() {
+        await this.opened;
+
+        // Issue every request up front so the transaction stays active
+        const tx = this.db.transaction(this.storeNames, 'readonly');
+        const collectionNames = Object.keys(this.collections);
+        const keyval = tx.objectStore('keyval');
+
+        const [records, keys, values] = await Promise.all([
+            Promise.all(collectionNames.map(name => this.request(tx.objectStore(name).getAll()))),
+            this.request(keyval.getAllKeys()),
+            this.request(keyval.getAll())
+        ]);
+
+        const data = {};
+        collectionNames.forEach((name, index) => {
+            data[name] = this.sortRecords(records[index]);
+        });
+        keys.forEach((key, index) => {
+            data[key] = values[index];
+        });
+
+        return data;
+    }
+
+    /**
+     * Read a single key (used to refresh after another tab wrote it)
+     */
+    async read(key) {
+        await this.opened;
+
+        if (this.collections[key]) {
+            const records = await this.request(this.db.transaction(key, 'readonly').objectStore(key).getAll());
+            return this.sortRecords(records);
+        }
+
+        return this.request(this.db.transaction('keyval', 'readonly').objectStore('keyval').get(key));
+    }
+
+    /**
+     * Read only the records whose indexed field has a value, through the object store's index
+     * @param {string} collection - Collection name
+     * @param {string} field - 'id' or one of the collection's indexes
+     * @param {*} value - Value to match
+     */
+    async queryIndex(collection, field, value) {
+        await this.opened;
+
+        const store = this.db.transaction(collection, 'readonly').objectStore(collection);
+        const source = field === 'id' ? store : store.index(field);
+        return this.sortRecords(await this.request(source.getAll(value)));
+    }
+
+    /**
+     * Persist a batch of changes in a single IndexedDB transaction
+     */
+    write(changes) {
+        return this.opened
+            .then(() => this.commit(changes))
+            .then(() => this.broadcast(changes.map(change => change.key)));
+    }
+
+    commit(changes) {
+        const tx = this.db.transaction(this.storeNames, 'readwrite');
+
+        changes.forEach(change => {
+            if (this.collections[change.key]) {
+                this.writeCollection(tx.objectStore(change.key), change);
+            } else if (change.value === undefined) {
+                tx.objectStore('keyval').delete(change.key);
+            } else {
+                tx.objectStore('keyval').put(change.value, change.key);
+            }
+        });
+
+        return this.complete(tx);
+    }
+
+    /**
+     * Write only the records that changed since the previous value
+     */
+    writeCollection(store, { value, previous, changedIds }) {
+        if (value === undefined || value === null) {
+            store.clear();
+            return;
+        }
+
+        const records = Array.isArray(value) ? value : [];
+
+        if (changedIds) {
+            const byId = new Map(records.map(record => [record.id, record]));
+            changedIds.forEach(id => {
+                if (byId.has(id)) {
+                    store.put(byId.get(id));
+                } else {
+                    store.delete(id);
+                }
+            });
+            return;
+        }
+
+        const previousById = new Map(
+            (Array.isArray(previous) ? previous : []).map(record => [record.id, JSON.stringify(record)])
+        );
+        const nextIds = new Set();
+
+        records.forEach(record => {
+            nextIds.add(record.id);
+            if (previousById.get(record.id) !== JSON.stringify(record)) {
+                store.put(record);
+            }
+        });
+
+        previousById.forEach((_, id) => {
+            if (!nextIds.has(id)) {
+                store.delete(id);
+            }
+        });
+    }
+
+    clear() {
+        return this.opened.then(() => {
+            const tx = this.db.transaction(this.storeNames, 'readwrite');
+            this.storeNames.forEach(name => tx.objectStore(name).clear());
+            return this.complete(tx);
+        }).then(() => this.broadcast(this.storeNames));
+    }
+
+    /**
+     * Other tabs learn about writes through a BroadcastChannel
+     */
+    watch(callback) {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(this.dbName);
+        this.channel.onmessage = async (event) => {
+            for (const key of event.data.keys) {
+                try {
+                    callback(key, await this.read(key));
+                } catch (error) {
+                    console.error('❌ Storage Error (sync):', key, error);
+                }
+            }
+        };
+    }
+
+    broadcast(keys) {
+        if (this.channel) {
+            this.channel.postMessage({ keys });
+        }
+    }
+
+    sortRecords(records) {
+        return sortByCreation(records);
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+/**
+ * Raised when encrypted data cannot be decrypted (wrong passphrase, rotated key, corrupt record)
+ */
+class StorageDecryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageDecryptionError';
+    }
+}
+
+/**
+ * Raised when a write does not fit in the browser's storage quota
+ */
+class StorageQuotaError extends Error {
+    constructor(message, keys = []) {
+        super(message);
+        this.name = 'StorageQuotaError';
+        this.keys = keys;
+    }
+
+    static matches(error) {
+        return !!error && (
+            error instanceof StorageQuotaError ||
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+}
+
+/**
+ * Encryption vault - holds the AES-GCM data key derived from a passphrase with PBKDF2.
+ * The vault metadata (salt, iterations, key check) lives outside the finsim_ prefix
+ * so it can be read before any data is decrypted.
+ */
+class StorageVault {
+    constructor(metaKey) {
+        this.metaKey = metaKey;
+        this.iterations = 250000;
+        this.keys = []; // The first key encrypts, every key is tried when decrypting
+        this.pendingUnlocked = false;
+        this.seenMeta = null;
+    }
+
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof localStorage !== 'undefined';
+    }
+
+    getMeta() {
+        try {
+            return typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(this.metaKey)) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveMeta(meta) {
+        this.seenMeta = JSON.stringify(meta);
+        localStorage.setItem(this.metaKey, this.seenMeta);
+    }
+
+    isEnabled() {
+        return !!this.getMeta();
+    }
+
+    /**
+     * True once another tab started a key rotation, finished one or turned encryption off
+     */
+    isStale() {
+        return localStorage.getItem(this.metaKey) !== this.seenMeta;
+    }
+
+    isRotating() {
+        const meta = this.getMeta();
+        return !!(meta && meta.pending);
+    }
+
+    /**
+     * Derive a fresh key from a passphrase and describe it for the metadata
+     */
+    async createKey(passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Vault passphrase must be at least 8 characters');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const check = await this.encryptWith(key, 'finsim-vault');
+
+        return { key, params: { salt: this.toBase64(salt), iterations: this.iterations, check } };
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false, // Not extractable - the raw key can never be read back out of memory
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derive the key for a set of metadata params and check it against the stored check value
+     */
+    async keyFor(passphrase, params) {
+        const key = await this.deriveKey(passphrase, this.fromBase64(params.salt), params.iterations);
+        return (await this.matches(key, params)) ? key : null;
+    }
+
+    async matches(key, params) {
+        try {
+            return (await this.decryptWith(key, params.check)) === 'finsim-vault';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn encryption on with a new passphrase
+     */
+    async create(passphrase) {
+        const { key, params } = await this.createKey(passphrase);
+        this.saveMeta({ version: 1, ...params, createdAt: new Date().toISOString() });
+        this.keys = [key];
+    }
+
+    /**
+     * Verify a passphrase against the current key
+     */
+    async verify(passphrase) {
+        const key = await this.keyFor(passphrase || '', this.getMeta());
+        if (!key) {
+            throw new StorageDecryptionError('Incorrect vault passphrase');
+        }
+        return key;
+    }
+
+    /**
+     * Load the data key by asking for the passphrase - keys live in memory only,
+     * so every page load unlocks the vault again
+     */
+    async unlock(passphrase) {
+        const meta = this.getMeta();
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const entered = passphrase !== undefined ? passphrase : await this.requestPassphrase(
+                attempt === 1 ? 'FinSim data is encrypted. Enter the vault passphrase to unlock it.'
+                    : 'Incorrect passphrase - please try again.'
+            );
+
+            const matched = [];
+            for (const params of this.candidates(meta)) {
+                const key = await this.keyFor(entered || '', params);
+                if (key) matched.push({ key, params });
+            }
+
+            if (matched.length > 0) {
+                this.useKeys(meta, matched);
+                console.log('🔓 Storage vault unlocked');
+                return;
+            }
+
+            if (passphrase !== undefined) break;
+        }
+
+        throw new StorageDecryptionError('Incorrect vault passphrase');
+    }
+
+    /**
+     * Key params worth trying - the pending key of an unfinished rotation first
+     */
+    candidates(meta) {
+        return [meta.pending, meta].filter(Boolean);
+    }
+
+    useKeys(meta, matched) {
+        matched.sort((a, b) => (b.params === meta.pending) - (a.params === meta.pending));
+        this.keys = matched.map(match => match.key);
+        this.pendingUnlocked = matched[0].params === meta.pending;
+        this.seenMeta = JSON.stringify(meta);
+    }
+
+    /**
+     * Drop the keys - the vault stays locked until the passphrase is entered again
+     */
+    forget() {
+        this.keys = [];
+        this.pendingUnlocked = false;
+    }
+
+    /**
+     * Start a key rotation - new data is written with the new key, old data still decrypts
+     */
+    async beginRotation(currentPassphrase, newPassphrase) {
+        const currentKey = await this.verify(currentPassphrase);
+        const { key, params } = await this.createKey(newPassphrase);
+
+        this.saveMeta({ ...this.getMeta(), pending: params });
+        this.keys = [key, currentKey];
+        this.pendingUnlocked = true;
+    }
+
+    /**
+     * Settle a rotation once every record was re-encrypted with the first key:
+     * promote the pending key, or drop it if the vault was unlocked with the old one
+     */
+    async completeRotation() {
+        const meta = this.getMeta();
+        if (!meta.pending) return;
+
+        const { pending, ...current } = meta;
+        this.saveMeta(this.pendingUnlocked
+            ? { ...current, ...pending, rotatedAt: new Date().toISOString() }
+            : current);
+        this.keys = this.keys.slice(0, 1);
+        this.pendingUnlocked = false;
+    }
+
+    /**
+     * Turn encryption off
+     */
+    destroy() {
+        localStorage.removeItem(this.metaKey);
+        this.forget();
+        this.seenMeta = null;
+    }
+
+    async encrypt(value) {
+        if (this.keys.length === 0) {
+            throw new StorageDecryptionError('Storage vault is locked');
+        }
+        return this.encryptWith(this.keys[0], JSON.stringify(value));
+    }
+
+    async decrypt(payload) {
+        for (const key of this.keys) {
+            try {
+                return JSON.parse(await this.decryptWith(key, payload));
+            } catch (error) {
+                // Try the next key
+            }
+        }
+        throw new StorageDecryptionError('Data could not be decrypted with the vault key');
+    }
+
+    async encryptWith(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    async decryptWith(key, payload) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Ask for the passphrase with a password field
+     */
+    requestPassphrase(message) {
+        if (typeof document === 'undefined' || !document.body) {
+            return Promise.reject(new StorageDecryptionError('Storage vault is locked'));
+        }
+
+        return new Promise(resolve => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="vaultUnlockModal" style="
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    background: rgba(0, 0, 0, 0.6);
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                    z-index: 20000;
+                ">
+                    <form id="vaultUnlockForm" style="
+                        background: white;
+                        padding: 2rem;
+                        border-radius: 12px;
+                        max-width: 400px;
+                        width: 90%;
+                    ">
+                        <h3 style="margin: 0 0 0.5rem 0;">🔒 Unlock FinSim</h3>
+                        <p style="margin: 0 0 1rem 0; color: #4b5563; font-size: 0.875rem;">${message}</p>
+                        <input type="password" id="vaultPassphrase" autocomplete="current-password" style="width: 100%; padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px; margin-bottom: 1rem;" required>
+                        <button type="submit" style="width: 100%; padding: 0.75rem; background: #2563eb; color: white; border: none; border-radius: 8px; cursor: pointer;">Unlock</button>
+                    </form>
+                </div>
+            `);
+
+            const modal = document.getElementById('vaultUnlockModal');
+            const input = document.getElementById('vaultPassphrase');
+            input.focus();
+
+            document.getElementById('vaultUnlockForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const value = input.value;
+                modal.remove();
+                resolve(value);
+            });
+        });
+    }
+
+    /**
+     * Tell the user the data stays locked and offer to try again
+     */
+    showLockedNotice(error) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        document.body.insertAdjacentHTML('afterbegin', `
+            <div id="vaultLockedNotice" style="
+                position: sticky;
+                top: 0;
+                z-index: 20000;
+                padding: 1rem;
+                background: #fef2f2;
+                color: #991b1b;
+                border-bottom: 1px solid #fecaca;
+                text-align: center;
+            ">
+                🔒 FinSim data is encrypted and could not be unlocked: ${error.message}.
+                <button type="button" id="vaultRetryBtn" style="margin-left: 1rem; padding: 0.25rem 0.75rem; cursor: pointer;">Try again</button>
+            </div>
+        `);
+
+        document.getElementById('vaultRetryBtn').addEventListener('click', () => window.location.reload());
+    }
+}
+
+/**
+ * Encrypting wrapper around another backend. Records keep their id and indexed
+ * fields in the clear so lookups still work; everything else is sealed with AES-GCM.
+ */
+class EncryptedBackend {
+    constructor(inner, vault, collections) {
+        this.inner = inner;
+        this.vault = vault;
+        this.collections = collections;
+        this.name = inner.name + ' + AES-GCM';
+        this.sealed = new Map(); // collection -> Map(id -> { json, record }) of what the backend holds
+        this.queue = Promise.resolve();
+        this.plaintextFound = false;
+    }
+
+    isAvailable() {
+        return this.inner.isAvailable() && StorageVault.isSupported();
+    }
+
+    async open() {
+        await this.inner.open();
+    }
+
+    async loadAll() {
+        const data = await this.inner.loadAll();
+        const keys = Object.keys(data);
+        const values = await Promise.all(keys.map(key => this.unseal(key, data[key])));
+
+        return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+    }
+
+    /**
+     * Decrypt a value as stored by the inner backend. Plaintext left over from
+     * before encryption was enabled passes through and is flagged for re-sealing.
+     */
+    async unseal(key, value) {
+        try {
+            if (this.collections[key] && Array.isArray(value)) {
+                const known = new Map();
+                const records = await Promise.all(value.map(async record => {
+                    if (!record || !record.sealed) {
+                        this.plaintextFound = true;
+                        return record;
+                    }
+
+                    const plain = { ...(await this.vault.decrypt(record.sealed)), id: record.id };
+                    known.set(record.id, { json: JSON.stringify(plain), record });
+                    return plain;
+                }));
+
+                this.sealed.set(key, known);
+                return sortByCreation(records);
+            }
+
+            if (value && value.sealed) {
+                return await this.vault.decrypt(value.sealed);
+            }
+
+            if (value !== undefined && value !== null) {
+                this.plaintextFound = true;
+            }
+            return value;
+        } catch (error) {
+            throw new StorageDecryptionError(`Could not decrypt "${key}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Seal and write changes in order - encryption is async, so writes are queued
+     */
+    write(changes) {
+        this.queue = this.queue
+            .catch(() => {})
+            .then(async () => this.inner.write(await Promise.all(changes.map(change => this.seal(change)))));
+
+        return this.queue;
+    }
+
+    async seal({ key, value }) {
+        if (value === undefined || value === null) {
+            this.sealed.delete(key);
+            return { key, value };
+        }
+
+        if (!this.collections[key] || !Array.isArray(value)) {
+            return { key, value: { sealed: await this.vault.encrypt(value) } };
+        }
+
+        // Only re-encrypt records whose content changed
+        const known = this.sealed.get(key) || new Map();
+        const next = new Map();
+        const changedIds = [];
+
+        const records = await Promise.all(value.map(async record => {
+            const json = JSON.stringify(record);
+            const existing = known.get(record.id);
+            if (existing && existing.json === json) {
+                next.set(record.id, existing);
+                return existing.record;
+            }
+
+            const sealedRecord = { id: record.id, sealed: await this.vault.encrypt(record) };
+            this.collections[key].indexes.forEach(index => {
+                sealedRecord[index] = record[index];
+            });
+
+            next.set(record.id, { json, record: sealedRecord });
+            changedIds.push(record.id);
+            return sealedRecord;
+        }));
+
+        known.forEach((_, id) => {
+            if (!next.has(id)) changedIds.push(id);
+        });
+        this.sealed.set(key, next);
+
+        return { key, value: records, previous: undefined, changedIds };
+    }
+
+    /**
+     * Re-encrypt every key from scratch (enable, rotation, leftover plaintext)
+     */
+    async rewrite(data) {
+        await this.drain();
+        this.sealed.clear();
+        await this.write(Object.entries(data).map(([key, value]) => ({ key, value })));
+        this.plaintextFound = false;
+    }
+
+    async drain() {
+        await this.queue.catch(() => {});
+    }
+
+    async read(key) {
+        const value = await this.inner.read(key);
+        return value === undefined ? undefined : this.unseal(key, value);
+    }
+
+    /**
+     * Index lookups run on the fields kept in the clear; only the matches are decrypted
+     */
+    async queryIndex(collection, field, value) {
+        const records = await this.inner.queryIndex(collection, field, value);
+
+        try {
+            return await Promise.all(records.map(async record => (record && record.sealed
+                ? { ...(await this.vault.decrypt(record.sealed)), id: record.id }
+                : record)));
+        } catch (error) {
+            throw new StorageDecryptionError(`Could not decrypt "${collection}": ${error.message}`);
+        }
+    }
+
+    clear() {
+        this.sealed.clear();
+        return this.drain().then(() => this.inner.clear());
+    }
+
+    watch(callback) {
+        this.inner.watch(callback);
+    }
+}
+
+/**
+ * Unit of work - stages writes to a fixed set of keys and applies them together
+ */
+class StorageTransaction {
+    constructor(storage, keys) {
+        this.storage = storage;
+        this.keys = new Set(keys);
+        this.staged = new Map();
+        this.changedIds = new Map();
+    }
+
+    assertInScope(key) {
+        if (!this.keys.has(key)) {
+            throw new Error(`Key "${key}" is not part of this transaction`);
+        }
+    }
+
+    get(key, defaultValue = null) {
+        this.assertInScope(key);
+
+        if (this.staged.has(key)) {
+            const value = this.staged.get(key);
+            return value === undefined ? defaultValue : this.storage.clone(value);
+        }
+        return this.storage.get(key, defaultValue);
+    }
+
+    set(key, value) {
+        this.assertInScope(key);
+        this.staged.set(key, this.storage.clone(value === undefined ? null : value));
+        this.changedIds.set(key, null); // Whole value replaced - let the backend diff it
+        return true;
+    }
+
+    remove(key) {
+        this.assertInScope(key);
+        this.staged.set(key, undefined);
+        this.changedIds.set(key, null);
+        return true;
+    }
+
+    putRecord(collection, record) {
+        this.assertInScope(collection);
+
+        const normalized = this.storage.clone(record);
+        const records = this.staged.has(collection)
+            ? (this.staged.get(collection) || [])
+            : (this.storage.cache.get(collection) || []).slice();
+        const index = records.findIndex(item => item.id === normalized.id);
+
+        if (index !== -1) {
+            records[index] = normalized;
+        } else {
+            records.push(normalized);
+        }
+        this.staged.set(collection, records);
+
+        const changedIds = this.changedIds.has(collection) ? this.changedIds.get(collection) : [];
+        if (changedIds) {
+            changedIds.push(normalized.id);
+        }
+        this.changedIds.set(collection, changedIds);
+        return true;
+    }
+
+    query(collection, field, value) {
+        this.assertInScope(collection);
+
+        if (!this.staged.has(collection)) {
+            return this.storage.query(collection, field, value);
+        }
+        return (this.staged.get(collection) || [])
+            .filter(record => record[field] === value)
+            .map(record => this.storage.clone(record));
+    }
+
+    getRecord(collection, id) {
+        return this.query(collection, 'id', id)[0] || null;
+    }
+
+    /**
+     * Staged writes as backend changes
+     */
+    changes() {
+        return Array.from(this.staged.entries()).map(([key, value]) => ({
+            key,
+            value,
+            previous: this.storage.cache.get(key),
+            changedIds: this.changedIds.get(key) || undefined
+        }));
+    }
+}
+
 class StorageManager {
-    constructor() {
+    constructor(options = {}) {
         this.prefix = 'finsim_'; // Prevent conflicts with other apps
+        this.collections = STORAGE_COLLECTIONS;
+        this.cache = new Map();
+        this.indexCache = new Map();
+        this.subscribers = new Map();
+        this.vault = options.vault || new StorageVault('finsimVault');
+        this.locked = false;
+        this.lockError = null;
+        this.lastWrite = Promise.resolve();
+        this.unconfirmed = []; // Change sets written to the cache that the backend has not confirmed yet
+        this.backend = options.backend || this.createDefaultBackend();
+        this.ready = this.open();
+    }
+
+    /**
+     * Prefer IndexedDB, fall back to localStorage, then to memory outside a browser
+     */
+    createDefaultBackend() {
+        const indexedDBBackend = new IndexedDBBackend(this.prefix, this.collections);
+        if (indexedDBBackend.isAvailable()) {
+            return indexedDBBackend;
+        }
+
+        const localStorageBackend = new LocalStorageBackend(this.prefix);
+        return localStorageBackend.isAvailable() ? localStorageBackend : new MemoryBackend();
+    }
+
+    /**
+     * Open the backend and load its data into the in-memory cache.
+     * Synchronous backends are loaded immediately.
+     */
+    open() {
+        if (this.vault.isEnabled()) {
+            return this.openEncrypted();
+        }
+
+        try {
+            const opened = this.backend.open();
+
+            if (opened && typeof opened.then === 'function') {
+                return opened
+                    .then(() => this.backend.loadAll())
+                    .then(data => this.load(data))
+                    .catch(error => this.fallbackToLocalStorage(error));
+            }
+
+            this.load(this.backend.loadAll());
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.resolve(this.fallbackToLocalStorage(error));
+        }
+    }
+
+    /**
+     * Unlock the vault and load decrypted data. If it cannot be decrypted the
+     * storage stays locked - nothing is loaded and nothing can be written.
+     */
+    async openEncrypted() {
+        try {
+            await this.vault.unlock();
+            this.backend = new EncryptedBackend(this.backend, this.vault, this.collections);
+            await this.backend.open();
+            this.load(await this.backend.loadAll());
+
+            // Finish an interrupted key rotation or seal data written before encryption was enabled
+            if (this.vault.isRotating() || this.backend.plaintextFound) {
+                await this.backend.rewrite(this.snapshot());
+                await this.vault.completeRotation();
+            }
+        } catch (error) {
+            this.lock(error);
+        }
+    }
+
+    lock(error) {
+        this.locked = true;
+        this.lockError = error;
+        this.cache.clear();
+        this.indexCache.clear();
+        console.error('🔒 Storage locked:', error.message);
+        this.vault.showLockedNotice(error);
+    }
+
+    fallbackToLocalStorage(error) {
+        console.error('❌ Storage backend failed, falling back to localStorage:', error);
+        this.backend = new LocalStorageBackend(this.prefix);
+        if (!this.backend.isAvailable()) {
+            this.backend = new MemoryBackend();
+        }
+        this.load(this.backend.loadAll());
+    }
+
+    load(data) {
+        this.cache.clear();
+        this.indexCache.clear();
+
+        Object.entries(data).forEach(([key, value]) => {
+            this.cache.set(key, value);
+        });
+
+        this.backend.watch((key, value) => this.applyExternalChange(key, value));
         this.init();
     }
-    
+
     /**
      * Initialize storage - create empty datasets if they don't exist
      */
     init() {
         const requiredStores = [
             'users',
-            'accounts', 
+            'accounts',
             'transactions',
             'currentUser'
         ];
 
         requiredStores.forEach(store => {
-            if (!this.get(store)) {
+            if (!this.cache.has(store)) {
                 this.set(store, store === 'currentUser' ? null : []);
             }
         });
 
-        console.log('💰 FinSim Storage Initialized');
+        console.log(`💰 FinSim Storage Initialized (${this.backend.name})`);
     }
 
     /**
-     * Set data in localStorage
+     * Set data in storage
      * @param {string} key - Storage key
      * @param {*} value - Data to store
      */
     set(key, value) {
         try {
-            const storageKey = this.prefix + key;
-            const serializedValue = JSON.stringify(value);
-            localStorage.setItem(storageKey, serializedValue);
+            const normalized = this.clone(value === undefined ? null : value);
+            this.persist([{ key, value: normalized, previous: this.cache.get(key) }]);
             return true;
         } catch (error) {
+            if (StorageQuotaError.matches(error)) throw error;
             console.error('❌ Storage Error (set):', error);
             return false;
         }
     }
 
     /**
-     * Get data from localStorage
+     * Get data from storage
      * @param {string} key - Storage key
      * @param {*} defaultValue - Default value if not found
      */
     get(key, defaultValue = null) {
-        try {
-            const storageKey = this.prefix + key;
-            const item = localStorage.getItem(storageKey);
-            
-            if (item === null) {
-                return defaultValue;
-            }
-
-            return JSON.parse(item);
-        } catch (error) {
-            console.error('❌ Storage Error (get):', error);
+        if (!this.cache.has(key)) {
             return defaultValue;
         }
+
+        return this.clone(this.cache.get(key));
     }
 
     /**
-     * Remove data from localStorage
+     * Remove data from storage
      * @param {string} key - Storage key
      */
     remove(key) {
         try {
-            const storageKey = this.prefix + key;
-            localStorage.removeItem(storageKey);
+            this.persist([{ key, value: undefined, previous: this.cache.get(key) }]);
             return true;
         } catch (error) {
+            if (StorageQuotaError.matches(error)) throw error;
             console.error('❌ Storage Error (remove):', error);
             return false;
         }
     }
 
     /**
-     * Clear all FinSim data from localStorage
+     * Insert or replace a single record in a collection without rewriting the rest
+     * @param {string} collection - Collection name
+     * @param {Object} record - Record with an id
+     */
+    putRecord(collection, record) {
+        try {
+            const normalized = this.clone(record);
+            const previous = this.cache.get(collection) || [];
+            const index = previous.findIndex(item => item.id === normalized.id);
+            const value = [...previous];
+
+            if (index !== -1) {
+                value[index] = normalized;
+            } else {
+                value.push(normalized);
+            }
+
+            this.persist([{ key: collection, value, previous, changedIds: [normalized.id] }]);
+            return true;
+        } catch (error) {
+            if (StorageQuotaError.matches(error)) throw error;
+            console.error('❌ Storage Error (putRecord):', error);
+            return false;
+        }
+    }
+
+    /**
+     * Find records in a collection by an indexed field
+     * @param {string} collection - Collection name
+     * @param {string} field - 'id' or one of the collection's indexes
+     * @param {*} value - Value to match
+     */
+    query(collection, field, value) {
+        const index = this.getIndex(collection, field);
+        return (index.get(value) || []).map(record => this.clone(record));
+    }
+
+    /**
+     * Get a single record by id
+     */
+    getRecord(collection, id) {
+        return this.query(collection, 'id', id)[0] || null;
+    }
+
+    /**
+     * Find records by an indexed field in the backend instead of the cache. On IndexedDB
+     * only the matching records are read, through the object store's index; backends
+     * without indexes answer from the cache.
+     * @param {string} collection - Collection name
+     * @param {string} field - 'id' or one of the collection's indexes
+     * @param {*} value - Value to match
+     * @returns {Promise<Object[]>} Matching records, oldest first
+     */
+    async find(collection, field, value) {
+        this.assertIndexed(collection, field);
+        if (this.locked) {
+            throw new StorageDecryptionError(`Storage is locked - ${this.lockError.message}`);
+        }
+        if (!this.hasIndexQueries()) {
+            return this.query(collection, field, value);
+        }
+
+        // Writes still on their way to the backend are part of the answer
+        await this.flush().catch(() => {});
+        return this.backend.queryIndex(collection, field, value);
+    }
+
+    hasIndexQueries() {
+        const backend = this.isEncrypted() ? this.backend.inner : this.backend;
+        return typeof backend.queryIndex === 'function';
+    }
+
+    assertIndexed(collection, field) {
+        const config = this.collections[collection];
+        if (!config || (field !== 'id' && !config.indexes.includes(field))) {
+            throw new Error(`No index on ${collection}.${field}`);
+        }
+    }
+
+    getIndex(collection, field) {
+        this.assertIndexed(collection, field);
+
+        if (!this.indexCache.has(collection)) {
+            this.indexCache.set(collection, new Map());
+        }
+
+        const indexes = this.indexCache.get(collection);
+        if (!indexes.has(field)) {
+            const index = new Map();
+            (this.cache.get(collection) || []).forEach(record => {
+                if (!index.has(record[field])) {
+                    index.set(record[field], []);
+                }
+                index.get(record[field]).push(record);
+            });
+            indexes.set(field, index);
+        }
+
+        return indexes.get(field);
+    }
+
+    /**
+     * Run a unit of work against the given keys. Writes are staged and
+     * committed together; if the work throws, nothing is written.
+     * @param {string[]} keys - Keys the work may read and write
+     * @param {Function} work - Synchronous function receiving the transaction
+     * @returns {*} Whatever the work returns
+     */
+    transaction(keys, work) {
+        const tx = new StorageTransaction(this, keys);
+        const result = work(tx);
+
+        if (result && typeof result.then === 'function') {
+            throw new Error('Storage transactions must be synchronous');
+        }
+
+        this.persist(tx.changes());
+        return result;
+    }
+
+    /**
+     * Apply changes to the cache and hand them to the backend.
+     * Failed writes roll the cache back; synchronous failures rethrow,
+     * asynchronous ones reject flush(). Quota failures are always reported.
+     * While an asynchronous write is unconfirmed, later writes wait for it: if it
+     * fails, it is rolled back together with every write queued behind it, since
+     * those were made on top of it.
+     */
+    persist(changes) {
+        if (this.locked) {
+            throw new StorageDecryptionError(`Storage is locked - ${this.lockError.message}`);
+        }
+
+        changes.forEach(({ key, value }) => this.updateCache(key, value));
+
+        const queued = this.unconfirmed.length > 0;
+        let pending;
+        if (queued) {
+            pending = this.lastWrite.then(() => this.backend.write(changes));
+        } else {
+            try {
+                pending = this.backend.write(changes);
+            } catch (error) {
+                changes.forEach(({ key, previous }) => this.updateCache(key, previous));
+                throw this.reportWriteFailure(changes, error);
+            }
+        }
+
+        if (pending && typeof pending.then === 'function') {
+            const write = { changes };
+            this.unconfirmed.push(write);
+
+            this.lastWrite = pending.then(() => {
+                this.unconfirmed.splice(this.unconfirmed.indexOf(write), 1);
+            }, (error) => {
+                // Already rolled back along with the write queued ahead of it
+                if (!this.unconfirmed.includes(write)) throw error;
+
+                this.rollBack(this.unconfirmed.splice(this.unconfirmed.indexOf(write)));
+                throw this.reportWriteFailure(changes, error);
+            });
+            this.lastWrite.catch(() => {});
+        }
+
+        changes.forEach(({ key }) => this.publish(key, 'local'));
+    }
+
+    /**
+     * Undo change sets in the cache, newest first, and tell subscribers
+     * @param {Object[]} writes - { changes } in the order they were made
+     */
+    rollBack(writes) {
+        const keys = new Set();
+        [...writes].reverse().forEach(({ changes }) => {
+            [...changes].reverse().forEach(({ key, previous }) => {
+                this.updateCache(key, previous);
+                keys.add(key);
+            });
+        });
+        keys.forEach(key => this.publish(key, 'local'));
+    }
+
+    /**
+     * Log a failed write and tell 'storageError' subscribers about it
+     * @returns {Error} The error to throw - quota failures become StorageQuotaError
+     */
+    reportWriteFailure(changes, error) {
+        const keys = changes.map(change => change.key);
+        const failure = StorageQuotaError.matches(error)
+            ? new StorageQuotaError(`Storage is full - could not save ${keys.join(', ')}`, keys)
+            : error;
+
+        console.error('❌ Storage Error (write):', failure);
+        this.publish('storageError', 'local', { error: failure });
+        return failure;
+    }
+
+    /**
+     * Wait until the latest write reached the backend
+     * @returns {Promise} Rejects if that write failed
+     */
+    flush() {
+        return this.lastWrite;
+    }
+
+    updateCache(key, value) {
+        if (value === undefined) {
+            this.cache.delete(key);
+        } else {
+            this.cache.set(key, value);
+        }
+        this.indexCache.delete(key);
+    }
+
+    /**
+     * Refresh the cache when another tab changed a key
+     */
+    async applyExternalChange(key, value) {
+        // Another tab turned encryption on or off or rotated the key - unlock again
+        if (this.vault.isEnabled() !== this.isEncrypted() || (this.isEncrypted() && this.vault.isStale())) {
+            window.location.reload();
+            return;
+        }
+
+        try {
+            const plain = this.isEncrypted() ? await this.backend.unseal(key, value) : value;
+            this.updateCache(key, plain);
+            this.publish(key, 'external');
+        } catch (error) {
+            console.error('❌ Storage Error (sync):', key, error);
+        }
+    }
+
+    /**
+     * Run work in this tab only, while no other tab runs work under the same name
+     * (Web Locks API; without it there is nothing to coordinate with). Writes are
+     * flushed before the lock is released, so the next holder can reload them.
+     * @param {string} name - Lock name
+     * @param {Function} work - Async function
+     * @returns {Promise<*>} Whatever the work returns
+     */
+    async exclusive(name, work) {
+        const run = async () => {
+            try {
+                return await work();
+            } finally {
+                await this.flush().catch(() => {});
+            }
+        };
+
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(this.prefix + name, run);
+        }
+        return run();
+    }
+
+    /**
+     * Re-read keys from the backend. Writes from other tabs reach this one
+     * asynchronously, so work holding an exclusive() lock reloads what it decides on.
+     */
+    async reload(keys) {
+        if (typeof this.backend.read !== 'function') return;
+
+        for (const key of keys) {
+            const value = await this.backend.read(key);
+            if (JSON.stringify(value) === JSON.stringify(this.cache.get(key))) continue;
+
+            this.updateCache(key, value);
+            this.publish(key, 'external');
+        }
+    }
+
+    /**
+     * Subscribe to changes of a key, made in this tab or in another one
+     * @param {string} key - Storage key, or '*' for every key
+     * @param {Function} handler - Called with { key, source: 'local' | 'external' }
+     * ('storageError' subscribers also receive { error })
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(key, handler) {
+        if (!this.subscribers.has(key)) {
+            this.subscribers.set(key, new Set());
+        }
+        this.subscribers.get(key).add(handler);
+
+        return () => this.subscribers.get(key).delete(handler);
+    }
+
+    /**
+     * Notify subscribers that a key changed
+     */
+    publish(key, source, details = {}) {
+        const handlers = [
+            ...(this.subscribers.get(key) || []),
+            ...(this.subscribers.get('*') || [])
+        ];
+
+        handlers.forEach(handler => {
+            try {
+                handler({ key, source, ...details });
+            } catch (error) {
+                console.error('❌ Storage subscriber failed:', key, error);
+            }
+        });
+    }
+
+    isEncrypted() {
+        return this.backend instanceof EncryptedBackend;
+    }
+
+    /**
+     * Encrypt everything at rest with a key derived from the passphrase
+     * @param {string} passphrase - Vault passphrase (8+ characters)
+     */
+    async enableEncryption(passphrase) {
+        await this.ready;
+        if (this.isEncrypted()) {
+            throw new Error('Storage encryption is already enabled');
+        }
+        if (!StorageVault.isSupported()) {
+            throw new Error('WebCrypto is not available in this browser');
+        }
+
+        await this.vault.create(passphrase);
+        this.backend = new EncryptedBackend(this.backend, this.vault, this.collections);
+        await this.backend.rewrite(this.snapshot());
+        console.log('🔐 Storage encryption enabled');
+    }
+
+    /**
+     * Re-encrypt everything under a new passphrase
+     */
+    async rotateEncryptionKey(currentPassphrase, newPassphrase) {
+        await this.ready;
+        if (!this.isEncrypted()) {
+            throw new Error('Storage encryption is not enabled');
+        }
+
+        await this.backend.drain();
+        await this.vault.beginRotation(currentPassphrase, newPassphrase);
+        await this.backend.rewrite(this.snapshot());
+        await this.vault.completeRotation();
+        console.log('🔑 Storage encryption key rotated');
+    }
+
+    /**
+     * Write everything back in plaintext and drop the vault
+     */
+    async disableEncryption(passphrase) {
+        await this.ready;
+        if (!this.isEncrypted()) {
+            throw new Error('Storage encryption is not enabled');
+        }
+
+        await this.vault.verify(passphrase);
+        await this.backend.drain();
+        this.backend = this.backend.inner;
+
+        const data = this.snapshot();
+        await this.backend.write(Object.keys(data).map(key => ({ key, value: data[key], previous: undefined })));
+        this.vault.destroy();
+        console.log('🔓 Storage encryption disabled');
+    }
+
+    /**
+     * Plain copy of every cached key
+     */
+    snapshot() {
+        return Object.fromEntries(Array.from(this.cache.entries()).map(([key, value]) => [key, this.clone(value)]));
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Clear all FinSim data
      */
     clearAll() {
         try {
-            Object.keys(localStorage)
-                .filter(key => key.startsWith(this.prefix))
-                .forEach(key => localStorage.removeItem(key));
-            
+            const cleared = this.backend.clear();
+            if (cleared && typeof cleared.then === 'function') {
+                cleared.catch(error => console.error('❌ Storage Error (clearAll):', error));
+            }
+
+            this.cache.clear();
+            this.indexCache.clear();
             this.init(); // Re-initialize empty structure
             console.log('🗑️ All FinSim data cleared');
             return true;
@@ -100,28 +1608,67 @@ class StorageManager {
         }
     }
 
+    /**
+     * Storage settings merged over their defaults
+     */
+    getSettings() {
+        return { ...STORAGE_SETTINGS_DEFAULTS, ...this.get('storageSettings', {}) };
+    }
+
+    /**
+     * Approximate size of every finsim_ key, largest first.
+     * Sizes are counted as UTF-16 the way localStorage counts them.
+     */
+    getUsage() {
+        const keys = Array.from(this.cache.entries())
+            .map(([key, value]) => ({ key: this.prefix + key, bytes: JSON.stringify(value).length * 2 }))
+            .sort((a, b) => b.bytes - a.bytes);
+
+        return { keys, total: keys.reduce((total, entry) => total + entry.bytes, 0) };
+    }
+
+    /**
+     * Usage measured against the available quota. Browsers report the real
+     * figures for IndexedDB; localStorage has a fixed cap.
+     */
+    async estimateQuota() {
+        const usage = this.getUsage();
+        let used = usage.total;
+        let quota = LOCAL_STORAGE_QUOTA;
+
+        if (this.backend.name.startsWith('indexedDB') && typeof navigator !== 'undefined' &&
+            navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            used = estimate.usage;
+            quota = estimate.quota;
+        }
+
+        const ratio = quota ? used / quota : 0;
+        return {
+            ...usage,
+            used,
+            quota,
+            ratio,
+            warning: ratio >= this.getSettings().warningThreshold
+        };
+    }
+
     /**
      * Get all storage keys (for debugging)
      */
     getAllKeys() {
-        return Object.keys(localStorage)
-            .filter(key => key.startsWith(this.prefix))
-            .map(key => key.replace(this.prefix, ''));
+        return Array.from(this.cache.keys());
     }
 
     /**
      * Check if storage is available
      */
     isStorageAvailable() {
-        try {
-            const test = 'test';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (error) {
-            console.error('❌ localStorage not available');
+        if (!this.backend.isAvailable()) {
+            console.error(`❌ ${this.backend.name} not available`);
             return false;
         }
+        return true;
     }
 }
 
@@ -131,4 +1678,4 @@ const storage = new StorageManager();
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = storage;
-}
\ No newline at end of file
+}
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+async function setup() {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        bob,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 250 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 })
+    };
+}
+
+test('opening accounts', async (t) => {
+    await t.test('opens an empty account of the chosen type and currency', async () => {
+        const { dataManager, alice } = await setup();
+
+        const account = dataManager.openAccount(alice.id, { type: 'investment', currency: 'EUR', nickname: ' Pension ' });
+
+        assert.equal(account.balance, 0);
+        assert.equal(account.currency, 'EUR');
+        assert.equal(account.displayName, 'Pension');
+        assert.deepEqual(plain(dataManager.getAccountsByUserId(alice.id).map(item => item.type)), ['checking', 'savings', 'investment']);
+    });
+
+    await t.test('refuses unknown types and currencies, and too many accounts', async () => {
+        const { dataManager, lookup, alice } = await setup();
+
+        assert.throws(() => dataManager.openAccount(alice.id, { type: 'loan', currency: 'USD' }), /Unknown account type/);
+        assert.throws(() => dataManager.openAccount(alice.id, { type: 'savings', currency: 'XYZ' }), /can be held in/);
+        assert.throws(() => dataManager.openAccount(alice.id, { type: 'savings', currency: 'USD', nickname: 'x'.repeat(41) }), /40 characters/);
+
+        while (dataManager.getAccountsByUserId(alice.id).length < lookup('MAX_ACCOUNTS_PER_USER')) {
+            dataManager.openAccount(alice.id, { type: 'savings', currency: 'USD' });
+        }
+        assert.throws(() => dataManager.openAccount(alice.id, { type: 'savings', currency: 'USD' }), /up to 10 open accounts/);
+    });
+
+    await t.test('renames only the owner\'s accounts', async () => {
+        const { dataManager, alice, bob, savings } = await setup();
+
+        assert.equal(dataManager.renameAccount(savings.id, alice.id, 'Rainy day').displayName, 'Rainy day');
+        assert.equal(dataManager.renameAccount(savings.id, alice.id, '').displayName, 'Savings Account');
+        assert.throws(() => dataManager.renameAccount(savings.id, bob.id, 'Mine'), /Account not found/);
+    });
+});
+
+test('closing accounts', async (t) => {
+    await t.test('closes an empty account without deleting it', async () => {
+        const { dataManager, store, alice, savings } = await setup();
+
+        const { account, moved } = await dataManager.closeAccount(savings.id, alice.id);
+
+        assert.equal(moved, null);
+        assert.equal(account.isActive, false);
+        assert.ok(account.closedAt);
+        assert.ok(store.getRecord('accounts', savings.id));
+        assert.deepEqual(plain(dataManager.getAccountsByUserId(alice.id).map(item => item.id)), [dataManager.getAccountsByUserId(alice.id)[0].id]);
+    });
+
+    await t.test('moves the remaining balance to another of the customer\'s accounts', async () => {
+        const { dataManager, store, alice, bob, checking, savings } = await setup();
+        const bobChecking = dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 });
+
+        await assert.rejects(dataManager.closeAccount(checking.id, alice.id), /Choose another of your accounts/);
+        await assert.rejects(dataManager.closeAccount(checking.id, alice.id, { sweepToAccountId: bobChecking.id }), /Choose another of your accounts/);
+
+        const { moved } = await dataManager.closeAccount(checking.id, alice.id, { sweepToAccountId: savings.id });
+
+        assert.equal(moved.toNumber(), 250);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 0);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 250);
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.accountId, txn.type, txn.category, txn.amount])), [
+            [checking.id, 'transfer', 'closure', 250],
+            [savings.id, 'deposit', 'closure', 250]
+        ]);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('pays interest earned so far before closing', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+        store.putRecord('accounts', { ...store.getRecord('accounts', savings.id), interestAccrued: 1.2345 });
+
+        const { moved } = await dataManager.closeAccount(savings.id, alice.id, { sweepToAccountId: checking.id });
+
+        assert.equal(moved.toNumber(), 1.23);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 251.23);
+        assert.equal(dataManager.ledger.getBalance('bank:interest_expense', 'USD').toNumber(), 1.23);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('refuses overdrawn accounts and accounts with pending transfers', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+
+        store.putRecord('accounts', { ...store.getRecord('accounts', savings.id), balance: -5 });
+        await assert.rejects(dataManager.closeAccount(savings.id, alice.id), /overdrawn/);
+
+        await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 10);
+        await assert.rejects(dataManager.closeAccount(checking.id, alice.id, { sweepToAccountId: savings.id }), /pending transfers/);
+    });
+
+    await t.test('stops standing orders, sweeps and transfers from the closed account', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+        dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: savings.id });
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: savings.id, toAccountIdentifier: checking.id, amount: 10, frequency: 'weekly', startDate: new Date().toISOString().slice(0, 10)
+        });
+
+        await dataManager.closeAccount(savings.id, alice.id);
+
+        assert.equal(store.getRecord('scheduledTransfers', order.id).status, 'cancelled');
+        assert.equal(dataManager.getAccountById(checking.id).linkedAccountId, null);
+        const transfer = await dataManager.processTransfer(savings.id, checking.id, 1);
+        assert.equal(transfer.error, 'Sender account is closed');
+    });
+
+    await t.test('transfers into or out of a closed account can no longer be reversed', async () => {
+        const { dataManager, alice, checking, savings } = await setup();
+        const { senderTransaction } = await dataManager.processTransfer(checking.id, savings.id, 100);
+
+        await dataManager.closeAccount(savings.id, alice.id, { sweepToAccountId: checking.id });
+
+        assert.equal(dataManager.previewReversal(senderTransaction.reference).error, 'One of the accounts is closed - settle the transfer manually');
+        const reversal = await dataManager.reverseTransfer(senderTransaction.reference, { reason: 'Sent by mistake', by: 'admin_1' });
+        assert.equal(reversal.success, false);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 0);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 250);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+});
+
+test('account history', async (t) => {
+    await t.test('running balances follow the journal, not when transactions were made', async () => {
+        const { dataManager, store, alice, bob, checking, savings } = await setup();
+        const bobChecking = dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 });
+
+        await dataManager.processTransfer(checking.id, savings.id, 50);
+        const sent = await dataManager.processTransfer(checking.id, bobChecking.iban, 30);
+        const pending = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 20);
+        await dataManager.reverseTransfer(sent.senderTransaction.reference, { reason: 'Wrong person', by: alice.id });
+
+        const balancesOf = account => {
+            const transactions = store.get('transactions').filter(txn => txn.accountId === account.id);
+            const balances = dataManager.getRunningBalances(dataManager.getAccountById(account.id), transactions);
+            return transactions.map(txn => (balances.has(txn.id) ? balances.get(txn.id).toNumber() : null));
+        };
+
+        assert.deepEqual(plain(balancesOf(checking)), [200, 170, null, 200]);
+        assert.equal(store.getRecord('transactions', pending.senderTransaction.id).status, 'pending');
+        assert.deepEqual(plain(balancesOf(savings)), [50]);
+        assert.deepEqual(plain(balancesOf(bobChecking)), [30, 0]);
+    });
+
+    await t.test('statement periods carry each month\'s closing balance into the next', async () => {
+        const { dataManager, store, alice } = await setup();
+        const opened = '2024-01-01T09:00:00.000Z';
+        const account = dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 100, createdAt: opened });
+        const other = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0, createdAt: opened });
+        await dataManager.processTransfer(account.id, other.id, 40);
+
+        // Open in January, transfer in February
+        store.get('journal', []).forEach(line => store.putRecord('journal', {
+            ...line, timestamp: line.description === 'Opening balance' ? opened : '2024-02-10T12:00:00.000Z'
+        }));
+
+        const periods = dataManager.getStatementPeriods(dataManager.getAccountById(account.id), new Date('2024-03-15T12:00:00.000Z'));
+
+        assert.deepEqual(plain(periods.map(period => [
+            period.month, period.from, period.through,
+            period.opening.toNumber(), period.moneyIn.toNumber(), period.moneyOut.toNumber(), period.closing.toNumber()
+        ])), [
+            ['2024-03', '2024-03-01', '2024-03-15', 60, 0, 0, 60],
+            ['2024-02', '2024-02-01', '2024-02-29', 100, 0, 40, 60],
+            ['2024-01', '2024-01-01', '2024-01-31', 0, 100, 0, 100]
+        ]);
+
+        const series = dataManager.getBalanceSeries(dataManager.getAccountById(account.id), 90, new Date('2024-03-15T12:00:00.000Z'));
+        assert.equal(series.length, 75);
+        assert.deepEqual(plain([series[0], series[40], series[74]].map(point => [point.day, point.balance.toNumber()])), [
+            ['2024-01-01', 100], ['2024-02-10', 60], ['2024-03-15', 60]
+        ]);
+    });
+
+    await t.test('statements of a closed account end on the day it was closed', async () => {
+        const { dataManager, alice, savings } = await setup();
+
+        await dataManager.closeAccount(savings.id, alice.id);
+        const [period] = dataManager.getStatementPeriods(dataManager.getAccountById(savings.id), new Date(Date.now() + 60 * 24 * 60 * 60 * 1000));
+
+        assert.equal(period.through, new Date().toISOString().slice(0, 10));
+    });
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY).toISOString();
+}
+
+/**
+ * One account with transactions spread over the last two years
+ */
+async function setup() {
+    const env = await createTestEnvironment({}, ['storage.js', 'models.js', 'archive.js']);
+    const { dataManager, lookup, store } = env;
+
+    const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const account = dataManager.createAccount({ userId: user.id, balance: 1000 });
+    const other = dataManager.createAccount({ userId: 'user_other', balance: 0 });
+
+    dataManager.createTransaction({ accountId: account.id, type: 'deposit', amount: 500, timestamp: daysAgo(700) });
+    dataManager.createTransaction({ accountId: account.id, type: 'withdrawal', amount: 120, timestamp: daysAgo(699) });
+    dataManager.createTransaction({ accountId: account.id, type: 'transfer', amount: 80, timestamp: daysAgo(400) });
+    dataManager.createTransaction({ accountId: other.id, type: 'deposit', amount: 60, timestamp: daysAgo(400) });
+    dataManager.createTransaction({ accountId: account.id, type: 'deposit', amount: 30, timestamp: daysAgo(10) });
+
+    const TransactionArchive = lookup('TransactionArchive');
+    return { ...env, user, account, other, archive: new TransactionArchive(store) };
+}
+
+test('archives transactions older than the cutoff into monthly buckets', async () => {
+    const { store, archive } = await setup();
+
+    const result = await archive.archiveOlderThan(365);
+
+    assert.equal(result.count, 4);
+    assert.equal(result.months.length, archive.getMonths().length);
+    assert.deepEqual(plain(store.get('transactions').map(transaction => transaction.amount)), [30]);
+
+    result.months.forEach(month => {
+        const bucket = store.get('transactionArchive_' + month);
+        assert.equal(bucket.encoding, 'gzip');
+        assert.equal(typeof bucket.data, 'string');
+    });
+});
+
+test('keeps balances and records archived totals per account', async () => {
+    const { dataManager, archive, account } = await setup();
+
+    await archive.archiveOlderThan(365);
+
+    assert.equal(dataManager.getAccountById(account.id).balance, 1000);
+    assert.deepEqual(plain(archive.getArchivedTotals(account.id)), { count: 3, credits: 500, debits: 200 });
+});
+
+test('loads archived transactions for a date range and account', async () => {
+    const { archive, account } = await setup();
+    await archive.archiveOlderThan(365);
+
+    const all = await archive.loadRange('', '', [account.id]);
+    const recent = await archive.loadRange(daysAgo(450).slice(0, 10), '', [account.id]);
+
+    assert.deepEqual(plain(all.map(transaction => transaction.amount).sort((a, b) => a - b)), [80, 120, 500]);
+    assert.deepEqual(plain(recent.map(transaction => transaction.amount)), [80]);
+});
+
+test('merges later runs into existing buckets without duplicates', async () => {
+    const { store, dataManager, archive, account } = await setup();
+    await archive.archiveOlderThan(365);
+
+    const month = new Date(Date.now() - 700 * DAY).toISOString().slice(0, 7);
+    dataManager.createTransaction({ accountId: account.id, type: 'deposit', amount: 5, timestamp: daysAgo(700) });
+    await archive.archiveOlderThan(365);
+    await archive.archiveOlderThan(365);
+
+    const reloaded = new (archive.constructor)(store);
+    assert.equal((await reloaded.loadMonth(month)).length, store.get('transactionArchive_' + month).count);
+    assert.equal(archive.getArchivedTotals(account.id).count, 4);
+    assert.equal(store.get('transactions').length, 1);
+});
+
+test('archival is turned off with an age of zero', async () => {
+    const { store, archive } = await setup();
+    store.set('storageSettings', { archiveAfterDays: 0 });
+
+    const result = await archive.runPolicy();
+
+    assert.equal(result.count, 0);
+    assert.equal(store.get('transactions').length, 5);
+});
+
+/**
+ * An account opened 700 days ago with cash paid in and out over its life
+ */
+async function setupJournal() {
+    const env = await createTestEnvironment({}, ['storage.js', 'models.js', 'archive.js']);
+    const { dataManager, lookup, store } = env;
+    const Money = lookup('Money');
+
+    const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const account = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 0, createdAt: daysAgo(700) });
+    [[500, 600], [-120, 599], [80, 400], [30, 10]].forEach(([amount, days]) => {
+        dataManager.ledger.post({
+            description: amount > 0 ? 'Cash deposit' : 'Cash withdrawal',
+            timestamp: daysAgo(days),
+            lines: [
+                { ledger: 'bank:cash', amount: Money.of(amount, 'USD') },
+                { ledger: account.id, amount: Money.of(-amount, 'USD') }
+            ]
+        });
+        dataManager.updateAccountBalance(account.id, dataManager.getAccountById(account.id).balance + amount);
+    });
+
+    const TransactionArchive = lookup('TransactionArchive');
+    return { ...env, account, archive: new TransactionArchive(store) };
+}
+
+/**
+ * The month-end runs that read the journal day by day
+ */
+async function runMonthEnd(dataManager) {
+    await dataManager.runOverdraftAccrual();
+    await dataManager.runInterestAccrual();
+    await dataManager.runMonthEndStatements();
+}
+
+test('compacts the journal of archived months to one line per ledger, keeping every balance', async () => {
+    const { store, dataManager, archive, account } = await setupJournal();
+    await runMonthEnd(dataManager);
+    const month = daysAgo(600).slice(0, 7);
+    const statement = plain(store.getRecord('statements', `stmt_${account.id}_${month}`));
+    const periods = plain(dataManager.getStatementPeriods(dataManager.getAccountById(account.id)));
+
+    const result = await archive.archiveOlderThan(365);
+
+    assert.ok(result.journalLines >= 4);
+    assert.ok(store.get('journal').filter(line => line.timestamp < daysAgo(400)).every(line => line.archivedLines));
+    assert.equal(dataManager.ledger.getAccountBalance(dataManager.getAccountById(account.id)).toNumber(), 490);
+    assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    assert.ok(Object.values(dataManager.ledger.getTrialBalance().totals).every(total => total.balanced));
+    assert.deepEqual(plain(dataManager.getStatementPeriods(dataManager.getAccountById(account.id))), periods);
+
+    const archived = store.getRecord('statements', statement.id);
+    assert.equal(archived.lines, null);
+    assert.equal(archived.lineCount, statement.lines.length);
+    assert.deepEqual(plain(await archive.loadStatementLines(archived)), statement.lines);
+    assert.throws(() => dataManager.generateStatement(account.id, month), /journal of that month is archived/);
+
+    assert.equal((await archive.archiveOlderThan(365)).journalLines, 0);
+});
+
+test('leaves the journal of months not yet accrued or stated alone', async () => {
+    const { store, dataManager, archive } = await setupJournal();
+    const journal = plain(store.get('journal'));
+
+    assert.equal((await archive.archiveOlderThan(365)).journalLines, 0);
+    assert.deepEqual(plain(store.get('journal')), journal);
+
+    await runMonthEnd(dataManager);
+    assert.ok((await archive.archiveOlderThan(365)).journalLines > 0);
+});
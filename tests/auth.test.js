@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+/**
+ * The page scripts with their global storage, data manager and auth manager
+ */
+async function loadAuth() {
+    const lookup = loadScripts(['storage.js', 'models.js', 'auth.js']);
+    const authManager = lookup('authManager');
+    await authManager.ready;
+
+    return { lookup, authManager, dataManager: lookup('dataManager') };
+}
+
+test('new customers start with the standard balances in their home currency', async () => {
+    const { authManager, dataManager } = await loadAuth();
+    const balancesOf = async (email, homeCurrency) => {
+        const user = dataManager.createUser({ email, firstName: 'Test', lastName: 'User', homeCurrency });
+        await authManager.setupUserEnvironment(user.id, homeCurrency);
+        return dataManager.getAccountsByUserId(user.id).map(account => [account.type, account.balance, account.currency]);
+    };
+
+    assert.deepEqual(plain(await balancesOf('usd@example.com', 'USD')), [['checking', 1000, 'USD'], ['savings', 500, 'USD']]);
+    assert.deepEqual(plain(await balancesOf('jpy@example.com', 'JPY')), [['checking', 150000, 'JPY'], ['savings', 75000, 'JPY']]);
+    assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+});
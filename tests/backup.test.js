@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+/**
+ * The page globals with a customer, two accounts, a transfer and a setting
+ */
+async function setup() {
+    const lookup = loadScripts(['storage.js', 'models.js', 'migrations.js', 'backup.js']);
+    const storage = lookup('storage');
+    await storage.ready;
+
+    const dataManager = lookup('dataManager');
+    const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const checking = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 1000 });
+    const savings = dataManager.createAccount({ userId: user.id, type: 'savings', balance: 500 });
+    dataManager.processTransfer(checking.id, savings.iban, 100, 'Saving up');
+    storage.set('feeSchedule', { transfer: 2 });
+
+    return {
+        storage,
+        dataManager,
+        backupManager: lookup('backupManager'),
+        migrationManager: lookup('migrationManager'),
+        user,
+        checking,
+        savings
+    };
+}
+
+/**
+ * Everything a backup covers, for comparing before and after
+ */
+function dataset(storage) {
+    return plain(Object.fromEntries(storage.getAllKeys()
+        .filter(key => !['currentUser', 'schemaVersion', 'migrationLog'].includes(key))
+        .map(key => [key, storage.get(key)])));
+}
+
+/**
+ * Re-sign an edited archive, as a well-formed backup from another build would be
+ */
+async function signed(backupManager, archive) {
+    return JSON.stringify({ ...archive, checksum: await backupManager.checksum(archive.data) });
+}
+
+test('an exported backup restores the data it was taken from', async () => {
+    const { storage, dataManager, backupManager, user, checking } = await setup();
+    const before = dataset(storage);
+    const text = JSON.stringify(await backupManager.createArchive(user));
+
+    dataManager.createAccount({ userId: user.id, type: 'checking', balance: 5 });
+    storage.putRecord('accounts', { ...dataManager.getAccountById(checking.id), balance: 0 });
+    storage.set('feeSchedule', { transfer: 9 });
+    storage.set('transferLimits', { daily: 1 });
+
+    const archive = await backupManager.parse(text);
+    const summary = backupManager.diff(archive, 'replace');
+    assert.deepEqual(plain(summary.accounts), { added: 0, replaced: 1, unchanged: 1, removed: 1 });
+    assert.deepEqual(plain(summary.settings), { added: 0, replaced: 1, unchanged: 0, removed: 1 });
+
+    backupManager.restore(archive, 'replace');
+
+    assert.deepEqual(dataset(storage), before);
+});
+
+test('a merge restore keeps records the backup does not have', async () => {
+    const { storage, dataManager, backupManager, user, checking } = await setup();
+    const archive = await backupManager.parse(JSON.stringify(await backupManager.createArchive(user)));
+    const { balance } = dataManager.getAccountById(checking.id);
+
+    const added = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 5 });
+    storage.putRecord('accounts', { ...dataManager.getAccountById(checking.id), balance: 0 });
+
+    backupManager.restore(archive, 'merge');
+
+    assert.equal(dataManager.getAccountById(checking.id).balance, balance);
+    assert.equal(dataManager.getAccountById(added.id).balance, 5);
+});
+
+test('backups of an unknown format or version are rejected before anything changes', async () => {
+    const { storage, backupManager, migrationManager, user } = await setup();
+    const archive = await backupManager.createArchive(user);
+    const before = dataset(storage);
+
+    await assert.rejects(backupManager.parse('{ not json'), /not valid JSON/);
+    await assert.rejects(backupManager.parse(await signed(backupManager, { ...archive, format: 'other-bank' })), /not a FinSim backup/);
+    await assert.rejects(backupManager.parse(await signed(backupManager, { ...archive, formatVersion: 2 })), /Unsupported backup format version 2/);
+    await assert.rejects(
+        backupManager.parse(await signed(backupManager, { ...archive, schemaVersion: migrationManager.getLatestVersion() + 1 })),
+        /newer than this app supports/
+    );
+    await assert.rejects(
+        backupManager.parse(JSON.stringify({ ...archive, data: { ...archive.data, settings: { feeSchedule: { transfer: 0 } } } })),
+        /Checksum mismatch/
+    );
+    assert.throws(() => backupManager.restore(archive, 'overwrite'), /Unknown restore mode/);
+
+    assert.deepEqual(dataset(storage), before);
+});
+
+test('a backup from an older schema is restored and migrated', async () => {
+    const { storage, backupManager, migrationManager, user } = await setup();
+    const archive = await backupManager.createArchive(user);
+    const olderVersion = migrationManager.getLatestVersion() - 1;
+
+    const parsed = await backupManager.parse(await signed(backupManager, { ...archive, schemaVersion: olderVersion }));
+    backupManager.restore(parsed, 'replace');
+
+    assert.equal(storage.get('schemaVersion'), migrationManager.getLatestVersion());
+    assert.equal(storage.get('migrationLog').at(-1).version, migrationManager.getLatestVersion());
+});
+
+test('a restore that fails partway leaves every key as it was', async (t) => {
+    await t.test('when a record cannot be stored', async () => {
+        const { storage, backupManager, user } = await setup();
+        const archive = await backupManager.parse(JSON.stringify(await backupManager.createArchive(user)));
+        archive.data.collections.users[0].firstName = 'Restored';
+        archive.data.collections.transactions.push({ id: 'txn_bad', amount: 10n });
+        const before = dataset(storage);
+
+        assert.throws(() => backupManager.restore(archive, 'replace'), /BigInt/);
+
+        assert.deepEqual(dataset(storage), before);
+    });
+
+    await t.test('when the backend rejects the write', async () => {
+        const { storage, backupManager, user } = await setup();
+        const archive = await backupManager.parse(JSON.stringify(await backupManager.createArchive(user)));
+        archive.data.collections.users[0].firstName = 'Restored';
+        archive.data.settings.feeSchedule = { transfer: 0 };
+        const before = dataset(storage);
+        const stored = plain(storage.backend.loadAll());
+
+        const write = storage.backend.write;
+        storage.backend.write = () => {
+            throw new Error('Disk unavailable');
+        };
+        assert.throws(() => backupManager.restore(archive, 'replace'), /Disk unavailable/);
+        storage.backend.write = write;
+
+        assert.deepEqual(dataset(storage), before);
+        assert.deepEqual(plain(storage.backend.loadAll()), stored);
+    });
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+async function setup() {
+    const env = await createTestEnvironment();
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+    const checking = dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000 });
+    const savings = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 500 });
+    const card = dataManager.issueCard(alice.id, checking.id);
+
+    return { ...env, alice, bob, checking, savings, card };
+}
+
+/**
+ * What a terminal reads off the card
+ */
+function purchase(card, details) {
+    return {
+        number: card.number,
+        expiry: `${String(card.expiryMonth).padStart(2, '0')}/${String(card.expiryYear).slice(-2)}`,
+        cvv: card.cvv,
+        merchant: 'Corner Coffee',
+        merchantCategory: 'dining',
+        amount: 4.5,
+        ...details
+    };
+}
+
+test('issuing cards', async (t) => {
+    await t.test('gives a Luhn-valid number, an expiry and a CVV', async () => {
+        const { dataManager, lookup, alice, card } = await setup();
+        const now = new Date();
+
+        assert.match(card.number, new RegExp(`^${lookup('CARD_SETTINGS').bin}\\d{10}$`));
+        assert.equal(dataManager.isValidCardNumber(card.number), true);
+        assert.equal(card.expiryYear, now.getUTCFullYear() + 3);
+        assert.equal(card.expiryMonth, now.getUTCMonth() + 1);
+        assert.match(card.cvv, /^\d{3}$/);
+        assert.equal(card.nameOnCard, alice.fullName.toUpperCase());
+        assert.deepEqual(plain(card.limits), { perPurchase: 500, daily: 1000 });
+    });
+
+    await t.test('checks numbers the way the Luhn algorithm does', async () => {
+        const { dataManager } = await setup();
+
+        assert.equal(dataManager.isValidCardNumber('4532 0151 1283 0366'), true);
+        assert.equal(dataManager.isValidCardNumber('4532015112830367'), false);
+        assert.equal(dataManager.getLuhnCheckDigit('7992739871'), '3');
+    });
+
+    await t.test('only on the customer\'s open accounts, a few per account', async () => {
+        const { dataManager, alice, bob, checking, savings } = await setup();
+
+        assert.throws(() => dataManager.issueCard(bob.id, checking.id), /Account not found/);
+        assert.throws(() => dataManager.issueCard(alice.id, savings.id, { nameOnCard: 'Alice 2' }), /name on the card/);
+
+        dataManager.issueCard(alice.id, checking.id);
+        dataManager.issueCard(alice.id, checking.id);
+        assert.throws(() => dataManager.issueCard(alice.id, checking.id), /up to 3 cards/);
+    });
+});
+
+test('card purchases', async (t) => {
+    await t.test('make a settled withdrawal with the merchant and its category', async () => {
+        const { dataManager, checking, card } = await setup();
+
+        const result = await dataManager.cardPurchase(purchase(card));
+
+        assert.equal(result.success, true);
+        assert.equal(result.newBalance, 995.5);
+        assert.deepEqual(plain([result.transaction.type, result.transaction.status, result.transaction.category, result.transaction.recipientName]), ['withdrawal', 'settled', 'food', 'Corner Coffee']);
+        assert.deepEqual(plain(result.transaction.card), { id: card.id, last4: card.number.slice(-4), merchant: 'Corner Coffee', merchantCategory: 'dining' });
+        assert.equal(dataManager.ledger.getBalance('bank:card_settlement', 'USD').toNumber(), -4.5);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 995.5);
+    });
+
+    await t.test('convert purchases in other currencies', async () => {
+        const { dataManager, card } = await setup();
+
+        const result = await dataManager.cardPurchase(purchase(card, { amount: 50, currency: 'EUR' }));
+
+        assert.equal(result.success, true);
+        assert.equal(result.transaction.currency, 'USD');
+        assert.equal(result.transaction.fx.sourceAmount, 50);
+        assert.ok(result.transaction.amount > 50);
+    });
+
+    await t.test('are declined when the details do not match the card', async () => {
+        const { dataManager, card } = await setup();
+        const wrongCvv = String((Number(card.cvv) + 1) % 1000).padStart(3, '0');
+
+        assert.equal((await dataManager.cardPurchase(purchase(card, { cvv: wrongCvv }))).error, 'Card declined: card details do not match');
+        assert.equal((await dataManager.cardPurchase(purchase(card, { expiry: '01/20' }))).error, 'Card declined: card details do not match');
+        assert.equal((await dataManager.cardPurchase(purchase(card, { number: '4532015112830366' }))).error, 'Card declined: card number not recognised');
+    });
+
+    await t.test('are declined on frozen, cancelled and expired cards', async () => {
+        const { dataManager, alice, checking, card } = await setup();
+
+        dataManager.setCardFrozen(card.id, alice.id, true);
+        assert.equal((await dataManager.cardPurchase(purchase(card))).error, 'Card declined: card frozen');
+        dataManager.setCardFrozen(card.id, alice.id, false);
+        assert.equal((await dataManager.cardPurchase(purchase(card))).success, true);
+
+        const expired = dataManager.issueCard(alice.id, checking.id, {}, new Date('2020-05-10T12:00:00.000Z'));
+        assert.equal((await dataManager.cardPurchase(purchase(expired))).error, 'Card declined: card expired');
+
+        dataManager.cancelCard(card.id, { userId: alice.id });
+        assert.equal((await dataManager.cardPurchase(purchase(card))).error, 'Card declined: card cancelled');
+        assert.throws(() => dataManager.setCardFrozen(card.id, alice.id, false), /cancelled card cannot be changed/);
+    });
+
+    await t.test('are declined in blocked merchant categories', async () => {
+        const { dataManager, alice, card } = await setup();
+
+        dataManager.setCardBlockedCategories(card.id, alice.id, ['gambling']);
+        assert.equal((await dataManager.cardPurchase(purchase(card, { merchantCategory: 'gambling', merchant: 'Lucky Spin' }))).error,
+            'Card declined: Gambling purchases are blocked on this card');
+        assert.equal((await dataManager.cardPurchase(purchase(card))).success, true);
+        assert.throws(() => dataManager.setCardBlockedCategories(card.id, alice.id, ['weapons']), /Unknown merchant category/);
+    });
+
+    await t.test('are refused for merchant names that are not plain text', async () => {
+        const { dataManager, checking, card } = await setup();
+        const { balance } = dataManager.getAccountById(checking.id);
+
+        assert.match((await dataManager.cardPurchase(purchase(card, { merchant: '<img src=x onerror=alert(1)>' }))).error, /merchant name must be/);
+        assert.match((await dataManager.cardPurchase(purchase(card, { merchant: 'A'.repeat(41) }))).error, /up to 40/);
+        assert.equal(dataManager.getAccountById(checking.id).balance, balance);
+        assert.equal((await dataManager.cardPurchase(purchase(card, { merchant: 'AMZN Mktp US*2K4 #1/B & Co.' }))).success, true);
+    });
+
+    await t.test('keep to the card\'s limits', async () => {
+        const { dataManager, alice, card } = await setup();
+
+        dataManager.setCardLimits(card.id, alice.id, { perPurchase: 100, daily: 150 });
+        assert.match((await dataManager.cardPurchase(purchase(card, { amount: 100.01 }))).error, /limit of \$100\.00 a purchase/);
+        assert.equal((await dataManager.cardPurchase(purchase(card, { amount: 100 }))).success, true);
+        assert.equal((await dataManager.cardPurchase(purchase(card, { amount: 60 }))).error, 'Card declined: over the card\'s daily limit of $150.00 - $50.00 left today');
+        assert.equal(dataManager.getCardSpending(dataManager.getCards(alice.id)[0]).toNumber(), 100);
+
+        assert.throws(() => dataManager.setCardLimits(card.id, alice.id, { perPurchase: 200, daily: 150 }), /more than the daily limit/);
+        assert.throws(() => dataManager.setCardLimits(card.id, alice.id, { perPurchase: 0, daily: 150 }), /positive amounts/);
+        assert.throws(() => dataManager.setCardLimits(card.id, alice.id, { perPurchase: 100, daily: 20000 }), /up to \$10,000\.00/);
+    });
+
+    await t.test('are declined without the funds, and draw on overdraft protection', async () => {
+        const { dataManager, alice, checking, savings, card } = await setup();
+        dataManager.setCardLimits(card.id, alice.id, { perPurchase: 5000, daily: 5000 });
+
+        assert.equal((await dataManager.cardPurchase(purchase(card, { amount: 1200 }))).error, 'Card declined: insufficient funds');
+
+        dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: savings.id });
+        assert.equal((await dataManager.cardPurchase(purchase(card, { amount: 1200 }))).success, true);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 0);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 300);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+});
+
+test('cancelling cards', async (t) => {
+    await t.test('admins cancel any card, customers only their own', async () => {
+        const { dataManager, store, bob, card } = await setup();
+
+        assert.throws(() => dataManager.cancelCard(card.id, { userId: bob.id }), /Card not found/);
+
+        const cancelled = dataManager.cancelCard(card.id, { by: 'admin_1' });
+        assert.equal(cancelled.cancelledBy, 'admin_1');
+        assert.equal(store.getRecord('cards', card.id).status, 'cancelled');
+        assert.throws(() => dataManager.cancelCard(card.id, { by: 'admin_1' }), /already cancelled/);
+    });
+
+    await t.test('closing the account cancels its cards', async () => {
+        const { dataManager, store, alice, checking, savings, card } = await setup();
+
+        await dataManager.closeAccount(checking.id, alice.id, { sweepToAccountId: savings.id });
+
+        assert.equal(store.getRecord('cards', card.id).status, 'cancelled');
+        assert.equal((await dataManager.cardPurchase(purchase(card))).error, 'Card declined: card cancelled');
+    });
+});
+
+test('migration v12 starts cards', async () => {
+    const { store, lookup } = await createTestEnvironment({ schemaVersion: 11 }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    assert.deepEqual(plain(store.get('cards')), []);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * Minimal Web Storage - getItem/setItem/removeItem over a Map
+ */
+function createWebStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * A browser profile: localStorage holds the vault metadata, the backend holds the data.
+ * Keys are kept in memory only, so every page load has to unlock the vault again.
+ */
+function createProfile() {
+    const localStorage = createWebStorage();
+    const lookup = loadScripts(['storage.js'], { localStorage });
+    const backend = new (lookup('MemoryBackend'))();
+
+    return {
+        lookup,
+        localStorage,
+        backend,
+
+        /**
+         * Open storage like a page load would; the passphrase prompt answers with `entered`
+         */
+        async openTab(entered = []) {
+            const vault = new (lookup('StorageVault'))('finsimVault');
+            vault.iterations = 1000; // Keep PBKDF2 fast in tests
+            const prompts = [...entered];
+            vault.requestPassphrase = async () => prompts.shift();
+
+            const store = new (lookup('StorageManager'))({ backend, vault });
+            await store.ready;
+            return store;
+        },
+
+        /**
+         * A key as the backend holds it
+         */
+        read(key) {
+            return backend.loadAll()[key];
+        },
+
+        /**
+         * Everything that reached the backend and localStorage, as text
+         */
+        stored() {
+            return JSON.stringify([...backend.data.entries()]) + JSON.stringify([...localStorage.items.entries()]);
+        }
+    };
+}
+
+const ALICE = { id: 'user_1', email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith', role: 'user' };
+const ACCOUNT = { id: 'acc_1', userId: 'user_1', iban: 'FS12 3456 7890 1234 5678 90', balance: 123456, currency: 'USD' };
+
+async function openEncrypted() {
+    const profile = createProfile();
+    const store = await profile.openTab();
+    store.putRecord('users', ALICE);
+    store.putRecord('accounts', ACCOUNT);
+    store.set('currentUser', ALICE);
+
+    await store.enableEncryption(PASSPHRASE);
+    await store.backend.drain();
+    return { profile, store };
+}
+
+test('storage encryption', async (t) => {
+    await t.test('data written before and after enabling it reads back in a new tab', async () => {
+        const { profile, store } = await openEncrypted();
+        store.putRecord('transactions', { id: 'txn_1', accountId: 'acc_1', description: 'Rent', amount: 900 });
+        await store.backend.drain();
+
+        const reopened = await profile.openTab([PASSPHRASE]);
+
+        assert.equal(reopened.locked, false);
+        assert.equal(reopened.isEncrypted(), true);
+        assert.deepEqual(plain(reopened.getRecord('users', 'user_1')), ALICE);
+        assert.deepEqual(plain(reopened.query('accounts', 'userId', 'user_1')), [ACCOUNT]);
+        assert.equal(reopened.getRecord('transactions', 'txn_1').description, 'Rent');
+        assert.deepEqual(plain(reopened.get('currentUser')), ALICE);
+    });
+
+    await t.test('nothing but ids and index fields is stored in plaintext', async () => {
+        const { profile, store } = await openEncrypted();
+        const stored = profile.stored();
+
+        ['alice@example.com', 'Smith', '123456', ACCOUNT.iban, PASSPHRASE].forEach(secret => {
+            assert.equal(stored.includes(secret), false, `${secret} is stored in plaintext`);
+        });
+
+        const [account] = profile.read('accounts');
+        assert.deepEqual(Object.keys(account).sort(), ['id', 'sealed', 'userId']);
+        assert.ok(profile.read('currentUser').sealed);
+        assert.equal(store.vault.keys[0].extractable, false);
+    });
+
+    await t.test('a wrong passphrase keeps the data locked', async () => {
+        const { profile } = await openEncrypted();
+        const StorageDecryptionError = profile.lookup('StorageDecryptionError');
+
+        const store = await profile.openTab(['wrong passphrase', 'still wrong', 'nope nope nope']);
+
+        assert.equal(store.locked, true);
+        assert.ok(store.lockError instanceof StorageDecryptionError);
+        assert.equal(store.get('users', null), null);
+        assert.equal(store.set('users', []), false);
+        assert.equal(profile.read('users').length, 1);
+        await assert.rejects(store.vault.unlock('wrong passphrase'), StorageDecryptionError);
+    });
+
+    await t.test('the third try can still unlock it', async () => {
+        const { profile } = await openEncrypted();
+
+        const store = await profile.openTab(['wrong passphrase', 'still wrong', PASSPHRASE]);
+
+        assert.equal(store.locked, false);
+        assert.equal(store.getRecord('users', 'user_1').email, 'alice@example.com');
+    });
+
+    await t.test('tampered data fails to decrypt instead of loading', async () => {
+        const { profile } = await openEncrypted();
+        const [account] = profile.read('accounts');
+        const bytes = Buffer.from(account.sealed.data, 'base64');
+        bytes[0] ^= 1;
+        profile.backend.write([{ key: 'accounts', value: [{ ...account, sealed: { ...account.sealed, data: bytes.toString('base64') } }] }]);
+
+        const store = await profile.openTab([PASSPHRASE]);
+
+        assert.equal(store.locked, true);
+        assert.match(store.lockError.message, /Could not decrypt "accounts"/);
+    });
+
+    await t.test('after a key rotation only the new passphrase unlocks', async () => {
+        const { profile, store } = await openEncrypted();
+        await assert.rejects(store.rotateEncryptionKey('wrong passphrase', 'new passphrase 42'), /Incorrect vault passphrase/);
+
+        await store.rotateEncryptionKey(PASSPHRASE, 'new passphrase 42');
+        await store.backend.drain();
+
+        assert.equal((await profile.openTab([PASSPHRASE, PASSPHRASE, PASSPHRASE])).locked, true);
+        const reopened = await profile.openTab(['new passphrase 42']);
+        assert.equal(reopened.getRecord('accounts', 'acc_1').balance, 123456);
+    });
+
+    await t.test('disabling it writes plaintext back and drops the vault', async () => {
+        const { profile, store } = await openEncrypted();
+
+        await store.disableEncryption(PASSPHRASE);
+
+        assert.equal(profile.localStorage.getItem('finsimVault'), null);
+        assert.deepEqual(plain(profile.read('accounts')), [ACCOUNT]);
+        assert.equal((await profile.openTab()).isEncrypted(), false);
+    });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+/**
+ * Alice with two accounts, Bob with one
+ */
+async function setup(seed = {}) {
+    const env = await createTestEnvironment(seed);
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        Money: env.lookup('Money'),
+        alice,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 })
+    };
+}
+
+test('fee schedule', async (t) => {
+    await t.test('clamps the percentage to the minimum and maximum', async () => {
+        const { dataManager, Money } = await setup();
+
+        assert.equal(dataManager.calculateTransferFee(Money.of(50)).toNumber(), 1);
+        assert.equal(dataManager.calculateTransferFee(Money.of(250)).toNumber(), 2.5);
+        assert.equal(dataManager.calculateTransferFee(Money.of(10000)).toNumber(), 5);
+        assert.equal(dataManager.calculateTransferFee(Money.of(50), true).toNumber(), 2);
+        assert.equal(dataManager.calculateTransferFee(Money.of(10000), true).toNumber(), 15);
+    });
+
+    await t.test('converts the bounds into the amount\'s currency', async () => {
+        const { dataManager, Money } = await setup({
+            fxRates: { baseCurrency: 'USD', spread: 0, rates: [{ currency: 'EUR', rate: 0.5, effectiveFrom: '2024-01-01' }] }
+        });
+
+        assert.equal(dataManager.calculateTransferFee(Money.of(10, 'EUR')).toNumber(), 0.5);
+        assert.equal(dataManager.calculateTransferFee(Money.of(10, 'EUR')).currency, 'EUR');
+    });
+
+    await t.test('admins change the fee per kind of transfer', async () => {
+        const { dataManager, store, Money } = await setup();
+
+        dataManager.setTransferFee('external', { rate: 0.03, minimum: 0, maximum: 10 });
+
+        assert.deepEqual(plain(store.get('feeSchedule').external), { rate: 0.03, minimum: 0, maximum: 10 });
+        assert.equal(dataManager.getFeeSchedule().internal.rate, 0.01);
+        assert.equal(dataManager.calculateTransferFee(Money.of(20), true).toNumber(), 0.6);
+
+        assert.throws(() => dataManager.setTransferFee('overnight', { rate: 0, minimum: 0, maximum: 0 }), /Unknown transfer kind/);
+        assert.throws(() => dataManager.setTransferFee('internal', { rate: 0.5, minimum: 0, maximum: 0 }), /between/);
+        assert.throws(() => dataManager.setTransferFee('internal', { rate: 0.01, minimum: 5, maximum: 1 }), /at least the minimum/);
+    });
+});
+
+test('charging fees', async (t) => {
+    await t.test('debits the fee as a transaction linked to the transfer', async () => {
+        const { dataManager, checking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 100);
+        await dataManager.runSettlement();
+        const fee = (await dataManager.getTransactionsByAccountId(checking.id)).find(txn => txn.type === 'fee');
+
+        assert.equal(result.success, true);
+        assert.equal(result.fee, 2);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 898);
+        assert.equal(fee.id, result.feeTransaction.id);
+        assert.equal(fee.amount, 2);
+        assert.equal(fee.linkedReference, result.senderTransaction.reference);
+        assert.equal(fee.isExpense, true);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('charges the internal fee when the IBAN belongs to a FinSim account', async () => {
+        const { dataManager, checking, savings, bobChecking } = await setup();
+
+        const toBob = await dataManager.processTransfer(checking.id, bobChecking.iban, 100);
+        const toSavings = await dataManager.processTransfer(checking.id, savings.iban, 100);
+
+        assert.deepEqual(plain([toBob.status, toBob.fee, toSavings.status, toSavings.fee]), ['settled', 1, 'settled', 1]);
+        assert.equal(toBob.feeTransaction.description, 'Internal transfer fee');
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, 100);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 798);
+    });
+
+    await t.test('includes the fee in the funds check', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 999);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Insufficient funds');
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+
+        assert.equal((await dataManager.processTransfer(checking.id, savings.id, 995)).success, true);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 0);
+    });
+
+    await t.test('posts the fee to fee income', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 250);
+
+        assert.equal(dataManager.ledger.getBalance('bank:fee_income', 'USD').toNumber(), -2.5);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+        assert.equal(dataManager.ledger.getTrialBalance().totals.USD.balanced, true);
+        assert.equal(dataManager.ledger.getLines('bank:fee_income')[0].transactionId, result.feeTransaction.id);
+    });
+
+    await t.test('records no fee transaction when the fee is zero', async () => {
+        const { dataManager, checking, savings } = await setup({
+            feeSchedule: { internal: { rate: 0, minimum: 0, maximum: 0 }, external: { rate: 0.02, minimum: 2, maximum: 15 } }
+        });
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 250);
+
+        assert.equal(result.feeTransaction, null);
+        assert.equal((await dataManager.getTransactionsByAccountId(checking.id)).length, 1);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 750);
+    });
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+const FX_TABLE = {
+    baseCurrency: 'USD',
+    spread: 0.01,
+    rates: [
+        { currency: 'EUR', rate: 0.8, effectiveFrom: '2024-01-01' },
+        { currency: 'EUR', rate: 0.9, effectiveFrom: '2024-06-01' },
+        { currency: 'GBP', rate: 0.75, effectiveFrom: '2024-01-01' },
+        { currency: 'JPY', rate: 150, effectiveFrom: '2024-01-01' }
+    ]
+};
+
+/**
+ * One user with a USD and a EUR account
+ */
+async function setup() {
+    const env = await createTestEnvironment({ fxRates: FX_TABLE, feeSchedule: NO_FEES });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith', homeCurrency: 'EUR' });
+
+    return {
+        ...env,
+        Money: env.lookup('Money'),
+        alice,
+        usd: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000, currency: 'USD' }),
+        eur: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 100, currency: 'EUR' })
+    };
+}
+
+test('FX rate table', async (t) => {
+    await t.test('uses the rate in effect on the date', async () => {
+        const { dataManager } = await setup();
+
+        assert.equal(dataManager.getFxRate('USD', 'EUR', '2024-03-01').rate, 0.8);
+        assert.equal(dataManager.getFxRate('USD', 'EUR', '2024-06-01').rate, 0.9);
+        assert.equal(dataManager.getFxRate('USD', 'EUR', '2024-06-01').effectiveFrom, '2024-06-01');
+        assert.throws(() => dataManager.getFxRate('USD', 'EUR', '2023-12-31'), /No EUR exchange rate/);
+    });
+
+    await t.test('crosses non-base currencies through the base', async () => {
+        const { dataManager } = await setup();
+
+        assert.equal(dataManager.getFxRate('EUR', 'USD', '2024-03-01').rate, 1.25);
+        assert.equal(dataManager.getFxRate('EUR', 'GBP', '2024-03-01').rate, 0.9375);
+        assert.equal(dataManager.getFxRate('GBP', 'GBP').rate, 1);
+    });
+
+    await t.test('quotes take off the spread', async () => {
+        const { dataManager } = await setup();
+        const quote = dataManager.getFxQuote('USD', 'EUR', '2024-03-01');
+
+        assert.equal(quote.rate, 0.8);
+        assert.equal(quote.spread, 0.01);
+        assert.equal(quote.appliedRate, 0.792);
+        assert.equal(dataManager.getFxQuote('EUR', 'EUR').spread, 0);
+    });
+
+    await t.test('admins add rates and change the spread', async () => {
+        const { dataManager, store } = await setup();
+
+        dataManager.setFxRate('GBP', 0.8, '2024-02-01');
+        dataManager.setFxRate('GBP', 0.78, '2024-02-01');
+        dataManager.setFxSpread(0.02);
+
+        assert.deepEqual(plain(store.get('fxRates').rates.filter(entry => entry.currency === 'GBP')), [
+            { currency: 'GBP', rate: 0.75, effectiveFrom: '2024-01-01' },
+            { currency: 'GBP', rate: 0.78, effectiveFrom: '2024-02-01' }
+        ]);
+        assert.equal(dataManager.getFxTable().spread, 0.02);
+
+        dataManager.removeFxRate('GBP', '2024-02-01');
+        assert.equal(dataManager.getFxRate('USD', 'GBP', '2024-03-01').rate, 0.75);
+
+        assert.throws(() => dataManager.setFxRate('USD', 1, '2024-01-01'), /Rates can only be set/);
+        assert.throws(() => dataManager.setFxRate('EUR', -1, '2024-01-01'), /positive/);
+        assert.throws(() => dataManager.setFxRate('EUR', 1, '01/02/2024'), /YYYY-MM-DD/);
+        assert.throws(() => dataManager.setFxSpread(0.5), /between/);
+    });
+
+    await t.test('falls back to the default table', async () => {
+        const { dataManager, lookup } = await createTestEnvironment();
+
+        assert.equal(dataManager.getFxTable().baseCurrency, lookup('FX_DEFAULTS').baseCurrency);
+        assert.ok(dataManager.getFxRate('USD', 'JPY').rate > 1);
+    });
+});
+
+test('cross-currency transfers', async (t) => {
+    await t.test('convert at the applied rate and record it on both legs', async () => {
+        const { dataManager, usd, eur, store } = await setup();
+
+        const result = await dataManager.processTransfer(usd.id, eur.id, 100);
+
+        assert.equal(result.success, true);
+        assert.equal(result.newSenderBalance, 900);
+        assert.equal(result.newRecipientBalance, 189.1);
+
+        const [sent, received] = store.get('transactions');
+        assert.equal(sent.amount, 100);
+        assert.equal(sent.currency, 'USD');
+        assert.equal(received.amount, 89.1);
+        assert.equal(received.currency, 'EUR');
+        assert.deepEqual(plain(sent.fx), plain(received.fx));
+        assert.deepEqual(plain(sent.fx), {
+            from: 'USD', to: 'EUR', rate: 0.9, effectiveFrom: '2024-06-01',
+            spread: 0.01, appliedRate: 0.891, sourceAmount: 100, targetAmount: 89.1
+        });
+    });
+
+    await t.test('round into currencies without minor units', async () => {
+        const { dataManager, alice, usd } = await setup();
+        const jpy = dataManager.createAccount({ userId: alice.id, type: 'investment', balance: 0, currency: 'JPY' });
+
+        await dataManager.processTransfer(usd.id, jpy.id, 0.05);
+
+        assert.equal(dataManager.getAccountById(jpy.id).balance, 7);
+    });
+
+    await t.test('same-currency transfers carry no conversion', async () => {
+        const { dataManager, alice, usd } = await setup();
+        const other = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0, currency: 'USD' });
+
+        await dataManager.processTransfer(usd.id, other.id, 10);
+
+        assert.deepEqual(plain((await dataManager.getUserTransactions(alice.id)).map(txn => txn.fx)), [null, null]);
+    });
+});
+
+test('totals in the home currency', async () => {
+    const { dataManager, alice, Money } = await setup();
+
+    const total = dataManager.getTotalBalance(alice.id);
+
+    assert.equal(total.currency, 'EUR');
+    assert.equal(total.toNumber(), 1000 * 0.9 + 100);
+    assert.equal(dataManager.sumBalances(dataManager.getAccountsByUserId(alice.id)).toNumber(), 1111.11);
+    assert.equal(Money.of(100, 'EUR').convert(1.25, 'USD').toNumber(), 125);
+});
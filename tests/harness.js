@@ -0,0 +1,79 @@
+/**
+ * FinSim - Headless test harness
+ * Loads the browser scripts into a fresh VM context, in page order, without a DOM
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'js');
+
+// Set DEBUG=1 to see the app's console output
+const quietConsole = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Load scripts into a new context
+ * @param {string[]} files - Files from js/, in the order the pages load them
+ * @param {Object} globals - Browser globals to provide, e.g. window or localStorage
+ * @returns {Function} Look up a top-level name (class, const, function) in the context
+ */
+function loadScripts(files = ['storage.js', 'models.js'], globals = {}) {
+    const context = vm.createContext({
+        console: process.env.DEBUG ? console : quietConsole,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob,
+        Blob,
+        Response,
+        CompressionStream,
+        DecompressionStream,
+        setTimeout,
+        clearTimeout,
+        ...globals
+    });
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8'), context, { filename: file });
+    });
+
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Fresh models backed by an in-memory store
+ * @param {Object} seed - Initial storage contents by key
+ * @param {string[]} files - Scripts to load
+ */
+async function createTestEnvironment(seed = {}, files = undefined) {
+    const lookup = loadScripts(files);
+    const StorageManager = lookup('StorageManager');
+    const MemoryBackend = lookup('MemoryBackend');
+    const DataManager = lookup('DataManager');
+
+    const store = new StorageManager({ backend: new MemoryBackend(seed) });
+    await store.ready;
+
+    return {
+        store,
+        dataManager: new DataManager(store),
+        Account: lookup('Account'),
+        Transaction: lookup('Transaction'),
+        initializeSystem: lookup('initializeSystem'),
+        lookup
+    };
+}
+
+// A valid IBAN at another bank, for transfers that leave FinSim
+const OTHER_BANK_IBAN = 'DE89 3704 0044 0532 0130 00';
+
+/**
+ * Plain copy of a value created inside the context, for deep equality checks
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, createTestEnvironment, plain, OTHER_BANK_IBAN };
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts, plain } = require('./harness');
+
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * localStorage for the vault metadata - Object.keys() lists what was stored
+ */
+function createLocalStorage() {
+    const items = {};
+    Object.defineProperties(items, {
+        getItem: { value: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null) },
+        setItem: { value: (key, value) => { items[key] = String(value); } },
+        removeItem: { value: key => delete items[key] }
+    });
+    return items;
+}
+
+/**
+ * Page globals over a fresh IndexedDB, with a customer who has two accounts
+ */
+async function setup() {
+    const lookup = loadScripts(['storage.js', 'models.js'], {
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        localStorage: createLocalStorage()
+    });
+    const storage = lookup('storage');
+    await storage.ready;
+
+    const dataManager = lookup('dataManager');
+    const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const checking = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 1000 });
+    const savings = dataManager.createAccount({ userId: user.id, type: 'savings', balance: 500 });
+    await dataManager.processTransfer(checking.id, savings.iban, 100, 'Saving up');
+
+    return { lookup, storage, dataManager, user, checking, savings };
+}
+
+/**
+ * Records in id order - records created in the same millisecond have no other order
+ */
+function byId(records) {
+    return plain(records).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Only the backend can answer once the cached transactions are gone
+ */
+function dropCachedTransactions(storage) {
+    storage.cache.set('transactions', []);
+    storage.indexCache.delete('transactions');
+}
+
+test('IndexedDB index lookups', async (t) => {
+    await t.test('every configured index exists on its object store', async () => {
+        const { storage } = await setup();
+        const { db } = storage.backend;
+
+        Object.entries(storage.collections).forEach(([name, config]) => {
+            const store = db.transaction(name, 'readonly').objectStore(name);
+            assert.deepEqual([...store.indexNames].sort(), [...config.indexes].sort(), name);
+        });
+    });
+
+    await t.test('account and user history is read through the indexes, not the cache', async () => {
+        const { storage, dataManager, user, checking, savings } = await setup();
+        const expected = byId(storage.query('transactions', 'accountId', checking.id));
+        const userTransactions = storage.query('transactions', 'accountId', savings.id).length + expected.length;
+        assert.equal(storage.backend.name, 'indexedDB');
+        dropCachedTransactions(storage);
+
+        assert.deepEqual(byId(await storage.find('transactions', 'accountId', checking.id)), expected);
+        assert.ok((await dataManager.getTransactionsByAccountId(savings.id)).some(txn => txn.description === 'Saving up'));
+        assert.equal((await dataManager.getUserTransactions(user.id)).length, userTransactions);
+        assert.deepEqual(plain(await storage.find('transactions', 'accountId', 'acc_missing')), []);
+    });
+
+    await t.test('writes still on their way to the database are found', async () => {
+        const { storage, checking } = await setup();
+
+        storage.putRecord('transactions', { id: 'txn_new', accountId: checking.id, timestamp: new Date().toISOString() });
+
+        const found = await storage.find('transactions', 'accountId', checking.id);
+        assert.ok(found.some(txn => txn.id === 'txn_new'));
+    });
+
+    await t.test('fields without an index are refused', async () => {
+        const { storage } = await setup();
+
+        await assert.rejects(storage.find('transactions', 'description', 'Rent'), /No index on transactions.description/);
+    });
+
+    await t.test('an encrypted store decrypts only the records that match', async () => {
+        const { storage, checking, savings } = await setup();
+        const vault = storage.vault;
+        vault.iterations = 1000; // Keep PBKDF2 fast in tests
+        await storage.enableEncryption(PASSPHRASE);
+        await storage.flush();
+        dropCachedTransactions(storage);
+
+        const decrypt = vault.decrypt.bind(vault);
+        let decrypted = 0;
+        vault.decrypt = (sealed) => {
+            decrypted++;
+            return decrypt(sealed);
+        };
+
+        const found = await storage.find('transactions', 'accountId', savings.id);
+
+        assert.equal(decrypted, 1);
+        assert.equal(found[0].description, 'Saving up');
+        assert.equal(found[0].accountId, savings.id);
+        assert.ok(!(await storage.backend.inner.queryIndex('transactions', 'accountId', checking.id))[0].description);
+    });
+});
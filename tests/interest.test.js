@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+/**
+ * An account opened on 2024-01-01 - the opening balance is backdated in the journal
+ */
+function openAccount({ dataManager, store }, userId, type, balance) {
+    const account = dataManager.createAccount({ userId, type, balance, createdAt: '2024-01-01T09:00:00.000Z' });
+    store.get('journal', [])
+        .filter(line => line.ledger === account.id)
+        .forEach(line => store.putRecord('journal', { ...line, timestamp: '2024-01-01T09:00:00.000Z' }));
+    return account;
+}
+
+async function setup() {
+    const env = await createTestEnvironment();
+    const alice = env.dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    return { ...env, alice };
+}
+
+test('interest products', async (t) => {
+    await t.test('tiers apply to the part of the balance in each band', async () => {
+        const { dataManager } = await setup();
+        const savings = dataManager.getInterestProducts().savings;
+
+        assert.deepEqual(plain(dataManager.getTierPortions(savings, 15000, 'USD')), [
+            { apy: 0.02, portion: 10000 },
+            { apy: 0.03, portion: 5000 }
+        ]);
+        assert.equal(dataManager.getEffectiveApy(savings, 15000, 'USD').toFixed(4), '0.0233');
+        assert.equal(dataManager.getEffectiveApy(savings, 0, 'USD'), 0.02);
+    });
+
+    await t.test('admins set up products within bounds', async () => {
+        const { dataManager } = await setup();
+
+        dataManager.setInterestProduct('checking', { compounding: 'monthly', tiers: [{ from: 0, apy: 0.001 }] });
+        assert.deepEqual(plain(dataManager.getInterestProducts().checking), { compounding: 'monthly', tiers: [{ from: 0, apy: 0.001 }] });
+
+        dataManager.removeInterestProduct('checking');
+        assert.equal(dataManager.getInterestProducts().checking, undefined);
+
+        assert.throws(() => dataManager.setInterestProduct('loan', { compounding: 'daily', tiers: [{ from: 0, apy: 0.01 }] }), /Unknown account type/);
+        assert.throws(() => dataManager.setInterestProduct('savings', { compounding: 'weekly', tiers: [{ from: 0, apy: 0.01 }] }), /Compounding/);
+        assert.throws(() => dataManager.setInterestProduct('savings', { compounding: 'daily', tiers: [{ from: 100, apy: 0.01 }] }), /start at 0/);
+        assert.throws(() => dataManager.setInterestProduct('savings', { compounding: 'daily', tiers: [{ from: 0, apy: 0.01 }, { from: 0, apy: 0.02 }] }), /increase/);
+        assert.throws(() => dataManager.setInterestProduct('savings', { compounding: 'daily', tiers: [{ from: 0, apy: 0.5 }] }), /between/);
+    });
+});
+
+test('interest accrual', async (t) => {
+    await t.test('posts daily compounded interest at the end of the month', async () => {
+        const env = await setup();
+        const { dataManager, store, alice } = env;
+        const savings = openAccount(env, alice.id, 'savings', 1000);
+        const checking = openAccount(env, alice.id, 'checking', 1000);
+
+        const result = await dataManager.runInterestAccrual(new Date('2024-02-01T10:00:00.000Z'));
+
+        // 1000 * (1.02^(31/365) - 1)
+        assert.equal(result.postings, 1);
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.accountId, txn.type, txn.category, txn.amount, txn.description, txn.timestamp])), [
+            [savings.id, 'deposit', 'interest', 1.68, 'Interest for 2024-01', '2024-01-31T23:59:59.999Z']
+        ]);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 1001.68);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+        assert.equal(dataManager.getAccountById(savings.id).interestAccruedThrough, '2024-01-31');
+        assert.equal(dataManager.ledger.getBalance('bank:interest_expense', 'USD').toNumber(), 1.68);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('catches up missed days once, carrying the unposted remainder', async () => {
+        const env = await setup();
+        const { dataManager, alice } = env;
+        const inOneGo = openAccount(env, alice.id, 'savings', 1000);
+
+        const single = await dataManager.runInterestAccrual(new Date('2024-03-01T10:00:00.000Z'));
+        const again = await dataManager.runInterestAccrual(new Date('2024-03-01T10:00:00.000Z'));
+
+        const other = await setup();
+        const inSteps = openAccount(other, other.alice.id, 'savings', 1000);
+        await other.dataManager.runInterestAccrual(new Date('2024-01-15T10:00:00.000Z'));
+        assert.ok(other.dataManager.getAccountById(inSteps.id).interestAccrued > 0);
+        await other.dataManager.runInterestAccrual(new Date('2024-02-10T10:00:00.000Z'));
+        await other.dataManager.runInterestAccrual(new Date('2024-03-01T10:00:00.000Z'));
+
+        assert.equal(single.postings, 2);
+        assert.equal(again.postings, 0);
+        assert.equal(dataManager.getAccountById(inOneGo.id).balance, other.dataManager.getAccountById(inSteps.id).balance);
+    });
+
+    await t.test('monthly compounding earns the APY over a year', async () => {
+        const env = await setup();
+        const { dataManager, alice } = env;
+        const investment = openAccount(env, alice.id, 'investment', 1000);
+
+        const result = await dataManager.runInterestAccrual(new Date('2025-01-01T10:00:00.000Z'));
+
+        assert.equal(result.postings, 12);
+        assert.equal(dataManager.getAccountById(investment.id).balance, 1035);
+    });
+
+    await t.test('accrues on the balance each day closed with', async () => {
+        const env = await setup();
+        const { dataManager, store, alice } = env;
+        const savings = openAccount(env, alice.id, 'savings', 0);
+        const checking = openAccount(env, alice.id, 'checking', 2000);
+        store.set('feeSchedule', { internal: { rate: 0, minimum: 0, maximum: 0 }, external: { rate: 0, minimum: 0, maximum: 0 } });
+
+        // 2000 arrives halfway through January
+        const transfer = await dataManager.processTransfer(checking.id, savings.id, 2000);
+        store.get('journal')
+            .filter(line => line.reference === transfer.senderTransaction.reference)
+            .forEach(line => store.putRecord('journal', { ...line, timestamp: '2024-01-16T12:00:00.000Z' }));
+
+        await dataManager.runInterestAccrual(new Date('2024-02-01T10:00:00.000Z'));
+
+        // 2000 * (1.02^(16/365) - 1)
+        assert.equal(store.get('transactions').find(txn => txn.category === 'interest').amount, 1.74);
+    });
+
+    await t.test('leaves products that were withdrawn alone', async () => {
+        const env = await setup();
+        const { dataManager, alice } = env;
+        const savings = openAccount(env, alice.id, 'savings', 1000);
+        dataManager.removeInterestProduct('savings');
+
+        const result = await dataManager.runInterestAccrual(new Date('2024-03-01T10:00:00.000Z'));
+
+        assert.equal(result.postings, 0);
+        assert.equal(dataManager.getAccountById(savings.id).interestAccruedThrough, '2024-02-29');
+    });
+});
+
+test('interest projection and report', async (t) => {
+    await t.test('projects a year of interest at the current balance', async () => {
+        const env = await setup();
+        const { dataManager, alice } = env;
+        openAccount(env, alice.id, 'investment', 1000);
+        await dataManager.runInterestAccrual(new Date('2024-01-16T10:00:00.000Z'));
+        const investment = dataManager.getAccountsByUserId(alice.id)[0];
+
+        const projection = dataManager.projectInterest(investment, new Date('2024-01-16T10:00:00.000Z'));
+
+        assert.equal(projection.apy, 0.035);
+        assert.equal(projection.accrued.toNumber(), 1.39);
+        assert.deepEqual(plain({ date: projection.nextPosting.date, amount: projection.nextPosting.amount.toNumber() }), { date: '2024-01-31', amount: 2.87 });
+        assert.equal(projection.nextYear.toNumber(), 35);
+        assert.equal(dataManager.projectInterest(openAccount(env, alice.id, 'checking', 1000)), null);
+    });
+
+    await t.test('reports interest paid per month', async () => {
+        const env = await setup();
+        const { dataManager, alice } = env;
+        openAccount(env, alice.id, 'savings', 1000);
+        openAccount(env, alice.id, 'investment', 1000);
+
+        await dataManager.runInterestAccrual(new Date('2024-03-10T10:00:00.000Z'));
+        const report = dataManager.getInterestReport();
+
+        assert.deepEqual(plain(report.months.map(row => [row.month, row.payments, row.total.toNumber()])), [
+            ['2024-02', 2, 4.46],
+            ['2024-01', 2, 4.55]
+        ]);
+        assert.equal(report.total.toNumber(), 9.01);
+        assert.ok(report.accrued.isPositive());
+    });
+});
+
+test('migration v8 starts interest without paying the past', async () => {
+    const { store, lookup } = await createTestEnvironment({
+        schemaVersion: 7,
+        accounts: [{ id: 'acc_1', userId: 'user_1', type: 'savings', balance: 500, currency: 'USD', createdAt: '2024-01-01T00:00:00.000Z' }]
+    }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    const account = store.getRecord('accounts', 'acc_1');
+    assert.equal(account.interestAccrued, 0);
+    assert.equal(account.interestAccruedThrough, new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+});
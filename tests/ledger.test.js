@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+// Fee postings are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+/**
+ * One user with a checking and a savings account
+ */
+async function setup(seed = {}) {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES, ...seed });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+
+    return {
+        ...env,
+        Money: env.lookup('Money'),
+        alice,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 })
+    };
+}
+
+test('journal postings', async (t) => {
+    await t.test('opening balances are posted against bank cash', async () => {
+        const { store, checking } = await setup();
+
+        assert.deepEqual(plain(store.get('journal').map(line => [line.ledger, line.amount, line.description])), [
+            ['bank:cash', 1000, 'Opening balance'],
+            [checking.id, -1000, 'Opening balance']
+        ]);
+    });
+
+    await t.test('transfers post a balanced entry linked to the transaction', async () => {
+        const { dataManager, store, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 250);
+        const lines = store.get('journal').filter(line => line.transactionId);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(plain(lines.map(line => [line.ledger, line.amount])), [
+            [checking.id, 250],
+            [savings.id, -250]
+        ]);
+        assert.equal(lines[0].entryId, lines[1].entryId);
+        assert.equal(lines[0].transactionId, store.get('transactions')[0].id);
+        assert.equal(dataManager.ledger.getAccountBalance(savings).toNumber(), 250);
+    });
+
+    await t.test('cross-currency transfers clear through the FX ledger', async () => {
+        const { dataManager, store, alice, checking } = await setup({
+            fxRates: { baseCurrency: 'USD', spread: 0, rates: [{ currency: 'EUR', rate: 0.5, effectiveFrom: '2024-01-01' }] }
+        });
+        const eur = dataManager.createAccount({ userId: alice.id, type: 'investment', balance: 0, currency: 'EUR' });
+
+        await dataManager.processTransfer(checking.id, eur.id, 100);
+
+        assert.deepEqual(plain(store.get('journal').filter(line => line.transactionId).map(line => [line.ledger, line.currency, line.amount])), [
+            [checking.id, 'USD', 100],
+            ['bank:fx_clearing', 'USD', -100],
+            ['bank:fx_clearing', 'EUR', 50],
+            [eur.id, 'EUR', -50]
+        ]);
+    });
+
+    await t.test('unbalanced entries are refused', async () => {
+        const { dataManager, store, Money } = await setup();
+        const before = store.get('journal').length;
+
+        assert.throws(() => dataManager.ledger.post({
+            lines: [{ ledger: 'bank:cash', amount: Money.of(10) }, { ledger: 'bank:suspense', amount: Money.of(-9.99) }]
+        }), /Unbalanced journal entry/);
+        assert.equal(store.get('journal').length, before);
+    });
+});
+
+test('trial balance', async () => {
+    const { dataManager, checking, savings } = await setup();
+    await dataManager.processTransfer(checking.id, savings.id, 40);
+
+    const { rows, totals } = dataManager.ledger.getTrialBalance();
+
+    assert.equal(totals.USD.balanced, true);
+    assert.equal(totals.USD.debits.toNumber(), 1040);
+    assert.equal(totals.USD.credits.toNumber(), 1040);
+    assert.deepEqual(plain(rows.map(row => [row.ledger, row.name, row.balance.toNumber()])), [
+        ['bank:cash', 'Cash & settlement', 1000],
+        ...[[checking.id, null, -960], [savings.id, null, -40]].sort((a, b) => a[0].localeCompare(b[0]))
+    ]);
+});
+
+test('reconciliation', async (t) => {
+    await t.test('finds balances edited outside the journal', async () => {
+        const { dataManager, store, checking } = await setup();
+
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), balance: 1200 });
+        const [difference] = dataManager.ledger.reconcile();
+
+        assert.equal(difference.accountId, checking.id);
+        assert.equal(difference.balance.toNumber(), 1200);
+        assert.equal(difference.ledgerBalance.toNumber(), 1000);
+        assert.equal(difference.difference.toNumber(), 200);
+    });
+
+    await t.test('resolves by resetting the balance to the journal', async () => {
+        const { dataManager, store, checking } = await setup();
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), balance: 1200 });
+
+        dataManager.resolveDifference(checking.id, 'ledger');
+
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('resolves by posting the difference to suspense', async () => {
+        const { dataManager, store, checking } = await setup();
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), balance: 1200 });
+
+        dataManager.resolveDifference(checking.id, 'balance');
+
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1200);
+        assert.equal(dataManager.ledger.getBalance('bank:suspense', 'USD').toNumber(), 200);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+        assert.equal(dataManager.ledger.getTrialBalance().totals.USD.balanced, true);
+    });
+});
+
+test('migration v4 brings existing balances forward once', async () => {
+    const { store, lookup } = await createTestEnvironment({
+        schemaVersion: 3,
+        accounts: [
+            { id: 'acc_1', userId: 'user_1', balance: 150, currency: 'EUR' },
+            { id: 'acc_2', userId: 'user_1', balance: 0, currency: 'USD' }
+        ]
+    }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+
+    manager.run();
+    store.set('schemaVersion', 3);
+    manager.run();
+
+    assert.deepEqual(plain(store.get('journal').map(line => [line.ledger, line.currency, line.amount, line.description])), [
+        ['bank:cash', 'EUR', 150, 'Balance brought forward'],
+        ['acc_1', 'EUR', -150, 'Balance brought forward']
+    ]);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+const LIMITS = {
+    user: { perTransaction: 500, daily: 1000, weekly: 2000, perHour: 3 },
+    admin: { perTransaction: 5000, daily: 10000, weekly: 20000, perHour: 30 }
+};
+
+async function setup() {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES, transferLimits: LIMITS });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 10000 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 })
+    };
+}
+
+/**
+ * Move a transaction back in time
+ */
+function backdate(store, transaction, timestamp) {
+    store.putRecord('transactions', { ...store.getRecord('transactions', transaction.id), timestamp });
+}
+
+test('transfer limits', async (t) => {
+    await t.test('refuse transfers over the per-transfer limit', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban, 500.01);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Transfers to other customers are limited to $500.00 each');
+    });
+
+    await t.test('count what was sent today and this week', async () => {
+        const { dataManager, store, checking, bobChecking } = await setup();
+
+        for (const amount of [400, 400]) {
+            assert.equal((await dataManager.processTransfer(checking.id, bobChecking.iban, amount)).success, true);
+        }
+        const refused = await dataManager.processTransfer(checking.id, bobChecking.iban, 300);
+        assert.equal(refused.error, 'This transfer would exceed your daily limit of $1,000.00 - $200.00 left today');
+
+        // Move today's transfers earlier in the week, then send as much again
+        const DAY = 24 * 60 * 60 * 1000;
+        const moveBack = days => store.get('transactions')
+            .filter(txn => txn.type === 'transfer' && Date.parse(txn.timestamp) > Date.now() - DAY)
+            .forEach(txn => backdate(store, txn, new Date(Date.now() - days * DAY).toISOString()));
+        moveBack(3);
+        for (const amount of [400, 400]) {
+            assert.equal((await dataManager.processTransfer(checking.id, bobChecking.iban, amount)).success, true);
+        }
+        moveBack(2);
+
+        const weekly = await dataManager.processTransfer(checking.id, bobChecking.iban, 500);
+        assert.equal(weekly.error, 'This transfer would exceed your weekly limit of $2,000.00 - $400.00 left over the last 7 days');
+    });
+
+    await t.test('limit the number of transfers an hour', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        for (let i = 0; i < 3; i++) {
+            await dataManager.processTransfer(checking.id, bobChecking.iban, 10);
+        }
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban, 10);
+
+        assert.match(result.error, /up to 3 transfers to other customers an hour/);
+    });
+
+    await t.test('do not apply between a customer\'s own accounts', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 5000);
+
+        assert.equal(result.success, true);
+        assert.equal(dataManager.getTransferUsage(checking.userId).week.toNumber(), 0);
+    });
+
+    await t.test('failed and reversed transfers do not count', async () => {
+        const { dataManager, store, alice, checking, bobChecking } = await setup();
+        const sent = await dataManager.processTransfer(checking.id, bobChecking.iban, 400);
+        store.putRecord('transactions', { ...store.getRecord('transactions', sent.senderTransaction.id), status: 'failed' });
+
+        assert.equal(dataManager.getTransferUsage(alice.id).today.toNumber(), 0);
+    });
+
+    await t.test('still count transfers from an account closed since', async () => {
+        const { dataManager, alice, checking, savings, bobChecking } = await setup();
+        assert.equal((await dataManager.processTransfer(checking.id, savings.id, 2000)).success, true);
+        assert.equal((await dataManager.processTransfer(savings.id, bobChecking.iban, 500)).success, true);
+        assert.equal((await dataManager.processTransfer(savings.id, bobChecking.iban, 400)).success, true);
+
+        await dataManager.closeAccount(savings.id, alice.id, { sweepToAccountId: checking.id });
+
+        assert.equal(dataManager.getTransferUsage(alice.id).today.toNumber(), 900);
+        const refused = await dataManager.processTransfer(checking.id, bobChecking.iban, 200);
+        assert.equal(refused.error, 'This transfer would exceed your daily limit of $1,000.00 - $100.00 left today');
+    });
+});
+
+test('transfer limit settings', async (t) => {
+    await t.test('user overrides replace the role\'s limits', async () => {
+        const { dataManager, alice, checking, bobChecking } = await setup();
+
+        dataManager.setUserTransferLimits(alice.id, { perTransaction: 800, daily: '' });
+        assert.deepEqual(plain(dataManager.getTransferLimits(alice.id)), { perTransaction: 800, daily: 1000, weekly: 2000, perHour: 3, currency: 'USD' });
+        assert.equal((await dataManager.processTransfer(checking.id, bobChecking.iban, 700)).success, true);
+
+        const remaining = dataManager.getRemainingTransferLimits(alice.id);
+        assert.equal(remaining.daily.toNumber(), 300);
+        assert.equal(remaining.perHour, 2);
+        assert.equal(remaining.available.toNumber(), 300);
+
+        dataManager.setUserTransferLimits(alice.id, null);
+        assert.equal(dataManager.getUserById(alice.id).transferLimits, null);
+    });
+
+    await t.test('admins set role limits within bounds', async () => {
+        const { dataManager, alice } = await setup();
+
+        dataManager.setRoleTransferLimits('user', { daily: 1500 });
+        assert.equal(dataManager.getTransferLimits(alice.id).daily, 1500);
+
+        assert.throws(() => dataManager.setRoleTransferLimits('guest', {}), /Unknown role/);
+        assert.throws(() => dataManager.setRoleTransferLimits('user', { perTransaction: 0 }), /positive amounts/);
+        assert.throws(() => dataManager.setRoleTransferLimits('user', { perHour: 1.5 }), /whole number/);
+        assert.throws(() => dataManager.setRoleTransferLimits('user', { daily: 3000 }), /more than the weekly/);
+        assert.throws(() => dataManager.setUserTransferLimits(alice.id, { weekly: 100 }), /more than the weekly/);
+    });
+});
@@ -0,0 +1,272 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+const APPROVED = new Date('2024-01-31T10:00:00.000Z');
+
+async function setup() {
+    const env = await createTestEnvironment();
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+    const checking = dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 500 });
+    const savings = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 });
+    const bobChecking = dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 });
+
+    return { ...env, alice, bob, checking, savings, bobChecking };
+}
+
+/**
+ * Alice borrows 1,200 over 12 months, approved on 2024-01-31
+ */
+async function borrow(env, method = 'annuity') {
+    const { dataManager, alice, checking } = env;
+    const application = dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 12, method });
+    const { loan } = await dataManager.approveLoan(application.id, { by: 'admin_1' }, APPROVED);
+    return loan;
+}
+
+test('amortization schedules', async (t) => {
+    await t.test('annuity repayments are level and repay the whole loan', async () => {
+        const { dataManager } = await setup();
+
+        const schedule = dataManager.getAmortizationSchedule({ amount: 1200, currency: 'USD', annualRate: 0.079, termMonths: 12, method: 'annuity' }, '2024-01-31');
+
+        assert.deepEqual(plain(schedule.slice(0, 2).map(item => [item.dueDate, item.payment, item.principal, item.interest, item.balance])), [
+            ['2024-02-29', 104.33, 96.43, 7.9, 1103.57],
+            ['2024-03-31', 104.33, 97.06, 7.27, 1006.51]
+        ]);
+        assert.deepEqual(plain([schedule[11].dueDate, schedule[11].payment, schedule[11].balance]), ['2025-01-31', 104.34, 0]);
+        assert.equal(schedule.reduce((sum, item) => sum + Math.round(item.principal * 100), 0), 120000);
+    });
+
+    await t.test('linear repayments repay equal principal with falling interest', async () => {
+        const { dataManager } = await setup();
+
+        const schedule = dataManager.getAmortizationSchedule({ amount: 1000, currency: 'USD', annualRate: 0.06, termMonths: 3, method: 'linear' }, '2024-03-15');
+
+        assert.deepEqual(plain(schedule.map(item => [item.dueDate, item.payment, item.principal, item.interest, item.balance])), [
+            ['2024-04-15', 338.34, 333.34, 5, 666.66],
+            ['2024-05-15', 336.66, 333.33, 3.33, 333.33],
+            ['2024-06-15', 335, 333.33, 1.67, 0]
+        ]);
+    });
+});
+
+test('loan applications', async (t) => {
+    await t.test('are checked and wait for an admin', async () => {
+        const { dataManager, alice, bob, checking, savings } = await setup();
+
+        assert.throws(() => dataManager.applyForLoan(alice.id, { accountId: savings.id, amount: 1200, termMonths: 12 }), /checking accounts/);
+        assert.throws(() => dataManager.applyForLoan(bob.id, { accountId: checking.id, amount: 1200, termMonths: 12 }), /checking accounts/);
+        assert.throws(() => dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 999, termMonths: 12 }), /from \$1,000\.00 to \$50,000\.00/);
+        assert.throws(() => dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 7 }), /12, 24, 36, 48, 60 months/);
+        assert.throws(() => dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 12, method: 'balloon' }), /Unknown repayment method/);
+
+        const loan = dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 12 });
+        assert.equal(loan.status, 'pending');
+        assert.deepEqual(plain(dataManager.getLoansByStatus('pending').map(item => item.id)), [loan.id]);
+        assert.throws(() => dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 2000, termMonths: 24 }), /already have a loan application/);
+    });
+
+    await t.test('approval pays the loan out of a loan account without a fee', async () => {
+        const env = await setup();
+        const { dataManager, store, alice, checking } = env;
+
+        const loan = await borrow(env);
+        const loanAccount = dataManager.getAccountById(loan.loanAccountId);
+
+        assert.equal(loan.status, 'active');
+        assert.equal(loan.decidedBy, 'admin_1');
+        assert.equal(loan.schedule.length, 12);
+        assert.equal(loanAccount.type, 'loan');
+        assert.equal(loanAccount.balance, -1200);
+        assert.equal(loanAccount.overdraftLimit, 0);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1700);
+        assert.equal(dataManager.getOutstandingPrincipal(loan).toNumber(), 1200);
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.type, txn.category, txn.amount, txn.loan.kind])), [
+            ['transfer', 'loan', 1200, 'payout'],
+            ['deposit', 'loan', 1200, 'payout']
+        ]);
+        assert.match(dataManager.getNotifications(alice.id)[0].message, /approved/);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('an approval that fails partway pays nothing out and stays pending', async () => {
+        const { dataManager, store, alice, checking } = await setup();
+        const application = dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 12 });
+        const before = plain(['accounts', 'transactions', 'journal', 'notifications'].map(key => store.get(key, [])));
+
+        const notify = dataManager.notify;
+        dataManager.notify = () => {
+            throw new Error('Notification failed');
+        };
+        assert.equal((await dataManager.approveLoan(application.id)).error, 'Notification failed');
+        dataManager.notify = notify;
+
+        assert.deepEqual(plain(['accounts', 'transactions', 'journal', 'notifications'].map(key => store.get(key, []))), before);
+        assert.equal(store.getRecord('loans', application.id).status, 'pending');
+        assert.equal((await dataManager.approveLoan(application.id)).success, true);
+        assert.equal(dataManager.getAccountsByUserId(alice.id).filter(account => account.type === 'loan').length, 1);
+    });
+
+    await t.test('rejection tells the customer why', async () => {
+        const { dataManager, alice, checking } = await setup();
+        const application = dataManager.applyForLoan(alice.id, { accountId: checking.id, amount: 1200, termMonths: 12 });
+
+        const rejected = dataManager.rejectLoan(application.id, { by: 'admin_1', note: 'Income too low' });
+
+        assert.equal(rejected.status, 'rejected');
+        assert.match(dataManager.getNotifications(alice.id)[0].message, /Income too low/);
+        assert.equal((await dataManager.approveLoan(application.id)).error, 'This loan application is no longer pending');
+    });
+});
+
+test('loan repayments', async (t) => {
+    await t.test('are taken when due, principal to the loan and interest to income', async () => {
+        const env = await setup();
+        const { dataManager, store, checking } = env;
+        const loan = await borrow(env);
+
+        assert.deepEqual(plain(await dataManager.runLoanRepayments(new Date('2024-02-28T12:00:00.000Z'))), { paid: 0, late: 0 });
+        assert.deepEqual(plain(await dataManager.runLoanRepayments(new Date('2024-03-31T12:00:00.000Z'))), { paid: 2, late: 0 });
+
+        const updated = store.getRecord('loans', loan.id);
+        assert.deepEqual(plain(updated.schedule.slice(0, 3).map(item => item.status)), ['paid', 'paid', 'scheduled']);
+        assert.equal(dataManager.getOutstandingPrincipal(updated).toNumber(), 1006.51);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1491.34);
+        assert.equal(dataManager.ledger.getBalance('bank:loan_interest_income', 'USD').toNumber(), -15.17);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('are marked late with a fee when the funds are not there, and taken later', async () => {
+        const env = await setup();
+        const { dataManager, store, alice, checking } = env;
+        const loan = await borrow(env);
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), balance: 50 });
+
+        assert.deepEqual(plain(await dataManager.runLoanRepayments(new Date('2024-03-01T12:00:00.000Z'))), { paid: 0, late: 1 });
+        assert.deepEqual(plain(await dataManager.runLoanRepayments(new Date('2024-03-02T12:00:00.000Z'))), { paid: 0, late: 1 });
+
+        const late = store.getRecord('loans', loan.id).schedule[0];
+        assert.deepEqual(plain([late.status, late.lateFee]), ['late', 25]);
+        assert.ok(dataManager.getNotifications(alice.id).some(notification => /late fee of \$25\.00/.test(notification.message)));
+        assert.equal(dataManager.getLoanBook(new Date('2024-03-02T12:00:00.000Z')).overdue.toNumber(), 129.33);
+
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), balance: 1700 });
+        assert.deepEqual(plain(await dataManager.runLoanRepayments(new Date('2024-03-03T12:00:00.000Z'))), { paid: 1, late: 0 });
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1570.67);
+        assert.deepEqual(plain(store.get('transactions').filter(txn => txn.category === 'fee').map(txn => txn.description)), ['Late loan repayment fee']);
+    });
+
+    await t.test('the last repayment closes the loan and its account', async () => {
+        const env = await setup();
+        const { dataManager, store } = env;
+        const loan = await borrow(env);
+
+        await dataManager.runLoanRepayments(new Date('2025-02-01T12:00:00.000Z'));
+
+        assert.equal(store.getRecord('loans', loan.id).status, 'paid_off');
+        assert.equal(store.getRecord('accounts', loan.loanAccountId).balance, 0);
+        assert.equal(store.getRecord('accounts', loan.loanAccountId).isActive, false);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+});
+
+test('paying loans off early', async (t) => {
+    await t.test('quotes the principal, overdue interest and interest accrued since the last due date', async () => {
+        const env = await setup();
+        const { dataManager } = env;
+        const loan = await borrow(env);
+        await dataManager.runLoanRepayments(new Date('2024-02-29T12:00:00.000Z'));
+
+        const quote = dataManager.getPayoffQuote(loan.id, new Date('2024-03-15T12:00:00.000Z'));
+
+        // 15 days on 1,103.57 at 7.9% a year
+        assert.deepEqual(plain([quote.principal.toNumber(), quote.interest.toNumber(), quote.lateFees.toNumber(), quote.total.toNumber()]), [1103.57, 3.58, 0, 1107.15]);
+    });
+
+    await t.test('closes the loan and its account', async () => {
+        const env = await setup();
+        const { dataManager, store, alice, bob, checking } = env;
+        const loan = await borrow(env);
+        const now = new Date('2024-02-10T12:00:00.000Z');
+
+        assert.equal((await dataManager.payOffLoan(loan.id, bob.id, now)).error, 'Loan not found');
+        const result = await dataManager.payOffLoan(loan.id, alice.id, now);
+
+        assert.equal(result.success, true);
+        assert.equal(result.quote.total.toNumber(), 1202.6);
+        const paid = store.getRecord('loans', loan.id);
+        assert.equal(paid.status, 'paid_off');
+        assert.ok(paid.schedule.every(item => item.status === 'paid_off'));
+        assert.equal(dataManager.getAccountById(checking.id).balance, 497.4);
+        assert.equal(store.getRecord('accounts', loan.loanAccountId).isActive, false);
+        assert.throws(() => dataManager.getPayoffQuote(loan.id, now), /Only active loans/);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+});
+
+test('loan accounts', async (t) => {
+    await t.test('cannot be sent money, send money, be closed or carry cards', async () => {
+        const env = await setup();
+        const { dataManager, alice, checking, bobChecking } = env;
+        const loan = await borrow(env);
+        const loanAccount = dataManager.getAccountById(loan.loanAccountId);
+
+        assert.equal((await dataManager.processTransfer(loanAccount.id, bobChecking.iban, 10)).error, 'Money cannot be sent from a loan account');
+        assert.equal((await dataManager.processTransfer(checking.id, loanAccount.id, 10)).error, 'Loans are repaid by their monthly repayments or an early payoff');
+        await assert.rejects(dataManager.closeAccount(loanAccount.id, alice.id), /closes when the loan is paid off/);
+        await assert.rejects(dataManager.closeAccount(checking.id, alice.id), /pay it off before closing/);
+        assert.throws(() => dataManager.issueCard(alice.id, loanAccount.id), /loan accounts/);
+        assert.equal(dataManager.previewReversal(loan.reference).error, 'Loan payouts and repayments cannot be reversed');
+    });
+
+    await t.test('repayments cannot be refunded', async () => {
+        const env = await setup();
+        const { dataManager, store, alice } = env;
+        await borrow(env);
+        await dataManager.runLoanRepayments(new Date('2024-02-29T12:00:00.000Z'));
+
+        const repayment = store.get('transactions').find(txn => txn.loan.kind === 'repayment' && txn.type === 'transfer');
+
+        assert.equal(dataManager.getRefundError(repayment), 'Loan repayments cannot be refunded');
+        assert.throws(() => dataManager.requestRefund(repayment.id, alice.id, 'Not mine'), /Loan repayments cannot be refunded/);
+    });
+
+    await t.test('are not charged overdraft interest', async () => {
+        const env = await setup();
+        const { dataManager, store } = env;
+        const loan = await borrow(env);
+        store.putRecord('accounts', { ...store.getRecord('accounts', loan.loanAccountId), createdAt: '2024-01-01T00:00:00.000Z' });
+
+        const { charges } = await dataManager.runOverdraftAccrual(new Date('2024-02-01T12:00:00.000Z'));
+
+        assert.equal(charges, 0);
+    });
+});
+
+test('the loan book totals active loans', async () => {
+    const env = await setup();
+    const { dataManager } = env;
+    await borrow(env);
+    await dataManager.runLoanRepayments(new Date('2024-02-29T12:00:00.000Z'));
+
+    const book = dataManager.getLoanBook(new Date('2024-03-01T12:00:00.000Z'));
+
+    assert.equal(book.loans.length, 1);
+    assert.deepEqual(plain([book.lent.toNumber(), book.outstanding.toNumber(), book.overdue.toNumber(), book.interestEarned.toNumber(), book.pending]), [1200, 1103.57, 0, 7.9, 0]);
+    assert.equal(book.loans[0].nextRepayment.dueDate, '2024-03-31');
+});
+
+test('migration v13 starts loans', async () => {
+    const { store, lookup } = await createTestEnvironment({ schemaVersion: 12 }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    assert.deepEqual(plain(store.get('loans')), []);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+/**
+ * A migration manager over an in-memory store
+ * @param {Object} seed - Initial storage contents by key
+ */
+async function setup(seed = {}) {
+    const lookup = loadScripts(['storage.js', 'models.js', 'migrations.js']);
+    const store = new (lookup('StorageManager'))({ backend: new (lookup('MemoryBackend'))(seed) });
+    await store.ready;
+
+    return { store, lookup, manager: new (lookup('MigrationManager'))(store) };
+}
+
+/**
+ * A migration that appends its version to the 'applied' key
+ */
+function recording(version) {
+    return {
+        version,
+        description: `Record v${version}`,
+        keys: ['applied'],
+        migrate(tx) {
+            tx.set('applied', [...tx.get('applied', []), version]);
+            return 1;
+        }
+    };
+}
+
+test('migrations run in version order and are logged', async () => {
+    const { store, manager } = await setup();
+    [3, 1, 2].forEach(version => manager.register(recording(version)));
+
+    assert.equal(manager.run(), 3);
+
+    assert.deepEqual(plain(store.get('applied')), [1, 2, 3]);
+    assert.equal(store.get('schemaVersion'), 3);
+    assert.deepEqual(plain(store.get('migrationLog').map(entry => [entry.version, entry.description, entry.recordsChanged])), [
+        [1, 'Record v1', 1],
+        [2, 'Record v2', 1],
+        [3, 'Record v3', 1]
+    ]);
+});
+
+test('a second run applies nothing', async () => {
+    const { store, manager } = await setup();
+    [1, 2].forEach(version => manager.register(recording(version)));
+
+    manager.run();
+    manager.run();
+
+    assert.deepEqual(plain(store.get('applied')), [1, 2]);
+    assert.equal(store.get('migrationLog').length, 2);
+});
+
+test('only migrations newer than the stored version run', async () => {
+    const { store, manager } = await setup({ schemaVersion: 1 });
+    [1, 2].forEach(version => manager.register(recording(version)));
+
+    manager.run();
+
+    assert.deepEqual(plain(store.get('applied')), [2]);
+});
+
+test('a failing migration stops the run after the last completed one', async () => {
+    const { store, manager } = await setup();
+    manager.register(recording(1));
+    manager.register({
+        version: 2,
+        description: 'Fails halfway',
+        keys: ['applied'],
+        migrate(tx) {
+            tx.set('applied', [...tx.get('applied', []), 2]);
+            throw new Error('Unexpected record');
+        }
+    });
+    manager.register(recording(3));
+
+    assert.equal(manager.run(), 1);
+    assert.deepEqual(plain(store.get('applied')), [1]);
+
+    // Fixed and run again, it resumes where it stopped
+    manager.migrations[1] = recording(2);
+    assert.equal(manager.run(), 3);
+    assert.deepEqual(plain(store.get('applied')), [1, 2, 3]);
+});
+
+test('a version can only be registered once', async () => {
+    const { manager } = await setup();
+    manager.register(recording(1));
+
+    assert.throws(() => manager.register(recording(1)), /Migration 1 is already registered/);
+});
+
+test('the IBAN backfill gives legacy records the fields they lack, once', async () => {
+    const { store, lookup, manager } = await setup({
+        accounts: [
+            { id: 'acc_1', userId: 'user_1', balance: 10 },
+            { id: 'acc_2', userId: 'user_1', balance: 20, iban: 'FS12 FINS 0010 0000 0000 0000 0001' }
+        ],
+        transactions: [{ id: 'txn_1', accountId: 'acc_1', type: 'deposit', amount: 10 }]
+    });
+    lookup('migrationManager').migrations
+        .filter(migration => migration.version === 1)
+        .forEach(migration => manager.register(migration));
+
+    manager.run();
+    const iban = store.getRecord('accounts', 'acc_1').iban;
+
+    assert.ok(iban);
+    assert.equal(store.getRecord('accounts', 'acc_2').iban, 'FS12 FINS 0010 0000 0000 0000 0001');
+    assert.equal(store.getRecord('transactions', 'txn_1').recipientIBAN, null);
+    assert.equal(store.get('migrationLog')[0].recordsChanged, 2);
+
+    store.set('schemaVersion', 0);
+    manager.run();
+    assert.equal(store.getRecord('accounts', 'acc_1').iban, iban);
+    assert.equal(store.get('migrationLog')[1].recordsChanged, 0);
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+/**
+ * Two users with one funded account each
+ */
+async function setup() {
+    const env = await createTestEnvironment();
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        bob,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 500 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 50 })
+    };
+}
+
+test('IBAN validation', async (t) => {
+    const { Account } = await createTestEnvironment();
+
+    await t.test('accepts grouped and compact FinSim IBANs', () => {
+        assert.equal(Account.isValidIBAN('FS87 FINS 0010 1234 5678 9012 3456'), true);
+        assert.equal(Account.isValidIBAN('  FS87 FINS 0010 1234 5678 9012 3456  '), true);
+        assert.equal(Account.isValidIBAN('FS87FINS00101234567890123456'), true);
+        assert.equal(Account.isValidIBAN('fs87 fins0010 1234 5678 9012 3456'), true);
+    });
+
+    await t.test('accepts IBANs of registered countries', () => {
+        assert.equal(Account.isValidIBAN('DE89 3704 0044 0532 0130 00'), true);
+        assert.equal(Account.isValidIBAN('GB82WEST12345698765432'), true);
+        assert.equal(Account.isValidIBAN('FR14 2004 1010 0505 0001 3M02 606'), true);
+    });
+
+    await t.test('rejects malformed input', () => {
+        assert.equal(Account.isValidIBAN(null), false);
+        assert.equal(Account.isValidIBAN(12345), false);
+        assert.equal(Account.isValidIBAN(''), false);
+        assert.equal(Account.isValidIBAN('DE00 FINS0010 1234 5678 9012 3456'), false);
+        assert.equal(Account.isValidIBAN('FS00 FINS0010 1234 5678 9012'), false);
+        assert.equal(Account.isValidIBAN('FS00 BANK0010 1234 5678 9012 3456'), false);
+        assert.equal(Account.isValidIBAN('XX82 WEST 1234 5698 7654 32'), false);
+    });
+
+    await t.test('rejects mistyped digits', () => {
+        assert.equal(Account.isValidIBAN('FS00 FINS 0010 1234 5678 9012 3456'), false);
+        assert.equal(Account.isValidIBAN('FS87 FINS 0010 1234 5678 9012 3457'), false);
+        assert.equal(Account.isValidIBAN('FS87 FINS 0010 1234 5678 9021 3456'), false);
+        assert.match(Account.validateIBAN('FS87 FINS 0010 1234 5678 9012 3457').error, /check digits/);
+    });
+
+    await t.test('accepts generated IBANs', () => {
+        for (let i = 0; i < 20; i++) {
+            assert.equal(Account.isValidIBAN(Account.prototype.generateIBAN()), true);
+        }
+    });
+});
+
+test('IBAN migration', async (t) => {
+    await t.test('re-issues legacy IBANs with real check digits, keeping the account digits', async () => {
+        const { store, lookup } = await createTestEnvironment({
+            schemaVersion: 2,
+            accounts: [
+                { id: 'acc_1', userId: 'user_1', balance: 0, currency: 'USD', iban: 'FS00 FINS0010 1234 5678 9012' },
+                { id: 'acc_2', userId: 'user_1', balance: 0, currency: 'USD', iban: 'FS87 FINS 0010 1234 5678 9012 3456' }
+            ],
+            transactions: [
+                { id: 'txn_1', accountId: 'acc_2', type: 'transfer', amount: 5, currency: 'USD', recipientIBAN: 'FS00 FINS0010 1234 5678 9012', recipientName: 'Alice' }
+            ]
+        }, ['storage.js', 'models.js', 'migrations.js']);
+
+        const MigrationManager = lookup('MigrationManager');
+        const manager = new MigrationManager(store);
+        lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+
+        manager.run();
+
+        assert.equal(store.getRecord('accounts', 'acc_1').iban, 'FS93 FINS 0010 0000 1234 5678 9012');
+        assert.equal(store.getRecord('accounts', 'acc_1').previousIBAN, 'FS00 FINS0010 1234 5678 9012');
+        assert.equal(store.getRecord('accounts', 'acc_2').iban, 'FS87 FINS 0010 1234 5678 9012 3456');
+        assert.equal(store.getRecord('accounts', 'acc_2').previousIBAN, undefined);
+        assert.equal(store.getRecord('transactions', 'txn_1').recipientIBAN, 'FS93 FINS 0010 0000 1234 5678 9012');
+    });
+});
+
+test('getUserTransactions', async (t) => {
+    await t.test('returns transactions across all of the user\'s accounts, newest first', async () => {
+        const { dataManager, alice, checking, savings, bobChecking } = await setup();
+
+        dataManager.createTransaction({ accountId: checking.id, type: 'deposit', amount: 10, timestamp: '2024-01-01T10:00:00.000Z' });
+        dataManager.createTransaction({ accountId: savings.id, type: 'deposit', amount: 20, timestamp: '2024-01-03T10:00:00.000Z' });
+        dataManager.createTransaction({ accountId: checking.id, type: 'withdrawal', amount: 30, timestamp: '2024-01-02T10:00:00.000Z' });
+        dataManager.createTransaction({ accountId: bobChecking.id, type: 'deposit', amount: 40, timestamp: '2024-01-04T10:00:00.000Z' });
+
+        const transactions = await dataManager.getUserTransactions(alice.id);
+
+        assert.deepEqual(plain(transactions.map(txn => txn.amount)), [20, 30, 10]);
+    });
+
+    await t.test('skips transactions of closed accounts', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+
+        dataManager.createTransaction({ accountId: checking.id, type: 'deposit', amount: 10 });
+        dataManager.createTransaction({ accountId: savings.id, type: 'deposit', amount: 20 });
+        store.putRecord('accounts', { ...savings.toJSON(), isActive: false });
+
+        assert.deepEqual(plain((await dataManager.getUserTransactions(alice.id)).map(txn => txn.amount)), [10]);
+    });
+
+    await t.test('returns an empty list for a user without accounts', async () => {
+        const { dataManager } = await setup();
+        const carol = dataManager.createUser({ email: 'carol@example.com', firstName: 'Carol', lastName: 'White' });
+
+        assert.equal((await dataManager.getUserTransactions(carol.id)).length, 0);
+    });
+});
+
+test('processTransfer', async (t) => {
+    await t.test('moves money between the user\'s own accounts', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 250, 'Rainy day');
+
+        assert.equal(result.success, true);
+        assert.equal(result.fee, 2.5);
+        assert.equal(result.newSenderBalance, 747.5);
+        assert.equal(result.newRecipientBalance, 750);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 747.5);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 750);
+    });
+
+    await t.test('records a transfer and a matching deposit', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban, 100);
+        const sent = (await dataManager.getTransactionsByAccountId(checking.id)).filter(txn => txn.type !== 'fee');
+        const received = await dataManager.getTransactionsByAccountId(bobChecking.id);
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].id, result.senderTransaction.id);
+        assert.equal(sent[0].type, 'transfer');
+        assert.equal(sent[0].amount, 100);
+        assert.equal(sent[0].recipientIBAN, bobChecking.iban);
+        assert.equal(sent[0].recipientName, 'Bob Jones');
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].type, 'deposit');
+        assert.equal(received[0].amount, 100);
+        assert.equal(received[0].recipientIBAN, checking.iban);
+        assert.equal(received[0].recipientName, 'Alice Smith');
+    });
+
+    await t.test('finds the recipient by IBAN with or without spaces', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban.replace(/\s/g, ''), 25);
+        await dataManager.runSettlement();
+
+        assert.equal(result.success, true);
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, 75);
+    });
+
+    await t.test('rejects transfers without sufficient funds', async () => {
+        const { dataManager, bobChecking, checking } = await setup();
+
+        const result = await dataManager.processTransfer(bobChecking.id, checking.id, 50.01);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Insufficient funds');
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, 50);
+        assert.equal((await dataManager.getTransactionsByAccountId(bobChecking.id)).length, 0);
+    });
+
+    await t.test('rejects unknown, inactive and identical recipients', async () => {
+        const { dataManager, store, checking, savings } = await setup();
+
+        assert.equal((await dataManager.processTransfer(checking.id, 'FS00 FINS0010 0000 0000 0000 0000', 10)).error, 'Recipient account not found');
+        assert.equal((await dataManager.processTransfer(checking.id, checking.id, 10)).error, 'Cannot transfer to the same account');
+        assert.equal((await dataManager.processTransfer('acc_missing', savings.id, 10)).error, 'Sender account not found');
+
+        store.putRecord('accounts', { ...savings.toJSON(), isActive: false });
+        assert.equal((await dataManager.processTransfer(checking.id, savings.id, 10)).error, 'Recipient account is inactive');
+
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+    });
+
+    await t.test('rejects non-positive amounts without touching balances', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, -100);
+
+        assert.equal(result.success, false);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 500);
+    });
+
+    await t.test('writes nothing when part of the transfer fails', async () => {
+        const { dataManager, checking, savings } = await setup();
+        const createTransaction = dataManager.createTransaction.bind(dataManager);
+        let calls = 0;
+
+        dataManager.createTransaction = (data, store) => {
+            if (++calls === 2) throw new Error('Disk full');
+            return createTransaction(data, store);
+        };
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 100);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Disk full');
+        assert.equal(dataManager.getAccountById(checking.id).balance, 1000);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 500);
+        assert.equal((await dataManager.getTransactionsByAccountId(checking.id)).length, 0);
+    });
+});
+
+test('escapeHTML keeps typed text from becoming markup', async () => {
+    const { lookup } = await createTestEnvironment();
+    const escapeHTML = lookup('escapeHTML');
+
+    assert.equal(escapeHTML('<img src=x onerror="alert(1)">'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    assert.equal(escapeHTML("Tom's & Jerry's"), 'Tom&#39;s &amp; Jerry&#39;s');
+    assert.equal(escapeHTML(undefined), '');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+test('Money', async (t) => {
+    const { lookup } = await createTestEnvironment();
+    const Money = lookup('Money');
+
+    await t.test('parses decimal amounts into integer minor units', () => {
+        assert.equal(Money.of(12.34).minor, 1234);
+        assert.equal(Money.of('0.5').minor, 50);
+        assert.equal(Money.of(-3).minor, -300);
+        assert.equal(Money.of(1e-7).minor, 0);
+        assert.equal(Money.of(1500, 'JPY').minor, 1500);
+        assert.throws(() => Money.of('abc'), /Invalid money amount/);
+        assert.throws(() => Money.of(NaN), /Invalid money amount/);
+    });
+
+    await t.test('rounds half to even', () => {
+        assert.equal(Money.of('0.125').minor, 12);
+        assert.equal(Money.of('0.135').minor, 14);
+        assert.equal(Money.of('0.1251').minor, 13);
+        assert.equal(Money.of('-0.125').minor, -12);
+        assert.equal(Money.of(10).multiply(0.00125).minor, 1);
+        assert.equal(Money.of(10).multiply(0.00135).minor, 1);
+        assert.equal(Money.of(10).multiply(0.0015).minor, 2);
+    });
+
+    await t.test('adds without floating point drift', () => {
+        let total = Money.zero();
+        for (let i = 0; i < 10; i++) {
+            total = total.add(0.1);
+        }
+
+        assert.equal(total.toNumber(), 1);
+        assert.equal(Money.of(0.1).add(0.2).toNumber(), 0.3);
+        assert.equal(Money.sum([0.1, 0.2, 0.3]).toNumber(), 0.6);
+        assert.equal(Money.of(1).subtract(0.9).toNumber(), 0.1);
+    });
+
+    await t.test('allocates without losing a cent', () => {
+        assert.deepEqual(plain(Money.of(100).allocate([1, 1, 1]).map(part => part.minor)), [3334, 3333, 3333]);
+        assert.deepEqual(plain(Money.of(0.05).allocate([3, 7]).map(part => part.minor)), [2, 3]);
+        assert.deepEqual(plain(Money.of(-0.05).allocate([1, 1]).map(part => part.minor)), [-3, -2]);
+        assert.throws(() => Money.of(1).allocate([]), /positive ratio/);
+    });
+
+    await t.test('refuses to mix currencies', () => {
+        assert.throws(() => Money.of(1, 'USD').add(Money.of(1, 'EUR')), /Currency mismatch/);
+    });
+
+    await t.test('compares and formats', () => {
+        assert.equal(Money.of(5).greaterThan(4.99), true);
+        assert.equal(Money.of(5).equals('5.00'), true);
+        assert.equal(Money.max(Money.of(2), Money.of(0.5)).toNumber(), 2);
+        assert.equal(Money.of(1234.5).format(), '$1,234.50');
+        assert.equal(Money.format(-0.1), '-$0.10');
+    });
+});
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    feeSchedule: {
+        internal: { rate: 0, minimum: 0, maximum: 0 },
+        external: { rate: 0, minimum: 0, maximum: 0 }
+    }
+};
+
+test('money in the models', async (t) => {
+    await t.test('repeated small transfers stay exact', async () => {
+        const { dataManager } = await createTestEnvironment(NO_FEES);
+        const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+        const from = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 1 });
+        const to = dataManager.createAccount({ userId: user.id, type: 'savings', balance: 0 });
+
+        for (let i = 0; i < 10; i++) {
+            const result = await dataManager.processTransfer(from.id, to.id, 0.1);
+            assert.equal(result.success, true);
+        }
+
+        assert.equal(dataManager.getAccountById(from.id).balance, 0);
+        assert.equal(dataManager.getAccountById(to.id).balance, 1);
+    });
+
+    await t.test('transfers are rounded to whole cents and carry the currency', async () => {
+        const { dataManager, store } = await createTestEnvironment(NO_FEES);
+        const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+        const from = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 10 });
+        const to = dataManager.createAccount({ userId: user.id, type: 'savings', balance: 0 });
+
+        const result = await dataManager.processTransfer(from.id, to.id, 1.005);
+
+        assert.equal(result.success, true);
+        assert.equal(result.newSenderBalance, 9);
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.amount, txn.currency])), [[1, 'USD'], [1, 'USD']]);
+    });
+
+    await t.test('rejects transfers that round to nothing', async () => {
+        const { dataManager } = await createTestEnvironment();
+        const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+        const from = dataManager.createAccount({ userId: user.id, type: 'checking', balance: 10 });
+        const to = dataManager.createAccount({ userId: user.id, type: 'savings', balance: 0 });
+
+        const result = await dataManager.processTransfer(from.id, to.id, 0.004);
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /must be positive/);
+    });
+
+    await t.test('migration v2 normalizes stored amounts and backfills currencies', async () => {
+        const { store, lookup } = await createTestEnvironment({
+            schemaVersion: 1,
+            accounts: [{ id: 'acc_1', userId: 'user_1', balance: 0.30000000000000004, iban: 'FS87 FINS 0010 1234 5678 9012 3456', currency: 'EUR' }],
+            transactions: [{ id: 'txn_1', accountId: 'acc_1', type: 'deposit', amount: 0.1 + 0.2, recipientIBAN: null, recipientName: null }]
+        }, ['storage.js', 'models.js', 'migrations.js']);
+
+        const MigrationManager = lookup('MigrationManager');
+        const manager = new MigrationManager(store);
+        lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+
+        manager.run();
+
+        assert.equal(store.get('schemaVersion'), manager.getLatestVersion());
+        assert.equal(store.getRecord('accounts', 'acc_1').balance, 0.3);
+        assert.deepEqual(plain(store.getRecord('transactions', 'txn_1')), {
+            id: 'txn_1', accountId: 'acc_1', type: 'deposit', amount: 0.3, recipientIBAN: null, recipientName: null, currency: 'EUR',
+            status: 'settled', statusHistory: [{ from: null, to: 'settled', at: null, reason: 'Created', by: null }]
+        });
+    });
+});
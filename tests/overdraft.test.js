@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Alice has checking, savings and an investment account; Bob has checking
+ */
+async function setup({ checking = 50, savings = 0 } = {}) {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: checking }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: savings }),
+        investment: dataManager.createAccount({ userId: alice.id, type: 'investment', balance: 0 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 })
+    };
+}
+
+test('overdraft limits', async (t) => {
+    await t.test('withdrawals may use the arranged overdraft and no more', async () => {
+        const { Account } = await setup();
+        const account = new Account({ userId: 'user_1', balance: 10, overdraftLimit: 50 });
+
+        assert.equal(account.withdraw(60), -50);
+        assert.equal(account.isOverdrawn, true);
+        assert.throws(() => account.withdraw(0.01), /Insufficient funds/);
+    });
+
+    await t.test('transfers may use the arranged overdraft and no more', async () => {
+        const { dataManager, checking, investment } = await setup();
+        dataManager.setOverdraft(checking.id, { limit: 100 });
+
+        const refused = await dataManager.processTransfer(checking.id, investment.id, 150.01);
+        assert.equal(refused.success, false);
+        assert.match(refused.error, /Insufficient funds/);
+
+        const result = await dataManager.processTransfer(checking.id, investment.id, 150);
+        assert.equal(result.success, true);
+        assert.equal(result.newSenderBalance, -100);
+        assert.equal(dataManager.getSpendableBalance(dataManager.getAccountById(checking.id)).toNumber(), 0);
+    });
+
+    await t.test('settlement honours the overdraft', async () => {
+        const { dataManager, checking } = await setup();
+        dataManager.setOverdraft(checking.id, { limit: 100 });
+
+        const result = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 120);
+        assert.equal(result.status, 'pending');
+        assert.equal(dataManager.getAvailableBalance(dataManager.getAccountById(checking.id)).toNumber(), -70);
+
+        assert.deepEqual(plain(await dataManager.runSettlement()), { settled: 1, failed: 0 });
+        assert.equal(dataManager.getAccountById(checking.id).balance, -70);
+    });
+
+    await t.test('admins set limits within bounds', async () => {
+        const { dataManager, lookup, alice, checking, savings, bobChecking } = await setup();
+        const eur = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0, currency: 'EUR' });
+
+        assert.throws(() => dataManager.setOverdraft(checking.id, { limit: -1 }), /between/);
+        assert.throws(() => dataManager.setOverdraft(checking.id, { limit: lookup('OVERDRAFT_MAX_LIMIT') + 1 }), /between/);
+        assert.throws(() => dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: bobChecking.id }), /same customer/);
+        assert.throws(() => dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: checking.id }), /same customer/);
+        assert.throws(() => dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: eur.id }), /same currency/);
+
+        dataManager.setOverdraft(checking.id, { limit: 250.5, protection: true, linkedAccountId: savings.id });
+        const stored = dataManager.getAccountById(checking.id);
+        assert.equal(stored.overdraftLimit, 250.5);
+        assert.equal(stored.overdraftProtection, true);
+        assert.equal(stored.linkedAccountId, savings.id);
+
+        dataManager.setOverdraft(checking.id, { limit: 0, linkedAccountId: savings.id });
+        assert.equal(dataManager.getAccountById(checking.id).linkedAccountId, null);
+    });
+});
+
+test('overdraft protection', async (t) => {
+    await t.test('sweeps the shortfall from the linked account', async () => {
+        const { dataManager, store, checking, savings, investment } = await setup({ checking: 50, savings: 500 });
+        dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: savings.id });
+
+        const result = await dataManager.processTransfer(checking.id, investment.id, 120);
+
+        assert.equal(result.success, true);
+        assert.equal(result.newSenderBalance, 0);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 430);
+        assert.deepEqual(plain(store.get('transactions').filter(txn => txn.category === 'sweep').map(txn => [txn.accountId, txn.type, txn.amount])), [
+            [savings.id, 'transfer', 70],
+            [checking.id, 'deposit', 70]
+        ]);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('sweeps before using the overdraft', async () => {
+        const { dataManager, checking, savings, investment } = await setup({ checking: 50, savings: 30 });
+        dataManager.setOverdraft(checking.id, { limit: 100, protection: true, linkedAccountId: savings.id });
+
+        assert.equal(dataManager.getSpendableBalance(dataManager.getAccountById(checking.id)).toNumber(), 180);
+
+        const result = await dataManager.processTransfer(checking.id, investment.id, 120);
+
+        assert.equal(result.newSenderBalance, -40);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 0);
+    });
+
+    await t.test('does not sweep when the account covers the transfer', async () => {
+        const { dataManager, store, checking, savings, investment } = await setup({ checking: 50, savings: 500 });
+        dataManager.setOverdraft(checking.id, { protection: true, linkedAccountId: savings.id });
+
+        await dataManager.processTransfer(checking.id, investment.id, 50);
+
+        assert.equal(store.get('transactions').some(txn => txn.category === 'sweep'), false);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 500);
+    });
+});
+
+test('overdraft interest', async (t) => {
+    await t.test('charges each day that ended overdrawn, once', async () => {
+        const { dataManager, store, checking, investment } = await setup();
+        dataManager.setOverdraft(checking.id, { limit: 100 });
+        await dataManager.processTransfer(checking.id, investment.id, 100);
+
+        // -50 at 19.9% a year is 0.03 a day, and the charges compound
+        const result = await dataManager.runOverdraftAccrual(new Date(Date.now() + 3 * DAY));
+
+        assert.equal(result.charges, 3);
+        assert.equal(result.total.toNumber(), 0.09);
+        assert.equal(dataManager.getAccountById(checking.id).balance, -50.09);
+        assert.deepEqual(plain(store.get('transactions').filter(txn => txn.category === 'overdraft').map(txn => [txn.type, txn.amount, txn.status])), [
+            ['fee', 0.03, 'settled'], ['fee', 0.03, 'settled'], ['fee', 0.03, 'settled']
+        ]);
+        assert.equal(dataManager.ledger.getBalance('bank:fee_income', 'USD').toNumber(), -0.09);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+
+        const again = await dataManager.runOverdraftAccrual(new Date(Date.now() + 3 * DAY));
+        assert.equal(again.charges, 0);
+    });
+
+    await t.test('catches up with the balance each missed day ended on', async () => {
+        const { dataManager, store, checking, investment } = await setup({ checking: 0 });
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), createdAt: '2024-01-01T09:00:00.000Z' });
+        dataManager.setOverdraft(checking.id, { limit: 100 });
+
+        // Overdrawn on Jan 2, back in credit on Jan 4
+        const out = await dataManager.processTransfer(checking.id, investment.id, 100);
+        const back = await dataManager.processTransfer(investment.id, checking.id, 100);
+        const backdate = (reference, timestamp) => store.get('journal')
+            .filter(line => line.reference === reference)
+            .forEach(line => store.putRecord('journal', { ...line, timestamp }));
+        backdate(out.senderTransaction.reference, '2024-01-02T12:00:00.000Z');
+        backdate(back.senderTransaction.reference, '2024-01-04T12:00:00.000Z');
+
+        const result = await dataManager.runOverdraftAccrual(new Date('2024-01-10T08:00:00.000Z'));
+
+        assert.equal(result.charges, 2);
+        assert.deepEqual(plain(store.get('transactions').filter(txn => txn.category === 'overdraft').map(txn => [txn.description, txn.amount])), [
+            ['Overdraft interest for 2024-01-02', 0.05],
+            ['Overdraft interest for 2024-01-03', 0.05]
+        ]);
+        assert.equal(dataManager.getAccountById(checking.id).balance, -0.1);
+        assert.equal(dataManager.getAccountById(checking.id).overdraftAccruedThrough, '2024-01-09');
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('leaves accounts in credit alone', async () => {
+        const { dataManager, store } = await setup();
+
+        const result = await dataManager.runOverdraftAccrual(new Date(Date.now() + 5 * DAY));
+
+        assert.equal(result.charges, 0);
+        assert.equal(store.get('transactions').length, 0);
+    });
+});
+
+test('migration v7 starts overdrafts without charging the past', async () => {
+    const { store, lookup } = await createTestEnvironment({
+        schemaVersion: 6,
+        accounts: [{ id: 'acc_1', userId: 'user_1', balance: -20, currency: 'USD', createdAt: '2024-01-01T00:00:00.000Z', overdraftProtection: true }]
+    }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    const account = store.getRecord('accounts', 'acc_1');
+    assert.equal(account.overdraftLimit, 0);
+    assert.equal(account.overdraftProtection, false);
+    assert.equal(account.linkedAccountId, null);
+    assert.equal(account.overdraftAccruedThrough, new Date(Date.now() - DAY).toISOString().slice(0, 10));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+async function setup() {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        bob,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 1000 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 }),
+        bobSavings: dataManager.createAccount({ userId: bob.id, type: 'savings', balance: 0 })
+    };
+}
+
+test('payee book', async (t) => {
+    await t.test('saves payees with the verified account holder', async () => {
+        const { dataManager, alice, bobChecking, bobSavings } = await setup();
+        const compact = bobChecking.iban.replace(/\s/g, '').toLowerCase();
+
+        const payee = dataManager.addPayee(alice.id, { nickname: ' Landlord ', iban: compact });
+        const unnamed = dataManager.addPayee(alice.id, { iban: bobSavings.iban });
+
+        assert.equal(payee.nickname, 'Landlord');
+        assert.equal(payee.iban, bobChecking.iban);
+        assert.equal(payee.recipientName, 'Bob Jones');
+        assert.equal(unnamed.nickname, 'Bob Jones');
+        assert.equal(dataManager.findPayee(alice.id, bobChecking.iban).id, payee.id);
+        assert.deepEqual(plain(dataManager.getPayees(alice.id).map(item => item.nickname)), ['Bob Jones', 'Landlord']);
+    });
+
+    await t.test('refuses unknown, own and duplicate IBANs', async () => {
+        const { dataManager, alice, checking, bobChecking } = await setup();
+        dataManager.addPayee(alice.id, { iban: bobChecking.iban });
+
+        assert.throws(() => dataManager.addPayee(alice.id, { iban: 'FS00 NOPE' }), /28 characters/);
+        assert.throws(() => dataManager.addPayee(alice.id, { iban: checking.iban }), /own accounts/);
+        assert.throws(() => dataManager.addPayee(alice.id, { iban: bobChecking.iban }), /already one of your payees/);
+        assert.throws(() => dataManager.addPayee(alice.id, { iban: bobChecking.iban.replace(/\d{4}$/, '0000') }), /check digits|not found/);
+        // Only FinSim account holders can be verified
+        assert.throws(() => dataManager.addPayee(alice.id, { nickname: 'Abroad', iban: OTHER_BANK_IBAN }), /Recipient account not found/);
+    });
+
+    await t.test('renames and removes only the owner\'s payees', async () => {
+        const { dataManager, alice, bob, bobChecking } = await setup();
+        const payee = dataManager.addPayee(alice.id, { iban: bobChecking.iban });
+
+        assert.equal(dataManager.renamePayee(payee.id, alice.id, 'Bob').nickname, 'Bob');
+        assert.throws(() => dataManager.renamePayee(payee.id, alice.id, ''), /1 to 40/);
+        assert.throws(() => dataManager.removePayee(payee.id, bob.id), /not found/);
+
+        dataManager.removePayee(payee.id, alice.id);
+        assert.equal(dataManager.getPayees(alice.id).length, 0);
+    });
+});
+
+test('paying a payee', async (t) => {
+    await t.test('the first payment must be confirmed, later ones need not be', async () => {
+        const { dataManager, store, alice, checking, bobChecking } = await setup();
+        const payee = dataManager.addPayee(alice.id, { iban: bobChecking.iban });
+
+        const unconfirmed = await dataManager.processTransfer(checking.id, bobChecking.iban, 10);
+        assert.equal(unconfirmed.success, false);
+        assert.match(unconfirmed.error, /confirm the first payment/);
+
+        const first = await dataManager.processTransfer(checking.id, bobChecking.iban, 10, '', { payeeConfirmed: true });
+        assert.equal(first.success, true);
+        assert.equal(store.getRecord('payees', payee.id).lastUsedAt, first.senderTransaction.timestamp);
+        assert.equal(dataManager.needsPayeeConfirmation(store.getRecord('payees', payee.id)), false);
+
+        const second = await dataManager.processTransfer(checking.id, bobChecking.iban, 10);
+        assert.equal(second.success, true);
+    });
+
+    await t.test('unsaved recipients are paid as before', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban, 10);
+
+        assert.equal(result.success, true);
+    });
+});
+
+test('migration v10 starts the payee book', async () => {
+    const { store, lookup } = await createTestEnvironment({ schemaVersion: 9 }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    assert.deepEqual(plain(store.get('payees')), []);
+});
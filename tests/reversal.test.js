@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+/**
+ * Alice sent Bob 60 by IBAN (1 internal fee), settled
+ */
+async function setup(seed = {}) {
+    const env = await createTestEnvironment(seed);
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+    const checking = dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 100 });
+    const bobChecking = dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 });
+
+    const { senderTransaction } = await dataManager.processTransfer(checking.id, bobChecking.iban, 60);
+
+    return { ...env, alice, bob, checking, bobChecking, reference: senderTransaction.reference, transfer: senderTransaction };
+}
+
+test('reversing a transfer', async (t) => {
+    await t.test('restores both balances and refunds the fee', async () => {
+        const { dataManager, checking, bobChecking, reference } = await setup();
+        assert.equal(dataManager.getAccountById(checking.id).balance, 39);
+
+        const result = await dataManager.reverseTransfer(reference, { reason: 'Sent to the wrong person', by: 'admin_1' });
+
+        assert.equal(result.success, true);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 100);
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, 0);
+        assert.deepEqual(plain(result.reversalTransactions.map(txn => [txn.accountId, txn.type, txn.amount, txn.linkedReference])), [
+            [bobChecking.id, 'withdrawal', 60, reference],
+            [checking.id, 'deposit', 60, reference],
+            [checking.id, 'deposit', 1, reference]
+        ]);
+    });
+
+    await t.test('marks the original legs reversed with an audit', async () => {
+        const { dataManager, reference } = await setup();
+
+        await dataManager.reverseTransfer(reference, { reason: 'Duplicate payment', by: 'admin_1' });
+        const legs = dataManager.getTransferLegs(reference);
+
+        assert.equal(legs.senderTransaction.status, 'reversed');
+        assert.equal(legs.recipientTransaction.status, 'reversed');
+        assert.equal(legs.feeTransaction.status, 'reversed');
+        assert.equal(legs.senderTransaction.statusHistory.at(-1).by, 'admin_1');
+        assert.equal(legs.senderTransaction.reversal.reason, 'Duplicate payment');
+        assert.equal(legs.senderTransaction.reversal.override, null);
+    });
+
+    await t.test('keeps the journal balanced', async () => {
+        const { dataManager, reference } = await setup();
+
+        await dataManager.reverseTransfer(reference, { reason: 'Duplicate payment' });
+
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+        assert.equal(dataManager.ledger.getTrialBalance().totals.USD.balanced, true);
+        assert.equal(dataManager.ledger.getBalance('bank:fee_income', 'USD').toNumber(), 0);
+    });
+
+    await t.test('cannot reverse twice or without a reason', async () => {
+        const { dataManager, reference } = await setup();
+
+        assert.match((await dataManager.reverseTransfer(reference, {})).error, /reason is required/);
+        await dataManager.reverseTransfer(reference, { reason: 'Duplicate payment' });
+        assert.match((await dataManager.reverseTransfer(reference, { reason: 'Again' })).error, /Only settled transfers/);
+    });
+
+    await t.test('needs an override to overdraw the recipient', async () => {
+        const { dataManager, store, checking, bobChecking, reference } = await setup();
+        store.putRecord('accounts', { ...store.getRecord('accounts', bobChecking.id), balance: 45 });
+
+        const preview = dataManager.previewReversal(reference);
+        assert.equal(preview.overdraws, true);
+        assert.equal(preview.available.toNumber(), 45);
+
+        const blocked = await dataManager.reverseTransfer(reference, { reason: 'Fraud' });
+        assert.equal(blocked.success, false);
+        assert.match(blocked.error, /overdraw the recipient by \$15\.00/);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 39);
+
+        const result = await dataManager.reverseTransfer(reference, { reason: 'Fraud', by: 'admin_1', override: { reason: 'Confirmed fraud' } });
+        assert.equal(result.success, true);
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, -15);
+        assert.deepEqual(plain(dataManager.getTransferLegs(reference).senderTransaction.reversal.override), { reason: 'Confirmed fraud', shortfall: 15 });
+    });
+
+    await t.test('not for money that went to another bank', async () => {
+        const { dataManager, checking } = await setup();
+        const { senderTransaction } = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 10);
+        await dataManager.runSettlement();
+
+        assert.equal(dataManager.previewReversal(senderTransaction.reference).error, 'Transfers to other banks cannot be reversed');
+        assert.equal(dataManager.getRefundError(dataManager.getTransferLegs(senderTransaction.reference).senderTransaction), 'Transfers to other banks cannot be refunded');
+    });
+});
+
+test('refund requests', async (t) => {
+    await t.test('users request refunds of their settled transfers', async () => {
+        const { dataManager, alice, bob, transfer } = await setup();
+
+        assert.throws(() => dataManager.requestRefund(transfer.id, bob.id, 'Not mine'), /Transaction not found/);
+        assert.throws(() => dataManager.requestRefund(transfer.id, alice.id, '  '), /say why/);
+
+        const request = dataManager.requestRefund(transfer.id, alice.id, 'Wrong IBAN');
+
+        assert.equal(request.status, 'open');
+        assert.equal(request.reference, transfer.reference);
+        assert.deepEqual(plain(dataManager.getRefundRequests('open').map(item => item.id)), [request.id]);
+        assert.throws(() => dataManager.requestRefund(transfer.id, alice.id, 'Wrong IBAN'), /already been requested/);
+    });
+
+    await t.test('approving reverses the transfer and closes the request', async () => {
+        const { dataManager, alice, checking, transfer } = await setup();
+        const request = dataManager.requestRefund(transfer.id, alice.id, 'Wrong IBAN');
+
+        const result = await dataManager.approveRefund(request.id, { by: 'admin_1' });
+
+        assert.equal(result.success, true);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 100);
+        assert.deepEqual(plain(dataManager.getRefundRequests().map(item => [item.status, item.resolvedBy])), [['approved', 'admin_1']]);
+        assert.equal(dataManager.getTransferLegs(transfer.reference).senderTransaction.reversal.reason, 'Refund requested: Wrong IBAN');
+    });
+
+    await t.test('a blocked approval leaves the request open', async () => {
+        const { dataManager, store, alice, bobChecking, transfer } = await setup();
+        const request = dataManager.requestRefund(transfer.id, alice.id, 'Wrong IBAN');
+        store.putRecord('accounts', { ...store.getRecord('accounts', bobChecking.id), balance: 0 });
+
+        const result = await dataManager.approveRefund(request.id, { by: 'admin_1' });
+
+        assert.equal(result.success, false);
+        assert.equal(dataManager.getRefundRequests('open').length, 1);
+    });
+
+    await t.test('rejecting records the note', async () => {
+        const { dataManager, alice, transfer } = await setup();
+        const request = dataManager.requestRefund(transfer.id, alice.id, 'Changed my mind');
+
+        dataManager.rejectRefund(request.id, { by: 'admin_1', note: 'Goods were delivered' });
+
+        assert.deepEqual(plain(dataManager.getRefundRequests().map(item => [item.status, item.note])), [['rejected', 'Goods were delivered']]);
+        assert.throws(() => dataManager.rejectRefund(request.id), /no longer open/);
+    });
+});
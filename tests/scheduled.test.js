@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const today = () => new Date().toISOString().slice(0, 10);
+const inDays = days => new Date(Date.now() + days * DAY);
+
+async function setup({ checking = 1000 } = {}) {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        alice,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: checking }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 })
+    };
+}
+
+test('standing orders', async (t) => {
+    await t.test('are validated when set up', async () => {
+        const { dataManager, alice, checking, savings, bobChecking } = await setup();
+        const order = { fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 10, startDate: today() };
+
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, fromAccountId: bobChecking.id }), /Sender account not found/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, toAccountIdentifier: checking.id }), /same account/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, amount: 0 }), /must be positive/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, frequency: 'daily' }), /Frequency/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, frequency: 'interval', intervalDays: 0 }), /interval/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, startDate: '2020-01-01' }), /today or later/);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, frequency: 'weekly', maxRuns: 0.5 }), /whole number/);
+
+        const created = dataManager.createStandingOrder(alice.id, { ...order, toAccountIdentifier: bobChecking.iban, description: 'Rent' });
+        assert.equal(created.recipientName, 'Bob Jones');
+        assert.equal(created.nextRunDate, today());
+        assert.deepEqual(plain(dataManager.getStandingOrders(alice.id).map(item => item.id)), [created.id]);
+
+        const abroad = dataManager.createStandingOrder(alice.id, { ...order, toAccountIdentifier: OTHER_BANK_IBAN });
+        assert.deepEqual(plain([abroad.recipientName, abroad.recipientIBAN]), ['External account', OTHER_BANK_IBAN]);
+        assert.throws(() => dataManager.createStandingOrder(alice.id, { ...order, toAccountIdentifier: 'DE00 3704 0044 0532 0130 00' }), /Recipient account not found/);
+    });
+
+    await t.test('monthly orders fall on the chosen day, or the last day of short months', async () => {
+        const { dataManager } = await setup();
+        const order = { frequency: 'monthly', dayOfMonth: 31, endDate: null };
+
+        assert.equal(dataManager.getMonthlyRunDate('2024-02-10', 31), '2024-02-29');
+        assert.equal(dataManager.getMonthlyRunDate('2024-02-10', 5), '2024-03-05');
+        assert.equal(dataManager.getNextRunDate(order, '2024-01-31'), '2024-02-29');
+        assert.equal(dataManager.getNextRunDate(order, '2024-02-29'), '2024-03-31');
+        assert.equal(dataManager.getNextRunDate({ ...order, endDate: '2024-03-30' }, '2024-02-29'), null);
+        assert.equal(dataManager.getNextRunDate({ frequency: 'interval', intervalDays: 10 }, '2024-01-25'), '2024-02-04');
+    });
+
+    await t.test('users pause, resume, edit and cancel them', async () => {
+        const { dataManager, alice, checking, savings } = await setup();
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 10, frequency: 'weekly', startDate: today()
+        });
+
+        assert.equal(dataManager.setStandingOrderStatus(order.id, alice.id, 'paused').status, 'paused');
+        assert.throws(() => dataManager.setStandingOrderStatus(order.id, alice.id, 'paused'), /cannot be paused/);
+        assert.equal(dataManager.setStandingOrderStatus(order.id, alice.id, 'active').status, 'active');
+
+        const edited = dataManager.updateStandingOrder(order.id, alice.id, { amount: 25.5, runs: 99 });
+        assert.equal(edited.amount, 25.5);
+        assert.equal(edited.runs, 0);
+
+        dataManager.setStandingOrderStatus(order.id, alice.id, 'cancelled');
+        assert.throws(() => dataManager.updateStandingOrder(order.id, alice.id, { amount: 5 }), /cancelled standing order cannot be changed/);
+        assert.throws(() => dataManager.setStandingOrderStatus(order.id, 'someone_else', 'active'), /not found/);
+    });
+});
+
+test('the standing order scheduler', async (t) => {
+    await t.test('pays due orders once and stops after the last payment', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 100, frequency: 'weekly', startDate: today(), maxRuns: 2
+        });
+
+        assert.deepEqual(plain(await dataManager.runStandingOrders()), { executed: 1, failed: 0, skipped: 0 });
+        assert.deepEqual(plain(await dataManager.runStandingOrders()), { executed: 0, failed: 0, skipped: 0 });
+
+        // Missed runs are caught up, but not past the number of payments
+        assert.deepEqual(plain(await dataManager.runStandingOrders(inDays(30))), { executed: 1, failed: 0, skipped: 0 });
+
+        const stored = store.getRecord('scheduledTransfers', order.id);
+        assert.equal(stored.status, 'completed');
+        assert.equal(stored.runs, 2);
+        assert.equal(dataManager.getAccountById(savings.id).balance, 200);
+        assert.deepEqual(plain(store.get('transactions').filter(txn => txn.standingOrder).map(txn => txn.standingOrder.runDate)), [
+            today(), inDays(7).toISOString().slice(0, 10)
+        ]);
+    });
+
+    await t.test('does not pay a run twice when another tab already made it', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 100, startDate: today()
+        });
+
+        // The transfer was made but the order was not updated
+        await dataManager.processTransfer(checking.id, savings.id, 100, '', { standingOrder: { id: order.id, runDate: today() } });
+        const result = await dataManager.runStandingOrders();
+
+        assert.deepEqual(plain(result), { executed: 1, failed: 0, skipped: 0 });
+        assert.equal(store.getRecord('scheduledTransfers', order.id).status, 'completed');
+        assert.equal(dataManager.getAccountById(savings.id).balance, 100);
+    });
+
+    await t.test('retries when funds are short, then skips the run and notifies', async () => {
+        const { dataManager, store, lookup, alice, checking, savings } = await setup({ checking: 50 });
+        const { attempts, delayMs } = lookup('STANDING_ORDER_RETRY');
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 100, frequency: 'weekly', startDate: today()
+        });
+
+        const first = await dataManager.runStandingOrders();
+        assert.deepEqual(plain(first), { executed: 0, failed: 1, skipped: 0 });
+        assert.equal(store.getRecord('scheduledTransfers', order.id).attempts, 1);
+        assert.deepEqual(plain(await dataManager.runStandingOrders()), { executed: 0, failed: 0, skipped: 0 });
+
+        let now = Date.now();
+        for (let attempt = 2; attempt < attempts; attempt++) {
+            now += delayMs;
+            await dataManager.runStandingOrders(new Date(now));
+        }
+        const last = await dataManager.runStandingOrders(new Date(now + delayMs));
+
+        assert.deepEqual(plain(last), { executed: 0, failed: 0, skipped: 1 });
+        const stored = store.getRecord('scheduledTransfers', order.id);
+        assert.equal(stored.status, 'active');
+        assert.equal(stored.nextRunDate, inDays(7).toISOString().slice(0, 10));
+        assert.equal(stored.history[0].status, 'skipped');
+
+        const notifications = dataManager.getNotifications(alice.id, { unreadOnly: true });
+        assert.equal(notifications.length, attempts);
+        assert.equal(notifications.filter(notification => /skipped/.test(notification.message)).length, 1);
+        assert.equal(dataManager.markNotificationsRead(alice.id), attempts);
+        assert.equal(dataManager.getNotifications(alice.id, { unreadOnly: true }).length, 0);
+    });
+
+    await t.test('pauses orders that fail for other reasons', async () => {
+        const { dataManager, store, alice, checking, savings } = await setup();
+        const order = dataManager.createStandingOrder(alice.id, {
+            fromAccountId: checking.id, toAccountIdentifier: savings.id, amount: 100, frequency: 'weekly', startDate: today()
+        });
+        store.putRecord('accounts', { ...store.getRecord('accounts', savings.id), isActive: false });
+
+        await dataManager.runStandingOrders();
+
+        assert.equal(store.getRecord('scheduledTransfers', order.id).status, 'paused');
+        assert.equal(dataManager.getNotifications(alice.id).length, 1);
+    });
+});
+
+test('migration v9 starts standing orders and notifications', async () => {
+    const { store, lookup } = await createTestEnvironment({ schemaVersion: 8 }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    assert.deepEqual(plain(store.get('scheduledTransfers')), []);
+    assert.deepEqual(plain(store.get('notifications')), []);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain, OTHER_BANK_IBAN } = require('./harness');
+
+// Fees are covered in fees.test.js
+const NO_FEES = {
+    internal: { rate: 0, minimum: 0, maximum: 0 },
+    external: { rate: 0, minimum: 0, maximum: 0 }
+};
+
+/**
+ * Alice pays another bank by IBAN
+ */
+async function setup(seed = {}) {
+    const env = await createTestEnvironment({ feeSchedule: NO_FEES, ...seed });
+    const { dataManager } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+
+    return {
+        ...env,
+        checking: dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 100 }),
+        savings: dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 0 }),
+        bobChecking: dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0 })
+    };
+}
+
+test('status lifecycle', async (t) => {
+    const { Transaction } = await createTestEnvironment();
+
+    await t.test('allows only the defined transitions', () => {
+        assert.equal(Transaction.canTransition('pending', 'settled'), true);
+        assert.equal(Transaction.canTransition('pending', 'failed'), true);
+        assert.equal(Transaction.canTransition('settled', 'reversed'), true);
+        assert.equal(Transaction.canTransition('settled', 'pending'), false);
+        assert.equal(Transaction.canTransition('failed', 'settled'), false);
+        assert.equal(Transaction.canTransition('reversed', 'settled'), false);
+    });
+
+    await t.test('records each transition', () => {
+        const transaction = new Transaction({ accountId: 'acc_1', type: 'transfer', amount: 5, status: 'pending' });
+
+        transaction.transitionTo('settled', 'Settlement run');
+        transaction.transitionTo('reversed', 'Disputed', 'admin_1');
+
+        assert.equal(transaction.status, 'reversed');
+        assert.deepEqual(plain(transaction.statusHistory.map(entry => [entry.from, entry.to, entry.reason, entry.by])), [
+            [null, 'pending', 'Created', null],
+            ['pending', 'settled', 'Settlement run', null],
+            ['settled', 'reversed', 'Disputed', 'admin_1']
+        ]);
+        assert.throws(() => transaction.transitionTo('settled'), /Cannot change a reversed transaction to settled/);
+    });
+
+    await t.test('reads legacy completed transactions as settled', () => {
+        assert.equal(new Transaction({ accountId: 'acc_1', type: 'deposit', amount: 5, status: 'completed' }).status, 'settled');
+    });
+});
+
+test('external transfers', async (t) => {
+    await t.test('stay pending and only reduce the available balance', async () => {
+        const { dataManager, store, checking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+
+        assert.equal(result.status, 'pending');
+        assert.equal(result.recipientTransaction, null);
+        assert.equal(dataManager.getAccountById(checking.id).balance, 100);
+        assert.equal(dataManager.getAvailableBalance(dataManager.getAccountById(checking.id)).toNumber(), 40);
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.status, txn.recipientIBAN, txn.recipientName])), [
+            ['pending', OTHER_BANK_IBAN, 'External account']
+        ]);
+        assert.equal(store.get('journal').filter(line => line.transactionId).length, 0);
+    });
+
+    await t.test('only go to IBANs outside FinSim', async () => {
+        const { dataManager, checking, bobChecking } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, bobChecking.iban, 60);
+
+        assert.equal(result.status, 'settled');
+        assert.equal(dataManager.getAccountById(bobChecking.id).balance, 60);
+        assert.equal((await dataManager.processTransfer(checking.id, 'FS00 FINS 0000 0000 0000 0000 0000', 10)).error, 'Recipient account not found');
+        assert.equal((await dataManager.processTransfer(checking.id, 'DE00 3704 0044 0532 0130 00', 10)).error, 'Recipient account not found');
+    });
+
+    await t.test('cannot spend money held by a pending transfer', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+        const result = await dataManager.processTransfer(checking.id, savings.id, 50);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Insufficient funds');
+    });
+
+    await t.test('internal transfers settle immediately', async () => {
+        const { dataManager, checking, savings } = await setup();
+
+        const result = await dataManager.processTransfer(checking.id, savings.id, 30);
+
+        assert.equal(result.status, 'settled');
+        assert.equal(result.senderTransaction.status, 'settled');
+        assert.equal(dataManager.getAccountById(savings.id).balance, 30);
+    });
+});
+
+test('settlement run', async (t) => {
+    await t.test('moves the money out through cash & settlement', async () => {
+        const { dataManager, store, checking } = await setup();
+        const { senderTransaction } = await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+
+        const result = await dataManager.runSettlement();
+        const legs = dataManager.getTransferLegs(senderTransaction.reference);
+
+        assert.deepEqual(plain(result), { settled: 1, failed: 0 });
+        assert.equal(dataManager.getAccountById(checking.id).balance, 40);
+        assert.equal(legs.senderTransaction.status, 'settled');
+        assert.equal(legs.senderTransaction.statusHistory[1].reason, 'Settlement run');
+        assert.deepEqual(plain(store.get('journal').filter(line => line.transactionId === senderTransaction.id).map(line => [line.ledger, line.amount])), [
+            [checking.id, 60],
+            ['bank:cash', -60]
+        ]);
+        assert.deepEqual(plain(dataManager.ledger.reconcile()), []);
+    });
+
+    await t.test('fails transfers from accounts closed in the meantime', async () => {
+        const { dataManager, store, checking } = await setup();
+        await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+        store.putRecord('accounts', { ...store.getRecord('accounts', checking.id), isActive: false });
+
+        const result = await dataManager.runSettlement();
+
+        assert.deepEqual(plain(result), { settled: 0, failed: 1 });
+        assert.deepEqual(plain(store.get('transactions').map(txn => [txn.status, txn.statusHistory[1].reason])), [
+            ['failed', 'Sender account is closed']
+        ]);
+        assert.equal(dataManager.getAvailableBalance(dataManager.getAccountById(checking.id)).toNumber(), 100);
+    });
+
+    await t.test('leaves transfers younger than the delay alone', async () => {
+        const { dataManager, checking } = await setup();
+        await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+
+        assert.deepEqual(plain(await dataManager.runSettlement({ olderThan: 60000 })), { settled: 0, failed: 0 });
+        assert.equal(dataManager.getPendingTransactions().length, 1);
+    });
+
+    await t.test('does not settle a transfer twice', async () => {
+        const { dataManager, checking } = await setup();
+        await dataManager.processTransfer(checking.id, OTHER_BANK_IBAN, 60);
+
+        await dataManager.runSettlement();
+        await dataManager.runSettlement();
+
+        assert.equal(dataManager.getAccountById(checking.id).balance, 40);
+    });
+});
+
+test('migration v5 moves completed transactions to settled', async () => {
+    const { store, lookup } = await createTestEnvironment({
+        schemaVersion: 4,
+        transactions: [
+            { id: 'txn_1', accountId: 'acc_1', type: 'deposit', amount: 5, status: 'completed', timestamp: '2024-01-01T00:00:00.000Z' },
+            { id: 'txn_2', accountId: 'acc_1', type: 'transfer', amount: 5, status: 'pending', timestamp: '2024-01-02T00:00:00.000Z' }
+        ]
+    }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+
+    manager.run();
+
+    assert.deepEqual(plain(store.get('transactions').map(txn => [txn.status, txn.statusHistory])), [
+        ['settled', [{ from: null, to: 'settled', at: '2024-01-01T00:00:00.000Z', reason: 'Created', by: null }]],
+        ['pending', [{ from: null, to: 'pending', at: '2024-01-02T00:00:00.000Z', reason: 'Created', by: null }]]
+    ]);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+const OPENED = '2024-01-01T09:00:00.000Z';
+
+/**
+ * Alice and Bob opened accounts on 2024-01-01. In February Alice sent Bob 60 by
+ * IBAN, paying a 1 fee; all postings are backdated in the journal.
+ */
+async function setup() {
+    const env = await createTestEnvironment();
+    const { dataManager, store } = env;
+
+    const alice = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const bob = dataManager.createUser({ email: 'bob@example.com', firstName: 'Bob', lastName: 'Jones' });
+    const checking = dataManager.createAccount({ userId: alice.id, type: 'checking', balance: 100, createdAt: OPENED });
+    const bobChecking = dataManager.createAccount({ userId: bob.id, type: 'checking', balance: 0, createdAt: OPENED });
+
+    const { senderTransaction } = await dataManager.processTransfer(checking.id, bobChecking.iban, 60);
+
+    store.get('journal', []).forEach(line => store.putRecord('journal', {
+        ...line, timestamp: line.description === 'Opening balance' ? OPENED : '2024-02-10T12:00:00.000Z'
+    }));
+    store.get('transactions', []).forEach(txn => store.putRecord('transactions', { ...txn, timestamp: '2024-02-10T11:00:00.000Z' }));
+
+    return { ...env, alice, bob, checking, bobChecking, reference: senderTransaction.reference };
+}
+
+test('month-end statements', async (t) => {
+    await t.test('are made once for every month that has ended', async () => {
+        const { dataManager, store, checking } = await setup();
+
+        assert.equal(await dataManager.runMonthEndStatements(new Date('2024-03-15T12:00:00.000Z')), 4);
+        assert.equal(await dataManager.runMonthEndStatements(new Date('2024-03-15T12:00:00.000Z')), 0);
+        assert.deepEqual(plain(dataManager.getStatements(checking.id).map(statement => statement.month)), ['2024-02', '2024-01']);
+        assert.equal(store.get('statements').length, 4);
+    });
+
+    await t.test('itemize the month with balances, fees and the account holder', async () => {
+        const { dataManager, alice, checking, bobChecking, reference } = await setup();
+        await dataManager.runMonthEndStatements(new Date('2024-03-15T12:00:00.000Z'));
+
+        const [february, january] = dataManager.getStatements(checking.id);
+
+        assert.equal(january.opening, 0);
+        assert.equal(january.closing, 100);
+        assert.equal(february.holderName, alice.fullName);
+        assert.equal(february.maskedIBAN, dataManager.getAccountById(checking.id).maskedIBAN);
+        assert.deepEqual(plain([february.opening, february.moneyIn, february.moneyOut, february.closing, february.fees, february.interest]), [100, 0, 61, 39, 1, 0]);
+        assert.deepEqual(plain(february.lines.map(line => [line.kind, line.reference, line.amount, line.balance])), [
+            ['transfer', reference, -60, 40],
+            ['fee', reference, -1, 39]
+        ]);
+
+        const [received] = dataManager.getStatements(bobChecking.id);
+        assert.deepEqual(plain(received.lines.map(line => [line.kind, line.amount, line.balance])), [['deposit', 60, 60]]);
+    });
+
+    await t.test('include the interest posted at the end of the month', async () => {
+        const { dataManager, store, alice } = await setup();
+        const savings = dataManager.createAccount({ userId: alice.id, type: 'savings', balance: 10000, createdAt: OPENED });
+        store.get('journal', []).filter(line => line.ledger === savings.id)
+            .forEach(line => store.putRecord('journal', { ...line, timestamp: OPENED }));
+
+        const now = new Date('2024-02-02T12:00:00.000Z');
+        await dataManager.runInterestAccrual(now);
+        await dataManager.runMonthEndStatements(now);
+
+        const [january] = dataManager.getStatements(savings.id);
+        assert.equal(january.month, '2024-01');
+        assert.ok(january.interest > 0);
+        assert.equal(january.closing, 10000 + january.interest);
+        assert.equal(january.lines[january.lines.length - 1].kind, 'interest');
+    });
+});
+
+test('regenerating statements', async (t) => {
+    await t.test('replaces the statement and records who made it', async () => {
+        const { dataManager, lookup, checking } = await setup();
+        const Money = lookup('Money');
+        const now = new Date('2024-03-15T12:00:00.000Z');
+        await dataManager.runMonthEndStatements(now);
+
+        // A correction credited into February afterwards
+        dataManager.ledger.post({
+            description: 'Correction',
+            timestamp: '2024-02-20T12:00:00.000Z',
+            lines: [
+                { ledger: 'bank:suspense', amount: Money.of(5) },
+                { ledger: checking.id, amount: Money.of(-5) }
+            ]
+        });
+
+        const statement = dataManager.generateStatement(checking.id, '2024-02', { by: 'admin_1' }, now);
+
+        assert.equal(statement.revision, 2);
+        assert.equal(statement.generatedBy, 'admin_1');
+        assert.equal(statement.closing, 44);
+        assert.equal(statement.lines.find(line => line.kind === 'adjustment').description, 'Correction');
+        assert.equal(dataManager.getStatements(checking.id).length, 2);
+    });
+
+    await t.test('only for months the account was open that have ended', async () => {
+        const { dataManager, checking } = await setup();
+        const now = new Date('2024-03-15T12:00:00.000Z');
+
+        assert.throws(() => dataManager.generateStatement(checking.id, '2024-03', {}, now), /once the month has ended/);
+        assert.throws(() => dataManager.generateStatement(checking.id, '2023-12', {}, now), /not open in that month/);
+        assert.throws(() => dataManager.generateStatement('acc_missing', '2024-01', {}, now), /Account not found/);
+    });
+});
+
+test('migration v11 starts statements', async () => {
+    const { store, lookup } = await createTestEnvironment({ schemaVersion: 10 }, ['storage.js', 'models.js', 'migrations.js']);
+
+    const MigrationManager = lookup('MigrationManager');
+    const manager = new MigrationManager(store);
+    lookup('migrationManager').migrations.forEach(migration => manager.register(migration));
+    manager.run();
+
+    assert.deepEqual(plain(store.get('statements')), []);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestEnvironment, plain } = require('./harness');
+
+function quotaError() {
+    const error = new Error('The quota has been exceeded.');
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+test('usage is tracked per finsim_ key', async () => {
+    const { store } = await createTestEnvironment();
+    store.set('notes', 'x'.repeat(100));
+
+    const usage = store.getUsage();
+    const notes = usage.keys.find(entry => entry.key === 'finsim_notes');
+
+    assert.equal(notes.bytes, JSON.stringify('x'.repeat(100)).length * 2);
+    assert.equal(usage.keys[0].key, 'finsim_notes');
+    assert.equal(usage.total, usage.keys.reduce((total, entry) => total + entry.bytes, 0));
+});
+
+test('quota warning follows the configured threshold', async () => {
+    const { store } = await createTestEnvironment();
+
+    assert.equal((await store.estimateQuota()).warning, false);
+
+    store.set('storageSettings', { warningThreshold: 0.0000001 });
+    assert.equal((await store.estimateQuota()).warning, true);
+});
+
+test('set throws when the quota is exceeded and keeps the old value', async () => {
+    const { store } = await createTestEnvironment({ notes: 'old' });
+    const errors = [];
+    store.subscribe('storageError', ({ error }) => errors.push(error));
+    store.backend.write = () => { throw quotaError(); };
+
+    assert.throws(() => store.set('notes', 'new'), { name: 'StorageQuotaError' });
+    assert.equal(store.get('notes'), 'old');
+    assert.equal(errors.length, 1);
+});
+
+test('other write failures still return false', async () => {
+    const { store } = await createTestEnvironment({ notes: 'old' });
+    store.backend.write = () => { throw new Error('Broken'); };
+
+    assert.equal(store.set('notes', 'new'), false);
+    assert.equal(store.get('notes'), 'old');
+});
+
+test('a transfer that fails to persist is reported and rolled back', async () => {
+    const { store, dataManager } = await createTestEnvironment();
+    const user = dataManager.createUser({ email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith' });
+    const checking = dataManager.createAccount({ userId: user.id, balance: 100 });
+    const savings = dataManager.createAccount({ userId: user.id, balance: 0 });
+
+    // Asynchronous backends (IndexedDB) report quota errors after the fact
+    store.backend.write = () => Promise.reject(quotaError());
+
+    const result = await dataManager.processTransfer(checking.id, savings.id, 40);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Storage is full/);
+    assert.equal(dataManager.getAccountById(checking.id).balance, 100);
+    assert.equal(dataManager.getAccountById(savings.id).balance, 0);
+    assert.equal(store.get('transactions').length, 0);
+});
+
+/**
+ * An asynchronous backend whose writes wait until the test settles them, in order
+ */
+function deferWrites(store) {
+    const write = store.backend.write.bind(store.backend);
+    const writes = [];
+    store.backend.write = changes => new Promise((resolve, reject) => {
+        writes.push({
+            keys: plain(changes.map(change => change.key)),
+            succeed: () => resolve(write(changes)),
+            fail: error => reject(error)
+        });
+    });
+    return writes;
+}
+
+test('writes made while an asynchronous write is unconfirmed wait for it', async () => {
+    const { store } = await createTestEnvironment({ notes: 'old' });
+    const writes = deferWrites(store);
+
+    store.transaction(['notes', 'tags'], (tx) => {
+        tx.set('notes', 'first');
+        tx.set('tags', ['a']);
+    });
+    store.set('notes', 'second');
+
+    assert.deepEqual(writes.map(write => write.keys), [['notes', 'tags']]);
+    writes[0].succeed();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(writes.map(write => write.keys), [['notes', 'tags'], ['notes']]);
+    writes[1].succeed();
+
+    await store.flush();
+    assert.equal(store.backend.loadAll().notes, 'second');
+    assert.deepEqual(plain(store.backend.loadAll().tags), ['a']);
+});
+
+test('a failed asynchronous write is rolled back with every write queued behind it', async () => {
+    const { store } = await createTestEnvironment({ notes: 'old' });
+    const writes = deferWrites(store);
+    const errors = [];
+    store.subscribe('storageError', ({ error }) => errors.push(error));
+
+    store.transaction(['notes', 'tags'], (tx) => {
+        tx.set('notes', 'first');
+        tx.set('tags', ['a']);
+    });
+    store.set('notes', 'second');
+    store.set('labels', ['b']);
+
+    writes[0].fail(quotaError());
+    await assert.rejects(store.flush(), { name: 'StorageQuotaError' });
+
+    assert.equal(store.get('notes'), 'old');
+    assert.equal(store.get('tags'), null);
+    assert.equal(store.get('labels'), null);
+    assert.equal(writes.length, 1);
+    assert.equal(errors.length, 1);
+
+    // Later writes go straight to the backend again
+    store.set('notes', 'third');
+    assert.equal(writes.length, 2);
+});
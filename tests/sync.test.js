@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTestEnvironment, plain } = require('./harness');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A browser with one localStorage shared by its tabs. Like a real browser, a write
+ * in one tab fires a 'storage' event in every other tab, not in the writer.
+ */
+function createBrowser(items = {}) {
+    const tabs = [];
+    const notify = (writer, key, newValue) => tabs
+        .filter(tab => tab !== writer)
+        .forEach(tab => tab.listeners.forEach(listener => listener({ key, newValue })));
+
+    return {
+        items,
+
+        /**
+         * Load scripts into a new tab at a path; returns the context lookup and what the tab did
+         */
+        openTab(pathname, files) {
+            const tab = { listeners: [], alerts: [], reloads: 0 };
+            tabs.push(tab);
+
+            const window = {
+                location: { pathname, href: pathname, reload: () => tab.reloads++ },
+                addEventListener: (type, listener) => {
+                    if (type === 'storage') tab.listeners.push(listener);
+                }
+            };
+            const methods = {
+                getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+                setItem: (key, value) => {
+                    items[key] = String(value);
+                    notify(tab, key, items[key]);
+                },
+                removeItem: (key) => {
+                    delete items[key];
+                    notify(tab, key, null);
+                }
+            };
+            // Object.keys(localStorage) lists the stored keys, not the methods
+            const localStorage = new Proxy(methods, {
+                ownKeys: () => Object.keys(items),
+                getOwnPropertyDescriptor: (target, key) => (Object.prototype.hasOwnProperty.call(items, key)
+                    ? { value: items[key], enumerable: true, configurable: true }
+                    : undefined)
+            });
+            const document = {
+                readyState: 'loading',
+                addEventListener() {},
+                querySelectorAll: () => [],
+                getElementById: () => null
+            };
+
+            tab.lookup = loadScripts(files, { window, localStorage, document, alert: message => tab.alerts.push(message) });
+            return tab;
+        }
+    };
+}
+
+const ALICE = {
+    id: 'user_1', email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith',
+    role: 'user', isActive: true, createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+/**
+ * Alice is logged in to the dashboard in one tab; an admin works in another
+ */
+async function openTabs() {
+    const browser = createBrowser({
+        finsim_users: JSON.stringify([ALICE]),
+        finsim_currentUser: JSON.stringify(ALICE)
+    });
+
+    const dashboard = browser.openTab('/dashboard/dashboard.html', ['storage.js', 'models.js', 'auth.js']);
+    const admin = browser.openTab('/admin/admin.html', ['storage.js', 'models.js']);
+    await dashboard.lookup('authManager').ready;
+    await admin.lookup('storage').ready;
+
+    return { browser, dashboard, admin };
+}
+
+test('change subscriptions', async (t) => {
+    await t.test('tell subscribers of the key and of every key about local writes', async () => {
+        const { store } = await createTestEnvironment();
+        const events = [];
+
+        store.subscribe('users', event => events.push(['users', event.key, event.source]));
+        store.subscribe('*', event => events.push(['*', event.key, event.source]));
+
+        store.putRecord('users', { id: 'user_1', email: 'a@example.com' });
+        store.transaction(['accounts', 'transactions'], (tx) => {
+            tx.putRecord('accounts', { id: 'acc_1', userId: 'user_1' });
+            tx.putRecord('transactions', { id: 'txn_1', accountId: 'acc_1' });
+        });
+
+        assert.deepEqual(events, [
+            ['users', 'users', 'local'],
+            ['*', 'users', 'local'],
+            ['*', 'accounts', 'local'],
+            ['*', 'transactions', 'local']
+        ]);
+    });
+
+    await t.test('stop after unsubscribing, and survive a failing subscriber', async () => {
+        const { store } = await createTestEnvironment();
+        const seen = [];
+
+        store.subscribe('users', () => {
+            throw new Error('Render failed');
+        });
+        const unsubscribe = store.subscribe('users', ({ key }) => seen.push(key));
+
+        store.putRecord('users', { id: 'user_1' });
+        unsubscribe();
+        store.putRecord('users', { id: 'user_2' });
+
+        assert.deepEqual(seen, ['users']);
+    });
+});
+
+test('cross-tab sync', async (t) => {
+    await t.test('other tabs see the change and tell their subscribers', async () => {
+        const { dashboard, admin } = await openTabs();
+        const events = [];
+        dashboard.lookup('storage').subscribe('accounts', ({ source }) => events.push(source));
+
+        admin.lookup('dataManager').createAccount({ userId: ALICE.id, type: 'checking', balance: 50 });
+
+        assert.deepEqual(events, ['external']);
+        assert.deepEqual(plain(dashboard.lookup('dataManager').getAccountsByUserId(ALICE.id).map(account => account.balance)), [50]);
+    });
+
+    await t.test('the dashboard re-renders the widgets of the changed data', async () => {
+        const browser = createBrowser({ finsim_users: JSON.stringify([ALICE]), finsim_currentUser: JSON.stringify(ALICE) });
+        const dashboard = browser.openTab('/dashboard/dashboard.html', ['storage.js', 'models.js', 'auth.js', 'dashboard.js']);
+        const admin = browser.openTab('/admin/admin.html', ['storage.js', 'models.js']);
+        await dashboard.lookup('authManager').ready;
+
+        const manager = dashboard.lookup('window.dashboardManager');
+        const rendered = [];
+        ['loadUserAccounts', 'updateAccountCards', 'updateAccountDetail', 'updateDashboardStats', 'populateAccountDropdowns',
+            'updateMyAccountsIBANs', 'updateBalanceInfo', 'updateCards', 'updateLoans', 'updateTransferLimits'
+        ].forEach(name => {
+            manager[name] = async () => rendered.push(name);
+        });
+        manager.setupStorageSubscriptions();
+
+        admin.lookup('dataManager').createAccount({ userId: ALICE.id, type: 'savings', balance: 10 });
+        await wait(250);
+
+        assert.deepEqual(rendered.slice(0, 2), ['loadUserAccounts', 'updateAccountCards']);
+        assert.ok(rendered.includes('updateDashboardStats'));
+    });
+
+    await t.test('an admin deactivating the user forces the open session out', async () => {
+        const { dashboard, admin } = await openTabs();
+        const authManager = dashboard.lookup('authManager');
+        assert.equal(authManager.isAuthenticated(), true);
+
+        admin.lookup('dataManager').updateUser(ALICE.id, { isActive: false });
+        await wait(10);
+
+        assert.equal(authManager.isAuthenticated(), false);
+        assert.deepEqual(dashboard.alerts, ['Your account has been deactivated. Please contact support.']);
+        assert.equal(dashboard.lookup('window.location.href'), '../auth/login.html');
+        assert.equal(dashboard.lookup('storage').get('currentUser'), null);
+    });
+
+    await t.test('profile changes by an admin update the session', async () => {
+        const { dashboard, admin } = await openTabs();
+
+        admin.lookup('dataManager').updateUser(ALICE.id, { lastName: 'Jones' });
+        await wait(10);
+
+        assert.equal(dashboard.lookup('authManager').getCurrentUser().lastName, 'Jones');
+        assert.deepEqual(dashboard.alerts, []);
+    });
+
+    await t.test('logging out in another tab logs this tab out, logging in as someone else reloads it', async () => {
+        const { dashboard, admin } = await openTabs();
+        const authManager = dashboard.lookup('authManager');
+
+        admin.lookup('storage').set('currentUser', { ...ALICE, id: 'user_2', email: 'bob@example.com' });
+        await wait(10);
+        assert.equal(dashboard.reloads, 1);
+
+        admin.lookup('storage').set('currentUser', null);
+        await wait(10);
+        assert.equal(authManager.isAuthenticated(), false);
+        assert.equal(dashboard.lookup('window.location.href'), '../auth/login.html');
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTestEnvironment, plain } = require('./harness');
+
+test('storage falls back to memory outside a browser', async () => {
+    const lookup = loadScripts();
+    const storage = lookup('storage');
+
+    await storage.ready;
+
+    assert.equal(storage.backend.name, 'memory');
+    assert.deepEqual(plain(storage.getAllKeys().sort()), ['accounts', 'currentUser', 'transactions', 'users']);
+});
+
+test('memory backend keeps data for a new storage instance', async () => {
+    const { store, lookup } = await createTestEnvironment();
+    const StorageManager = lookup('StorageManager');
+
+    store.putRecord('users', { id: 'user_1', email: 'a@example.com' });
+
+    const reopened = new StorageManager({ backend: store.backend });
+    await reopened.ready;
+
+    assert.equal(reopened.getRecord('users', 'user_1').email, 'a@example.com');
+});
+
+test('admin bootstrap', async (t) => {
+    await t.test('creates the default admin on an empty system', async () => {
+        const { store, dataManager, initializeSystem } = await createTestEnvironment();
+
+        initializeSystem(store);
+
+        const admin = dataManager.getUserByEmail('admin@finsim.com');
+        assert.ok(admin);
+        assert.equal(admin.role, 'admin');
+        assert.equal(admin.isActive, true);
+        assert.equal(admin.password, btoa('admin123' + 'finsim_salt_v2'));
+        assert.equal(admin.hasPermission('canManageSystem'), true);
+    });
+
+    await t.test('does not create a second admin', async () => {
+        const { store, initializeSystem } = await createTestEnvironment();
+
+        initializeSystem(store);
+        initializeSystem(store);
+
+        assert.equal(store.get('users').filter(user => user.role === 'admin').length, 1);
+    });
+
+    await t.test('leaves systems that already have an admin alone', async () => {
+        const { store, initializeSystem } = await createTestEnvironment({
+            users: [{ id: 'admin_1', email: 'owner@example.com', role: 'admin', isActive: true }]
+        });
+
+        initializeSystem(store);
+
+        assert.deepEqual(plain(store.get('users').map(user => user.email)), ['owner@example.com']);
+    });
+});